@@ -0,0 +1,366 @@
+// Data Access Layer for account data export and deletion
+import pool from '../db/config.js';
+
+/**
+ * Collect every row tied to a user for a personal data export
+ */
+export const findAccountExportData = async (userId) => {
+    const userResult = await pool.query(
+        `SELECT id, first_name, last_name, email, phone, country_code, date_of_birth, user_type,
+            agree_to_terms, agree_to_marketing, email_verified_at, password_changed_at,
+            deletion_requested_at, deletion_scheduled_for, created_at, updated_at
+        FROM users WHERE id = $1 AND deleted_at IS NULL`,
+        [userId]
+    );
+
+    if (userResult.rows.length === 0) {
+        return null;
+    }
+
+    const consentResult = await pool.query(
+        `SELECT consent_given, consent_method, ip_address, user_agent, source, campaign_id, notes, created_at
+        FROM marketing_consent_history
+        WHERE user_id = $1
+        ORDER BY created_at`,
+        [userId]
+    );
+
+    const mentorDetailsResult = await pool.query(
+        `SELECT occupation_area, current_position, company, years_of_experience, university, faculty,
+            bio, linkedin, photo_url, application_status, rejection_reason, reviewed_at, created_at, updated_at
+        FROM mentor_details WHERE user_id = $1`,
+        [userId]
+    );
+
+    const documentResult = await pool.query(
+        `SELECT document_type, confirmed, confirmed_at, ip_address, user_agent
+        FROM mentor_document_confirmations WHERE mentor_id = $1`,
+        [userId]
+    );
+
+    const availabilityResult = await pool.query(
+        `SELECT timezone, schedule, buffer_before_minutes, buffer_after_minutes, created_at, updated_at
+        FROM mentor_availability WHERE mentor_id = $1`,
+        [userId]
+    );
+
+    const overridesResult = await pool.query(
+        `SELECT override_type, to_char(start_date, 'YYYY-MM-DD') AS start_date, to_char(end_date, 'YYYY-MM-DD') AS end_date,
+            to_char(start_time, 'HH24:MI') AS start_time, to_char(end_time, 'HH24:MI') AS end_time, note, created_at
+        FROM mentor_availability_overrides
+        WHERE mentor_id = $1
+        ORDER BY start_date`,
+        [userId]
+    );
+
+    const servicesResult = await pool.query(
+        `SELECT mentorship_service, mentor_session_price, platform_fee, taxes_fee, total_price, created_at, updated_at
+        FROM mentor_services
+        WHERE mentor_id = $1
+        ORDER BY created_at`,
+        [userId]
+    );
+
+    const paymentInfoResult = await pool.query(
+        `SELECT identification_number, address, bank, bank_rtgs_code, bank_account_number, created_at, updated_at
+        FROM mentor_payment_info WHERE mentor_id = $1`,
+        [userId]
+    );
+
+    // Bookings on either side, with only the other party's name
+    const bookingsResult = await pool.query(
+        `SELECT
+            b.id,
+            CASE WHEN b.user_id = $1 THEN 'student' ELSE 'mentor' END AS role,
+            CASE WHEN b.user_id = $1 THEN m.first_name || ' ' || m.last_name
+                ELSE s.first_name || ' ' || s.last_name END AS counterpart_name,
+            COALESCE(b.service_name, ms.mentorship_service) AS mentorship_service,
+            b.session_date,
+            b.duration_minutes,
+            b.session_topic,
+            b.notes,
+            b.mentor_price,
+            b.platform_fee,
+            b.taxes_fee,
+            b.total_price,
+            b.meeting_platform,
+            b.status,
+            b.payment_status,
+            b.cancellation_reason,
+            b.cancelled_at,
+            b.completed_at,
+            b.created_at
+        FROM bookings b
+        INNER JOIN users m ON b.mentor_id = m.id
+        INNER JOIN users s ON b.user_id = s.id
+        LEFT JOIN mentor_services ms ON b.service_id = ms.id
+        WHERE b.user_id = $1 OR b.mentor_id = $1
+        ORDER BY b.session_date`,
+        [userId]
+    );
+
+    const reschedulesResult = await pool.query(
+        `SELECT
+            r.booking_id,
+            (r.requested_by = $1) AS requested_by_you,
+            r.previous_session_date,
+            r.proposed_session_date,
+            r.reason,
+            r.status,
+            r.response_note,
+            r.responded_at,
+            r.created_at
+        FROM booking_reschedules r
+        INNER JOIN bookings b ON r.booking_id = b.id
+        WHERE b.user_id = $1 OR b.mentor_id = $1
+        ORDER BY r.created_at`,
+        [userId]
+    );
+
+    // Payments are the student's; amounts are in tetri, as the provider charged them
+    const paymentsResult = await pool.query(
+        `SELECT p.booking_id, p.provider, p.amount, p.currency, p.status, p.paid_at, p.failure_reason, p.created_at
+        FROM payments p
+        INNER JOIN bookings b ON p.booking_id = b.id
+        WHERE b.user_id = $1
+        ORDER BY p.created_at`,
+        [userId]
+    );
+
+    const refundsResult = await pool.query(
+        `SELECT r.booking_id, r.amount, r.reason, r.initiator_role, r.cost_bearer, r.mentor_deduction,
+            r.status, r.completed_at, r.created_at
+        FROM refunds r
+        INNER JOIN bookings b ON r.booking_id = b.id
+        WHERE b.user_id = $1 OR b.mentor_id = $1
+        ORDER BY r.created_at`,
+        [userId]
+    );
+
+    const ledgerResult = await pool.query(
+        `SELECT entry_type, amount, description, created_at
+        FROM mentor_ledger_entries
+        WHERE mentor_id = $1
+        ORDER BY created_at`,
+        [userId]
+    );
+
+    // Bank details as they were sent with each payout
+    const payoutsResult = await pool.query(
+        `SELECT i.amount, i.beneficiary_name, i.identification_number, i.bank, i.bank_rtgs_code, i.bank_account_number,
+            pb.status, pb.settled_at, i.created_at
+        FROM payout_batch_items i
+        INNER JOIN payout_batches pb ON i.batch_id = pb.id
+        WHERE i.mentor_id = $1
+        ORDER BY i.created_at`,
+        [userId]
+    );
+
+    const sessionsResult = await pool.query(
+        `SELECT user_agent, ip_address, created_at, last_used_at, expires_at, revoked_at, revoked_reason
+        FROM user_sessions
+        WHERE user_id = $1
+        ORDER BY created_at`,
+        [userId]
+    );
+
+    const loginAttemptsResult = await pool.query(
+        `SELECT ip_address, user_agent, success, created_at
+        FROM login_attempts
+        WHERE user_id = $1
+        ORDER BY created_at`,
+        [userId]
+    );
+
+    const apiKeysResult = await pool.query(
+        `SELECT name, key_prefix, scopes, last_used_at, expires_at, revoked_at, created_at
+        FROM api_keys
+        WHERE user_id = $1
+        ORDER BY created_at`,
+        [userId]
+    );
+
+    const twoFactorResult = await pool.query(
+        'SELECT enabled_at FROM user_two_factor WHERE user_id = $1',
+        [userId]
+    );
+
+    return {
+        user: userResult.rows[0],
+        marketingConsentHistory: consentResult.rows,
+        mentorDetails: mentorDetailsResult.rows[0] || null,
+        documentConfirmation: documentResult.rows[0] || null,
+        availability: availabilityResult.rows[0] || null,
+        availabilityOverrides: overridesResult.rows,
+        services: servicesResult.rows,
+        paymentInfo: paymentInfoResult.rows[0] || null,
+        bookings: bookingsResult.rows,
+        bookingReschedules: reschedulesResult.rows,
+        payments: paymentsResult.rows,
+        refunds: refundsResult.rows,
+        ledgerEntries: ledgerResult.rows,
+        payouts: payoutsResult.rows,
+        sessions: sessionsResult.rows,
+        loginAttempts: loginAttemptsResult.rows,
+        apiKeys: apiKeysResult.rows,
+        twoFactor: twoFactorResult.rows[0] || null
+    };
+};
+
+/**
+ * Count the user's pending/confirmed bookings that haven't happened yet
+ */
+export const countUpcomingBookings = async (userId, client = null) => {
+    const db = client || pool;
+    const result = await db.query(
+        `SELECT COUNT(*) FROM bookings
+        WHERE (user_id = $1 OR mentor_id = $1)
+        AND status IN ('pending', 'confirmed')
+        AND session_date > CURRENT_TIMESTAMP`,
+        [userId]
+    );
+    return parseInt(result.rows[0].count);
+};
+
+/**
+ * Lock the given accounts so they can't be scheduled for deletion or purged until the transaction ends
+ * (must be called within a transaction); returns the ids of those not deleted or pending deletion
+ */
+export const lockActiveAccounts = async (userIds, client) => {
+    const result = await client.query(
+        `SELECT id FROM users
+        WHERE id = ANY($1::uuid[]) AND deletion_scheduled_for IS NULL AND deleted_at IS NULL
+        FOR SHARE`,
+        [userIds]
+    );
+    return result.rows.map(row => row.id);
+};
+
+/**
+ * Schedule the account for deletion (no-op if a deletion is already pending)
+ */
+export const scheduleAccountDeletion = async (userId, scheduledFor) => {
+    const result = await pool.query(
+        `UPDATE users SET
+            deletion_requested_at = CURRENT_TIMESTAMP,
+            deletion_scheduled_for = $2
+        WHERE id = $1 AND deletion_scheduled_for IS NULL AND deleted_at IS NULL
+        RETURNING deletion_requested_at, deletion_scheduled_for`,
+        [userId, scheduledFor]
+    );
+    return result.rows[0] || null;
+};
+
+/**
+ * Cancel a pending account deletion
+ */
+export const cancelAccountDeletion = async (userId) => {
+    const result = await pool.query(
+        `UPDATE users SET
+            deletion_requested_at = NULL,
+            deletion_scheduled_for = NULL
+        WHERE id = $1 AND deletion_scheduled_for IS NOT NULL AND deleted_at IS NULL
+        RETURNING id`,
+        [userId]
+    );
+    return result.rows[0] || null;
+};
+
+/**
+ * Find accounts whose grace period has ended
+ */
+export const findAccountsDueForDeletion = async (limit) => {
+    const result = await pool.query(
+        `SELECT id FROM users
+        WHERE deletion_scheduled_for <= CURRENT_TIMESTAMP AND deleted_at IS NULL
+        ORDER BY deletion_scheduled_for
+        LIMIT $1`,
+        [limit]
+    );
+    return result.rows;
+};
+
+/**
+ * Lock an account that is due for deletion (must be called within a transaction)
+ */
+export const lockAccountDueForDeletion = async (userId, client) => {
+    const result = await client.query(
+        `SELECT u.id, u.first_name, u.last_name, u.email, u.user_type, md.photo_url
+        FROM users u
+        LEFT JOIN mentor_details md ON u.id = md.user_id
+        WHERE u.id = $1 AND u.deletion_scheduled_for <= CURRENT_TIMESTAMP AND u.deleted_at IS NULL
+        FOR UPDATE OF u`,
+        [userId]
+    );
+    return result.rows[0] || null;
+};
+
+/**
+ * Remove the user's personal data and anonymize what others still need
+ * Bookings are kept (the other party needs them for accounting) but lose the deleted user's free text
+ */
+export const purgeAccountData = async (user, client) => {
+    const { id: userId, email } = user;
+
+    await client.query('DELETE FROM user_sessions WHERE user_id = $1', [userId]);
+    await client.query('DELETE FROM password_reset_tokens WHERE user_id = $1', [userId]);
+    await client.query('DELETE FROM email_verification_tokens WHERE user_id = $1', [userId]);
+    await client.query('DELETE FROM account_unlock_tokens WHERE user_id = $1', [userId]);
+    await client.query('DELETE FROM login_attempts WHERE user_id = $1 OR email = $2', [userId, email]);
+    await client.query('DELETE FROM two_factor_recovery_codes WHERE user_id = $1', [userId]);
+    await client.query('DELETE FROM user_two_factor WHERE user_id = $1', [userId]);
+    await client.query('DELETE FROM api_keys WHERE user_id = $1', [userId]);
+    await client.query('DELETE FROM marketing_consent_history WHERE user_id = $1', [userId]);
+    // payout_batch_items keep the name, ID number and bank account each transfer was sent to: they are the
+    // accounting record of money paid to the mentor and are retained as such (deletion waits until every payout is settled)
+    await client.query('DELETE FROM mentor_payment_info WHERE mentor_id = $1', [userId]);
+    await client.query('DELETE FROM mentor_document_confirmations WHERE mentor_id = $1', [userId]);
+    await client.query('DELETE FROM mentor_availability_overrides WHERE mentor_id = $1', [userId]);
+    await client.query('DELETE FROM mentor_availability WHERE mentor_id = $1', [userId]);
+    await client.query('DELETE FROM mentor_services WHERE mentor_id = $1', [userId]);
+    await client.query('DELETE FROM mentor_details WHERE user_id = $1', [userId]);
+
+    await client.query(
+        'UPDATE bookings SET session_topic = NULL, notes = NULL WHERE user_id = $1',
+        [userId]
+    );
+    await client.query(
+        'UPDATE bookings SET cancellation_reason = NULL WHERE cancelled_by = $1',
+        [userId]
+    );
+    await client.query(
+        'UPDATE booking_reschedules SET reason = NULL WHERE requested_by = $1',
+        [userId]
+    );
+    await client.query(
+        `UPDATE booking_reschedules r SET response_note = NULL
+        FROM bookings b
+        WHERE r.booking_id = b.id AND b.mentor_id = $1`,
+        [userId]
+    );
+    // reason is required, so the deleted user's own text is replaced rather than cleared
+    await client.query(
+        `UPDATE refunds SET reason = 'Removed when the account was deleted' WHERE initiated_by = $1`,
+        [userId]
+    );
+
+    // Keep the row as an anonymous reference; the placeholder email can never log in
+    await client.query(
+        `UPDATE users SET
+            first_name = 'Deleted',
+            last_name = 'User',
+            email = 'deleted-' || id || '@deleted.invalid',
+            password = '',
+            phone = NULL,
+            date_of_birth = NULL,
+            agree_to_marketing = false,
+            email_verified_at = NULL,
+            failed_login_attempts = 0,
+            last_failed_login_at = NULL,
+            locked_until = NULL,
+            deletion_scheduled_for = NULL,
+            deleted_at = CURRENT_TIMESTAMP
+        WHERE id = $1`,
+        [userId]
+    );
+};
@@ -0,0 +1,88 @@
+// Data Access Layer for personal API keys
+import pool from '../db/config.js';
+
+/**
+ * Store a new API key
+ */
+export const createApiKey = async ({ userId, name, keyPrefix, keyHash, scopes, expiresAt }) => {
+    const result = await pool.query(
+        `INSERT INTO api_keys (
+            user_id,
+            name,
+            key_prefix,
+            key_hash,
+            scopes,
+            expires_at
+        ) VALUES ($1, $2, $3, $4, $5, $6)
+        RETURNING id, name, key_prefix, scopes, expires_at, created_at`,
+        [userId, name, keyPrefix, keyHash, scopes, expiresAt || null]
+    );
+    return result.rows[0];
+};
+
+/**
+ * Find an active (not revoked or expired) API key by its prefix
+ */
+export const findActiveApiKeyByPrefix = async (keyPrefix) => {
+    const result = await pool.query(
+        `SELECT id, user_id, key_hash, scopes, last_used_at
+        FROM api_keys
+        WHERE key_prefix = $1
+        AND revoked_at IS NULL
+        AND (expires_at IS NULL OR expires_at > CURRENT_TIMESTAMP)`,
+        [keyPrefix]
+    );
+    return result.rows[0] || null;
+};
+
+/**
+ * Record that an API key was used (at most once a minute to avoid a write per request)
+ */
+export const touchApiKey = async (apiKeyId) => {
+    await pool.query(
+        `UPDATE api_keys SET last_used_at = CURRENT_TIMESTAMP
+        WHERE id = $1
+        AND (last_used_at IS NULL OR last_used_at < CURRENT_TIMESTAMP - INTERVAL '1 minute')`,
+        [apiKeyId]
+    );
+};
+
+/**
+ * List a user's API keys that haven't been revoked
+ */
+export const findApiKeysByUser = async (userId) => {
+    const result = await pool.query(
+        `SELECT id, name, key_prefix, scopes, last_used_at, expires_at, created_at
+        FROM api_keys
+        WHERE user_id = $1 AND revoked_at IS NULL
+        ORDER BY created_at DESC`,
+        [userId]
+    );
+    return result.rows;
+};
+
+/**
+ * Revoke one of a user's API keys
+ */
+export const revokeApiKey = async (apiKeyId, userId) => {
+    const result = await pool.query(
+        `UPDATE api_keys SET revoked_at = CURRENT_TIMESTAMP
+        WHERE id = $1 AND user_id = $2 AND revoked_at IS NULL
+        RETURNING id`,
+        [apiKeyId, userId]
+    );
+    return result.rows[0] || null;
+};
+
+/**
+ * Revoke all of a user's active API keys (with optional transaction client)
+ */
+export const revokeAllApiKeys = async (userId, client = null) => {
+    const db = client || pool;
+
+    const result = await db.query(
+        'UPDATE api_keys SET revoked_at = CURRENT_TIMESTAMP WHERE user_id = $1 AND revoked_at IS NULL',
+        [userId]
+    );
+    return result.rowCount;
+};
@@ -0,0 +1,102 @@
+// Data Access Layer for mentor availability
+import pool from '../db/config.js';
+
+// Dates and times as plain strings, so they stay wall-clock values in the mentor's timezone
+const OVERRIDE_COLUMNS = `id, override_type,
+    to_char(start_date, 'YYYY-MM-DD') AS start_date,
+    to_char(end_date, 'YYYY-MM-DD') AS end_date,
+    to_char(start_time, 'HH24:MI') AS start_time,
+    to_char(end_time, 'HH24:MI') AS end_time,
+    note, created_at`;
+
+/**
+ * Get a mentor's timezone, weekly schedule, buffers around sessions, booking limits and upcoming date overrides
+ */
+export const findMentorAvailability = async (mentorId, client = null) => {
+    const db = client || pool;
+    const result = await db.query(
+        `SELECT timezone, schedule, buffer_before_minutes, buffer_after_minutes,
+            min_notice_hours, max_days_ahead, max_sessions_per_day, max_sessions_per_week,
+            max_active_bookings_per_student
+        FROM mentor_availability
+        WHERE mentor_id = $1`,
+        [mentorId]
+    );
+
+    if (result.rows.length === 0) {
+        return null;
+    }
+
+    // A day of margin, as the mentor's local date can be behind the database's
+    const overrides = await findAvailabilityOverrides(mentorId, { fromDaysAgo: 1 }, db);
+
+    return { ...result.rows[0], overrides };
+};
+
+/**
+ * Get a mentor's date overrides that haven't ended (in date order)
+ */
+export const findAvailabilityOverrides = async (mentorId, { fromDaysAgo = 0 } = {}, client = null) => {
+    const db = client || pool;
+    const result = await db.query(
+        `SELECT ${OVERRIDE_COLUMNS}
+        FROM mentor_availability_overrides
+        WHERE mentor_id = $1
+        AND end_date >= CURRENT_DATE - $2::int
+        ORDER BY start_date, start_time NULLS FIRST`,
+        [mentorId, fromDaysAgo]
+    );
+    return result.rows;
+};
+
+/**
+ * Count a mentor's overrides that haven't ended
+ */
+export const countUpcomingAvailabilityOverrides = async (mentorId) => {
+    const result = await pool.query(
+        `SELECT COUNT(*) AS count
+        FROM mentor_availability_overrides
+        WHERE mentor_id = $1
+        AND end_date >= CURRENT_DATE`,
+        [mentorId]
+    );
+    return parseInt(result.rows[0].count);
+};
+
+/**
+ * Store a date override for a mentor
+ */
+export const createAvailabilityOverride = async (mentorId, { type, startDate, endDate, startTime, endTime, note }) => {
+    const result = await pool.query(
+        `INSERT INTO mentor_availability_overrides (
+            mentor_id, override_type, start_date, end_date, start_time, end_time, note
+        ) VALUES ($1, $2, $3, $4, $5, $6, $7)
+        RETURNING ${OVERRIDE_COLUMNS}`,
+        [mentorId, type, startDate, endDate, startTime || null, endTime || null, note || null]
+    );
+    return result.rows[0];
+};
+
+/**
+ * Delete one of the mentor's date overrides
+ * Returns false when the override doesn't exist or belongs to someone else
+ */
+export const deleteAvailabilityOverride = async (overrideId, mentorId) => {
+    const result = await pool.query(
+        'DELETE FROM mentor_availability_overrides WHERE id = $1 AND mentor_id = $2',
+        [overrideId, mentorId]
+    );
+    return result.rowCount > 0;
+};
+
+/**
+ * Lock a mentor's availability row so their bookings are checked and created one at a time
+ * (must be called within a transaction)
+ */
+export const lockMentorAvailability = async (mentorId, client) => {
+    const result = await client.query(
+        'SELECT id FROM mentor_availability WHERE mentor_id = $1 FOR UPDATE',
+        [mentorId]
+    );
+    return result.rows[0] || null;
+};
@@ -0,0 +1,306 @@
+// Data Access Layer for Booking operations
+import pool from '../db/config.js';
+
+/**
+ * Lock a booking that belongs to the given student or mentor (must be called within a transaction)
+ */
+export const findBookingForUpdate = async (bookingId, { userId, mentorId }, client) => {
+    const result = await client.query(
+        `SELECT id, mentor_id, user_id, service_id, session_date, duration_minutes,
+            buffer_before_minutes, buffer_after_minutes, mentor_price, total_price, status, payment_status,
+            payment_due_at, cancelled_by, cancelled_at
+        FROM bookings
+        WHERE id = $1
+        AND ($2::uuid IS NULL OR user_id = $2)
+        AND ($3::uuid IS NULL OR mentor_id = $3)
+        FOR UPDATE`,
+        [bookingId, userId || null, mentorId || null]
+    );
+    return result.rows[0] || null;
+};
+
+/**
+ * Mark a booking as cancelled (with optional transaction client)
+ */
+export const markBookingCancelled = async (bookingId, { status, reason, cancelledBy, refundAmount }, client = null) => {
+    const db = client || pool;
+
+    const result = await db.query(
+        `UPDATE bookings SET
+            status = $1,
+            cancellation_reason = $2,
+            cancelled_by = $3,
+            cancelled_at = CURRENT_TIMESTAMP,
+            refund_amount = $4
+        WHERE id = $5
+        RETURNING id, status, cancellation_reason, cancelled_by, cancelled_at, refund_amount`,
+        [status, reason, cancelledBy, refundAmount, bookingId]
+    );
+    return result.rows[0];
+};
+
+/**
+ * Mark a pending booking as confirmed by the mentor (with optional transaction client)
+ */
+export const markBookingConfirmed = async (bookingId, { meetingLink, meetingPlatform }, client = null) => {
+    const db = client || pool;
+
+    const result = await db.query(
+        `UPDATE bookings SET
+            status = 'confirmed',
+            confirmed_at = CURRENT_TIMESTAMP,
+            meeting_link = COALESCE($1, meeting_link),
+            meeting_platform = COALESCE($2, meeting_platform)
+        WHERE id = $3
+        RETURNING id, status, confirmed_at, meeting_link, meeting_platform`,
+        [meetingLink || null, meetingPlatform || null, bookingId]
+    );
+    return result.rows[0];
+};
+
+/**
+ * Record how a session ended: completed or no_show (with optional transaction client)
+ */
+export const markBookingOutcome = async (bookingId, { status, completedBy, noShowParty }, client = null) => {
+    const db = client || pool;
+
+    const result = await db.query(
+        `UPDATE bookings SET
+            status = $1,
+            completed_by = $2,
+            no_show_party = $3,
+            completed_at = CURRENT_TIMESTAMP
+        WHERE id = $4
+        RETURNING id, status, completed_at, completed_by, no_show_party`,
+        [status, completedBy, noShowParty || null, bookingId]
+    );
+    return result.rows[0];
+};
+
+/**
+ * Find pending bookings the mentor didn't confirm in time
+ * A booking expires after the confirmation window, or when its session starts, whichever comes first
+ */
+export const findExpiredPendingBookings = async (confirmationHours, limit) => {
+    const result = await pool.query(
+        `SELECT id FROM bookings
+        WHERE status = 'pending'
+        AND (
+            created_at <= CURRENT_TIMESTAMP - ($1 * INTERVAL '1 hour')
+            OR session_date <= CURRENT_TIMESTAMP
+        )
+        ORDER BY created_at
+        LIMIT $2`,
+        [confirmationHours, limit]
+    );
+    return result.rows;
+};
+
+/**
+ * Get a booking with both parties' contact details and the service name (for notifications)
+ */
+export const findBookingWithParticipants = async (bookingId) => {
+    const result = await pool.query(
+        `SELECT
+            b.id,
+            b.session_date,
+            b.duration_minutes,
+            b.status,
+            b.cancellation_reason,
+            b.refund_amount,
+            COALESCE(b.service_name, ms.mentorship_service) AS mentorship_service,
+            s.id AS student_id,
+            s.first_name AS student_first_name,
+            s.last_name AS student_last_name,
+            s.email AS student_email,
+            m.id AS mentor_id,
+            m.first_name AS mentor_first_name,
+            m.last_name AS mentor_last_name,
+            m.email AS mentor_email
+        FROM bookings b
+        INNER JOIN users s ON s.id = b.user_id
+        INNER JOIN users m ON m.id = b.mentor_id
+        LEFT JOIN mentor_services ms ON ms.id = b.service_id
+        WHERE b.id = $1`,
+        [bookingId]
+    );
+    return result.rows[0] || null;
+};
+
+/**
+ * Find an active booking of the mentor whose blocked time (session plus buffers) overlaps
+ * the blocked time of a new session (with optional transaction client)
+ */
+export const findOverlappingBooking = async (mentorId, sessionStart, durationMinutes, {
+    excludeBookingId = null,
+    bufferBeforeMinutes = 0,
+    bufferAfterMinutes = 0
+} = {}, client = null) => {
+    const db = client || pool;
+    const blockedFrom = new Date(sessionStart.getTime() - bufferBeforeMinutes * 60 * 1000);
+    const blockedUntil = new Date(sessionStart.getTime() + (durationMinutes + bufferAfterMinutes) * 60 * 1000);
+
+    const result = await db.query(
+        `SELECT id FROM bookings
+        WHERE mentor_id = $1
+        AND status NOT IN ('cancelled_by_student', 'cancelled_by_mentor')
+        AND ($4::uuid IS NULL OR id <> $4)
+        AND session_date - (buffer_before_minutes * INTERVAL '1 minute') < $3
+        AND session_date + ((duration_minutes + buffer_after_minutes) * INTERVAL '1 minute') > $2
+        LIMIT 1`,
+        [mentorId, blockedFrom.toISOString(), blockedUntil.toISOString(), excludeBookingId]
+    );
+    return result.rows[0] || null;
+};
+
+/**
+ * Move a booking to a new time (with optional transaction client)
+ */
+export const updateBookingSessionDate = async (bookingId, sessionDate, client = null) => {
+    const db = client || pool;
+
+    const result = await db.query(
+        `UPDATE bookings SET session_date = $1
+        WHERE id = $2
+        RETURNING id, session_date, duration_minutes, status`,
+        [sessionDate.toISOString(), bookingId]
+    );
+    return result.rows[0];
+};
+
+/**
+ * Store a reschedule request (with optional transaction client)
+ */
+export const createRescheduleRequest = async ({ bookingId, requestedBy, proposedSessionDate, reason }, client = null) => {
+    const db = client || pool;
+
+    // previous_session_date is copied from the booking as it is right now
+    const result = await db.query(
+        `INSERT INTO booking_reschedules (
+            booking_id,
+            requested_by,
+            previous_session_date,
+            proposed_session_date,
+            reason
+        )
+        SELECT id, $2, session_date, $3, $4 FROM bookings WHERE id = $1
+        RETURNING id, booking_id, requested_by, previous_session_date, proposed_session_date, reason,
+            status, response_note, responded_at, created_at`,
+        [bookingId, requestedBy, proposedSessionDate.toISOString(), reason || null]
+    );
+    return result.rows[0];
+};
+
+/**
+ * Lock the open reschedule request of a booking (must be called within a transaction)
+ */
+export const findPendingRescheduleForUpdate = async (bookingId, client) => {
+    const result = await client.query(
+        `SELECT id, booking_id, requested_by, previous_session_date, proposed_session_date, reason, status
+        FROM booking_reschedules
+        WHERE booking_id = $1 AND status = 'pending'
+        FOR UPDATE`,
+        [bookingId]
+    );
+    return result.rows[0] || null;
+};
+
+/**
+ * Resolve a reschedule request (with optional transaction client)
+ */
+export const resolveRescheduleRequest = async (rescheduleId, { status, responseNote }, client = null) => {
+    const db = client || pool;
+
+    const result = await db.query(
+        `UPDATE booking_reschedules SET
+            status = $1,
+            response_note = $2,
+            responded_at = CURRENT_TIMESTAMP
+        WHERE id = $3
+        RETURNING id, booking_id, requested_by, previous_session_date, proposed_session_date, reason,
+            status, response_note, responded_at, created_at`,
+        [status, responseNote || null, rescheduleId]
+    );
+    return result.rows[0];
+};
+
+/**
+ * Close any open reschedule request, e.g. when the booking is cancelled (with optional transaction client)
+ */
+export const cancelPendingReschedules = async (bookingId, client = null) => {
+    const db = client || pool;
+
+    await db.query(
+        `UPDATE booking_reschedules SET
+            status = 'cancelled',
+            responded_at = CURRENT_TIMESTAMP
+        WHERE booking_id = $1 AND status = 'pending'`,
+        [bookingId]
+    );
+};
+
+/**
+ * Get all reschedule requests of a booking, newest first
+ */
+export const findRescheduleHistory = async (bookingId) => {
+    const result = await pool.query(
+        `SELECT id, requested_by, previous_session_date, proposed_session_date, reason,
+            status, response_note, responded_at, created_at
+        FROM booking_reschedules
+        WHERE booking_id = $1
+        ORDER BY created_at DESC`,
+        [bookingId]
+    );
+    return result.rows;
+};
+
+/**
+ * Find the mentor's active bookings whose blocked time (session plus buffers) overlaps a time range
+ */
+export const findActiveBookingsInRange = async (mentorId, rangeStart, rangeEnd) => {
+    const result = await pool.query(
+        `SELECT id, session_date, duration_minutes, buffer_before_minutes, buffer_after_minutes
+        FROM bookings
+        WHERE mentor_id = $1
+        AND status NOT IN ('cancelled_by_student', 'cancelled_by_mentor')
+        AND session_date - (buffer_before_minutes * INTERVAL '1 minute') < $3
+        AND session_date + ((duration_minutes + buffer_after_minutes) * INTERVAL '1 minute') > $2
+        ORDER BY session_date`,
+        [mentorId, rangeStart.toISOString(), rangeEnd.toISOString()]
+    );
+    return result.rows;
+};
+
+/**
+ * Count the mentor's non-cancelled sessions starting in a time range (with optional transaction client)
+ */
+export const countMentorSessionsBetween = async (mentorId, rangeStart, rangeEnd, { excludeBookingId = null } = {}, client = null) => {
+    const db = client || pool;
+
+    const result = await db.query(
+        `SELECT COUNT(*) AS count FROM bookings
+        WHERE mentor_id = $1
+        AND status NOT IN ('cancelled_by_student', 'cancelled_by_mentor')
+        AND ($4::uuid IS NULL OR id <> $4)
+        AND session_date >= $2
+        AND session_date < $3`,
+        [mentorId, rangeStart.toISOString(), rangeEnd.toISOString(), excludeBookingId]
+    );
+    return parseInt(result.rows[0].count);
+};
+
+/**
+ * Count a student's pending or confirmed bookings with a mentor (with optional transaction client)
+ */
+export const countActiveStudentBookings = async (mentorId, studentId, client = null) => {
+    const db = client || pool;
+
+    const result = await db.query(
+        `SELECT COUNT(*) AS count FROM bookings
+        WHERE mentor_id = $1
+        AND user_id = $2
+        AND status IN ('pending', 'confirmed')`,
+        [mentorId, studentId]
+    );
+    return parseInt(result.rows[0].count);
+};
@@ -0,0 +1,115 @@
+// Data Access Layer for mentors' earnings reports
+// A session earns its mentor_price once it is completed and paid (later refunds are reported separately)
+import pool from '../db/config.js';
+
+const EARNED_PRICE = `CASE WHEN b.status = 'completed' AND b.payment_status IN ('paid', 'refunded')
+    THEN b.mentor_price ELSE 0 END`;
+
+/**
+ * Sum a mentor's completed and no-show sessions between two instants, per period (week, month or year) in a timezone
+ * Weeks start on Monday; period_start is the local date the period begins
+ */
+export const findEarningsByPeriod = async (mentorId, { period, start, end, timeZone }) => {
+    const result = await pool.query(
+        `SELECT
+            to_char(date_trunc($2, b.session_date AT TIME ZONE 'UTC' AT TIME ZONE $3), 'YYYY-MM-DD') AS period_start,
+            SUM(${EARNED_PRICE})::integer AS earned,
+            COUNT(*) FILTER (WHERE b.status = 'completed')::integer AS completed_sessions,
+            COUNT(*) FILTER (WHERE b.status = 'no_show')::integer AS no_show_sessions
+        FROM bookings b
+        WHERE b.mentor_id = $1
+        AND b.status IN ('completed', 'no_show')
+        AND b.session_date >= $4
+        AND b.session_date < $5
+        GROUP BY 1
+        ORDER BY 1`,
+        [mentorId, period, timeZone, start.toISOString(), end.toISOString()]
+    );
+    return result.rows;
+};
+
+/**
+ * Sum a mentor's completed and no-show sessions between two instants, per service
+ * Grouped by the service name booked, so edited or removed services keep their history;
+ * service_id is the mentor's current service with that name, if any
+ */
+export const findEarningsByService = async (mentorId, { start, end }) => {
+    const result = await pool.query(
+        `SELECT
+            ms.id AS service_id,
+            e.mentorship_service,
+            e.earned,
+            e.completed_sessions,
+            e.no_show_sessions
+        FROM (
+            SELECT
+                COALESCE(b.service_name, ms.mentorship_service) AS mentorship_service,
+                SUM(${EARNED_PRICE})::integer AS earned,
+                COUNT(*) FILTER (WHERE b.status = 'completed')::integer AS completed_sessions,
+                COUNT(*) FILTER (WHERE b.status = 'no_show')::integer AS no_show_sessions
+            FROM bookings b
+            LEFT JOIN mentor_services ms ON b.service_id = ms.id
+            WHERE b.mentor_id = $1
+            AND b.status IN ('completed', 'no_show')
+            AND b.session_date >= $2
+            AND b.session_date < $3
+            GROUP BY 1
+        ) e
+        LEFT JOIN mentor_services ms ON ms.mentor_id = $1 AND ms.mentorship_service = e.mentorship_service
+        ORDER BY e.earned DESC, e.mentorship_service`,
+        [mentorId, start.toISOString(), end.toISOString()]
+    );
+    return result.rows;
+};
+
+/**
+ * Everything a mentor has earned so far, and what refunds they bore took back from it
+ */
+export const findLifetimeEarnings = async (mentorId) => {
+    const result = await pool.query(
+        `SELECT
+            COALESCE((
+                SELECT SUM(${EARNED_PRICE}) FROM bookings b WHERE b.mentor_id = $1
+            ), 0)::integer AS earned,
+            COALESCE((
+                SELECT SUM(r.mentor_deduction)
+                FROM refunds r
+                INNER JOIN bookings b ON r.booking_id = b.id
+                WHERE b.mentor_id = $1
+                AND r.status = 'succeeded'
+                AND b.status = 'completed'
+                AND b.payment_status IN ('paid', 'refunded')
+            ), 0)::integer AS refund_deductions`,
+        [mentorId]
+    );
+    return result.rows[0];
+};
+
+/**
+ * Get a mentor's completed and no-show sessions between two instants, oldest first
+ */
+export const findEarningsSessions = async (mentorId, { start, end }) => {
+    const result = await pool.query(
+        `SELECT
+            b.id,
+            b.session_date,
+            COALESCE(b.service_name, ms.mentorship_service) AS mentorship_service,
+            s.first_name AS student_first_name,
+            s.last_name AS student_last_name,
+            b.status,
+            b.no_show_party,
+            b.payment_status,
+            b.mentor_price,
+            ${EARNED_PRICE} AS earned
+        FROM bookings b
+        INNER JOIN users s ON b.user_id = s.id
+        LEFT JOIN mentor_services ms ON b.service_id = ms.id
+        WHERE b.mentor_id = $1
+        AND b.status IN ('completed', 'no_show')
+        AND b.session_date >= $2
+        AND b.session_date < $3
+        ORDER BY b.session_date`,
+        [mentorId, start.toISOString(), end.toISOString()]
+    );
+    return result.rows;
+};
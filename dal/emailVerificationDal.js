@@ -0,0 +1,64 @@
+// Data Access Layer for email verification tokens
+import pool from '../db/config.js';
+
+/**
+ * Store a new email verification token hash
+ */
+export const createEmailVerificationToken = async ({ userId, email, tokenHash, expiresAt }) => {
+    const result = await pool.query(
+        `INSERT INTO email_verification_tokens (
+            user_id,
+            email,
+            token_hash,
+            expires_at
+        ) VALUES ($1, $2, $3, $4)
+        RETURNING id, user_id, expires_at, created_at`,
+        [userId, email.toLowerCase(), tokenHash, expiresAt]
+    );
+    return result.rows[0];
+};
+
+/**
+ * Find an unused, unexpired verification token by hash and lock it (requires transaction client)
+ */
+export const findValidEmailVerificationToken = async (tokenHash, client) => {
+    const result = await client.query(
+        `SELECT id, user_id, email, expires_at
+        FROM email_verification_tokens
+        WHERE token_hash = $1
+        AND used = false
+        AND expires_at > CURRENT_TIMESTAMP
+        FOR UPDATE`,
+        [tokenHash]
+    );
+    return result.rows[0] || null;
+};
+
+/**
+ * Find when the latest verification token was issued for a user
+ */
+export const findLatestEmailVerificationToken = async (userId) => {
+    const result = await pool.query(
+        `SELECT id, created_at
+        FROM email_verification_tokens
+        WHERE user_id = $1
+        ORDER BY created_at DESC
+        LIMIT 1`,
+        [userId]
+    );
+    return result.rows[0] || null;
+};
+
+/**
+ * Mark every outstanding verification token for a user as used (with optional transaction client)
+ */
+export const invalidateEmailVerificationTokens = async (userId, client = null) => {
+    const db = client || pool;
+
+    await db.query(
+        `UPDATE email_verification_tokens
+        SET used = true, used_at = CURRENT_TIMESTAMP
+        WHERE user_id = $1 AND used = false`,
+        [userId]
+    );
+};
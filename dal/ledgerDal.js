@@ -0,0 +1,291 @@
+// Data Access Layer for the mentor earnings ledger and payout batches
+import pool from '../db/config.js';
+
+const LEDGER_COLUMNS = `id, mentor_id, entry_type, debit_account, credit_account, amount,
+    booking_id, refund_id, payout_batch_id, description, created_at`;
+
+const PAYOUT_BATCH_COLUMNS = `id, status, total_amount, item_count, created_by, settled_by, settled_at,
+    bank_reference, created_at, updated_at`;
+
+const PAYOUT_ITEM_COLUMNS = `id, batch_id, mentor_id, amount, beneficiary_name, identification_number, bank,
+    bank_rtgs_code, bank_account_number, created_at`;
+
+/**
+ * Credit mentor_price for completed, paid sessions not yet in the ledger
+ * Returns the number of entries added
+ */
+export const postSessionEarnings = async (limit) => {
+    const result = await pool.query(
+        `INSERT INTO mentor_ledger_entries (mentor_id, entry_type, debit_account, credit_account, amount, booking_id, description)
+        SELECT b.mentor_id, 'session_earning', 'platform_clearing', 'mentor_payable', b.mentor_price, b.id,
+            'Session on ' || to_char(b.session_date, 'YYYY-MM-DD')
+        FROM bookings b
+        WHERE b.status = 'completed'
+        AND b.payment_status IN ('paid', 'refunded')
+        AND b.mentor_price > 0
+        AND NOT EXISTS (
+            SELECT 1 FROM mentor_ledger_entries e
+            WHERE e.booking_id = b.id AND e.entry_type = 'session_earning'
+        )
+        ORDER BY b.completed_at
+        LIMIT $1
+        ON CONFLICT (booking_id) WHERE entry_type = 'session_earning' DO NOTHING
+        RETURNING id`,
+        [limit]
+    );
+    return result.rowCount;
+};
+
+/**
+ * Debit the mentor's share of succeeded refunds they bear, for sessions already credited
+ * Refunds of sessions that never earned anything take nothing from the mentor
+ * Returns the number of entries added
+ */
+export const postRefundDeductions = async (limit) => {
+    const result = await pool.query(
+        `INSERT INTO mentor_ledger_entries (mentor_id, entry_type, debit_account, credit_account, amount, booking_id, refund_id, description)
+        SELECT b.mentor_id, 'refund_deduction', 'mentor_payable', 'platform_clearing', r.mentor_deduction, b.id, r.id,
+            'Refund for session on ' || to_char(b.session_date, 'YYYY-MM-DD')
+        FROM refunds r
+        INNER JOIN bookings b ON r.booking_id = b.id
+        WHERE r.status = 'succeeded'
+        AND r.mentor_deduction > 0
+        AND EXISTS (
+            SELECT 1 FROM mentor_ledger_entries e
+            WHERE e.booking_id = b.id AND e.entry_type = 'session_earning'
+        )
+        AND NOT EXISTS (
+            SELECT 1 FROM mentor_ledger_entries e
+            WHERE e.refund_id = r.id AND e.entry_type = 'refund_deduction'
+        )
+        ORDER BY r.completed_at
+        LIMIT $1
+        ON CONFLICT (refund_id) WHERE entry_type = 'refund_deduction' DO NOTHING
+        RETURNING id`,
+        [limit]
+    );
+    return result.rowCount;
+};
+
+/**
+ * Add a ledger entry (with optional transaction client)
+ */
+export const createLedgerEntry = async ({
+    mentorId,
+    entryType,
+    debitAccount,
+    creditAccount,
+    amount,
+    payoutBatchId = null,
+    description = null
+}, client = null) => {
+    const db = client || pool;
+
+    const result = await db.query(
+        `INSERT INTO mentor_ledger_entries (mentor_id, entry_type, debit_account, credit_account, amount, payout_batch_id, description)
+        VALUES ($1, $2, $3, $4, $5, $6, $7)
+        RETURNING ${LEDGER_COLUMNS}`,
+        [mentorId, entryType, debitAccount, creditAccount, amount, payoutBatchId, description]
+    );
+    return result.rows[0];
+};
+
+/**
+ * Lock the ledger against new entries until the transaction ends (must be called within a transaction)
+ * Balances read afterwards can't change before the payouts taken from them are written
+ */
+export const lockLedger = async (client) => {
+    await client.query('LOCK TABLE mentor_ledger_entries IN SHARE ROW EXCLUSIVE MODE');
+};
+
+/**
+ * Get a mentor's balance in each ledger account they have entries in
+ * e.g. { mentor_payable: 120, payout_in_transit: 0, bank: 300 }
+ */
+export const findMentorAccountBalances = async (mentorId) => {
+    const result = await pool.query(
+        `SELECT account, SUM(amount)::integer AS balance
+        FROM (
+            SELECT credit_account AS account, amount FROM mentor_ledger_entries WHERE mentor_id = $1
+            UNION ALL
+            SELECT debit_account AS account, -amount FROM mentor_ledger_entries WHERE mentor_id = $1
+        ) movements
+        GROUP BY account`,
+        [mentorId]
+    );
+
+    return Object.fromEntries(result.rows.map(row => [row.account, row.balance]));
+};
+
+/**
+ * Find mentors whose mentor_payable balance is positive, with their current bank details (if any)
+ */
+export const findPayableMentorBalances = async (client = null) => {
+    const db = client || pool;
+
+    const result = await db.query(
+        `SELECT
+            balances.mentor_id,
+            balances.balance,
+            u.first_name,
+            u.last_name,
+            mpi.identification_number,
+            mpi.bank,
+            mpi.bank_rtgs_code,
+            mpi.bank_account_number
+        FROM (
+            SELECT mentor_id,
+                SUM(CASE WHEN credit_account = 'mentor_payable' THEN amount ELSE -amount END)::integer AS balance
+            FROM mentor_ledger_entries
+            WHERE credit_account = 'mentor_payable' OR debit_account = 'mentor_payable'
+            GROUP BY mentor_id
+        ) balances
+        INNER JOIN users u ON balances.mentor_id = u.id
+        LEFT JOIN mentor_payment_info mpi ON balances.mentor_id = mpi.mentor_id
+        WHERE balances.balance > 0
+        ORDER BY u.last_name, u.first_name`
+    );
+    return result.rows;
+};
+
+/**
+ * Get a page of a mentor's ledger entries, newest first
+ */
+export const findMentorLedgerEntries = async (mentorId, { limit, offset }) => {
+    const result = await pool.query(
+        `SELECT ${LEDGER_COLUMNS}, COUNT(*) OVER() AS total_count
+        FROM mentor_ledger_entries
+        WHERE mentor_id = $1
+        ORDER BY created_at DESC, id
+        LIMIT $2 OFFSET $3`,
+        [mentorId, limit, offset]
+    );
+    return result.rows;
+};
+
+/**
+ * Start an empty payout batch (with optional transaction client)
+ */
+export const createPayoutBatch = async (createdBy, client = null) => {
+    const db = client || pool;
+
+    const result = await db.query(
+        `INSERT INTO payout_batches (created_by)
+        VALUES ($1)
+        RETURNING ${PAYOUT_BATCH_COLUMNS}`,
+        [createdBy]
+    );
+    return result.rows[0];
+};
+
+/**
+ * Add a mentor's transfer to a payout batch (with optional transaction client)
+ */
+export const createPayoutBatchItem = async (batchId, {
+    mentorId,
+    amount,
+    beneficiaryName,
+    identificationNumber,
+    bank,
+    bankRtgsCode,
+    bankAccountNumber
+}, client = null) => {
+    const db = client || pool;
+
+    const result = await db.query(
+        `INSERT INTO payout_batch_items (
+            batch_id, mentor_id, amount, beneficiary_name, identification_number, bank, bank_rtgs_code, bank_account_number
+        )
+        VALUES ($1, $2, $3, $4, $5, $6, $7, $8)
+        RETURNING ${PAYOUT_ITEM_COLUMNS}`,
+        [batchId, mentorId, amount, beneficiaryName, identificationNumber, bank, bankRtgsCode, bankAccountNumber]
+    );
+    return result.rows[0];
+};
+
+/**
+ * Store a payout batch's totals once its items are added (with optional transaction client)
+ */
+export const updatePayoutBatchTotals = async (batchId, { totalAmount, itemCount }, client = null) => {
+    const db = client || pool;
+
+    const result = await db.query(
+        `UPDATE payout_batches SET total_amount = $1, item_count = $2
+        WHERE id = $3
+        RETURNING ${PAYOUT_BATCH_COLUMNS}`,
+        [totalAmount, itemCount, batchId]
+    );
+    return result.rows[0];
+};
+
+/**
+ * Get a page of payout batches, newest first, optionally filtered by status
+ */
+export const findPayoutBatches = async ({ status = null, limit, offset }) => {
+    const result = await pool.query(
+        `SELECT ${PAYOUT_BATCH_COLUMNS}, COUNT(*) OVER() AS total_count
+        FROM payout_batches
+        WHERE ($1::varchar IS NULL OR status = $1::varchar)
+        ORDER BY created_at DESC
+        LIMIT $2 OFFSET $3`,
+        [status, limit, offset]
+    );
+    return result.rows;
+};
+
+/**
+ * Find a payout batch by ID
+ */
+export const findPayoutBatchById = async (batchId) => {
+    const result = await pool.query(
+        `SELECT ${PAYOUT_BATCH_COLUMNS} FROM payout_batches WHERE id = $1`,
+        [batchId]
+    );
+    return result.rows[0] || null;
+};
+
+/**
+ * Lock a payout batch (must be called within a transaction)
+ */
+export const findPayoutBatchForUpdate = async (batchId, client) => {
+    const result = await client.query(
+        `SELECT ${PAYOUT_BATCH_COLUMNS} FROM payout_batches WHERE id = $1 FOR UPDATE`,
+        [batchId]
+    );
+    return result.rows[0] || null;
+};
+
+/**
+ * Get the transfers in a payout batch (with optional transaction client)
+ */
+export const findPayoutBatchItems = async (batchId, client = null) => {
+    const db = client || pool;
+
+    const result = await db.query(
+        `SELECT ${PAYOUT_ITEM_COLUMNS}
+        FROM payout_batch_items
+        WHERE batch_id = $1
+        ORDER BY beneficiary_name`,
+        [batchId]
+    );
+    return result.rows;
+};
+
+/**
+ * Mark a payout batch as settled (with optional transaction client)
+ */
+export const markPayoutBatchSettled = async (batchId, { settledBy, bankReference }, client = null) => {
+    const db = client || pool;
+
+    const result = await db.query(
+        `UPDATE payout_batches SET
+            status = 'settled',
+            settled_by = $1,
+            settled_at = CURRENT_TIMESTAMP,
+            bank_reference = $2
+        WHERE id = $3
+        RETURNING ${PAYOUT_BATCH_COLUMNS}`,
+        [settledBy, bankReference, batchId]
+    );
+    return result.rows[0];
+};
@@ -0,0 +1,124 @@
+// Data Access Layer for login attempts and account lockout
+import pool from '../db/config.js';
+
+/**
+ * Record a login attempt
+ */
+export const recordLoginAttempt = async ({ email, userId, ipAddress, userAgent, success }) => {
+    await pool.query(
+        `INSERT INTO login_attempts (
+            email,
+            user_id,
+            ip_address,
+            user_agent,
+            success
+        ) VALUES ($1, $2, $3, $4, $5)`,
+        [email.toLowerCase(), userId || null, ipAddress || null, userAgent || null, success]
+    );
+};
+
+/**
+ * Count failed login attempts from an IP since a point in time
+ */
+export const countFailedLoginAttemptsByIp = async (ipAddress, since) => {
+    const result = await pool.query(
+        `SELECT COUNT(*) AS failed_count
+        FROM login_attempts
+        WHERE ip_address = $1
+        AND success = false
+        AND created_at > $2`,
+        [ipAddress, since]
+    );
+    return parseInt(result.rows[0].failed_count);
+};
+
+/**
+ * Increment a user's failed login counter
+ * The counter restarts when the previous failure is older than windowStart
+ */
+export const incrementFailedLogins = async (userId, windowStart) => {
+    const result = await pool.query(
+        `UPDATE users SET
+            failed_login_attempts = CASE
+                WHEN last_failed_login_at IS NULL OR last_failed_login_at < $2 THEN 1
+                ELSE failed_login_attempts + 1
+            END,
+            last_failed_login_at = CURRENT_TIMESTAMP
+        WHERE id = $1
+        RETURNING failed_login_attempts, last_failed_login_at`,
+        [userId, windowStart]
+    );
+    return result.rows[0];
+};
+
+/**
+ * Lock a user's account until the given time
+ */
+export const lockUser = async (userId, lockedUntil) => {
+    await pool.query(
+        'UPDATE users SET locked_until = $1 WHERE id = $2',
+        [lockedUntil, userId]
+    );
+};
+
+/**
+ * Clear a user's failed login counter and lock (with optional transaction client)
+ */
+export const resetFailedLogins = async (userId, client = null) => {
+    const db = client || pool;
+
+    await db.query(
+        `UPDATE users SET
+            failed_login_attempts = 0,
+            last_failed_login_at = NULL,
+            locked_until = NULL
+        WHERE id = $1`,
+        [userId]
+    );
+};
+
+/**
+ * Store a new account unlock token hash
+ */
+export const createAccountUnlockToken = async ({ userId, tokenHash, expiresAt }) => {
+    const result = await pool.query(
+        `INSERT INTO account_unlock_tokens (
+            user_id,
+            token_hash,
+            expires_at
+        ) VALUES ($1, $2, $3)
+        RETURNING id, user_id, expires_at, created_at`,
+        [userId, tokenHash, expiresAt]
+    );
+    return result.rows[0];
+};
+
+/**
+ * Find an unused, unexpired unlock token by hash and lock it (requires transaction client)
+ */
+export const findValidAccountUnlockToken = async (tokenHash, client) => {
+    const result = await client.query(
+        `SELECT id, user_id, expires_at
+        FROM account_unlock_tokens
+        WHERE token_hash = $1
+        AND used = false
+        AND expires_at > CURRENT_TIMESTAMP
+        FOR UPDATE`,
+        [tokenHash]
+    );
+    return result.rows[0] || null;
+};
+
+/**
+ * Mark every outstanding unlock token for a user as used (with optional transaction client)
+ */
+export const invalidateAccountUnlockTokens = async (userId, client = null) => {
+    const db = client || pool;
+
+    await db.query(
+        `UPDATE account_unlock_tokens
+        SET used = true, used_at = CURRENT_TIMESTAMP
+        WHERE user_id = $1 AND used = false`,
+        [userId]
+    );
+};
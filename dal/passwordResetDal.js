@@ -0,0 +1,50 @@
+// Data Access Layer for password reset tokens
+import pool from '../db/config.js';
+
+/**
+ * Store a new password reset token hash
+ */
+export const createPasswordResetToken = async ({ userId, tokenHash, expiresAt, ipAddress, userAgent }) => {
+    const result = await pool.query(
+        `INSERT INTO password_reset_tokens (
+            user_id,
+            token_hash,
+            expires_at,
+            ip_address,
+            user_agent
+        ) VALUES ($1, $2, $3, $4, $5)
+        RETURNING id, user_id, expires_at, created_at`,
+        [userId, tokenHash, expiresAt, ipAddress || null, userAgent || null]
+    );
+    return result.rows[0];
+};
+
+/**
+ * Find an unused, unexpired reset token by hash and lock it (requires transaction client)
+ */
+export const findValidPasswordResetToken = async (tokenHash, client) => {
+    const result = await client.query(
+        `SELECT id, user_id, expires_at
+        FROM password_reset_tokens
+        WHERE token_hash = $1
+        AND used = false
+        AND expires_at > CURRENT_TIMESTAMP
+        FOR UPDATE`,
+        [tokenHash]
+    );
+    return result.rows[0] || null;
+};
+
+/**
+ * Mark every outstanding reset token for a user as used (with optional transaction client)
+ */
+export const invalidatePasswordResetTokens = async (userId, client = null) => {
+    const db = client || pool;
+
+    await db.query(
+        `UPDATE password_reset_tokens
+        SET used = true, used_at = CURRENT_TIMESTAMP
+        WHERE user_id = $1 AND used = false`,
+        [userId]
+    );
+};
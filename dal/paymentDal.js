@@ -0,0 +1,335 @@
+// Data Access Layer for booking payments
+import pool from '../db/config.js';
+
+const PAYMENT_COLUMNS = `id, booking_id, provider, provider_session_id, provider_payment_id, amount, currency,
+    status, checkout_url, expires_at, paid_at, failure_reason, created_at, updated_at`;
+
+/**
+ * Store a new checkout session for a booking (with optional transaction client)
+ */
+export const createPayment = async ({ bookingId, provider, providerSessionId, amount, currency, checkoutUrl, expiresAt }, client = null) => {
+    const db = client || pool;
+
+    const result = await db.query(
+        `INSERT INTO payments (booking_id, provider, provider_session_id, amount, currency, checkout_url, expires_at)
+        VALUES ($1, $2, $3, $4, $5, $6, $7)
+        RETURNING ${PAYMENT_COLUMNS}`,
+        [bookingId, provider, providerSessionId, amount, currency, checkoutUrl, expiresAt.toISOString()]
+    );
+    return result.rows[0];
+};
+
+/**
+ * Find a booking's checkout session that can still be paid (with optional transaction client)
+ */
+export const findOpenPayment = async (bookingId, provider, client = null) => {
+    const db = client || pool;
+
+    const result = await db.query(
+        `SELECT ${PAYMENT_COLUMNS}
+        FROM payments
+        WHERE booking_id = $1
+        AND provider = $2
+        AND status = 'pending'
+        AND expires_at > CURRENT_TIMESTAMP + INTERVAL '1 minute'
+        ORDER BY created_at DESC
+        LIMIT 1`,
+        [bookingId, provider]
+    );
+    return result.rows[0] || null;
+};
+
+/**
+ * Lock the payment for a provider checkout session (must be called within a transaction)
+ */
+export const findPaymentBySessionForUpdate = async (provider, providerSessionId, client) => {
+    const result = await client.query(
+        `SELECT ${PAYMENT_COLUMNS}
+        FROM payments
+        WHERE provider = $1 AND provider_session_id = $2
+        FOR UPDATE`,
+        [provider, providerSessionId]
+    );
+    return result.rows[0] || null;
+};
+
+/**
+ * Record a payment's new status (with optional transaction client)
+ */
+export const updatePaymentStatus = async (paymentId, { status, providerPaymentId = null, failureReason = null }, client = null) => {
+    const db = client || pool;
+
+    const result = await db.query(
+        `UPDATE payments SET
+            status = $1::varchar,
+            provider_payment_id = COALESCE($2, provider_payment_id),
+            failure_reason = $3,
+            paid_at = CASE WHEN $1::varchar = 'paid' THEN CURRENT_TIMESTAMP ELSE paid_at END
+        WHERE id = $4
+        RETURNING ${PAYMENT_COLUMNS}`,
+        [status, providerPaymentId, failureReason, paymentId]
+    );
+    return result.rows[0];
+};
+
+/**
+ * Close a booking's unpaid checkout sessions (with optional transaction client)
+ */
+export const expireOpenPayments = async (bookingId, client = null) => {
+    const db = client || pool;
+
+    await db.query(
+        `UPDATE payments SET status = 'expired'
+        WHERE booking_id = $1 AND status = 'pending'`,
+        [bookingId]
+    );
+};
+
+/**
+ * Remember a webhook event (with optional transaction client)
+ * Returns false when the event was already processed
+ */
+export const recordWebhookEvent = async (provider, event, client = null) => {
+    const db = client || pool;
+
+    const result = await db.query(
+        `INSERT INTO payment_webhook_events (provider, event_id, event_type, payload)
+        VALUES ($1, $2, $3, $4)
+        ON CONFLICT (provider, event_id) DO NOTHING
+        RETURNING id`,
+        [provider, event.id, event.type, JSON.stringify(event)]
+    );
+    return result.rows.length > 0;
+};
+
+/**
+ * Set a booking's payment status (with optional transaction client)
+ */
+export const updateBookingPaymentStatus = async (bookingId, paymentStatus, client = null) => {
+    const db = client || pool;
+
+    const result = await db.query(
+        `UPDATE bookings SET
+            payment_status = $1::varchar,
+            paid_at = CASE WHEN $1::varchar = 'paid' THEN CURRENT_TIMESTAMP ELSE paid_at END
+        WHERE id = $2
+        RETURNING id, status, payment_status, paid_at`,
+        [paymentStatus, bookingId]
+    );
+    return result.rows[0];
+};
+
+/**
+ * Find bookings still unpaid after their payment deadline
+ */
+export const findOverduePaymentBookings = async (limit) => {
+    const result = await pool.query(
+        `SELECT id FROM bookings
+        WHERE payment_status IN ('pending', 'failed')
+        AND status IN ('pending', 'confirmed')
+        AND payment_due_at <= CURRENT_TIMESTAMP
+        ORDER BY payment_due_at
+        LIMIT $1`,
+        [limit]
+    );
+    return result.rows;
+};
+
+const REFUND_COLUMNS = `id, booking_id, payment_id, amount, reason, initiated_by, initiator_role, cost_bearer,
+    mentor_deduction, status, provider_refund_id, failure_reason, attempts, completed_at, created_at, updated_at`;
+
+/**
+ * Find the payment that paid for a booking (with optional transaction client)
+ */
+export const findPaidPayment = async (bookingId, client = null) => {
+    const db = client || pool;
+
+    const result = await db.query(
+        `SELECT ${PAYMENT_COLUMNS}
+        FROM payments
+        WHERE booking_id = $1 AND status IN ('paid', 'refunded')
+        ORDER BY paid_at DESC
+        LIMIT 1`,
+        [bookingId]
+    );
+    return result.rows[0] || null;
+};
+
+/**
+ * Total of a payment's refunds that succeeded or are still in progress (with optional transaction client)
+ */
+export const sumRefunds = async (paymentId, { succeededOnly = false } = {}, client = null) => {
+    const db = client || pool;
+
+    const result = await db.query(
+        `SELECT COALESCE(SUM(amount), 0) AS total
+        FROM refunds
+        WHERE payment_id = $1
+        AND status = ANY($2)`,
+        [paymentId, succeededOnly ? ['succeeded'] : ['pending', 'succeeded']]
+    );
+    return parseInt(result.rows[0].total);
+};
+
+/**
+ * Store a refund before sending it to the provider (with optional transaction client)
+ */
+export const createRefund = async ({
+    bookingId,
+    paymentId,
+    amount,
+    reason,
+    initiatedBy,
+    initiatorRole,
+    costBearer,
+    mentorDeduction
+}, client = null) => {
+    const db = client || pool;
+
+    const result = await db.query(
+        `INSERT INTO refunds (
+            booking_id, payment_id, amount, reason, initiated_by, initiator_role, cost_bearer, mentor_deduction
+        ) VALUES ($1, $2, $3, $4, $5, $6, $7, $8)
+        RETURNING ${REFUND_COLUMNS}`,
+        [bookingId, paymentId, amount, reason, initiatedBy, initiatorRole, costBearer, mentorDeduction]
+    );
+    return result.rows[0];
+};
+
+/**
+ * Lock a refund (must be called within a transaction)
+ */
+export const findRefundForUpdate = async ({ refundId = null, providerRefundId = null }, client) => {
+    const result = await client.query(
+        `SELECT ${REFUND_COLUMNS}
+        FROM refunds
+        WHERE ($1::uuid IS NULL OR id = $1)
+        AND ($2::varchar IS NULL OR provider_refund_id = $2)
+        FOR UPDATE`,
+        [refundId, providerRefundId]
+    );
+    return result.rows[0] || null;
+};
+
+/**
+ * Record what the provider did with a refund (with optional transaction client)
+ */
+export const updateRefundStatus = async (refundId, { status, providerRefundId = null, failureReason = null }, client = null) => {
+    const db = client || pool;
+
+    const result = await db.query(
+        `UPDATE refunds SET
+            status = $1::varchar,
+            provider_refund_id = COALESCE($2, provider_refund_id),
+            failure_reason = $3,
+            completed_at = CASE WHEN $1::varchar = 'pending' THEN NULL ELSE CURRENT_TIMESTAMP END
+        WHERE id = $4
+        RETURNING ${REFUND_COLUMNS}`,
+        [status, providerRefundId, failureReason, refundId]
+    );
+    return result.rows[0];
+};
+
+/**
+ * Whether a booking has a refund created at or after a time, in any status (with optional transaction client)
+ */
+export const hasRefundSince = async (bookingId, since, client = null) => {
+    const db = client || pool;
+
+    const result = await db.query(
+        'SELECT 1 FROM refunds WHERE booking_id = $1 AND created_at >= $2 LIMIT 1',
+        [bookingId, since]
+    );
+    return result.rows.length > 0;
+};
+
+/**
+ * Send a failed refund to the provider again: back to pending, one more attempt (with optional transaction client)
+ */
+export const markRefundRetrying = async (refundId, client = null) => {
+    const db = client || pool;
+
+    const result = await db.query(
+        `UPDATE refunds SET
+            status = 'pending',
+            attempts = attempts + 1,
+            failure_reason = NULL,
+            completed_at = NULL
+        WHERE id = $1
+        RETURNING ${REFUND_COLUMNS}`,
+        [refundId]
+    );
+    return result.rows[0];
+};
+
+/**
+ * Find failed refunds with attempts left, longest waiting first
+ */
+export const findRetryableRefunds = async (maxAttempts, limit) => {
+    const result = await pool.query(
+        `SELECT id, booking_id
+        FROM refunds
+        WHERE status = 'failed'
+        AND attempts < $1
+        ORDER BY updated_at
+        LIMIT $2`,
+        [maxAttempts, limit]
+    );
+    return result.rows;
+};
+
+/**
+ * Find cancelled, paid bookings that are owed a refund but have none since they were cancelled
+ * Owed means a refund_amount from the cancellation terms, or a payment that arrived after cancelling (refunded in full)
+ * Only bookings cancelled or paid more than olderThanMinutes ago, so refunds still being created are left alone
+ */
+export const findBookingsMissingRefunds = async (olderThanMinutes, limit) => {
+    const result = await pool.query(
+        `SELECT
+            b.id,
+            b.refund_amount,
+            (b.paid_at > b.cancelled_at) AS paid_after_cancellation
+        FROM bookings b
+        WHERE b.status IN ('cancelled_by_student', 'cancelled_by_mentor')
+        AND b.payment_status = 'paid'
+        AND (b.refund_amount > 0 OR b.paid_at > b.cancelled_at)
+        AND GREATEST(b.cancelled_at, b.paid_at) < CURRENT_TIMESTAMP - ($1 * INTERVAL '1 minute')
+        AND NOT EXISTS (
+            SELECT 1 FROM refunds r
+            WHERE r.booking_id = b.id AND r.created_at >= b.cancelled_at
+        )
+        ORDER BY b.cancelled_at
+        LIMIT $2`,
+        [olderThanMinutes, limit]
+    );
+    return result.rows;
+};
+
+/**
+ * Get a page of refunds across all bookings, newest first, optionally filtered by status
+ */
+export const findRefunds = async ({ status = null, limit, offset }) => {
+    const result = await pool.query(
+        `SELECT ${REFUND_COLUMNS}, COUNT(*) OVER() AS total_count
+        FROM refunds
+        WHERE ($1::varchar IS NULL OR status = $1::varchar)
+        ORDER BY created_at DESC
+        LIMIT $2 OFFSET $3`,
+        [status, limit, offset]
+    );
+    return result.rows;
+};
+
+/**
+ * Get all refunds of a booking, newest first
+ */
+export const findBookingRefunds = async (bookingId) => {
+    const result = await pool.query(
+        `SELECT ${REFUND_COLUMNS}
+        FROM refunds
+        WHERE booking_id = $1
+        ORDER BY created_at DESC`,
+        [bookingId]
+    );
+    return result.rows;
+};
@@ -0,0 +1,131 @@
+// Data Access Layer for user sessions
+import pool from '../db/config.js';
+
+/**
+ * Create a new session (with optional transaction client)
+ */
+export const createSession = async ({ userId, refreshTokenHash, userAgent, ipAddress, expiresAt }, client = null) => {
+    const db = client || pool;
+
+    const result = await db.query(
+        `INSERT INTO user_sessions (
+            user_id,
+            refresh_token_hash,
+            user_agent,
+            ip_address,
+            expires_at
+        ) VALUES ($1, $2, $3, $4, $5)
+        RETURNING id, user_id, created_at, expires_at`,
+        [userId, refreshTokenHash, userAgent || null, ipAddress || null, expiresAt]
+    );
+    return result.rows[0];
+};
+
+/**
+ * Find a session that has not been revoked or expired
+ */
+export const findActiveSession = async (sessionId) => {
+    const result = await pool.query(
+        `SELECT id, user_id, created_at, last_used_at, expires_at, reauthenticated_at
+        FROM user_sessions
+        WHERE id = $1
+        AND revoked_at IS NULL
+        AND expires_at > CURRENT_TIMESTAMP`,
+        [sessionId]
+    );
+    return result.rows[0] || null;
+};
+
+/**
+ * Find the session owning a current or previous refresh token and lock it (requires transaction client)
+ */
+export const findSessionByRefreshTokenHash = async (tokenHash, client) => {
+    const result = await client.query(
+        `SELECT id, user_id, refresh_token_hash, previous_refresh_token_hash, expires_at, revoked_at
+        FROM user_sessions
+        WHERE refresh_token_hash = $1 OR previous_refresh_token_hash = $1
+        FOR UPDATE`,
+        [tokenHash]
+    );
+    return result.rows[0] || null;
+};
+
+/**
+ * Replace a session's refresh token and record its use (requires transaction client)
+ */
+export const rotateSessionRefreshToken = async (sessionId, { refreshTokenHash, userAgent, ipAddress, expiresAt }, client) => {
+    const result = await client.query(
+        `UPDATE user_sessions SET
+            previous_refresh_token_hash = refresh_token_hash,
+            refresh_token_hash = $1,
+            user_agent = COALESCE($2, user_agent),
+            ip_address = COALESCE($3, ip_address),
+            expires_at = $4,
+            last_used_at = CURRENT_TIMESTAMP
+        WHERE id = $5
+        RETURNING id, user_id, last_used_at, expires_at`,
+        [refreshTokenHash, userAgent || null, ipAddress || null, expiresAt, sessionId]
+    );
+    return result.rows[0];
+};
+
+/**
+ * List a user's active sessions, most recently used first
+ */
+export const findActiveSessionsByUser = async (userId) => {
+    const result = await pool.query(
+        `SELECT id, user_agent, ip_address, created_at, last_used_at, expires_at
+        FROM user_sessions
+        WHERE user_id = $1
+        AND revoked_at IS NULL
+        AND expires_at > CURRENT_TIMESTAMP
+        ORDER BY last_used_at DESC`,
+        [userId]
+    );
+    return result.rows;
+};
+
+/**
+ * Revoke a single session belonging to a user (with optional transaction client)
+ */
+export const revokeSession = async (sessionId, userId, reason, client = null) => {
+    const db = client || pool;
+
+    const result = await db.query(
+        `UPDATE user_sessions SET
+            revoked_at = CURRENT_TIMESTAMP,
+            revoked_reason = $1
+        WHERE id = $2 AND user_id = $3 AND revoked_at IS NULL
+        RETURNING id`,
+        [reason, sessionId, userId]
+    );
+    return result.rows[0] || null;
+};
+
+/**
+ * Revoke all of a user's sessions, optionally keeping one (with optional transaction client)
+ */
+export const revokeAllSessions = async (userId, reason, { exceptSessionId = null } = {}, client = null) => {
+    const db = client || pool;
+
+    const result = await db.query(
+        `UPDATE user_sessions SET
+            revoked_at = CURRENT_TIMESTAMP,
+            revoked_reason = $1
+        WHERE user_id = $2
+        AND revoked_at IS NULL
+        AND ($3::uuid IS NULL OR id <> $3::uuid)`,
+        [reason, userId, exceptSessionId]
+    );
+    return result.rowCount;
+};
+
+/**
+ * Record that the user re-entered their credentials on this session
+ */
+export const markSessionReauthenticated = async (sessionId) => {
+    await pool.query(
+        'UPDATE user_sessions SET reauthenticated_at = CURRENT_TIMESTAMP WHERE id = $1',
+        [sessionId]
+    );
+};
@@ -0,0 +1,116 @@
+// Data Access Layer for two-factor authentication
+import pool from '../db/config.js';
+
+/**
+ * Find a user's TOTP record (enabled or pending setup)
+ */
+export const findTwoFactorByUserId = async (userId) => {
+    const result = await pool.query(
+        `SELECT id, user_id, secret_encrypted, enabled_at, last_used_step, created_at
+        FROM user_two_factor
+        WHERE user_id = $1`,
+        [userId]
+    );
+    return result.rows[0] || null;
+};
+
+/**
+ * Store a new pending TOTP secret, replacing any unconfirmed one
+ * Does nothing if 2FA is already enabled
+ */
+export const upsertPendingTwoFactor = async (userId, secretEncrypted) => {
+    const result = await pool.query(
+        `INSERT INTO user_two_factor (user_id, secret_encrypted)
+        VALUES ($1, $2)
+        ON CONFLICT (user_id)
+        DO UPDATE SET
+            secret_encrypted = EXCLUDED.secret_encrypted,
+            last_used_step = NULL,
+            updated_at = CURRENT_TIMESTAMP
+        WHERE user_two_factor.enabled_at IS NULL
+        RETURNING id, user_id, created_at`,
+        [userId, secretEncrypted]
+    );
+    return result.rows[0] || null;
+};
+
+/**
+ * Record the time step of an accepted code, refusing steps already used (with optional transaction client)
+ */
+export const consumeTwoFactorStep = async (userId, step, client = null) => {
+    const db = client || pool;
+
+    const result = await db.query(
+        `UPDATE user_two_factor SET
+            last_used_step = $2
+        WHERE user_id = $1
+        AND (last_used_step IS NULL OR last_used_step < $2)
+        RETURNING id`,
+        [userId, step]
+    );
+    return result.rows.length > 0;
+};
+
+/**
+ * Mark a pending TOTP setup as enabled (requires transaction client)
+ */
+export const enableTwoFactor = async (userId, client) => {
+    await client.query(
+        `UPDATE user_two_factor SET
+            enabled_at = CURRENT_TIMESTAMP
+        WHERE user_id = $1 AND enabled_at IS NULL`,
+        [userId]
+    );
+};
+
+/**
+ * Remove a user's TOTP secret and recovery codes (requires transaction client)
+ */
+export const deleteTwoFactor = async (userId, client) => {
+    await client.query('DELETE FROM two_factor_recovery_codes WHERE user_id = $1', [userId]);
+    await client.query('DELETE FROM user_two_factor WHERE user_id = $1', [userId]);
+};
+
+/**
+ * Replace a user's recovery codes with a new set of hashes (requires transaction client)
+ */
+export const replaceRecoveryCodes = async (userId, codeHashes, client) => {
+    await client.query('DELETE FROM two_factor_recovery_codes WHERE user_id = $1', [userId]);
+
+    for (const codeHash of codeHashes) {
+        await client.query(
+            'INSERT INTO two_factor_recovery_codes (user_id, code_hash) VALUES ($1, $2)',
+            [userId, codeHash]
+        );
+    }
+};
+
+/**
+ * Use up a recovery code; returns false if it doesn't exist or was already used
+ */
+export const useRecoveryCode = async (userId, codeHash) => {
+    const result = await pool.query(
+        `UPDATE two_factor_recovery_codes SET
+            used_at = CURRENT_TIMESTAMP
+        WHERE id = (
+            SELECT id FROM two_factor_recovery_codes
+            WHERE user_id = $1 AND code_hash = $2 AND used_at IS NULL
+            LIMIT 1
+        )
+        AND used_at IS NULL
+        RETURNING id`,
+        [userId, codeHash]
+    );
+    return result.rows.length > 0;
+};
+
+/**
+ * Count a user's unused recovery codes
+ */
+export const countUnusedRecoveryCodes = async (userId) => {
+    const result = await pool.query(
+        'SELECT COUNT(*) AS remaining FROM two_factor_recovery_codes WHERE user_id = $1 AND used_at IS NULL',
+        [userId]
+    );
+    return parseInt(result.rows[0].remaining);
+};
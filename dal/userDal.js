@@ -6,7 +6,9 @@ import pool from '../db/config.js';
  */
 export const findUserByEmail = async (email) => {
     const result = await pool.query(
-        'SELECT id, first_name, last_name, email, password, user_type, phone, country_code FROM users WHERE email = $1',
+        `SELECT id, first_name, last_name, email, password, user_type, phone, country_code, email_verified_at,
+            failed_login_attempts, last_failed_login_at, locked_until, deletion_scheduled_for
+        FROM users WHERE email = $1`,
         [email.toLowerCase()]
     );
     return result.rows[0] || null;
@@ -17,7 +19,22 @@ export const findUserByEmail = async (email) => {
  */
 export const findUserById = async (userId) => {
     const result = await pool.query(
-        'SELECT id, first_name, last_name, email, user_type, phone, country_code FROM users WHERE id = $1',
+        `SELECT id, first_name, last_name, email, user_type, phone, country_code, email_verified_at, password_changed_at,
+            failed_login_attempts, last_failed_login_at, locked_until, deletion_scheduled_for
+        FROM users WHERE id = $1`,
+        [userId]
+    );
+    return result.rows[0] || null;
+};
+
+/**
+ * Find user by ID including the password hash
+ */
+export const findUserWithPasswordById = async (userId) => {
+    const result = await pool.query(
+        `SELECT id, first_name, last_name, email, password, user_type,
+            failed_login_attempts, last_failed_login_at, locked_until
+        FROM users WHERE id = $1`,
         [userId]
     );
     return result.rows[0] || null;
@@ -63,7 +80,7 @@ export const createStudent = async (userData, client = null) => {
             agree_to_terms,
             agree_to_marketing
         ) VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9)
-        RETURNING id, first_name, last_name, email, user_type, created_at`,
+        RETURNING id, first_name, last_name, email, user_type, email_verified_at, created_at`,
         [
             firstName,
             lastName,
@@ -125,7 +142,7 @@ export const createMentor = async (userData, mentorDetails, consentData = null)
                 agree_to_terms,
                 agree_to_marketing
             ) VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9)
-            RETURNING id, first_name, last_name, email, user_type, created_at`,
+            RETURNING id, first_name, last_name, email, user_type, email_verified_at, created_at`,
             [
                 firstName,
                 lastName,
@@ -226,3 +243,100 @@ export const recordMarketingConsent = async (userId, consentData, client = null)
         ]
     );
 };
+
+/**
+ * Lock a user's marketing preference for update (must be called within a transaction)
+ */
+export const findMarketingPreferenceForUpdate = async (userId, client) => {
+    const result = await client.query(
+        'SELECT id, agree_to_marketing FROM users WHERE id = $1 AND deleted_at IS NULL FOR UPDATE',
+        [userId]
+    );
+    return result.rows[0] || null;
+};
+
+/**
+ * Update a user's current marketing preference (with optional transaction client)
+ */
+export const updateMarketingPreference = async (userId, agreeToMarketing, client = null) => {
+    const db = client || pool;
+
+    await db.query(
+        `UPDATE users SET
+            agree_to_marketing = $1,
+            updated_at = CURRENT_TIMESTAMP
+        WHERE id = $2`,
+        [agreeToMarketing, userId]
+    );
+};
+
+/**
+ * Get a user's current marketing preference with its change history (newest first)
+ */
+export const findMarketingConsent = async (userId) => {
+    const userResult = await pool.query(
+        'SELECT agree_to_marketing FROM users WHERE id = $1',
+        [userId]
+    );
+
+    if (userResult.rows.length === 0) {
+        return null;
+    }
+
+    const historyResult = await pool.query(
+        `SELECT consent_given, consent_method, source, campaign_id, created_at
+        FROM marketing_consent_history
+        WHERE user_id = $1
+        ORDER BY created_at DESC`,
+        [userId]
+    );
+
+    return {
+        agree_to_marketing: userResult.rows[0].agree_to_marketing,
+        history: historyResult.rows
+    };
+};
+
+/**
+ * Update a user's password hash (with optional transaction client)
+ */
+export const updateUserPassword = async (userId, hashedPassword, client = null) => {
+    const db = client || pool;
+
+    await db.query(
+        `UPDATE users SET
+            password = $1,
+            password_changed_at = CURRENT_TIMESTAMP,
+            updated_at = CURRENT_TIMESTAMP
+        WHERE id = $2`,
+        [hashedPassword, userId]
+    );
+};
+
+/**
+ * Mark a user's email as verified if it still matches the verified address (with optional transaction client)
+ */
+export const markEmailVerified = async (userId, email, client = null) => {
+    const db = client || pool;
+
+    const result = await db.query(
+        `UPDATE users SET
+            email_verified_at = COALESCE(email_verified_at, CURRENT_TIMESTAMP),
+            updated_at = CURRENT_TIMESTAMP
+        WHERE id = $1 AND email = $2
+        RETURNING id, email_verified_at`,
+        [userId, email.toLowerCase()]
+    );
+    return result.rows[0] || null;
+};
+
+/**
+ * The mentor's confirmed document type (null until confirmed), which decides their tax rate
+ */
+export const findMentorDocumentType = async (mentorId) => {
+    const result = await pool.query(
+        'SELECT document_type FROM mentor_document_confirmations WHERE mentor_id = $1',
+        [mentorId]
+    );
+    return result.rows.length > 0 ? result.rows[0].document_type : null;
+};
@@ -0,0 +1,13 @@
+-- Allow 'admin' as a user type
+-- Admins review mentor applications; there is no signup flow for them,
+-- promote an existing account with:
+--   UPDATE users SET user_type = 'admin' WHERE email = '...';
+ALTER TABLE users DROP CONSTRAINT IF EXISTS users_user_type_check;
+ALTER TABLE users ADD CONSTRAINT users_user_type_check CHECK (user_type IN ('user', 'mentor', 'admin'));
+
+-- Track who reviewed a mentor application and when
+ALTER TABLE mentor_details ADD COLUMN IF NOT EXISTS reviewed_by UUID REFERENCES users(id) ON DELETE SET NULL;
+ALTER TABLE mentor_details ADD COLUMN IF NOT EXISTS reviewed_at TIMESTAMP;
+
+COMMENT ON COLUMN mentor_details.reviewed_by IS 'Admin who approved or rejected the application';
+COMMENT ON COLUMN mentor_details.reviewed_at IS 'When the application was approved or rejected';
@@ -0,0 +1,5 @@
+-- Track when a user's password last changed
+-- Tokens issued before this moment are rejected, which logs out other sessions
+ALTER TABLE users ADD COLUMN IF NOT EXISTS password_changed_at TIMESTAMP;
+
+COMMENT ON COLUMN users.password_changed_at IS 'When the password was last changed or reset; older tokens are no longer accepted';
@@ -0,0 +1,23 @@
+-- Create user_sessions table
+-- One row per login; access tokens carry the session id so a session can be revoked server-side
+-- Refresh tokens are rotated on every use and only stored as SHA-256 digests
+CREATE TABLE IF NOT EXISTS user_sessions (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    user_id UUID NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+    refresh_token_hash VARCHAR(64) NOT NULL UNIQUE, -- Current refresh token
+    previous_refresh_token_hash VARCHAR(64), -- Last rotated-out token, used to detect reuse of a stolen token
+    user_agent TEXT,
+    ip_address INET,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    last_used_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    expires_at TIMESTAMP NOT NULL, -- Refresh token expiry (extended on each rotation)
+    revoked_at TIMESTAMP,
+    revoked_reason VARCHAR(50) -- 'logout', 'user_revoked', 'password_change', 'password_reset', 'refresh_token_reuse'
+);
+
+-- Create indexes for faster lookups
+CREATE INDEX IF NOT EXISTS idx_user_sessions_user_id ON user_sessions(user_id);
+CREATE INDEX IF NOT EXISTS idx_user_sessions_previous_refresh_token_hash ON user_sessions(previous_refresh_token_hash);
+
+-- Sessions are now revoked directly on password change/reset
+COMMENT ON COLUMN users.password_changed_at IS 'When the password was last changed or reset';
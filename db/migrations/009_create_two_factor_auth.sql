@@ -0,0 +1,33 @@
+-- Create user_two_factor table
+-- TOTP (RFC 6238) secret per user, encrypted with AES-256-GCM before storage
+-- enabled_at stays NULL until the user confirms setup with a valid code
+CREATE TABLE IF NOT EXISTS user_two_factor (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    user_id UUID NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+    secret_encrypted TEXT NOT NULL, -- iv:authTag:ciphertext (base64)
+    enabled_at TIMESTAMP,
+    last_used_step BIGINT, -- Last accepted 30-second time step, prevents code replay
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    UNIQUE(user_id) -- One authenticator per user
+);
+
+-- Trigger to automatically update updated_at for user_two_factor
+CREATE TRIGGER update_user_two_factor_updated_at BEFORE UPDATE ON user_two_factor
+FOR EACH ROW EXECUTE FUNCTION update_updated_at_column();
+
+-- Create two_factor_recovery_codes table
+-- One-time backup codes, stored as SHA-256 digests
+CREATE TABLE IF NOT EXISTS two_factor_recovery_codes (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    user_id UUID NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+    code_hash VARCHAR(64) NOT NULL,
+    used_at TIMESTAMP,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+-- Create index on user_id for faster lookups
+CREATE INDEX IF NOT EXISTS idx_two_factor_recovery_codes_user_id ON two_factor_recovery_codes(user_id);
+
+-- Sensitive actions (e.g. changing payment info) require a recent password/2FA check on the session
+ALTER TABLE user_sessions ADD COLUMN IF NOT EXISTS reauthenticated_at TIMESTAMP;
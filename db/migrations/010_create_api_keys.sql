@@ -0,0 +1,18 @@
+-- Create api_keys table
+-- Personal API keys for scripts and internal tools, sent as "Authorization: Bearer zak_<prefix>_<secret>"
+-- Only the SHA-256 digest of the full key is stored; the prefix is kept in clear text for lookup and display
+CREATE TABLE IF NOT EXISTS api_keys (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    user_id UUID NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+    name VARCHAR(100) NOT NULL, -- Label chosen by the user, e.g. 'Reporting script'
+    key_prefix VARCHAR(20) NOT NULL UNIQUE,
+    key_hash VARCHAR(64) NOT NULL,
+    scopes TEXT[] NOT NULL DEFAULT '{}', -- e.g. {'bookings:read', 'dashboard:write'}
+    last_used_at TIMESTAMP,
+    expires_at TIMESTAMP, -- NULL = never expires
+    revoked_at TIMESTAMP,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+-- Create index on user_id for faster lookups
+CREATE INDEX IF NOT EXISTS idx_api_keys_user_id ON api_keys(user_id);
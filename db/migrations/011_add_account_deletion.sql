@@ -0,0 +1,13 @@
+-- Account deletion with a grace period
+-- A deletion request schedules the purge; until then the user can log in and cancel it.
+-- Purged accounts keep a scrubbed users row so bookings the other party needs for accounting stay intact.
+ALTER TABLE users ADD COLUMN IF NOT EXISTS deletion_requested_at TIMESTAMP;
+ALTER TABLE users ADD COLUMN IF NOT EXISTS deletion_scheduled_for TIMESTAMP;
+ALTER TABLE users ADD COLUMN IF NOT EXISTS deleted_at TIMESTAMP;
+
+-- Create index for the purge job
+CREATE INDEX IF NOT EXISTS idx_users_deletion_scheduled_for ON users(deletion_scheduled_for)
+WHERE deletion_scheduled_for IS NOT NULL;
+
+COMMENT ON COLUMN users.deletion_scheduled_for IS 'When the account will be purged (NULL = no deletion pending)';
+COMMENT ON COLUMN users.deleted_at IS 'When personal data was purged; the row only remains as an anonymous reference for bookings';
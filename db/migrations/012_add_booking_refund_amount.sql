@@ -0,0 +1,8 @@
+-- Cancellation policy outcome
+-- refund_amount is what the student gets back (in GEL) according to the cancellation policy at the time of cancelling
+ALTER TABLE bookings ADD COLUMN IF NOT EXISTS refund_amount INTEGER;
+
+ALTER TABLE bookings ADD CONSTRAINT bookings_refund_amount_check
+CHECK (refund_amount IS NULL OR (refund_amount >= 0 AND refund_amount <= total_price));
+
+COMMENT ON COLUMN bookings.refund_amount IS 'Amount refunded to the student on cancellation (NULL = not cancelled)';
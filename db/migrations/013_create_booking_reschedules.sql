@@ -0,0 +1,27 @@
+-- Create booking_reschedules table
+-- A student proposes a new time; the booking keeps its original slot until the mentor accepts or declines
+-- Rows are never deleted, so they double as the reschedule history of each booking
+CREATE TABLE IF NOT EXISTS booking_reschedules (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    booking_id UUID NOT NULL REFERENCES bookings(id) ON DELETE CASCADE,
+    requested_by UUID REFERENCES users(id) ON DELETE SET NULL,
+    previous_session_date TIMESTAMP NOT NULL, -- Booking time when the request was made (UTC)
+    proposed_session_date TIMESTAMP NOT NULL, -- Requested new time (UTC)
+    reason TEXT,
+    status VARCHAR(20) NOT NULL DEFAULT 'pending' CHECK (status IN ('pending', 'accepted', 'declined', 'withdrawn', 'cancelled')),
+    response_note TEXT, -- Optional message from the mentor when accepting/declining
+    responded_at TIMESTAMP,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+-- Create index on booking_id for faster lookups
+CREATE INDEX IF NOT EXISTS idx_booking_reschedules_booking_id ON booking_reschedules(booking_id);
+
+-- Only one open request per booking
+CREATE UNIQUE INDEX IF NOT EXISTS idx_booking_reschedules_one_pending ON booking_reschedules(booking_id)
+WHERE status = 'pending';
+
+-- Trigger to automatically update updated_at for booking_reschedules
+CREATE TRIGGER update_booking_reschedules_updated_at BEFORE UPDATE ON booking_reschedules
+FOR EACH ROW EXECUTE FUNCTION update_updated_at_column();
@@ -0,0 +1,15 @@
+-- Booking lifecycle: pending -> confirmed -> completed / no_show, or cancelled by either side
+-- Transitions are enforced in services/bookingService.js; the check constraint guards against unknown values
+ALTER TABLE bookings ADD CONSTRAINT bookings_status_check
+CHECK (status IN ('pending', 'confirmed', 'completed', 'cancelled_by_student', 'cancelled_by_mentor', 'no_show'));
+
+ALTER TABLE bookings ADD COLUMN IF NOT EXISTS confirmed_at TIMESTAMP;
+ALTER TABLE bookings ADD COLUMN IF NOT EXISTS completed_by UUID REFERENCES users(id) ON DELETE SET NULL;
+ALTER TABLE bookings ADD COLUMN IF NOT EXISTS no_show_party VARCHAR(20) CHECK (no_show_party IN ('student', 'mentor'));
+
+COMMENT ON COLUMN bookings.completed_at IS 'When the booking was marked completed or no_show';
+COMMENT ON COLUMN bookings.completed_by IS 'Who marked the booking completed or no_show';
+COMMENT ON COLUMN bookings.no_show_party IS 'Which side did not attend (only for no_show)';
+
+-- Create index for the pending booking expiry job
+CREATE INDEX IF NOT EXISTS idx_bookings_pending_created_at ON bookings(created_at) WHERE status = 'pending';
@@ -0,0 +1,21 @@
+-- Prevent double booking inside PostgreSQL: a mentor's active bookings may not overlap in time
+-- The application checks for overlaps first to give a friendly error; this constraint closes the race
+-- between that check and the insert when two students book the same slot at once (SQLSTATE 23P01)
+-- Completed and no_show bookings still hold their time; cancelled bookings free it
+--
+-- Existing overlapping bookings make this migration fail. Find them with:
+--   SELECT a.id, b.id FROM bookings a JOIN bookings b ON a.mentor_id = b.mentor_id AND a.id < b.id
+--   WHERE a.status NOT IN ('cancelled_by_student', 'cancelled_by_mentor')
+--   AND b.status NOT IN ('cancelled_by_student', 'cancelled_by_mentor')
+--   AND a.session_date < b.session_date + (b.duration_minutes * INTERVAL '1 minute')
+--   AND b.session_date < a.session_date + (a.duration_minutes * INTERVAL '1 minute');
+
+-- Needed for the equality check on mentor_id inside a GiST exclusion constraint
+CREATE EXTENSION IF NOT EXISTS btree_gist;
+
+-- session_date is a UTC TIMESTAMP, so the range is a tsrange; '[)' lets back-to-back sessions touch
+ALTER TABLE bookings ADD CONSTRAINT bookings_no_mentor_overlap
+EXCLUDE USING gist (
+    mentor_id WITH =,
+    tsrange(session_date, session_date + (duration_minutes * INTERVAL '1 minute'), '[)') WITH &&
+) WHERE (status NOT IN ('cancelled_by_student', 'cancelled_by_mentor'));
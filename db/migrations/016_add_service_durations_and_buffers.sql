@@ -0,0 +1,27 @@
+-- Per-service session length and mentor-level buffer time around sessions
+ALTER TABLE mentor_services ADD COLUMN IF NOT EXISTS duration_minutes INTEGER NOT NULL DEFAULT 60
+CHECK (duration_minutes BETWEEN 15 AND 240 AND duration_minutes % 15 = 0);
+
+ALTER TABLE mentor_availability ADD COLUMN IF NOT EXISTS buffer_before_minutes INTEGER NOT NULL DEFAULT 0
+CHECK (buffer_before_minutes BETWEEN 0 AND 120);
+ALTER TABLE mentor_availability ADD COLUMN IF NOT EXISTS buffer_after_minutes INTEGER NOT NULL DEFAULT 0
+CHECK (buffer_after_minutes BETWEEN 0 AND 120);
+
+COMMENT ON COLUMN mentor_availability.buffer_before_minutes IS 'Free time the mentor keeps before each session';
+COMMENT ON COLUMN mentor_availability.buffer_after_minutes IS 'Free time the mentor keeps after each session';
+
+-- Buffers are copied onto each booking so later changes to the mentor's settings don't affect existing bookings
+ALTER TABLE bookings ADD COLUMN IF NOT EXISTS buffer_before_minutes INTEGER NOT NULL DEFAULT 0 CHECK (buffer_before_minutes >= 0);
+ALTER TABLE bookings ADD COLUMN IF NOT EXISTS buffer_after_minutes INTEGER NOT NULL DEFAULT 0 CHECK (buffer_after_minutes >= 0);
+
+-- A booking now blocks the mentor's time from buffer_before_minutes before the session to buffer_after_minutes after it
+ALTER TABLE bookings DROP CONSTRAINT IF EXISTS bookings_no_mentor_overlap;
+ALTER TABLE bookings ADD CONSTRAINT bookings_no_mentor_overlap
+EXCLUDE USING gist (
+    mentor_id WITH =,
+    tsrange(
+        session_date - (buffer_before_minutes * INTERVAL '1 minute'),
+        session_date + ((duration_minutes + buffer_after_minutes) * INTERVAL '1 minute'),
+        '[)'
+    ) WITH &&
+) WHERE (status NOT IN ('cancelled_by_student', 'cancelled_by_mentor'));
@@ -0,0 +1,23 @@
+-- Date-specific changes to a mentor's weekly schedule (time off, blocked hours, extra hours)
+-- Dates and times are wall-clock values in the mentor's timezone (mentor_availability.timezone)
+CREATE TABLE IF NOT EXISTS mentor_availability_overrides (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    mentor_id UUID NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+    override_type VARCHAR(20) NOT NULL, -- 'blocked' removes time, 'available' adds time
+    start_date DATE NOT NULL,
+    end_date DATE NOT NULL, -- Inclusive; equal to start_date for a single day
+    start_time TIME, -- NULL with end_time for a blocked whole day
+    end_time TIME,
+    note VARCHAR(255),
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    -- Constraints
+    CHECK (override_type IN ('blocked', 'available')),
+    CHECK (end_date >= start_date),
+    CHECK ((start_time IS NULL) = (end_time IS NULL)),
+    CHECK (start_time IS NULL OR start_time < end_time),
+    CHECK (override_type = 'blocked' OR start_time IS NOT NULL) -- Extra hours always have times
+);
+
+-- Create index for looking up a mentor's upcoming overrides
+CREATE INDEX IF NOT EXISTS idx_mentor_availability_overrides_mentor_end_date
+ON mentor_availability_overrides(mentor_id, end_date);
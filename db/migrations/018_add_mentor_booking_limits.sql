@@ -0,0 +1,17 @@
+-- Per-mentor booking rules, kept next to the schedule; NULL means no limit
+-- (min_notice_hours NULL falls back to the platform default, BOOKING_MIN_NOTICE_HOURS)
+-- Days and weeks (Monday to Sunday) are counted in the mentor's timezone
+ALTER TABLE mentor_availability ADD COLUMN IF NOT EXISTS min_notice_hours INTEGER
+CHECK (min_notice_hours BETWEEN 0 AND 720);
+ALTER TABLE mentor_availability ADD COLUMN IF NOT EXISTS max_days_ahead INTEGER
+CHECK (max_days_ahead BETWEEN 1 AND 365);
+ALTER TABLE mentor_availability ADD COLUMN IF NOT EXISTS max_sessions_per_day INTEGER
+CHECK (max_sessions_per_day BETWEEN 1 AND 24);
+ALTER TABLE mentor_availability ADD COLUMN IF NOT EXISTS max_sessions_per_week INTEGER
+CHECK (max_sessions_per_week BETWEEN 1 AND 168);
+ALTER TABLE mentor_availability ADD COLUMN IF NOT EXISTS max_active_bookings_per_student INTEGER
+CHECK (max_active_bookings_per_student BETWEEN 1 AND 50);
+
+COMMENT ON COLUMN mentor_availability.min_notice_hours IS 'How long before a session it must be booked';
+COMMENT ON COLUMN mentor_availability.max_days_ahead IS 'How far ahead sessions can be booked';
+COMMENT ON COLUMN mentor_availability.max_active_bookings_per_student IS 'Pending or confirmed bookings one student may hold with the mentor';
@@ -0,0 +1,52 @@
+-- Online payments for bookings through a payment provider (see services/paymentProviders)
+-- bookings.payment_status follows the provider's webhooks: pending -> paid / failed, paid -> refunded
+ALTER TABLE bookings ADD CONSTRAINT bookings_payment_status_check
+CHECK (payment_status IN ('pending', 'paid', 'failed', 'refunded'));
+
+-- Bookings not paid by this time are cancelled; NULL for bookings made before online payments
+ALTER TABLE bookings ADD COLUMN IF NOT EXISTS payment_due_at TIMESTAMP;
+ALTER TABLE bookings ADD COLUMN IF NOT EXISTS paid_at TIMESTAMP;
+
+-- Create index for the unpaid booking expiry job
+CREATE INDEX IF NOT EXISTS idx_bookings_unpaid_due ON bookings(payment_due_at)
+WHERE payment_status IN ('pending', 'failed');
+
+-- One row per checkout session opened with the provider
+CREATE TABLE IF NOT EXISTS payments (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    booking_id UUID NOT NULL REFERENCES bookings(id) ON DELETE CASCADE,
+    provider VARCHAR(50) NOT NULL,
+    provider_session_id VARCHAR(255) NOT NULL,
+    provider_payment_id VARCHAR(255), -- Set once the provider reports the payment
+    amount INTEGER NOT NULL, -- Minor units (tetri)
+    currency VARCHAR(3) NOT NULL DEFAULT 'GEL',
+    status VARCHAR(20) NOT NULL DEFAULT 'pending',
+    checkout_url TEXT NOT NULL,
+    expires_at TIMESTAMP NOT NULL,
+    paid_at TIMESTAMP,
+    failure_reason VARCHAR(255),
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    UNIQUE(provider, provider_session_id),
+    -- Constraints
+    CHECK (status IN ('pending', 'paid', 'failed', 'expired', 'refunded')),
+    CHECK (amount > 0)
+);
+
+-- Create index for looking up a booking's payments
+CREATE INDEX IF NOT EXISTS idx_payments_booking_id ON payments(booking_id);
+
+-- Trigger to automatically update updated_at for payments
+CREATE TRIGGER update_payments_updated_at BEFORE UPDATE ON payments
+    FOR EACH ROW EXECUTE FUNCTION update_updated_at_column();
+
+-- Webhook events already handled, so provider retries are processed once
+CREATE TABLE IF NOT EXISTS payment_webhook_events (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    provider VARCHAR(50) NOT NULL,
+    event_id VARCHAR(255) NOT NULL,
+    event_type VARCHAR(100) NOT NULL,
+    payload JSONB NOT NULL,
+    processed_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    UNIQUE(provider, event_id)
+);
@@ -0,0 +1,34 @@
+-- Refunds of booking payments, full or partial, sent through the payment provider
+-- cost_bearer records who pays for the refund: the mentor (their earnings are reduced by mentor_deduction)
+-- or the platform (the mentor keeps their earnings)
+CREATE TABLE IF NOT EXISTS refunds (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    booking_id UUID NOT NULL REFERENCES bookings(id) ON DELETE CASCADE,
+    payment_id UUID NOT NULL REFERENCES payments(id) ON DELETE CASCADE,
+    amount INTEGER NOT NULL, -- Whole GEL returned to the student
+    reason TEXT NOT NULL,
+    initiated_by UUID REFERENCES users(id) ON DELETE SET NULL, -- NULL for automatic refunds
+    initiator_role VARCHAR(20) NOT NULL,
+    cost_bearer VARCHAR(20) NOT NULL,
+    mentor_deduction INTEGER NOT NULL DEFAULT 0, -- Part of the amount taken from the mentor's earnings
+    status VARCHAR(20) NOT NULL DEFAULT 'pending',
+    provider_refund_id VARCHAR(255),
+    failure_reason VARCHAR(255),
+    completed_at TIMESTAMP,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    -- Constraints
+    CHECK (amount > 0),
+    CHECK (mentor_deduction >= 0 AND mentor_deduction <= amount),
+    CHECK (initiator_role IN ('student', 'mentor', 'admin', 'system')),
+    CHECK (cost_bearer IN ('mentor', 'platform')),
+    CHECK (status IN ('pending', 'succeeded', 'failed'))
+);
+
+-- Create indexes for refund lookups
+CREATE INDEX IF NOT EXISTS idx_refunds_booking_id ON refunds(booking_id);
+CREATE INDEX IF NOT EXISTS idx_refunds_provider_refund_id ON refunds(provider_refund_id);
+
+-- Trigger to automatically update updated_at for refunds
+CREATE TRIGGER update_refunds_updated_at BEFORE UPDATE ON refunds
+    FOR EACH ROW EXECUTE FUNCTION update_updated_at_column();
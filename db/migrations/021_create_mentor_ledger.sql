@@ -0,0 +1,74 @@
+-- Periodic bank transfers of mentors' balances
+CREATE TABLE IF NOT EXISTS payout_batches (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    status VARCHAR(20) NOT NULL DEFAULT 'created',
+    total_amount INTEGER NOT NULL DEFAULT 0, -- Whole GEL
+    item_count INTEGER NOT NULL DEFAULT 0,
+    created_by UUID REFERENCES users(id) ON DELETE SET NULL,
+    settled_by UUID REFERENCES users(id) ON DELETE SET NULL,
+    settled_at TIMESTAMP,
+    bank_reference VARCHAR(255), -- Reference of the bank's bulk transfer, entered when settling
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    -- Constraints
+    CHECK (status IN ('created', 'settled'))
+);
+
+-- What the platform owes each mentor, kept as a double-entry ledger in whole GEL
+-- Every entry moves an amount from one account to another, so the accounts always balance:
+--   session_earning:  platform_clearing -> mentor_payable  (completed, paid session: mentor_price)
+--   refund_deduction: mentor_payable -> platform_clearing  (refund borne by the mentor: refunds.mentor_deduction)
+--   payout:           mentor_payable -> payout_in_transit  (included in a payout batch)
+--   payout_settled:   payout_in_transit -> bank            (the bank transfer went through)
+-- A mentor's balance is what was credited to mentor_payable minus what was debited from it
+CREATE TABLE IF NOT EXISTS mentor_ledger_entries (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    mentor_id UUID NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+    entry_type VARCHAR(30) NOT NULL,
+    debit_account VARCHAR(30) NOT NULL,
+    credit_account VARCHAR(30) NOT NULL,
+    amount INTEGER NOT NULL,
+    booking_id UUID REFERENCES bookings(id) ON DELETE SET NULL,
+    refund_id UUID REFERENCES refunds(id) ON DELETE SET NULL,
+    payout_batch_id UUID REFERENCES payout_batches(id) ON DELETE SET NULL,
+    description VARCHAR(255),
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    -- Constraints
+    CHECK (amount > 0),
+    CHECK (debit_account <> credit_account),
+    CHECK (entry_type IN ('session_earning', 'refund_deduction', 'payout', 'payout_settled'))
+);
+
+-- Each booking is credited and each refund debited once, however often the posting job runs
+CREATE UNIQUE INDEX IF NOT EXISTS idx_mentor_ledger_session_earning ON mentor_ledger_entries(booking_id)
+WHERE entry_type = 'session_earning';
+CREATE UNIQUE INDEX IF NOT EXISTS idx_mentor_ledger_refund_deduction ON mentor_ledger_entries(refund_id)
+WHERE entry_type = 'refund_deduction';
+
+-- Create indexes for balances and batch lookups
+CREATE INDEX IF NOT EXISTS idx_mentor_ledger_mentor_id ON mentor_ledger_entries(mentor_id, created_at);
+CREATE INDEX IF NOT EXISTS idx_mentor_ledger_payout_batch_id ON mentor_ledger_entries(payout_batch_id);
+
+-- One transfer per mentor in a batch, with the bank details used for it
+CREATE TABLE IF NOT EXISTS payout_batch_items (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    batch_id UUID NOT NULL REFERENCES payout_batches(id) ON DELETE CASCADE,
+    mentor_id UUID NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+    amount INTEGER NOT NULL, -- Whole GEL
+    beneficiary_name VARCHAR(255) NOT NULL,
+    identification_number VARCHAR(50) NOT NULL,
+    bank VARCHAR(255) NOT NULL,
+    bank_rtgs_code VARCHAR(20) NOT NULL,
+    bank_account_number VARCHAR(100) NOT NULL,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    UNIQUE(batch_id, mentor_id),
+    -- Constraints
+    CHECK (amount > 0)
+);
+
+-- Create index for a mentor's payouts
+CREATE INDEX IF NOT EXISTS idx_payout_batch_items_mentor_id ON payout_batch_items(mentor_id);
+
+-- Trigger to automatically update updated_at for payout_batches
+CREATE TRIGGER update_payout_batches_updated_at BEFORE UPDATE ON payout_batches
+    FOR EACH ROW EXECUTE FUNCTION update_updated_at_column();
@@ -0,0 +1,5 @@
+-- Failed refunds are sent to the provider again by the refund retry job until attempts reaches REFUND_MAX_ATTEMPTS
+ALTER TABLE refunds ADD COLUMN IF NOT EXISTS attempts INTEGER NOT NULL DEFAULT 1;
+
+-- Create index for the refund retry job
+CREATE INDEX IF NOT EXISTS idx_refunds_failed ON refunds(updated_at) WHERE status = 'failed';
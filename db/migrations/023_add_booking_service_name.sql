@@ -0,0 +1,9 @@
+-- The service name at the time of booking, so reports keep it after the mentor edits or removes the service
+-- (saving a mentor's services replaces their rows, which sets bookings.service_id to NULL)
+ALTER TABLE bookings ADD COLUMN IF NOT EXISTS service_name VARCHAR(255);
+
+UPDATE bookings b
+SET service_name = ms.mentorship_service
+FROM mentor_services ms
+WHERE b.service_id = ms.id
+AND b.service_name IS NULL;
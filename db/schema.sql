@@ -129,7 +129,7 @@ FOR EACH ROW EXECUTE FUNCTION update_updated_at_column();
 
 -- Create mentor_services table
 -- This table stores mentor service offerings and pricing
--- All fees are calculated on frontend: platform_fee (14%), taxes_fee (26%)
+-- Fees are calculated on the backend (services/pricingService.js): platform_fee (14%), taxes_fee (26%) by default
 CREATE TABLE IF NOT EXISTS mentor_services (
     id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
     mentor_id UUID NOT NULL REFERENCES users(id) ON DELETE CASCADE,
@@ -5,16 +5,27 @@ import authRoutes from './routes/auth_new.js';
 import mentorsRoutes from './routes/mentors.js';
 import dashboardRoutes from './routes/dashboard.js';
 import bookingsRoutes from './routes/bookings.js';
+import adminRoutes from './routes/admin.js';
+import marketingRoutes from './routes/marketing.js';
+import paymentsRoutes from './routes/payments.js';
+import { startScheduledJobs } from './jobs/scheduler.js';
 import cors from "cors";
 
 const app = express();
 const PORT = process.env.PORT || 3000;
 
+// Heroku's router sits in front of the app; trust it so req.ip is the client's address
+if (process.env.NODE_ENV === 'production') {
+    app.set('trust proxy', 1);
+}
+
 app.use(cors({
     origin: process.env.NODE_ENV === 'production' ? process.env.FRONTEND_URL : "http://localhost:5173",   // allow your frontend
     credentials: true
 }));
 // Middleware
+// Payment webhooks are signed over the raw body, so they must skip JSON parsing
+app.use('/api/payments/webhook', express.raw({ type: '*/*' }));
 app.use(express.json());
 app.use(cookieParser());
 
@@ -31,6 +42,9 @@ app.use('/api/auth', authRoutes);
 app.use('/api/mentors', mentorsRoutes);
 app.use('/api/dashboard', dashboardRoutes);
 app.use('/api/bookings', bookingsRoutes);
+app.use('/api/admin', adminRoutes);
+app.use('/api/marketing', marketingRoutes);
+app.use('/api/payments', paymentsRoutes);
 
 // Error handling middleware
 app.use((err, req, res, next) => {
@@ -69,4 +83,5 @@ app.use((err, req, res, next) => {
 // Start server
 app.listen(PORT, () => {
     console.log(`Server running on port ${PORT}`);
+    startScheduledJobs();
 });
\ No newline at end of file
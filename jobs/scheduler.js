@@ -0,0 +1,68 @@
+// Periodic background jobs, run inside the web process
+// Each job must be safe to run concurrently on several dynos (use row locks / conditional updates)
+import { purgeDueAccountDeletions } from '../services/accountService.js';
+import { expireUnconfirmedBookings } from '../services/bookingService.js';
+import { expireUnpaidBookings } from '../services/paymentService.js';
+import { postLedgerEntries } from '../services/payoutService.js';
+import { retryFailedRefunds } from '../services/refundService.js';
+
+const jobs = [
+    {
+        name: 'Account deletion purge',
+        intervalMinutes: parseInt(process.env.ACCOUNT_PURGE_INTERVAL_MINUTES) || 60,
+        run: purgeDueAccountDeletions
+    },
+    {
+        name: 'Unconfirmed booking expiry',
+        intervalMinutes: parseInt(process.env.BOOKING_EXPIRY_INTERVAL_MINUTES) || 15,
+        run: expireUnconfirmedBookings
+    },
+    {
+        name: 'Unpaid booking expiry',
+        intervalMinutes: parseInt(process.env.PAYMENT_EXPIRY_INTERVAL_MINUTES) || 5,
+        run: expireUnpaidBookings
+    },
+    {
+        name: 'Mentor ledger posting',
+        intervalMinutes: parseInt(process.env.LEDGER_POSTING_INTERVAL_MINUTES) || 60,
+        run: postLedgerEntries
+    },
+    {
+        name: 'Refund retry',
+        intervalMinutes: parseInt(process.env.REFUND_RETRY_INTERVAL_MINUTES) || 30,
+        run: retryFailedRefunds
+    }
+];
+
+const runningJobs = new Set();
+
+/**
+ * Run a job unless the previous run is still in progress
+ */
+const runJob = async (job) => {
+    if (runningJobs.has(job.name)) {
+        return;
+    }
+
+    runningJobs.add(job.name);
+
+    try {
+        const processed = await job.run();
+        if (processed) {
+            console.log(`${job.name}: processed ${processed}`);
+        }
+    } catch (error) {
+        console.error(`${job.name} failed:`, error);
+    } finally {
+        runningJobs.delete(job.name);
+    }
+};
+
+/**
+ * Start all scheduled jobs
+ */
+export const startScheduledJobs = () => {
+    for (const job of jobs) {
+        setInterval(() => runJob(job), job.intervalMinutes * 60 * 1000);
+    }
+};
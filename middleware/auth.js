@@ -1,11 +1,25 @@
-import jwt from 'jsonwebtoken';
+import { findUserById } from '../dal/userDal.js';
+import { findActiveSession } from '../dal/sessionDal.js';
+import { verifyToken } from '../services/authService.js';
+import { isTwoFactorEnabled } from '../services/twoFactorService.js';
+import { isApiKey, verifyApiKey, getRequiredScope } from '../services/apiKeyService.js';
 
-const JWT_SECRET = process.env.JWT_SECRET || 'your-secret-key-change-this-in-production';
+// How long a password/2FA re-check unlocks sensitive actions on a session
+const REAUTH_WINDOW_MINUTES = parseInt(process.env.REAUTH_WINDOW_MINUTES) || 10;
 
-// Middleware to verify JWT and extract user
-export const authenticateUser = (req, res, next) => {
+// Read the credential from "Authorization: Bearer ..." or, for browsers, the token cookie
+export const getRequestToken = (req) => {
+    const authHeader = req.headers.authorization || '';
+    if (authHeader.startsWith('Bearer ')) {
+        return authHeader.slice('Bearer '.length).trim();
+    }
+    return req.cookies.token;
+};
+
+// Middleware to verify JWT (or personal API key) and extract user
+export const authenticateUser = async (req, res, next) => {
     try {
-        const token = req.cookies.token;
+        const token = getRequestToken(req);
 
         if (!token) {
             return res.status(401).json({
@@ -14,14 +28,47 @@ export const authenticateUser = (req, res, next) => {
             });
         }
 
-        const decoded = jwt.verify(token, JWT_SECRET);
-        req.user = decoded;
+        if (isApiKey(token)) {
+            const { user, apiKeyId, scopes } = await verifyApiKey(token);
+            const requiredScope = getRequiredScope(req);
+
+            if (!scopes.includes(requiredScope)) {
+                return res.status(403).json({
+                    success: false,
+                    message: `API key is missing the required scope: ${requiredScope}`
+                });
+            }
+
+            req.user = {
+                id: user.id,
+                email: user.email,
+                userType: user.user_type,
+                sessionId: null,
+                apiKeyId,
+                scopes
+            };
+            return next();
+        }
+
+        // Checks signature and expiry, and that the session behind the token is still active
+        const user = await verifyToken(token);
+        req.user = {
+            id: user.id,
+            email: user.email,
+            userType: user.user_type,
+            sessionId: user.session_id
+        };
         next();
     } catch (error) {
-        return res.status(401).json({
-            success: false,
-            message: 'Invalid or expired token'
-        });
+        if (error.name === 'JsonWebTokenError' || error.name === 'TokenExpiredError' ||
+            error.message === 'User not found' || error.message === 'Session expired' ||
+            error.message === 'Invalid API key') {
+            return res.status(401).json({
+                success: false,
+                message: 'Invalid or expired token'
+            });
+        }
+        next(error);
     }
 };
 
@@ -46,3 +93,74 @@ export const requireStudent = (req, res, next) => {
     }
     next();
 };
+
+// Middleware to check if user is an admin (admins must have 2FA enabled)
+// API keys skip the second factor, so admin routes only accept a logged-in session
+export const requireAdmin = async (req, res, next) => {
+    if (req.user.userType !== 'admin') {
+        return res.status(403).json({
+            success: false,
+            message: 'Access denied. Admin only.'
+        });
+    }
+
+    if (!req.user.sessionId) {
+        return res.status(403).json({
+            success: false,
+            message: 'Admin routes cannot be used with an API key'
+        });
+    }
+
+    try {
+        if (!(await isTwoFactorEnabled(req.user.id))) {
+            return res.status(403).json({
+                success: false,
+                message: 'Two-factor authentication is required for admin accounts',
+                twoFactorSetupRequired: true
+            });
+        }
+
+        next();
+    } catch (error) {
+        next(error);
+    }
+};
+
+// Middleware to check that the user has verified their email address
+export const requireVerifiedEmail = async (req, res, next) => {
+    try {
+        const user = await findUserById(req.user.id);
+
+        if (!user || !user.email_verified_at) {
+            return res.status(403).json({
+                success: false,
+                message: 'Please verify your email address before continuing',
+                emailVerificationRequired: true
+            });
+        }
+
+        next();
+    } catch (error) {
+        next(error);
+    }
+};
+
+// Middleware to require a recent password (and 2FA) re-check on this session
+export const requireRecentAuth = async (req, res, next) => {
+    try {
+        const session = await findActiveSession(req.user.sessionId);
+        const reauthenticatedAt = session && session.reauthenticated_at ? new Date(session.reauthenticated_at).getTime() : 0;
+
+        if (Date.now() - reauthenticatedAt > REAUTH_WINDOW_MINUTES * 60 * 1000) {
+            return res.status(403).json({
+                success: false,
+                message: 'Please confirm your password to continue',
+                reauthenticationRequired: true
+            });
+        }
+
+        next();
+    } catch (error) {
+        next(error);
+    }
+};
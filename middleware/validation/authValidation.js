@@ -261,3 +261,74 @@ export const validateLogin = (req, res, next) => {
 
     next();
 };
+
+/**
+ * Validate forgot password data
+ */
+export const validateForgotPassword = (req, res, next) => {
+    const { email } = req.body;
+
+    if (!email || !validateEmail(email)) {
+        return res.status(400).json({
+            success: false,
+            message: 'Please provide a valid email address'
+        });
+    }
+
+    next();
+};
+
+/**
+ * Validate reset password data
+ */
+export const validateResetPassword = (req, res, next) => {
+    const { token, password } = req.body;
+
+    if (!token || !password) {
+        return res.status(400).json({
+            success: false,
+            message: 'Please provide the reset token and a new password'
+        });
+    }
+
+    const passwordErrors = validatePassword(password);
+    if (passwordErrors.length > 0) {
+        return res.status(400).json({
+            success: false,
+            message: passwordErrors[0]
+        });
+    }
+
+    next();
+};
+
+/**
+ * Validate change password data
+ */
+export const validateChangePassword = (req, res, next) => {
+    const { currentPassword, newPassword } = req.body;
+
+    if (!currentPassword || !newPassword) {
+        return res.status(400).json({
+            success: false,
+            message: 'Please provide your current password and a new password'
+        });
+    }
+
+    const passwordErrors = validatePassword(newPassword);
+    if (passwordErrors.length > 0) {
+        return res.status(400).json({
+            success: false,
+            message: passwordErrors[0]
+        });
+    }
+
+    if (currentPassword === newPassword) {
+        return res.status(400).json({
+            success: false,
+            message: 'New password must be different from your current password'
+        });
+    }
+
+    next();
+};
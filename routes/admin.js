@@ -0,0 +1,661 @@
+import express from 'express';
+import pool from '../db/config.js';
+import { authenticateUser, requireAdmin } from '../middleware/auth.js';
+import { refundBooking, getRefunds, getBookingRefunds, isValidCostBearer } from '../services/refundService.js';
+import {
+    getMentorLedger,
+    createPayoutBatch,
+    getPayoutBatches,
+    getPayoutBatch,
+    getPayoutBatchExport,
+    settlePayoutBatch
+} from '../services/payoutService.js';
+
+const router = express.Router();
+
+// All admin routes require an authenticated admin
+router.use(authenticateUser, requireAdmin);
+
+const APPLICATION_STATUSES = ['pending', 'approved', 'rejected'];
+
+const REFUND_STATUSES = ['pending', 'succeeded', 'failed'];
+
+// Response status for each refundBooking error
+const REFUND_ERRORS = {
+    'Booking not found': 404,
+    'This booking has no payment to refund': 409,
+    'This booking has already been fully refunded': 409,
+    'The refund amount is more than what is left to refund': 409
+};
+
+const PAYOUT_BATCH_STATUSES = ['created', 'settled'];
+
+// Response status for each payout service error
+const PAYOUT_ERRORS = {
+    'Payout batch not found': 404,
+    'There are no mentor balances to pay out': 409,
+    'This payout batch is already settled': 409
+};
+
+/**
+ * Respond to an error from a payout action
+ */
+const handlePayoutError = (error, res, failureMessage) => {
+    const status = PAYOUT_ERRORS[error.message];
+
+    if (status) {
+        return res.status(status).json({
+            success: false,
+            message: error.message
+        });
+    }
+
+    res.status(500).json({
+        success: false,
+        message: failureMessage,
+        error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+};
+
+// List mentor applications, optionally filtered by status
+router.get('/mentors', async (req, res) => {
+    try {
+        const { status = '', page = 1, limit = 20 } = req.query;
+
+        if (status && !APPLICATION_STATUSES.includes(status)) {
+            return res.status(400).json({
+                success: false,
+                message: 'Invalid status. Must be "pending", "approved" or "rejected"'
+            });
+        }
+
+        const offset = (parseInt(page) - 1) * parseInt(limit);
+
+        let whereConditions = ["u.user_type = 'mentor'"];
+        let queryParams = [];
+        let paramCounter = 1;
+
+        if (status) {
+            queryParams.push(status);
+            whereConditions.push(`md.application_status = $${paramCounter}`);
+            paramCounter++;
+        }
+
+        const whereClause = whereConditions.join(' AND ');
+
+        const countQuery = `
+            SELECT COUNT(*)
+            FROM users u
+            INNER JOIN mentor_details md ON u.id = md.user_id
+            WHERE ${whereClause}
+        `;
+        const countResult = await pool.query(countQuery, queryParams);
+        const totalMentors = parseInt(countResult.rows[0].count);
+        const totalPages = Math.ceil(totalMentors / parseInt(limit));
+
+        const mentorsQuery = `
+            SELECT
+                u.id,
+                u.first_name,
+                u.last_name,
+                u.email,
+                md.occupation_area,
+                md.current_position,
+                md.company,
+                md.photo_url,
+                md.application_status,
+                md.reviewed_at,
+                md.created_at,
+                (mdc.id IS NOT NULL) AS has_confirmed_document,
+                (ma.id IS NOT NULL) AS has_availability,
+                (SELECT COUNT(*) FROM mentor_services ms WHERE ms.mentor_id = u.id) AS services_count,
+                (mpi.id IS NOT NULL) AS has_payment_info
+            FROM users u
+            INNER JOIN mentor_details md ON u.id = md.user_id
+            LEFT JOIN mentor_document_confirmations mdc ON u.id = mdc.mentor_id
+            LEFT JOIN mentor_availability ma ON u.id = ma.mentor_id
+            LEFT JOIN mentor_payment_info mpi ON u.id = mpi.mentor_id
+            WHERE ${whereClause}
+            ORDER BY md.created_at DESC
+            LIMIT $${paramCounter} OFFSET $${paramCounter + 1}
+        `;
+
+        queryParams.push(parseInt(limit), offset);
+        const mentorsResult = await pool.query(mentorsQuery, queryParams);
+
+        const mentors = mentorsResult.rows.map(mentor => ({
+            id: mentor.id,
+            firstName: mentor.first_name,
+            lastName: mentor.last_name,
+            email: mentor.email,
+            occupationArea: mentor.occupation_area,
+            currentPosition: mentor.current_position,
+            company: mentor.company,
+            photoUrl: mentor.photo_url,
+            applicationStatus: mentor.application_status,
+            reviewedAt: mentor.reviewed_at,
+            createdAt: mentor.created_at,
+            hasConfirmedDocument: mentor.has_confirmed_document,
+            hasAvailability: mentor.has_availability,
+            servicesCount: parseInt(mentor.services_count),
+            hasPaymentInfo: mentor.has_payment_info
+        }));
+
+        res.json({
+            success: true,
+            mentors,
+            totalMentors,
+            totalPages,
+            currentPage: parseInt(page)
+        });
+
+    } catch (error) {
+        console.error('Error fetching mentor applications:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Failed to fetch mentor applications',
+            error: process.env.NODE_ENV === 'development' ? error.message : undefined
+        });
+    }
+});
+
+// Get the full application submitted by a mentor
+router.get('/mentors/:id', async (req, res) => {
+    try {
+        const { id } = req.params;
+
+        const profileQuery = `
+            SELECT
+                u.id,
+                u.first_name,
+                u.last_name,
+                u.email,
+                u.phone,
+                u.country_code,
+                u.date_of_birth,
+                u.created_at,
+                md.occupation_area,
+                md.current_position,
+                md.company,
+                md.years_of_experience,
+                md.university,
+                md.faculty,
+                md.bio,
+                md.linkedin,
+                md.photo_url,
+                md.application_status,
+                md.rejection_reason,
+                md.notes,
+                md.reviewed_by,
+                md.reviewed_at
+            FROM users u
+            INNER JOIN mentor_details md ON u.id = md.user_id
+            WHERE u.id = $1 AND u.user_type = 'mentor'
+        `;
+
+        const profileResult = await pool.query(profileQuery, [id]);
+
+        if (profileResult.rows.length === 0) {
+            return res.status(404).json({
+                success: false,
+                message: 'Mentor not found'
+            });
+        }
+
+        const mentor = profileResult.rows[0];
+
+        const docResult = await pool.query(
+            'SELECT document_type, confirmed, confirmed_at FROM mentor_document_confirmations WHERE mentor_id = $1',
+            [id]
+        );
+
+        const availabilityResult = await pool.query(
+            'SELECT timezone, schedule, updated_at FROM mentor_availability WHERE mentor_id = $1',
+            [id]
+        );
+
+        const servicesResult = await pool.query(
+            `SELECT id, mentorship_service, mentor_session_price, platform_fee, taxes_fee, total_price
+            FROM mentor_services
+            WHERE mentor_id = $1
+            ORDER BY created_at`,
+            [id]
+        );
+
+        const paymentResult = await pool.query(
+            'SELECT identification_number, address, bank, bank_rtgs_code, bank_account_number, updated_at FROM mentor_payment_info WHERE mentor_id = $1',
+            [id]
+        );
+
+        const doc = docResult.rows[0];
+        const availability = availabilityResult.rows[0];
+        const payment = paymentResult.rows[0];
+
+        const applicationData = {
+            id: mentor.id,
+            firstName: mentor.first_name,
+            lastName: mentor.last_name,
+            email: mentor.email,
+            phone: mentor.phone,
+            countryCode: mentor.country_code,
+            dateOfBirth: mentor.date_of_birth,
+            memberSince: mentor.created_at,
+            occupationArea: mentor.occupation_area,
+            currentPosition: mentor.current_position,
+            company: mentor.company,
+            yearsOfExperience: mentor.years_of_experience,
+            university: mentor.university,
+            faculty: mentor.faculty,
+            bio: mentor.bio,
+            linkedin: mentor.linkedin,
+            photoUrl: mentor.photo_url,
+            applicationStatus: mentor.application_status,
+            rejectionReason: mentor.rejection_reason,
+            notes: mentor.notes,
+            reviewedBy: mentor.reviewed_by,
+            reviewedAt: mentor.reviewed_at,
+            documentConfirmation: doc ? {
+                documentType: doc.document_type,
+                confirmed: doc.confirmed,
+                confirmedAt: doc.confirmed_at
+            } : null,
+            availability: availability ? {
+                timezone: availability.timezone,
+                schedule: availability.schedule,
+                updatedAt: availability.updated_at
+            } : null,
+            services: servicesResult.rows.map(service => ({
+                id: service.id,
+                mentorshipService: service.mentorship_service,
+                mentorSessionPrice: service.mentor_session_price,
+                platformFee: service.platform_fee,
+                taxesFee: service.taxes_fee,
+                totalPrice: service.total_price
+            })),
+            paymentInfo: payment ? {
+                identificationNumber: payment.identification_number,
+                address: payment.address,
+                bank: payment.bank,
+                bankRtgsCode: payment.bank_rtgs_code,
+                bankAccountNumber: payment.bank_account_number,
+                updatedAt: payment.updated_at
+            } : null
+        };
+
+        res.json({
+            success: true,
+            data: applicationData
+        });
+
+    } catch (error) {
+        console.error('Error fetching mentor application:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Failed to fetch mentor application',
+            error: process.env.NODE_ENV === 'development' ? error.message : undefined
+        });
+    }
+});
+
+/**
+ * Move a pending application to approved or rejected
+ */
+const reviewApplication = async (mentorId, adminId, { status, rejectionReason, notes }) => {
+    const result = await pool.query(
+        `UPDATE mentor_details SET
+            application_status = $1,
+            rejection_reason = $2,
+            notes = COALESCE($3, notes),
+            reviewed_by = $4,
+            reviewed_at = CURRENT_TIMESTAMP,
+            updated_at = CURRENT_TIMESTAMP
+        WHERE user_id = $5 AND application_status = 'pending'
+        RETURNING user_id, application_status, rejection_reason, notes, reviewed_at`,
+        [status, rejectionReason || null, notes || null, adminId, mentorId]
+    );
+
+    return result.rows[0] || null;
+};
+
+// Approve a pending mentor application
+router.post('/mentors/:id/approve', async (req, res) => {
+    try {
+        const { id } = req.params;
+        const { notes } = req.body;
+
+        const reviewed = await reviewApplication(id, req.user.id, { status: 'approved', notes });
+
+        if (!reviewed) {
+            return res.status(404).json({
+                success: false,
+                message: 'Pending application not found for this mentor'
+            });
+        }
+
+        res.json({
+            success: true,
+            message: 'Mentor application approved',
+            data: {
+                mentorId: reviewed.user_id,
+                applicationStatus: reviewed.application_status,
+                notes: reviewed.notes,
+                reviewedAt: reviewed.reviewed_at
+            }
+        });
+
+    } catch (error) {
+        console.error('Error approving mentor application:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Failed to approve mentor application',
+            error: process.env.NODE_ENV === 'development' ? error.message : undefined
+        });
+    }
+});
+
+// Reject a pending mentor application
+router.post('/mentors/:id/reject', async (req, res) => {
+    try {
+        const { id } = req.params;
+        const { rejectionReason, notes } = req.body;
+
+        if (!rejectionReason || typeof rejectionReason !== 'string' || rejectionReason.trim() === '') {
+            return res.status(400).json({
+                success: false,
+                message: 'Please provide a rejection reason'
+            });
+        }
+
+        const reviewed = await reviewApplication(id, req.user.id, {
+            status: 'rejected',
+            rejectionReason: rejectionReason.trim(),
+            notes
+        });
+
+        if (!reviewed) {
+            return res.status(404).json({
+                success: false,
+                message: 'Pending application not found for this mentor'
+            });
+        }
+
+        res.json({
+            success: true,
+            message: 'Mentor application rejected',
+            data: {
+                mentorId: reviewed.user_id,
+                applicationStatus: reviewed.application_status,
+                rejectionReason: reviewed.rejection_reason,
+                notes: reviewed.notes,
+                reviewedAt: reviewed.reviewed_at
+            }
+        });
+
+    } catch (error) {
+        console.error('Error rejecting mentor application:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Failed to reject mentor application',
+            error: process.env.NODE_ENV === 'development' ? error.message : undefined
+        });
+    }
+});
+
+// List refunds across all bookings, optionally filtered by status (failed ones show whether retries ran out)
+router.get('/refunds', async (req, res) => {
+    try {
+        const { status = '', page = 1, limit = 20 } = req.query;
+
+        if (status && !REFUND_STATUSES.includes(status)) {
+            return res.status(400).json({
+                success: false,
+                message: 'Invalid status. Must be "pending", "succeeded" or "failed"'
+            });
+        }
+
+        const result = await getRefunds({
+            status: status || null,
+            page: parseInt(page) || 1,
+            limit: Math.min(parseInt(limit) || 20, 100)
+        });
+
+        res.json({
+            success: true,
+            data: result
+        });
+
+    } catch (error) {
+        console.error('Error fetching refunds:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Failed to fetch refunds',
+            error: process.env.NODE_ENV === 'development' ? error.message : undefined
+        });
+    }
+});
+
+// List the refunds of a booking
+router.get('/bookings/:id/refunds', async (req, res) => {
+    try {
+        const refunds = await getBookingRefunds(req.params.id);
+
+        res.json({
+            success: true,
+            data: refunds
+        });
+
+    } catch (error) {
+        console.error('Error fetching booking refunds:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Failed to fetch refunds',
+            error: process.env.NODE_ENV === 'development' ? error.message : undefined
+        });
+    }
+});
+
+// Issue a manual refund for a booking (the whole remaining amount when no amount is given)
+router.post('/bookings/:id/refunds', async (req, res) => {
+    try {
+        const { id } = req.params;
+        const { amount, reason, costBearer } = req.body;
+
+        if (amount !== undefined && amount !== null && (!Number.isInteger(amount) || amount <= 0)) {
+            return res.status(400).json({
+                success: false,
+                message: 'Refund amount must be a positive whole number of GEL'
+            });
+        }
+
+        if (!reason || typeof reason !== 'string' || reason.trim() === '') {
+            return res.status(400).json({
+                success: false,
+                message: 'Please provide a refund reason'
+            });
+        }
+
+        if (costBearer !== undefined && costBearer !== null && !isValidCostBearer(costBearer)) {
+            return res.status(400).json({
+                success: false,
+                message: 'Cost bearer must be either mentor or platform'
+            });
+        }
+
+        const refund = await refundBooking(id, {
+            amount: amount ?? null,
+            reason: reason.trim(),
+            initiatedBy: req.user.id,
+            initiatorRole: 'admin',
+            costBearer: costBearer || null
+        });
+
+        if (refund.status === 'failed') {
+            return res.status(502).json({
+                success: false,
+                message: refund.failureReason,
+                data: refund
+            });
+        }
+
+        res.status(201).json({
+            success: true,
+            message: refund.status === 'succeeded' ? 'Refund issued' : 'Refund sent to the payment provider',
+            data: refund
+        });
+
+    } catch (error) {
+        console.error('Error issuing refund:', error);
+
+        const status = REFUND_ERRORS[error.message];
+
+        if (status) {
+            return res.status(status).json({
+                success: false,
+                message: error.message
+            });
+        }
+
+        res.status(500).json({
+            success: false,
+            message: 'Failed to issue refund',
+            error: process.env.NODE_ENV === 'development' ? error.message : undefined
+        });
+    }
+});
+
+// Get a mentor's earnings ledger and balances
+router.get('/mentors/:id/ledger', async (req, res) => {
+    try {
+        const { page = 1, limit = 50 } = req.query;
+
+        const ledger = await getMentorLedger(req.params.id, {
+            page: parseInt(page) || 1,
+            limit: Math.min(parseInt(limit) || 50, 200)
+        });
+
+        res.json({
+            success: true,
+            data: ledger
+        });
+
+    } catch (error) {
+        console.error('Error fetching mentor ledger:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Failed to fetch mentor ledger',
+            error: process.env.NODE_ENV === 'development' ? error.message : undefined
+        });
+    }
+});
+
+// List payout batches, optionally filtered by status
+router.get('/payouts/batches', async (req, res) => {
+    try {
+        const { status = '', page = 1, limit = 20 } = req.query;
+
+        if (status && !PAYOUT_BATCH_STATUSES.includes(status)) {
+            return res.status(400).json({
+                success: false,
+                message: 'Invalid status. Must be "created" or "settled"'
+            });
+        }
+
+        const result = await getPayoutBatches({
+            status: status || null,
+            page: parseInt(page) || 1,
+            limit: Math.min(parseInt(limit) || 20, 100)
+        });
+
+        res.json({
+            success: true,
+            data: result
+        });
+
+    } catch (error) {
+        console.error('Error fetching payout batches:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Failed to fetch payout batches',
+            error: process.env.NODE_ENV === 'development' ? error.message : undefined
+        });
+    }
+});
+
+// Create a payout batch of every mentor balance due
+router.post('/payouts/batches', async (req, res) => {
+    try {
+        const batch = await createPayoutBatch(req.user.id);
+
+        res.status(201).json({
+            success: true,
+            message: 'Payout batch created',
+            data: batch
+        });
+
+    } catch (error) {
+        console.error('Error creating payout batch:', error);
+        handlePayoutError(error, res, 'Failed to create payout batch');
+    }
+});
+
+// Get a payout batch with its transfers
+router.get('/payouts/batches/:id', async (req, res) => {
+    try {
+        const batch = await getPayoutBatch(req.params.id);
+
+        res.json({
+            success: true,
+            data: batch
+        });
+
+    } catch (error) {
+        console.error('Error fetching payout batch:', error);
+        handlePayoutError(error, res, 'Failed to fetch payout batch');
+    }
+});
+
+// Download a payout batch as a bank transfer file (CSV)
+router.get('/payouts/batches/:id/export', async (req, res) => {
+    try {
+        const { filename, csv } = await getPayoutBatchExport(req.params.id);
+
+        res.attachment(filename);
+        res.type('text/csv; charset=utf-8');
+        res.send(csv);
+
+    } catch (error) {
+        console.error('Error exporting payout batch:', error);
+        handlePayoutError(error, res, 'Failed to export payout batch');
+    }
+});
+
+// Mark a payout batch as settled once the bank has made the transfers
+router.post('/payouts/batches/:id/settle', async (req, res) => {
+    try {
+        const { bankReference } = req.body;
+
+        if (bankReference !== undefined && bankReference !== null &&
+            (typeof bankReference !== 'string' || bankReference.length > 255)) {
+            return res.status(400).json({
+                success: false,
+                message: 'Bank reference must be text of at most 255 characters'
+            });
+        }
+
+        const batch = await settlePayoutBatch(req.params.id, req.user.id, {
+            bankReference: bankReference ? bankReference.trim() : null
+        });
+
+        res.json({
+            success: true,
+            message: 'Payout batch settled',
+            data: batch
+        });
+
+    } catch (error) {
+        console.error('Error settling payout batch:', error);
+        handlePayoutError(error, res, 'Failed to settle payout batch');
+    }
+});
+
+export default router;
@@ -3,34 +3,100 @@ import express from 'express';
 import {
     validateStudentRegistration,
     validateMentorRegistration,
-    validateLogin
+    validateLogin,
+    validateForgotPassword,
+    validateResetPassword,
+    validateChangePassword
 } from '../middleware/validation/authValidation.js';
 import {
     registerStudent,
     registerMentor,
     loginUser,
-    verifyToken
+    verifyToken,
+    refreshSession,
+    endSession,
+    listSessions,
+    revokeUserSession,
+    revokeUserSessions,
+    ACCESS_TOKEN_MAX_AGE_MS,
+    REFRESH_TOKEN_MAX_AGE_MS,
+    requestPasswordReset,
+    resetPassword,
+    verifyEmail,
+    resendEmailVerification,
+    changePassword,
+    unlockAccount,
+    completeTwoFactorLogin,
+    reauthenticate
 } from '../services/authService.js';
+import {
+    getTwoFactorStatus,
+    startTwoFactorSetup,
+    confirmTwoFactorSetup,
+    disableTwoFactor,
+    regenerateRecoveryCodes
+} from '../services/twoFactorService.js';
+import {
+    API_KEY_SCOPES,
+    createApiKey,
+    listApiKeys,
+    revokeApiKey
+} from '../services/apiKeyService.js';
+import {
+    exportAccountData,
+    requestAccountDeletion,
+    cancelAccountDeletionRequest
+} from '../services/accountService.js';
+import { authenticateUser, requireRecentAuth, getRequestToken } from '../middleware/auth.js';
 import { upload } from '../middleware/upload.js';
 import { uploadToSupabase, deleteFromSupabase } from '../services/storageService.js';
 
 const router = express.Router();
 
+const cookieOptions = {
+    httpOnly: true,
+    secure: process.env.NODE_ENV === 'production',
+    sameSite: process.env.NODE_ENV === 'production' ? 'none' : 'lax'
+};
+
+// Refresh token is only ever sent to the auth routes
+const refreshCookieOptions = {
+    ...cookieOptions,
+    path: '/api/auth'
+};
+
+/**
+ * Set access and refresh token cookies
+ */
+const setAuthCookies = (res, token, refreshToken) => {
+    res.cookie('token', token, {
+        ...cookieOptions,
+        maxAge: ACCESS_TOKEN_MAX_AGE_MS
+    });
+    res.cookie('refresh_token', refreshToken, {
+        ...refreshCookieOptions,
+        maxAge: REFRESH_TOKEN_MAX_AGE_MS
+    });
+};
+
+/**
+ * Clear access and refresh token cookies
+ */
+const clearAuthCookies = (res) => {
+    res.clearCookie('token', cookieOptions);
+    res.clearCookie('refresh_token', refreshCookieOptions);
+};
+
 /**
  * Student Registration Controller
  * POST /api/auth/register/user
  */
 router.post('/register/user', validateStudentRegistration, async (req, res) => {
     try {
-        const { user, token } = await registerStudent(req.body, req);
+        const { user, token, refreshToken } = await registerStudent(req.body, req);
 
-        // Set token in httpOnly cookie
-        res.cookie('token', token, {
-            httpOnly: true,
-            secure: process.env.NODE_ENV === 'production',
-            sameSite: process.env.NODE_ENV === 'production' ? 'none' : 'lax',
-            maxAge: 7 * 24 * 60 * 60 * 1000 // 7 days
-        });
+        // Set access and refresh tokens in httpOnly cookies
+        setAuthCookies(res, token, refreshToken);
 
         res.status(201).json({
             success: true,
@@ -41,6 +107,7 @@ router.post('/register/user', validateStudentRegistration, async (req, res) => {
                 lastName: user.last_name,
                 email: user.email,
                 userType: user.user_type,
+                emailVerified: !!user.email_verified_at,
                 createdAt: user.created_at
             }
         });
@@ -92,15 +159,10 @@ router.post('/register/mentor', upload.single('photo'), validateMentorRegistrati
             photoUrl: uploadedPhotoUrl
         };
 
-        const { user, token } = await registerMentor(mentorData, req);
+        const { user, token, refreshToken } = await registerMentor(mentorData, req);
 
-        // Set token in httpOnly cookie
-        res.cookie('token', token, {
-            httpOnly: true,
-            secure: process.env.NODE_ENV === 'production',
-            sameSite: process.env.NODE_ENV === 'production' ? 'none' : 'lax',
-            maxAge: 7 * 24 * 60 * 60 * 1000 // 7 days
-        });
+        // Set access and refresh tokens in httpOnly cookies
+        setAuthCookies(res, token, refreshToken);
 
         res.status(201).json({
             success: true,
@@ -111,6 +173,7 @@ router.post('/register/mentor', upload.single('photo'), validateMentorRegistrati
                 lastName: user.last_name,
                 email: user.email,
                 userType: user.user_type,
+                emailVerified: !!user.email_verified_at,
                 createdAt: user.created_at
             }
         });
@@ -144,6 +207,77 @@ router.post('/register/mentor', upload.single('photo'), validateMentorRegistrati
     }
 });
 
+/**
+ * Whether the client asked for tokens in the response body instead of cookies
+ * (mobile apps and scripts use ?mode=token)
+ */
+const isTokenMode = (req) => req.query.mode === 'token';
+
+/**
+ * Tokens returned in the response body for token-mode clients
+ */
+const buildTokenResponse = (token, refreshToken) => ({
+    accessToken: token,
+    refreshToken,
+    tokenType: 'Bearer',
+    expiresIn: ACCESS_TOKEN_MAX_AGE_MS / 1000
+});
+
+/**
+ * Send the logged-in user's data (without password)
+ * Tokens go into httpOnly cookies, or into the body in token mode
+ */
+const sendLoginSuccess = (req, res, { user, token, refreshToken }) => {
+    if (!isTokenMode(req)) {
+        setAuthCookies(res, token, refreshToken);
+    }
+
+    res.json({
+        success: true,
+        message: 'Login successful',
+        ...(isTokenMode(req) ? buildTokenResponse(token, refreshToken) : {}),
+        user: {
+            id: user.id,
+            first_name: user.first_name,
+            last_name: user.last_name,
+            email: user.email,
+            user_type: user.user_type,
+            phone: user.phone,
+            country_code: user.country_code,
+            email_verified: !!user.email_verified_at,
+            deletion_scheduled_for: user.deletion_scheduled_for || null
+        }
+    });
+};
+
+/**
+ * Respond to lockout (423) and throttling (429) errors from the login service
+ * Returns true when the error was handled
+ */
+const handleLoginThrottleError = (error, res) => {
+    if (error.message === 'Account temporarily locked due to too many failed login attempts. Check your email to unlock it.') {
+        res.set('Retry-After', String(error.retryAfter));
+        res.status(423).json({
+            success: false,
+            message: error.message,
+            retryAfter: error.retryAfter
+        });
+        return true;
+    }
+
+    if (error.message === 'Too many failed login attempts. Please try again later.') {
+        res.set('Retry-After', String(error.retryAfter));
+        res.status(429).json({
+            success: false,
+            message: error.message,
+            retryAfter: error.retryAfter
+        });
+        return true;
+    }
+
+    return false;
+};
+
 /**fv
  * Login Controller
  * POST /api/auth/login
@@ -151,30 +285,19 @@ router.post('/register/mentor', upload.single('photo'), validateMentorRegistrati
 router.post('/login', validateLogin, async (req, res) => {
     try {
         const { email, password } = req.body;
-        const { user, token } = await loginUser(email, password);
+        const result = await loginUser(email, password, req);
 
-        // Set token in httpOnly cookie
-        res.cookie('token', token, {
-            httpOnly: true,
-            secure: process.env.NODE_ENV === 'production',
-            sameSite: process.env.NODE_ENV === 'production' ? 'none' : 'lax',
-            maxAge: 7 * 24 * 60 * 60 * 1000 // 7 days
-        });
+        // Accounts with 2FA get a challenge to complete via POST /api/auth/login/2fa
+        if (result.twoFactorRequired) {
+            return res.json({
+                success: true,
+                message: 'Enter the code from your authenticator app',
+                twoFactorRequired: true,
+                challengeToken: result.challengeToken
+            });
+        }
 
-        // Return user data (without password)
-        res.json({
-            success: true,
-            message: 'Login successful',
-            user: {
-                id: user.id,
-                first_name: user.first_name,
-                last_name: user.last_name,
-                email: user.email,
-                user_type: user.user_type,
-                phone: user.phone,
-                country_code: user.country_code
-            }
-        });
+        sendLoginSuccess(req, res, result);
 
     } catch (error) {
         console.error('Login error:', error);
@@ -187,6 +310,52 @@ router.post('/login', validateLogin, async (req, res) => {
             });
         }
 
+        if (handleLoginThrottleError(error, res)) {
+            return;
+        }
+
+        res.status(500).json({
+            success: false,
+            message: 'Login failed. Please try again.',
+            error: process.env.NODE_ENV === 'development' ? error.message : undefined
+        });
+    }
+});
+
+/**
+ * Two-Factor Login Controller
+ * POST /api/auth/login/2fa
+ */
+router.post('/login/2fa', async (req, res) => {
+    try {
+        const { challengeToken, code, recoveryCode } = req.body;
+
+        if (!challengeToken || (!code && !recoveryCode)) {
+            return res.status(400).json({
+                success: false,
+                message: 'Please provide the login challenge and an authentication or recovery code'
+            });
+        }
+
+        const result = await completeTwoFactorLogin(challengeToken, { code, recoveryCode }, req);
+
+        sendLoginSuccess(req, res, result);
+
+    } catch (error) {
+        console.error('Two-factor login error:', error);
+
+        if (error.message === 'Invalid authentication code' ||
+            error.message === 'Login challenge expired. Please log in again.') {
+            return res.status(401).json({
+                success: false,
+                message: error.message
+            });
+        }
+
+        if (handleLoginThrottleError(error, res)) {
+            return;
+        }
+
         res.status(500).json({
             success: false,
             message: 'Login failed. Please try again.',
@@ -201,8 +370,8 @@ router.post('/login', validateLogin, async (req, res) => {
  */
 router.get('/me', async (req, res) => {
     try {
-        // Get token from cookie
-        const token = req.cookies.token;
+        // Get token from Authorization header or cookie
+        const token = getRequestToken(req);
 
         if (!token) {
             return res.status(401).json({
@@ -223,16 +392,16 @@ router.get('/me', async (req, res) => {
             email: user.email,
             user_type: user.user_type,
             phone: user.phone,
-            country_code: user.country_code
+            country_code: user.country_code,
+            email_verified: !!user.email_verified_at,
+            deletion_scheduled_for: user.deletion_scheduled_for || null
         });
 
     } catch (error) {
-        if (error.name === 'JsonWebTokenError' || error.name === 'TokenExpiredError') {
-            res.clearCookie('token', {
-                httpOnly: true,
-                secure: process.env.NODE_ENV === 'production',
-                sameSite: process.env.NODE_ENV === 'production' ? 'none' : 'lax'
-            });
+        if (error.name === 'JsonWebTokenError' || error.name === 'TokenExpiredError' ||
+            error.message === 'User not found' || error.message === 'Session expired') {
+            // Keep the refresh cookie so the client can still call /refresh
+            res.clearCookie('token', cookieOptions);
 
             return res.status(401).json({
                 success: false,
@@ -249,18 +418,80 @@ router.get('/me', async (req, res) => {
     }
 });
 
+/**
+ * Refresh Token Controller
+ * POST /api/auth/refresh
+ */
+router.post('/refresh', async (req, res) => {
+    try {
+        // Browsers send the refresh cookie; token-mode clients send it in the body
+        const fromBody = !req.cookies.refresh_token && !!(req.body && req.body.refreshToken);
+        const refreshToken = fromBody ? req.body.refreshToken : req.cookies.refresh_token;
+
+        if (!refreshToken) {
+            return res.status(401).json({
+                success: false,
+                message: 'Not authenticated'
+            });
+        }
+
+        const refreshed = await refreshSession(refreshToken, req);
+
+        if (!refreshed) {
+            clearAuthCookies(res);
+            return res.status(401).json({
+                success: false,
+                message: 'Session expired. Please log in again.'
+            });
+        }
+
+        if (fromBody) {
+            return res.json({
+                success: true,
+                message: 'Session refreshed',
+                ...buildTokenResponse(refreshed.token, refreshed.refreshToken)
+            });
+        }
+
+        setAuthCookies(res, refreshed.token, refreshed.refreshToken);
+
+        res.json({
+            success: true,
+            message: 'Session refreshed'
+        });
+
+    } catch (error) {
+        if (error.message === 'Invalid refresh token') {
+            clearAuthCookies(res);
+            return res.status(401).json({
+                success: false,
+                message: 'Session expired. Please log in again.'
+            });
+        }
+
+        console.error('Refresh token error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Failed to refresh session',
+            error: process.env.NODE_ENV === 'development' ? error.message : undefined
+        });
+    }
+});
+
 /**
  * Logout Controller
  * POST /api/auth/logout
  */
 router.post('/logout', async (req, res) => {
     try {
-        // Clear the token cookie
-        res.clearCookie('token', {
-            httpOnly: true,
-            secure: process.env.NODE_ENV === 'production',
-            sameSite: process.env.NODE_ENV === 'production' ? 'none' : 'lax'
-        });
+        // Revoke the session server-side so its tokens stop working
+        const refreshToken = req.cookies.refresh_token || (req.body && req.body.refreshToken);
+        if (refreshToken) {
+            await endSession(refreshToken);
+        }
+
+        // Clear the token cookies
+        clearAuthCookies(res);
 
         res.json({
             success: true,
@@ -277,4 +508,786 @@ router.post('/logout', async (req, res) => {
     }
 });
 
+/**
+ * List Sessions Controller
+ * GET /api/auth/sessions
+ */
+router.get('/sessions', authenticateUser, async (req, res) => {
+    try {
+        const sessions = await listSessions(req.user.id);
+
+        res.json({
+            success: true,
+            data: sessions.map(session => ({
+                id: session.id,
+                userAgent: session.user_agent,
+                ipAddress: session.ip_address,
+                createdAt: session.created_at,
+                lastUsedAt: session.last_used_at,
+                expiresAt: session.expires_at,
+                current: session.id === req.user.sessionId
+            }))
+        });
+
+    } catch (error) {
+        console.error('List sessions error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Failed to fetch sessions',
+            error: process.env.NODE_ENV === 'development' ? error.message : undefined
+        });
+    }
+});
+
+/**
+ * Revoke All Sessions Controller
+ * DELETE /api/auth/sessions?keepCurrent=true
+ */
+router.delete('/sessions', authenticateUser, async (req, res) => {
+    try {
+        const keepCurrent = req.query.keepCurrent === 'true';
+        const revokedCount = await revokeUserSessions(req.user.id, keepCurrent ? req.user.sessionId : null);
+
+        if (!keepCurrent) {
+            clearAuthCookies(res);
+        }
+
+        res.json({
+            success: true,
+            message: 'Sessions revoked successfully',
+            revokedCount
+        });
+
+    } catch (error) {
+        console.error('Revoke sessions error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Failed to revoke sessions',
+            error: process.env.NODE_ENV === 'development' ? error.message : undefined
+        });
+    }
+});
+
+/**
+ * Revoke Session Controller
+ * DELETE /api/auth/sessions/:id
+ */
+router.delete('/sessions/:id', authenticateUser, async (req, res) => {
+    try {
+        const { id } = req.params;
+        await revokeUserSession(req.user.id, id);
+
+        if (id === req.user.sessionId) {
+            clearAuthCookies(res);
+        }
+
+        res.json({
+            success: true,
+            message: 'Session revoked successfully'
+        });
+
+    } catch (error) {
+        console.error('Revoke session error:', error);
+
+        if (error.message === 'Session not found') {
+            return res.status(404).json({
+                success: false,
+                message: error.message
+            });
+        }
+
+        res.status(500).json({
+            success: false,
+            message: 'Failed to revoke session',
+            error: process.env.NODE_ENV === 'development' ? error.message : undefined
+        });
+    }
+});
+
+/**
+ * Forgot Password Controller
+ * POST /api/auth/password/forgot
+ */
+router.post('/password/forgot', validateForgotPassword, async (req, res) => {
+    try {
+        await requestPasswordReset(req.body.email, req);
+
+        // Same response whether or not the account exists
+        res.json({
+            success: true,
+            message: 'If an account with that email exists, a password reset link has been sent.'
+        });
+
+    } catch (error) {
+        console.error('Forgot password error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Failed to process password reset request. Please try again.',
+            error: process.env.NODE_ENV === 'development' ? error.message : undefined
+        });
+    }
+});
+
+/**
+ * Reset Password Controller
+ * POST /api/auth/password/reset
+ */
+router.post('/password/reset', validateResetPassword, async (req, res) => {
+    try {
+        const { token, password } = req.body;
+        await resetPassword(token, password);
+
+        res.json({
+            success: true,
+            message: 'Password has been reset successfully. Please log in with your new password.'
+        });
+
+    } catch (error) {
+        console.error('Reset password error:', error);
+
+        if (error.message === 'Invalid or expired reset token') {
+            return res.status(400).json({
+                success: false,
+                message: error.message
+            });
+        }
+
+        res.status(500).json({
+            success: false,
+            message: 'Failed to reset password. Please try again.',
+            error: process.env.NODE_ENV === 'development' ? error.message : undefined
+        });
+    }
+});
+
+/**
+ * Change Password Controller
+ * POST /api/auth/password/change
+ */
+router.post('/password/change', authenticateUser, validateChangePassword, async (req, res) => {
+    try {
+        const { currentPassword, newPassword } = req.body;
+        // This session stays logged in; all other sessions are revoked
+        await changePassword(req.user.id, req.user.sessionId, currentPassword, newPassword, req);
+
+        res.json({
+            success: true,
+            message: 'Password changed successfully'
+        });
+
+    } catch (error) {
+        console.error('Change password error:', error);
+
+        if (handleLoginThrottleError(error, res)) {
+            return;
+        }
+
+        if (error.message === 'Current password is incorrect') {
+            return res.status(400).json({
+                success: false,
+                message: error.message
+            });
+        }
+
+        if (error.message === 'User not found') {
+            return res.status(404).json({
+                success: false,
+                message: error.message
+            });
+        }
+
+        res.status(500).json({
+            success: false,
+            message: 'Failed to change password. Please try again.',
+            error: process.env.NODE_ENV === 'development' ? error.message : undefined
+        });
+    }
+});
+
+/**
+ * Unlock Account Controller
+ * POST /api/auth/unlock
+ */
+router.post('/unlock', async (req, res) => {
+    try {
+        const { token } = req.body;
+
+        if (!token) {
+            return res.status(400).json({
+                success: false,
+                message: 'Unlock token is required'
+            });
+        }
+
+        await unlockAccount(token);
+
+        res.json({
+            success: true,
+            message: 'Your account has been unlocked. You can log in again.'
+        });
+
+    } catch (error) {
+        console.error('Unlock account error:', error);
+
+        if (error.message === 'Invalid or expired unlock token') {
+            return res.status(400).json({
+                success: false,
+                message: error.message
+            });
+        }
+
+        res.status(500).json({
+            success: false,
+            message: 'Failed to unlock account. Please try again.',
+            error: process.env.NODE_ENV === 'development' ? error.message : undefined
+        });
+    }
+});
+
+/**
+ * Map two-factor service errors to responses
+ * Returns true when the error was handled
+ */
+const handleTwoFactorError = (error, res) => {
+    const badRequestMessages = [
+        'Two-factor authentication is already enabled',
+        'Two-factor authentication is not enabled',
+        'Two-factor setup has not been started',
+        'Invalid authentication code',
+        'Invalid password or authentication code',
+        'Current password is incorrect'
+    ];
+
+    if (badRequestMessages.includes(error.message)) {
+        res.status(400).json({
+            success: false,
+            message: error.message
+        });
+        return true;
+    }
+
+    if (error.message === 'Two-factor authentication is required for admin accounts') {
+        res.status(403).json({
+            success: false,
+            message: error.message
+        });
+        return true;
+    }
+
+    if (error.message === 'User not found') {
+        res.status(404).json({
+            success: false,
+            message: error.message
+        });
+        return true;
+    }
+
+    return false;
+};
+
+/**
+ * Two-Factor Status Controller
+ * GET /api/auth/2fa
+ */
+router.get('/2fa', authenticateUser, async (req, res) => {
+    try {
+        const status = await getTwoFactorStatus(req.user.id);
+
+        res.json({
+            success: true,
+            data: status
+        });
+
+    } catch (error) {
+        console.error('Two-factor status error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Failed to fetch two-factor status',
+            error: process.env.NODE_ENV === 'development' ? error.message : undefined
+        });
+    }
+});
+
+/**
+ * Two-Factor Setup Controller
+ * POST /api/auth/2fa/setup
+ */
+router.post('/2fa/setup', authenticateUser, async (req, res) => {
+    try {
+        const { secret, otpauthUri } = await startTwoFactorSetup(req.user.id);
+
+        res.json({
+            success: true,
+            message: 'Scan the QR code with your authenticator app, then confirm with a code',
+            data: {
+                secret,
+                otpauthUri
+            }
+        });
+
+    } catch (error) {
+        console.error('Two-factor setup error:', error);
+
+        if (handleTwoFactorError(error, res)) {
+            return;
+        }
+
+        res.status(500).json({
+            success: false,
+            message: 'Failed to start two-factor setup',
+            error: process.env.NODE_ENV === 'development' ? error.message : undefined
+        });
+    }
+});
+
+/**
+ * Two-Factor Confirm Controller
+ * POST /api/auth/2fa/confirm
+ */
+router.post('/2fa/confirm', authenticateUser, async (req, res) => {
+    try {
+        const { code } = req.body;
+
+        if (!code) {
+            return res.status(400).json({
+                success: false,
+                message: 'Please provide the code from your authenticator app'
+            });
+        }
+
+        const { recoveryCodes } = await confirmTwoFactorSetup(req.user.id, req.user.sessionId, code);
+
+        res.json({
+            success: true,
+            message: 'Two-factor authentication enabled. Store your recovery codes somewhere safe.',
+            data: {
+                recoveryCodes
+            }
+        });
+
+    } catch (error) {
+        console.error('Two-factor confirm error:', error);
+
+        if (handleTwoFactorError(error, res)) {
+            return;
+        }
+
+        res.status(500).json({
+            success: false,
+            message: 'Failed to enable two-factor authentication',
+            error: process.env.NODE_ENV === 'development' ? error.message : undefined
+        });
+    }
+});
+
+/**
+ * Two-Factor Disable Controller
+ * POST /api/auth/2fa/disable
+ */
+router.post('/2fa/disable', authenticateUser, async (req, res) => {
+    try {
+        const { password, code, recoveryCode } = req.body;
+        await disableTwoFactor(req.user.id, req.user.sessionId, { password, code, recoveryCode }, req);
+
+        res.json({
+            success: true,
+            message: 'Two-factor authentication disabled'
+        });
+
+    } catch (error) {
+        console.error('Two-factor disable error:', error);
+
+        if (handleLoginThrottleError(error, res) || handleTwoFactorError(error, res)) {
+            return;
+        }
+
+        res.status(500).json({
+            success: false,
+            message: 'Failed to disable two-factor authentication',
+            error: process.env.NODE_ENV === 'development' ? error.message : undefined
+        });
+    }
+});
+
+/**
+ * Regenerate Recovery Codes Controller
+ * POST /api/auth/2fa/recovery-codes
+ */
+router.post('/2fa/recovery-codes', authenticateUser, async (req, res) => {
+    try {
+        const { password, code, recoveryCode } = req.body;
+        const { recoveryCodes } = await regenerateRecoveryCodes(req.user.id, { password, code, recoveryCode }, req);
+
+        res.json({
+            success: true,
+            message: 'New recovery codes generated. Your old codes no longer work.',
+            data: {
+                recoveryCodes
+            }
+        });
+
+    } catch (error) {
+        console.error('Regenerate recovery codes error:', error);
+
+        if (handleLoginThrottleError(error, res) || handleTwoFactorError(error, res)) {
+            return;
+        }
+
+        res.status(500).json({
+            success: false,
+            message: 'Failed to regenerate recovery codes',
+            error: process.env.NODE_ENV === 'development' ? error.message : undefined
+        });
+    }
+});
+
+/**
+ * Re-authenticate Controller
+ * POST /api/auth/reauthenticate
+ */
+router.post('/reauthenticate', authenticateUser, async (req, res) => {
+    try {
+        const { password, code, recoveryCode } = req.body;
+        await reauthenticate(req.user.id, req.user.sessionId, { password, code, recoveryCode }, req);
+
+        res.json({
+            success: true,
+            message: 'Identity confirmed'
+        });
+
+    } catch (error) {
+        console.error('Re-authentication error:', error);
+
+        if (handleLoginThrottleError(error, res) || handleTwoFactorError(error, res)) {
+            return;
+        }
+
+        res.status(500).json({
+            success: false,
+            message: 'Failed to confirm identity',
+            error: process.env.NODE_ENV === 'development' ? error.message : undefined
+        });
+    }
+});
+
+/**
+ * Verify Email Controller
+ * POST /api/auth/verify-email
+ */
+router.post('/verify-email', async (req, res) => {
+    try {
+        const { token } = req.body;
+
+        if (!token) {
+            return res.status(400).json({
+                success: false,
+                message: 'Verification token is required'
+            });
+        }
+
+        const verified = await verifyEmail(token);
+
+        res.json({
+            success: true,
+            message: 'Email verified successfully',
+            emailVerifiedAt: verified.email_verified_at
+        });
+
+    } catch (error) {
+        console.error('Email verification error:', error);
+
+        if (error.message === 'Invalid or expired verification token') {
+            return res.status(400).json({
+                success: false,
+                message: error.message
+            });
+        }
+
+        res.status(500).json({
+            success: false,
+            message: 'Email verification failed. Please try again.',
+            error: process.env.NODE_ENV === 'development' ? error.message : undefined
+        });
+    }
+});
+
+/**
+ * Resend Verification Email Controller
+ * POST /api/auth/verify-email/resend
+ */
+router.post('/verify-email/resend', authenticateUser, async (req, res) => {
+    try {
+        await resendEmailVerification(req.user.id);
+
+        res.json({
+            success: true,
+            message: 'Verification email sent'
+        });
+
+    } catch (error) {
+        console.error('Resend verification email error:', error);
+
+        if (error.message === 'Email is already verified') {
+            return res.status(400).json({
+                success: false,
+                message: error.message
+            });
+        }
+
+        if (error.message === 'Please wait a minute before requesting another verification email') {
+            return res.status(429).json({
+                success: false,
+                message: error.message
+            });
+        }
+
+        if (error.message === 'User not found') {
+            return res.status(404).json({
+                success: false,
+                message: error.message
+            });
+        }
+
+        res.status(500).json({
+            success: false,
+            message: 'Failed to send verification email. Please try again.',
+            error: process.env.NODE_ENV === 'development' ? error.message : undefined
+        });
+    }
+});
+
+/**
+ * Export Account Data Controller
+ * GET /api/auth/account/export
+ */
+router.get('/account/export', authenticateUser, requireRecentAuth, async (req, res) => {
+    try {
+        const data = await exportAccountData(req.user.id);
+        const fileDate = data.exportedAt.slice(0, 10);
+
+        res.attachment(`zacademy-data-export-${fileDate}.json`);
+        res.type('application/json');
+        res.send(JSON.stringify(data, null, 2));
+
+    } catch (error) {
+        console.error('Export account data error:', error);
+
+        if (error.message === 'User not found') {
+            return res.status(404).json({
+                success: false,
+                message: error.message
+            });
+        }
+
+        res.status(500).json({
+            success: false,
+            message: 'Failed to export account data',
+            error: process.env.NODE_ENV === 'development' ? error.message : undefined
+        });
+    }
+});
+
+/**
+ * Request Account Deletion Controller
+ * POST /api/auth/account/deletion
+ */
+router.post('/account/deletion', authenticateUser, requireRecentAuth, async (req, res) => {
+    try {
+        const deletion = await requestAccountDeletion(req.user.id, req.user.sessionId);
+
+        res.json({
+            success: true,
+            message: 'Your account is scheduled for deletion. You can cancel this until the scheduled date.',
+            data: deletion
+        });
+
+    } catch (error) {
+        console.error('Request account deletion error:', error);
+
+        if (error.message === 'Account deletion is already scheduled' ||
+            error.message === 'Cancel your upcoming bookings before deleting your account' ||
+            error.message === 'Your earnings must be paid out before you can delete your account') {
+            return res.status(409).json({
+                success: false,
+                message: error.message
+            });
+        }
+
+        if (error.message === 'User not found') {
+            return res.status(404).json({
+                success: false,
+                message: error.message
+            });
+        }
+
+        res.status(500).json({
+            success: false,
+            message: 'Failed to schedule account deletion',
+            error: process.env.NODE_ENV === 'development' ? error.message : undefined
+        });
+    }
+});
+
+/**
+ * Cancel Account Deletion Controller
+ * DELETE /api/auth/account/deletion
+ */
+router.delete('/account/deletion', authenticateUser, async (req, res) => {
+    try {
+        await cancelAccountDeletionRequest(req.user.id);
+
+        res.json({
+            success: true,
+            message: 'Account deletion cancelled'
+        });
+
+    } catch (error) {
+        console.error('Cancel account deletion error:', error);
+
+        if (error.message === 'No account deletion is scheduled') {
+            return res.status(404).json({
+                success: false,
+                message: error.message
+            });
+        }
+
+        res.status(500).json({
+            success: false,
+            message: 'Failed to cancel account deletion',
+            error: process.env.NODE_ENV === 'development' ? error.message : undefined
+        });
+    }
+});
+
+/**
+ * Format an API key record for the response (never includes the secret)
+ */
+const formatApiKey = (apiKey) => ({
+    id: apiKey.id,
+    name: apiKey.name,
+    keyPrefix: apiKey.key_prefix,
+    scopes: apiKey.scopes,
+    lastUsedAt: apiKey.last_used_at || null,
+    expiresAt: apiKey.expires_at,
+    createdAt: apiKey.created_at
+});
+
+/**
+ * List API Keys Controller
+ * GET /api/auth/api-keys
+ */
+router.get('/api-keys', authenticateUser, async (req, res) => {
+    try {
+        const apiKeys = await listApiKeys(req.user.id);
+
+        res.json({
+            success: true,
+            data: apiKeys.map(formatApiKey),
+            availableScopes: API_KEY_SCOPES
+        });
+
+    } catch (error) {
+        console.error('List API keys error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Failed to fetch API keys',
+            error: process.env.NODE_ENV === 'development' ? error.message : undefined
+        });
+    }
+});
+
+/**
+ * Create API Key Controller
+ * POST /api/auth/api-keys
+ */
+router.post('/api-keys', authenticateUser, requireRecentAuth, async (req, res) => {
+    try {
+        const { name, scopes, expiresInDays } = req.body;
+
+        if (!name || typeof name !== 'string' || name.trim() === '' || name.trim().length > 100) {
+            return res.status(400).json({
+                success: false,
+                message: 'Please provide a name for the API key (max 100 characters)'
+            });
+        }
+
+        if (!Array.isArray(scopes) || scopes.length === 0 || !scopes.every(scope => API_KEY_SCOPES.includes(scope))) {
+            return res.status(400).json({
+                success: false,
+                message: `Scopes must be a non-empty list of: ${API_KEY_SCOPES.join(', ')}`
+            });
+        }
+
+        if (expiresInDays !== undefined && expiresInDays !== null &&
+            (!Number.isInteger(expiresInDays) || expiresInDays < 1 || expiresInDays > 365)) {
+            return res.status(400).json({
+                success: false,
+                message: 'expiresInDays must be a whole number between 1 and 365'
+            });
+        }
+
+        const { apiKey, record } = await createApiKey(req.user.id, {
+            name: name.trim(),
+            scopes: [...new Set(scopes)],
+            expiresInDays
+        });
+
+        res.status(201).json({
+            success: true,
+            message: 'API key created. Copy it now, it will not be shown again.',
+            data: {
+                ...formatApiKey(record),
+                apiKey
+            }
+        });
+
+    } catch (error) {
+        console.error('Create API key error:', error);
+
+        if (error.message === 'Maximum number of API keys reached') {
+            return res.status(400).json({
+                success: false,
+                message: error.message
+            });
+        }
+
+        res.status(500).json({
+            success: false,
+            message: 'Failed to create API key',
+            error: process.env.NODE_ENV === 'development' ? error.message : undefined
+        });
+    }
+});
+
+/**
+ * Revoke API Key Controller
+ * DELETE /api/auth/api-keys/:id
+ */
+router.delete('/api-keys/:id', authenticateUser, async (req, res) => {
+    try {
+        await revokeApiKey(req.user.id, req.params.id);
+
+        res.json({
+            success: true,
+            message: 'API key revoked successfully'
+        });
+
+    } catch (error) {
+        console.error('Revoke API key error:', error);
+
+        if (error.message === 'API key not found') {
+            return res.status(404).json({
+                success: false,
+                message: error.message
+            });
+        }
+
+        res.status(500).json({
+            success: false,
+            message: 'Failed to revoke API key',
+            error: process.env.NODE_ENV === 'development' ? error.message : undefined
+        });
+    }
+});
+
 export default router;
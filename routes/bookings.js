@@ -1,9 +1,30 @@
 import express from 'express';
 import pool from '../db/config.js';
-import { authenticateUser, requireStudent } from '../middleware/auth.js';
+import { authenticateUser, requireStudent, requireVerifiedEmail } from '../middleware/auth.js';
+import {
+    getCancellationPolicy,
+    findBookingLimitViolation,
+    getBookingEligibility
+} from '../services/bookingService.js';
+import { isWithinAvailability } from '../services/availabilityService.js';
+import { findMentorAvailability, lockMentorAvailability } from '../dal/availabilityDal.js';
+import { findOverlappingBooking } from '../dal/bookingDal.js';
+import { findUserById, findMentorDocumentType } from '../dal/userDal.js';
+import { lockActiveAccounts } from '../dal/accountDal.js';
+import { calculateServicePrice } from '../services/pricingService.js';
+import { getPaymentDueAt } from '../services/paymentService.js';
 
 const router = express.Router();
 
+// Response status for each broken booking limit (codes from findBookingLimitViolation)
+const BOOKING_LIMIT_STATUSES = {
+    min_notice: 400,
+    max_days_ahead: 400,
+    student_limit: 409,
+    daily_limit: 409,
+    weekly_limit: 409
+};
+
 // Get booked time slots for a mentor on a specific date - Public endpoint
 router.get('/booked-times/:mentorId', async (req, res) => {
     try {
@@ -21,23 +42,33 @@ router.get('/booked-times/:mentorId', async (req, res) => {
         const startOfDay = new Date(date + 'T00:00:00.000Z');
         const endOfDay = new Date(date + 'T23:59:59.999Z');
 
-        // Fetch all non-cancelled bookings for this mentor on this date
+        // Fetch all non-cancelled bookings for this mentor whose time (including buffers) falls on this date
         const query = `
-            SELECT session_date, duration_minutes
+            SELECT
+                session_date,
+                duration_minutes,
+                buffer_before_minutes,
+                buffer_after_minutes,
+                session_date - (buffer_before_minutes * INTERVAL '1 minute') AS blocked_from,
+                session_date + ((duration_minutes + buffer_after_minutes) * INTERVAL '1 minute') AS blocked_until
             FROM bookings
             WHERE mentor_id = $1
-            AND status != 'cancelled'
-            AND session_date >= $2
-            AND session_date <= $3
+            AND status NOT IN ('cancelled_by_student', 'cancelled_by_mentor')
+            AND session_date - (buffer_before_minutes * INTERVAL '1 minute') <= $3
+            AND session_date + ((duration_minutes + buffer_after_minutes) * INTERVAL '1 minute') > $2
             ORDER BY session_date
         `;
 
         const result = await pool.query(query, [mentorId, startOfDay.toISOString(), endOfDay.toISOString()]);
 
-        // Return array of booked time slots with their durations
+        // Return array of booked time slots with their durations and the mentor's buffers around them
         const bookedSlots = result.rows.map(row => ({
             sessionDate: row.session_date,
-            durationMinutes: row.duration_minutes
+            durationMinutes: row.duration_minutes,
+            bufferBeforeMinutes: row.buffer_before_minutes,
+            bufferAfterMinutes: row.buffer_after_minutes,
+            blockedFrom: row.blocked_from,
+            blockedUntil: row.blocked_until
         }));
 
         res.json({
@@ -55,27 +86,56 @@ router.get('/booked-times/:mentorId', async (req, res) => {
     }
 });
 
-// Check if user has existing booking with a mentor
+// Get the cancellation policy - Public endpoint
+router.get('/cancellation-policy', (req, res) => {
+    res.json({
+        success: true,
+        data: getCancellationPolicy()
+    });
+});
+
+// Check whether the current user can book a mentor (and if they already have bookings with them)
 router.get('/check/:mentorId', authenticateUser, async (req, res) => {
     try {
         const userId = req.user.id;
         const { mentorId } = req.params;
 
+        // Verify mentor exists
+        const mentorCheck = await pool.query(
+            'SELECT id FROM users WHERE id = $1 AND user_type = $2 AND deletion_scheduled_for IS NULL AND deleted_at IS NULL',
+            [mentorId, 'mentor']
+        );
+
+        if (mentorCheck.rows.length === 0) {
+            return res.status(404).json({
+                success: false,
+                message: 'Mentor not found'
+            });
+        }
+
         // Check for any non-cancelled bookings with this mentor
         const query = `
             SELECT COUNT(*) as booking_count
             FROM bookings
             WHERE user_id = $1
             AND mentor_id = $2
-            AND status != 'cancelled'
+            AND status NOT IN ('cancelled_by_student', 'cancelled_by_mentor')
         `;
 
         const result = await pool.query(query, [userId, mentorId]);
         const hasBooking = parseInt(result.rows[0].booking_count) > 0;
 
+        const user = await findUserById(userId);
+        const eligibility = await getBookingEligibility(mentorId, {
+            id: userId,
+            userType: req.user.userType,
+            emailVerified: !!(user && user.email_verified_at)
+        });
+
         res.json({
             success: true,
-            hasBooking
+            hasBooking,
+            ...eligibility
         });
 
     } catch (error) {
@@ -89,7 +149,7 @@ router.get('/check/:mentorId', authenticateUser, async (req, res) => {
 });
 
 // Create a new booking
-router.post('/', authenticateUser, requireStudent, async (req, res) => {
+router.post('/', authenticateUser, requireStudent, requireVerifiedEmail, async (req, res) => {
     try {
         const userId = req.user.id;
         const {
@@ -108,9 +168,9 @@ router.post('/', authenticateUser, requireStudent, async (req, res) => {
             });
         }
 
-        // Verify mentor exists
+        // Verify mentor exists and is not deleting their account
         const mentorCheck = await pool.query(
-            'SELECT id FROM users WHERE id = $1 AND user_type = $2',
+            'SELECT id FROM users WHERE id = $1 AND user_type = $2 AND deletion_scheduled_for IS NULL AND deleted_at IS NULL',
             [mentorId, 'mentor']
         );
 
@@ -136,6 +196,9 @@ router.post('/', authenticateUser, requireStudent, async (req, res) => {
 
         const service = serviceQuery.rows[0];
 
+        // Fees at today's rates, not the ones stored when the mentor last saved their services
+        const price = calculateServicePrice(service.mentor_session_price, await findMentorDocumentType(mentorId));
+
         // Parse and validate session date
         const sessionDateObj = new Date(sessionDate);
         if (isNaN(sessionDateObj.getTime())) {
@@ -153,74 +216,144 @@ router.post('/', authenticateUser, requireStudent, async (req, res) => {
             });
         }
 
-        // Check for double booking - prevent overlapping bookings for the same mentor
-        const durationMinutes = 60; // Default duration
-        const sessionEndDate = new Date(sessionDateObj.getTime() + durationMinutes * 60 * 1000);
-
-        const overlapCheck = await pool.query(`
-            SELECT id FROM bookings
-            WHERE mentor_id = $1
-            AND status != 'cancelled'
-            AND (
-                -- New booking starts during existing booking
-                (session_date <= $2 AND (session_date + (duration_minutes * INTERVAL '1 minute')) > $2)
-                OR
-                -- New booking ends during existing booking
-                (session_date < $3 AND (session_date + (duration_minutes * INTERVAL '1 minute')) >= $3)
-                OR
-                -- New booking encompasses existing booking
-                (session_date >= $2 AND (session_date + (duration_minutes * INTERVAL '1 minute')) <= $3)
-            )
-        `, [mentorId, sessionDateObj.toISOString(), sessionEndDate.toISOString()]);
-
-        if (overlapCheck.rows.length > 0) {
-            return res.status(400).json({
-                success: false,
-                message: 'This time slot is already booked. Please select a different time.'
-            });
+        const durationMinutes = service.duration_minutes;
+
+        // Availability, limits, the overlap check and the insert run for one booking of this mentor at a time
+        const client = await pool.connect();
+        let booking;
+
+        try {
+            await client.query('BEGIN');
+            await lockMentorAvailability(mentorId, client);
+
+            // Neither party may be deleting their account; the lock holds off a deletion until the booking is saved
+            const activeAccounts = await lockActiveAccounts([mentorId, userId], client);
+
+            if (!activeAccounts.includes(userId)) {
+                await client.query('ROLLBACK');
+                return res.status(403).json({
+                    success: false,
+                    message: 'Cancel your account deletion before booking a session'
+                });
+            }
+
+            if (!activeAccounts.includes(mentorId)) {
+                await client.query('ROLLBACK');
+                return res.status(404).json({
+                    success: false,
+                    message: 'Mentor not found'
+                });
+            }
+
+            // Read under the lock, so a schedule or buffer change saved meanwhile is the one checked.
+            // The whole session must fall inside the mentor's available time that day (weekly slots and date overrides, in the mentor's timezone)
+            const availability = await findMentorAvailability(mentorId, client);
+
+            if (!availability) {
+                await client.query('ROLLBACK');
+                return res.status(400).json({
+                    success: false,
+                    message: 'This mentor has not set their availability yet'
+                });
+            }
+
+            if (!isWithinAvailability(availability, sessionDateObj, durationMinutes)) {
+                await client.query('ROLLBACK');
+                return res.status(400).json({
+                    success: false,
+                    message: 'The selected time is outside the mentor\'s availability'
+                });
+            }
+
+            const bufferBeforeMinutes = availability.buffer_before_minutes;
+            const bufferAfterMinutes = availability.buffer_after_minutes;
+
+            // Mentor's booking limits (notice, horizon, daily/weekly caps, active bookings per student)
+            const violation = await findBookingLimitViolation(availability, sessionDateObj, {
+                mentorId,
+                studentId: userId
+            }, client);
+
+            if (violation) {
+                await client.query('ROLLBACK');
+                return res.status(BOOKING_LIMIT_STATUSES[violation.code]).json({
+                    success: false,
+                    message: violation.message,
+                    reason: violation.code
+                });
+            }
+
+            // Check for double booking - the session plus the mentor's buffers must not overlap another booking's
+            const overlapping = await findOverlappingBooking(mentorId, sessionDateObj, durationMinutes, {
+                bufferBeforeMinutes,
+                bufferAfterMinutes
+            }, client);
+
+            if (overlapping) {
+                await client.query('ROLLBACK');
+                return res.status(409).json({
+                    success: false,
+                    message: 'This time slot is already booked. Please select a different time.'
+                });
+            }
+
+            // Create booking
+            const insertQuery = `
+                INSERT INTO bookings (
+                    mentor_id,
+                    user_id,
+                    service_id,
+                    service_name,
+                    session_date,
+                    duration_minutes,
+                    buffer_before_minutes,
+                    buffer_after_minutes,
+                    session_topic,
+                    notes,
+                    mentor_price,
+                    platform_fee,
+                    taxes_fee,
+                    total_price,
+                    status,
+                    payment_status,
+                    payment_due_at
+                )
+                VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12, $13, $14, $15, $16, $17)
+                RETURNING id, mentor_id, user_id, service_id, session_date, duration_minutes,
+                          session_topic, notes, mentor_price, platform_fee, taxes_fee, total_price,
+                          status, payment_status, payment_due_at, created_at, updated_at
+            `;
+
+            const result = await client.query(insertQuery, [
+                mentorId,
+                userId,
+                serviceId,
+                service.mentorship_service, // Kept for reports if the mentor later edits or removes the service
+                sessionDateObj.toISOString(), // Store in UTC
+                durationMinutes,
+                bufferBeforeMinutes,
+                bufferAfterMinutes,
+                sessionTopic || null,
+                notes || null,
+                price.mentorSessionPrice,
+                price.platformFee,
+                price.taxesFee,
+                price.totalPrice,
+                'pending',
+                'pending',
+                getPaymentDueAt(sessionDateObj).toISOString() // Unpaid bookings are cancelled after this
+            ]);
+
+            booking = result.rows[0];
+
+            await client.query('COMMIT');
+        } catch (err) {
+            await client.query('ROLLBACK');
+            throw err;
+        } finally {
+            client.release();
         }
 
-        // Create booking
-        const insertQuery = `
-            INSERT INTO bookings (
-                mentor_id,
-                user_id,
-                service_id,
-                session_date,
-                duration_minutes,
-                session_topic,
-                notes,
-                mentor_price,
-                platform_fee,
-                taxes_fee,
-                total_price,
-                status,
-                payment_status
-            )
-            VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12, $13)
-            RETURNING id, mentor_id, user_id, service_id, session_date, duration_minutes,
-                      session_topic, notes, mentor_price, platform_fee, taxes_fee, total_price,
-                      status, payment_status, created_at, updated_at
-        `;
-
-        const result = await pool.query(insertQuery, [
-            mentorId,
-            userId,
-            serviceId,
-            sessionDateObj.toISOString(), // Store in UTC
-            60, // Default 60 minutes
-            sessionTopic || null,
-            notes || null,
-            service.mentor_session_price,
-            service.platform_fee,
-            service.taxes_fee,
-            service.total_price,
-            'pending',
-            'pending'
-        ]);
-
-        const booking = result.rows[0];
-
         // Format response
         const bookingData = {
             id: booking.id,
@@ -237,6 +370,7 @@ router.post('/', authenticateUser, requireStudent, async (req, res) => {
             totalPrice: booking.total_price,
             status: booking.status,
             paymentStatus: booking.payment_status,
+            paymentDueAt: booking.payment_due_at,
             createdAt: booking.created_at,
             updatedAt: booking.updated_at
         };
@@ -249,6 +383,15 @@ router.post('/', authenticateUser, requireStudent, async (req, res) => {
 
     } catch (error) {
         console.error('Error creating booking:', error);
+
+        // Another booking took the slot between the overlap check and the insert (bookings_no_mentor_overlap)
+        if (error.code === '23P01') {
+            return res.status(409).json({
+                success: false,
+                message: 'This time slot is already booked. Please select a different time.'
+            });
+        }
+
         res.status(500).json({
             success: false,
             message: 'Failed to create booking',
@@ -1,10 +1,66 @@
 import express from 'express';
 import pool from '../db/config.js';
-import { authenticateUser, requireMentor, requireStudent } from '../middleware/auth.js';
+import { authenticateUser, requireMentor, requireStudent, requireVerifiedEmail, requireRecentAuth } from '../middleware/auth.js';
 import { sendMentorApplicationNotification } from '../services/emailService.js';
+import { issueEmailVerification } from '../services/authService.js';
+import {
+    cancelBooking,
+    requestReschedule,
+    withdrawReschedule,
+    respondToReschedule,
+    getRescheduleHistory,
+    confirmBooking,
+    recordSessionOutcome,
+    getBookingLimits,
+    DEFAULT_SESSION_DURATION_MINUTES
+} from '../services/bookingService.js';
+import { isValidTimeZone, isValidDateString, getZonedDateTime } from '../services/availabilityService.js';
+import { calculateServicePrice, getPricingRates } from '../services/pricingService.js';
+import { getMentorEarnings, getMentorEarningsExport, EARNINGS_PERIODS } from '../services/earningsService.js';
+import {
+    findAvailabilityOverrides,
+    countUpcomingAvailabilityOverrides,
+    createAvailabilityOverride,
+    deleteAvailabilityOverride
+} from '../dal/availabilityDal.js';
+import { findMentorDocumentType } from '../dal/userDal.js';
 
 const router = express.Router();
 
+// Limits for service durations and the free time a mentor keeps around sessions
+const MIN_SERVICE_DURATION_MINUTES = 15;
+const MAX_SERVICE_DURATION_MINUTES = 240;
+const MAX_BUFFER_MINUTES = 120;
+
+// Limits for date-specific availability overrides
+const OVERRIDE_TYPES = ['blocked', 'available'];
+const MAX_OVERRIDE_DAYS = 366;
+const MAX_UPCOMING_OVERRIDES = 100;
+const OVERRIDE_NOTE_MAX_LENGTH = 255;
+
+// Booking limit settings: request field, column and allowed range (null clears a limit)
+const BOOKING_LIMIT_FIELDS = [
+    { field: 'minNoticeHours', column: 'min_notice_hours', min: 0, max: 720 },
+    { field: 'maxDaysAhead', column: 'max_days_ahead', min: 1, max: 365 },
+    { field: 'maxSessionsPerDay', column: 'max_sessions_per_day', min: 1, max: 24 },
+    { field: 'maxSessionsPerWeek', column: 'max_sessions_per_week', min: 1, max: 168 },
+    { field: 'maxActiveBookingsPerStudent', column: 'max_active_bookings_per_student', min: 1, max: 50 }
+];
+
+/**
+ * Format an availability override for the mentor's dashboard
+ */
+const formatAvailabilityOverride = (override) => ({
+    id: override.id,
+    type: override.override_type,
+    startDate: override.start_date,
+    endDate: override.end_date,
+    startTime: override.start_time,
+    endTime: override.end_time,
+    note: override.note,
+    createdAt: override.created_at
+});
+
 // Get mentor profile
 router.get('/mentor/profile', authenticateUser, requireMentor, async (req, res) => {
     try {
@@ -131,16 +187,19 @@ router.put('/mentor/profile', authenticateUser, requireMentor, async (req, res)
         try {
             await client.query('BEGIN');
 
-            // Update users table
-            await client.query(
-                `UPDATE users SET
+            // Update users table (a new email address has to be verified again)
+            const userResult = await client.query(
+                `UPDATE users u SET
                     first_name = $1,
                     last_name = $2,
                     email = $3,
                     phone = $4,
                     country_code = $5,
+                    email_verified_at = CASE WHEN u.email = $3 THEN u.email_verified_at ELSE NULL END,
                     updated_at = CURRENT_TIMESTAMP
-                WHERE id = $6`,
+                FROM (SELECT email FROM users WHERE id = $6) previous
+                WHERE u.id = $6
+                RETURNING u.id, u.first_name, u.email, (previous.email <> u.email) AS email_changed`,
                 [firstName, lastName, email.toLowerCase(), phone, countryCode, userId]
             );
 
@@ -172,9 +231,17 @@ router.put('/mentor/profile', authenticateUser, requireMentor, async (req, res)
 
             await client.query('COMMIT');
 
+            const updatedUser = userResult.rows[0];
+            if (updatedUser && updatedUser.email_changed) {
+                issueEmailVerification(updatedUser).catch(err => {
+                    console.error('Failed to send verification email after email change:', err);
+                });
+            }
+
             res.json({
                 success: true,
-                message: 'Profile updated successfully'
+                message: 'Profile updated successfully',
+                emailVerificationRequired: !!(updatedUser && updatedUser.email_changed)
             });
 
         } catch (err) {
@@ -281,23 +348,34 @@ router.put('/student/profile', authenticateUser, requireStudent, async (req, res
             });
         }
 
-        // Update users table
-        await pool.query(
-            `UPDATE users SET
+        // Update users table (a new email address has to be verified again)
+        const userResult = await pool.query(
+            `UPDATE users u SET
                 first_name = $1,
                 last_name = $2,
                 email = $3,
                 phone = $4,
                 country_code = $5,
                 date_of_birth = $6,
+                email_verified_at = CASE WHEN u.email = $3 THEN u.email_verified_at ELSE NULL END,
                 updated_at = CURRENT_TIMESTAMP
-            WHERE id = $7`,
+            FROM (SELECT email FROM users WHERE id = $7) previous
+            WHERE u.id = $7
+            RETURNING u.id, u.first_name, u.email, (previous.email <> u.email) AS email_changed`,
             [firstName, lastName, email.toLowerCase(), phone, countryCode, dateOfBirth || null, userId]
         );
 
+        const updatedUser = userResult.rows[0];
+        if (updatedUser && updatedUser.email_changed) {
+            issueEmailVerification(updatedUser).catch(err => {
+                console.error('Failed to send verification email after email change:', err);
+            });
+        }
+
         res.json({
             success: true,
-            message: 'Profile updated successfully'
+            message: 'Profile updated successfully',
+            emailVerificationRequired: !!(updatedUser && updatedUser.email_changed)
         });
 
     } catch (error) {
@@ -330,6 +408,13 @@ router.get('/mentor/availability', authenticateUser, requireMentor, async (req,
                 mentor_id,
                 timezone,
                 schedule,
+                buffer_before_minutes,
+                buffer_after_minutes,
+                min_notice_hours,
+                max_days_ahead,
+                max_sessions_per_day,
+                max_sessions_per_week,
+                max_active_bookings_per_student,
                 created_at,
                 updated_at
             FROM mentor_availability
@@ -337,6 +422,7 @@ router.get('/mentor/availability', authenticateUser, requireMentor, async (req,
         `;
 
         const result = await pool.query(query, [mentorId]);
+        const overrides = (await findAvailabilityOverrides(mentorId)).map(formatAvailabilityOverride);
 
         if (result.rows.length === 0) {
             return res.json({
@@ -351,6 +437,10 @@ router.get('/mentor/availability', authenticateUser, requireMentor, async (req,
                     Sunday: []
                 },
                 timezone: null,
+                bufferBeforeMinutes: 0,
+                bufferAfterMinutes: 0,
+                bookingLimits: getBookingLimits(null),
+                overrides,
                 requiresTimezone: true
             });
         }
@@ -377,6 +467,10 @@ router.get('/mentor/availability', authenticateUser, requireMentor, async (req,
             success: true,
             schedule: formattedSchedule,
             timezone: availability.timezone,
+            bufferBeforeMinutes: availability.buffer_before_minutes,
+            bufferAfterMinutes: availability.buffer_after_minutes,
+            bookingLimits: getBookingLimits(availability),
+            overrides,
             requiresTimezone: false
         });
 
@@ -394,7 +488,7 @@ router.get('/mentor/availability', authenticateUser, requireMentor, async (req,
 router.put('/mentor/availability', authenticateUser, requireMentor, async (req, res) => {
     try {
         const mentorId = req.user.id;
-        const { timezone, schedule } = req.body;
+        const { timezone, schedule, bufferBeforeMinutes, bufferAfterMinutes } = req.body;
 
         // Validate required fields
         if (!timezone || !schedule) {
@@ -404,9 +498,18 @@ router.put('/mentor/availability', authenticateUser, requireMentor, async (req,
             });
         }
 
-        // Validate timezone format (basic check for IANA identifier)
-        const timezoneRegex = /^[A-Za-z]+\/[A-Za-z_]+$/;
-        if (!timezoneRegex.test(timezone)) {
+        // Buffers are optional; when omitted the saved values are kept
+        for (const buffer of [bufferBeforeMinutes, bufferAfterMinutes]) {
+            if (buffer !== undefined && (!Number.isInteger(buffer) || buffer < 0 || buffer > MAX_BUFFER_MINUTES)) {
+                return res.status(400).json({
+                    success: false,
+                    message: `Buffers must be whole minutes between 0 and ${MAX_BUFFER_MINUTES}`
+                });
+            }
+        }
+
+        // Validate timezone (must be an IANA identifier the server can convert times with)
+        if (!isValidTimeZone(timezone)) {
             return res.status(400).json({
                 success: false,
                 message: 'Invalid timezone format. Expected IANA identifier (e.g., America/New_York)'
@@ -463,17 +566,25 @@ router.put('/mentor/availability', authenticateUser, requireMentor, async (req,
 
         // Upsert (insert or update) availability
         const upsertQuery = `
-            INSERT INTO mentor_availability (mentor_id, timezone, schedule)
-            VALUES ($1, $2, $3)
+            INSERT INTO mentor_availability (mentor_id, timezone, schedule, buffer_before_minutes, buffer_after_minutes)
+            VALUES ($1, $2, $3, COALESCE($4, 0), COALESCE($5, 0))
             ON CONFLICT (mentor_id)
             DO UPDATE SET
                 timezone = EXCLUDED.timezone,
                 schedule = EXCLUDED.schedule,
+                buffer_before_minutes = COALESCE($4, mentor_availability.buffer_before_minutes),
+                buffer_after_minutes = COALESCE($5, mentor_availability.buffer_after_minutes),
                 updated_at = CURRENT_TIMESTAMP
             RETURNING *
         `;
 
-        const result = await pool.query(upsertQuery, [mentorId, timezone, JSON.stringify(schedule)]);
+        const result = await pool.query(upsertQuery, [
+            mentorId,
+            timezone,
+            JSON.stringify(schedule),
+            bufferBeforeMinutes ?? null,
+            bufferAfterMinutes ?? null
+        ]);
         const availability = result.rows[0];
 
         res.json({
@@ -484,6 +595,8 @@ router.put('/mentor/availability', authenticateUser, requireMentor, async (req,
                 mentorId: availability.mentor_id,
                 timezone: availability.timezone,
                 schedule: availability.schedule,
+                bufferBeforeMinutes: availability.buffer_before_minutes,
+                bufferAfterMinutes: availability.buffer_after_minutes,
                 updatedAt: availability.updated_at
             }
         });
@@ -498,6 +611,224 @@ router.put('/mentor/availability', authenticateUser, requireMentor, async (req,
     }
 });
 
+// Update mentor booking limits (fields left out are unchanged; null removes a limit)
+router.put('/mentor/availability/limits', authenticateUser, requireMentor, async (req, res) => {
+    try {
+        const mentorId = req.user.id;
+        const updates = [];
+        const values = [];
+
+        for (const { field, column, min, max } of BOOKING_LIMIT_FIELDS) {
+            const value = req.body[field];
+
+            if (value === undefined) {
+                continue;
+            }
+
+            if (value !== null && (!Number.isInteger(value) || value < min || value > max)) {
+                return res.status(400).json({
+                    success: false,
+                    message: `${field} must be a whole number between ${min} and ${max}, or null for no limit`
+                });
+            }
+
+            values.push(value);
+            updates.push(`${column} = $${values.length}`);
+        }
+
+        if (updates.length === 0) {
+            return res.status(400).json({
+                success: false,
+                message: 'No booking limits provided'
+            });
+        }
+
+        values.push(mentorId);
+
+        const result = await pool.query(
+            `UPDATE mentor_availability
+            SET ${updates.join(', ')}, updated_at = CURRENT_TIMESTAMP
+            WHERE mentor_id = $${values.length}
+            RETURNING min_notice_hours, max_days_ahead, max_sessions_per_day, max_sessions_per_week,
+                max_active_bookings_per_student`,
+            values
+        );
+
+        // Limits live next to the schedule, so it has to exist first
+        if (result.rows.length === 0) {
+            return res.status(400).json({
+                success: false,
+                message: 'Please set your weekly availability before changing booking limits'
+            });
+        }
+
+        res.json({
+            success: true,
+            message: 'Booking limits saved successfully',
+            data: getBookingLimits(result.rows[0])
+        });
+
+    } catch (error) {
+        console.error('Error saving booking limits:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Failed to save booking limits',
+            error: process.env.NODE_ENV === 'development' ? error.message : undefined
+        });
+    }
+});
+
+// Add a date-specific override: time off (whole days or hours) or extra hours
+// Dates and times are in the mentor's timezone
+router.post('/mentor/availability/overrides', authenticateUser, requireMentor, async (req, res) => {
+    try {
+        const mentorId = req.user.id;
+        const { type, startDate, startTime, endTime, note } = req.body;
+        const endDate = req.body.endDate || startDate;
+
+        if (!OVERRIDE_TYPES.includes(type)) {
+            return res.status(400).json({
+                success: false,
+                message: `Invalid override type. Must be one of: ${OVERRIDE_TYPES.join(', ')}`
+            });
+        }
+
+        if (!isValidDateString(startDate) || !isValidDateString(endDate)) {
+            return res.status(400).json({
+                success: false,
+                message: 'Invalid date format. Expected YYYY-MM-DD'
+            });
+        }
+
+        if (endDate < startDate) {
+            return res.status(400).json({
+                success: false,
+                message: 'End date must be on or after start date'
+            });
+        }
+
+        if ((new Date(endDate) - new Date(startDate)) / (24 * 60 * 60 * 1000) + 1 > MAX_OVERRIDE_DAYS) {
+            return res.status(400).json({
+                success: false,
+                message: `An override cannot cover more than ${MAX_OVERRIDE_DAYS} days`
+            });
+        }
+
+        // Times are optional for blocked days (whole day) and required for extra hours
+        const timeRegex = /^([0-1][0-9]|2[0-3]):[0-5][0-9]$/;
+        const hasTimes = startTime !== undefined || endTime !== undefined;
+
+        if (type === 'available' && !hasTimes) {
+            return res.status(400).json({
+                success: false,
+                message: 'Start and end times are required for extra hours'
+            });
+        }
+
+        if (hasTimes) {
+            if (!timeRegex.test(startTime) || !timeRegex.test(endTime)) {
+                return res.status(400).json({
+                    success: false,
+                    message: 'Invalid time format. Expected HH:MM (24-hour format)'
+                });
+            }
+
+            if (startTime >= endTime) {
+                return res.status(400).json({
+                    success: false,
+                    message: 'Start time must be before end time'
+                });
+            }
+        }
+
+        if (note !== undefined && (typeof note !== 'string' || note.length > OVERRIDE_NOTE_MAX_LENGTH)) {
+            return res.status(400).json({
+                success: false,
+                message: `Note must be text of at most ${OVERRIDE_NOTE_MAX_LENGTH} characters`
+            });
+        }
+
+        // Overrides change the weekly schedule, so the mentor needs one (and its timezone) first
+        const availabilityResult = await pool.query(
+            'SELECT timezone FROM mentor_availability WHERE mentor_id = $1',
+            [mentorId]
+        );
+
+        if (availabilityResult.rows.length === 0) {
+            return res.status(400).json({
+                success: false,
+                message: 'Please set your weekly availability before adding date overrides'
+            });
+        }
+
+        const today = getZonedDateTime(new Date(), availabilityResult.rows[0].timezone).date;
+
+        if (endDate < today) {
+            return res.status(400).json({
+                success: false,
+                message: 'Overrides cannot be added for past dates'
+            });
+        }
+
+        if (await countUpcomingAvailabilityOverrides(mentorId) >= MAX_UPCOMING_OVERRIDES) {
+            return res.status(400).json({
+                success: false,
+                message: `You can have at most ${MAX_UPCOMING_OVERRIDES} upcoming overrides`
+            });
+        }
+
+        const override = await createAvailabilityOverride(mentorId, {
+            type,
+            startDate,
+            endDate,
+            startTime: hasTimes ? startTime : null,
+            endTime: hasTimes ? endTime : null,
+            note: note ? note.trim() : null
+        });
+
+        res.status(201).json({
+            success: true,
+            message: type === 'blocked' ? 'Time off added successfully' : 'Extra hours added successfully',
+            data: formatAvailabilityOverride(override)
+        });
+
+    } catch (error) {
+        console.error('Error adding availability override:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Failed to add availability override',
+            error: process.env.NODE_ENV === 'development' ? error.message : undefined
+        });
+    }
+});
+
+// Remove a date-specific override (existing bookings are not affected)
+router.delete('/mentor/availability/overrides/:id', authenticateUser, requireMentor, async (req, res) => {
+    try {
+        const deleted = await deleteAvailabilityOverride(req.params.id, req.user.id);
+
+        if (!deleted) {
+            return res.status(404).json({
+                success: false,
+                message: 'Override not found'
+            });
+        }
+
+        res.json({
+            success: true,
+            message: 'Override removed successfully'
+        });
+
+    } catch (error) {
+        console.error('Error removing availability override:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Failed to remove availability override',
+            error: process.env.NODE_ENV === 'development' ? error.message : undefined
+        });
+    }
+});
+
 // Get mentor services
 router.get('/mentor/services', authenticateUser, requireMentor, async (req, res) => {
     try {
@@ -512,6 +843,7 @@ router.get('/mentor/services', authenticateUser, requireMentor, async (req, res)
                 platform_fee,
                 taxes_fee,
                 total_price,
+                duration_minutes,
                 created_at,
                 updated_at
             FROM mentor_services
@@ -529,6 +861,7 @@ router.get('/mentor/services', authenticateUser, requireMentor, async (req, res)
             platformFee: row.platform_fee,
             taxesFee: row.taxes_fee,
             totalPrice: row.total_price,
+            durationMinutes: row.duration_minutes,
             createdAt: row.created_at,
             updatedAt: row.updated_at
         }));
@@ -548,6 +881,43 @@ router.get('/mentor/services', authenticateUser, requireMentor, async (req, res)
     }
 });
 
+// Preview the fees and total a student would pay for a mentor's price
+router.get('/mentor/services/pricing', authenticateUser, requireMentor, async (req, res) => {
+    try {
+        const documentType = await findMentorDocumentType(req.user.id);
+
+        // Without a price, just return the rates
+        if (req.query.price === undefined) {
+            return res.json({
+                success: true,
+                data: { rates: getPricingRates(documentType) }
+            });
+        }
+
+        const price = Number(req.query.price);
+
+        if (!Number.isInteger(price) || price <= 0) {
+            return res.status(400).json({
+                success: false,
+                message: 'Price must be a positive whole number'
+            });
+        }
+
+        res.json({
+            success: true,
+            data: calculateServicePrice(price, documentType)
+        });
+
+    } catch (error) {
+        console.error('Error calculating service pricing:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Failed to calculate pricing',
+            error: process.env.NODE_ENV === 'development' ? error.message : undefined
+        });
+    }
+});
+
 // Save/Update mentor services
 router.put('/mentor/services', authenticateUser, requireMentor, async (req, res) => {
     try {
@@ -571,53 +941,28 @@ router.put('/mentor/services', authenticateUser, requireMentor, async (req, res)
                 });
             }
 
-            if (!service.mentorSessionPrice || typeof service.mentorSessionPrice !== 'number' || service.mentorSessionPrice <= 0) {
-                return res.status(400).json({
-                    success: false,
-                    message: 'Each service must have a valid mentor session price (positive integer)'
-                });
-            }
-
-            if (typeof service.platformFee !== 'number' || service.platformFee < 0) {
-                return res.status(400).json({
-                    success: false,
-                    message: 'Each service must have a valid platform fee (non-negative integer)'
-                });
-            }
-
-            if (typeof service.taxesFee !== 'number' || service.taxesFee < 0) {
-                return res.status(400).json({
-                    success: false,
-                    message: 'Each service must have a valid taxes fee (non-negative integer)'
-                });
-            }
-
-            if (!service.totalPrice || typeof service.totalPrice !== 'number' || service.totalPrice <= 0) {
+            // Only the mentor's own price is accepted; fees and the total are worked out by the pricing service
+            if (!Number.isInteger(service.mentorSessionPrice) || service.mentorSessionPrice <= 0) {
                 return res.status(400).json({
                     success: false,
-                    message: 'Each service must have a valid total price (positive integer)'
+                    message: 'Each service must have a valid mentor session price (positive whole number)'
                 });
             }
 
-            // Ensure all prices are integers
-            if (!Number.isInteger(service.mentorSessionPrice) || !Number.isInteger(service.platformFee) ||
-                !Number.isInteger(service.taxesFee) || !Number.isInteger(service.totalPrice)) {
+            // Duration is optional (defaults to a standard session) and must be in 15-minute steps
+            if (service.durationMinutes !== undefined && (!Number.isInteger(service.durationMinutes) ||
+                service.durationMinutes < MIN_SERVICE_DURATION_MINUTES || service.durationMinutes > MAX_SERVICE_DURATION_MINUTES ||
+                service.durationMinutes % 15 !== 0)) {
                 return res.status(400).json({
                     success: false,
-                    message: 'All prices must be whole numbers (no decimals)'
-                });
-            }
-
-            // Verify total price calculation
-            const calculatedTotal = service.mentorSessionPrice + service.platformFee + service.taxesFee;
-            if (service.totalPrice !== calculatedTotal) {
-                return res.status(400).json({
-                    success: false,
-                    message: `Total price mismatch. Expected ${calculatedTotal}, got ${service.totalPrice}`
+                    message: `Service duration must be ${MIN_SERVICE_DURATION_MINUTES}-${MAX_SERVICE_DURATION_MINUTES} minutes in 15-minute steps`
                 });
             }
         }
 
+        // Tax rates depend on how the mentor is registered
+        const documentType = await findMentorDocumentType(mentorId);
+
         const client = await pool.connect();
         try {
             await client.query('BEGIN');
@@ -628,6 +973,7 @@ router.put('/mentor/services', authenticateUser, requireMentor, async (req, res)
             // Insert new services
             const insertedServices = [];
             for (const service of services) {
+                const price = calculateServicePrice(service.mentorSessionPrice, documentType);
                 const insertQuery = `
                     INSERT INTO mentor_services (
                         mentor_id,
@@ -635,20 +981,22 @@ router.put('/mentor/services', authenticateUser, requireMentor, async (req, res)
                         mentor_session_price,
                         platform_fee,
                         taxes_fee,
-                        total_price
+                        total_price,
+                        duration_minutes
                     )
-                    VALUES ($1, $2, $3, $4, $5, $6)
+                    VALUES ($1, $2, $3, $4, $5, $6, $7)
                     RETURNING id, mentor_id, mentorship_service, mentor_session_price,
-                              platform_fee, taxes_fee, total_price, created_at, updated_at
+                              platform_fee, taxes_fee, total_price, duration_minutes, created_at, updated_at
                 `;
 
                 const result = await client.query(insertQuery, [
                     mentorId,
                     service.mentorshipService,
-                    service.mentorSessionPrice,
-                    service.platformFee,
-                    service.taxesFee,
-                    service.totalPrice
+                    price.mentorSessionPrice,
+                    price.platformFee,
+                    price.taxesFee,
+                    price.totalPrice,
+                    service.durationMinutes ?? DEFAULT_SESSION_DURATION_MINUTES
                 ]);
 
                 insertedServices.push({
@@ -659,6 +1007,7 @@ router.put('/mentor/services', authenticateUser, requireMentor, async (req, res)
                     platformFee: result.rows[0].platform_fee,
                     taxesFee: result.rows[0].taxes_fee,
                     totalPrice: result.rows[0].total_price,
+                    durationMinutes: result.rows[0].duration_minutes,
                     createdAt: result.rows[0].created_at,
                     updatedAt: result.rows[0].updated_at
                 });
@@ -886,8 +1235,8 @@ router.get('/mentor/payment-info', authenticateUser, requireMentor, async (req,
     }
 });
 
-// Update mentor payment information
-router.put('/mentor/payment-info', authenticateUser, requireMentor, async (req, res) => {
+// Update mentor payment information (requires re-entering password/2FA via POST /api/auth/reauthenticate)
+router.put('/mentor/payment-info', authenticateUser, requireMentor, requireRecentAuth, async (req, res) => {
     try {
         const mentorId = req.user.id;
         const { identificationNumber, address, bank, bankRtgsCode, bankAccountNumber } = req.body;
@@ -974,8 +1323,117 @@ router.put('/mentor/payment-info', authenticateUser, requireMentor, async (req,
     }
 });
 
+const MAX_EARNINGS_RANGE_YEARS = 10;
+
+/**
+ * Check the from/to dates (YYYY-MM-DD, both or neither) and timezone of an earnings report
+ * Returns an error message, or null if the query is valid
+ */
+const validateEarningsQuery = ({ from, to, timezone }) => {
+    if (from !== undefined || to !== undefined) {
+        if (!isValidDateString(from) || !isValidDateString(to)) {
+            return 'from and to dates must both be given in YYYY-MM-DD format';
+        }
+
+        if (from > to) {
+            return 'to date must be on or after from date';
+        }
+
+        const maxFrom = new Date(`${to}T00:00:00.000Z`);
+        maxFrom.setUTCFullYear(maxFrom.getUTCFullYear() - MAX_EARNINGS_RANGE_YEARS);
+
+        if (new Date(`${from}T00:00:00.000Z`) < maxFrom) {
+            return `Date range cannot exceed ${MAX_EARNINGS_RANGE_YEARS} years`;
+        }
+    }
+
+    if (timezone !== undefined && !isValidTimeZone(timezone)) {
+        return 'Invalid timezone. Use an IANA timezone such as Asia/Tbilisi';
+    }
+
+    return null;
+};
+
+// Get mentor earnings: totals per week, month or year, per service, and pending vs paid-out amounts
+// from/to are dates in the mentor's timezone (or the given timezone); without them the last few periods are shown
+router.get('/mentor/earnings', authenticateUser, requireMentor, async (req, res) => {
+    try {
+        const { period = 'month', from, to, timezone } = req.query;
+
+        if (!EARNINGS_PERIODS.includes(period)) {
+            return res.status(400).json({
+                success: false,
+                message: 'Invalid period. Must be "week", "month" or "year"'
+            });
+        }
+
+        const validationError = validateEarningsQuery({ from, to, timezone });
+
+        if (validationError) {
+            return res.status(400).json({
+                success: false,
+                message: validationError
+            });
+        }
+
+        const earnings = await getMentorEarnings(req.user.id, {
+            period,
+            fromDate: from || null,
+            toDate: to || null,
+            timeZone: timezone || null
+        });
+
+        res.json({
+            success: true,
+            data: earnings
+        });
+
+    } catch (error) {
+        console.error('Error fetching earnings:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Failed to fetch earnings',
+            error: process.env.NODE_ENV === 'development' ? error.message : undefined
+        });
+    }
+});
+
+// Download the mentor's completed and no-show sessions with their earnings as CSV
+router.get('/mentor/earnings/export', authenticateUser, requireMentor, async (req, res) => {
+    try {
+        const { from, to, timezone } = req.query;
+
+        const validationError = validateEarningsQuery({ from, to, timezone });
+
+        if (validationError) {
+            return res.status(400).json({
+                success: false,
+                message: validationError
+            });
+        }
+
+        const { filename, csv } = await getMentorEarningsExport(req.user.id, {
+            fromDate: from || null,
+            toDate: to || null,
+            timeZone: timezone || null
+        });
+
+        res.attachment(filename);
+        res.type('text/csv; charset=utf-8');
+        res.send(csv);
+
+    } catch (error) {
+        console.error('Error exporting earnings:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Failed to export earnings',
+            error: process.env.NODE_ENV === 'development' ? error.message : undefined
+        });
+    }
+});
+
 // Submit mentor application
-router.post('/mentor/send-application', authenticateUser, requireMentor, async (req, res) => {
+router.post('/mentor/send-application', authenticateUser, requireMentor, requireVerifiedEmail, async (req, res) => {
     try {
         const mentorId = req.user.id;
 
@@ -1145,4 +1603,539 @@ router.post('/mentor/send-application', authenticateUser, requireMentor, async (
     }
 });
 
+const BOOKING_STATUSES = ['pending', 'confirmed', 'completed', 'cancelled_by_student', 'cancelled_by_mentor', 'no_show'];
+const PAYMENT_STATUSES = ['pending', 'paid', 'refunded', 'failed'];
+
+// Which side of the booking the current user is on, and who the other party is
+const BOOKING_ROLES = {
+    student: { ownerColumn: 'b.user_id', counterpartColumn: 'b.mentor_id', counterpartKey: 'mentor' },
+    mentor: { ownerColumn: 'b.mentor_id', counterpartColumn: 'b.user_id', counterpartKey: 'student' }
+};
+
+/**
+ * Parse a comma-separated filter such as "pending,confirmed"
+ * Returns null if any value is not allowed
+ */
+const parseListFilter = (value, allowedValues) => {
+    const values = String(value).split(',').map(item => item.trim()).filter(Boolean);
+    return values.every(item => allowedValues.includes(item)) ? values : null;
+};
+
+/**
+ * Parse a from/to date filter; a plain date (YYYY-MM-DD) as upper bound covers the whole day
+ */
+const parseDateFilter = (value, isUpperBound) => {
+    const isDateOnly = /^\d{4}-\d{2}-\d{2}$/.test(value);
+    const date = new Date(isDateOnly ? `${value}T${isUpperBound ? '23:59:59.999' : '00:00:00.000'}Z` : value);
+    return isNaN(date.getTime()) ? null : date;
+};
+
+/**
+ * Select bookings with service info and the other party's public details
+ */
+const buildBookingsQuery = (role, whereClause) => `
+    SELECT
+        b.id,
+        b.session_date,
+        b.duration_minutes,
+        b.session_topic,
+        b.notes,
+        b.mentor_price,
+        b.platform_fee,
+        b.taxes_fee,
+        b.total_price,
+        b.meeting_link,
+        b.meeting_platform,
+        b.customer_portal_link,
+        b.status,
+        b.payment_status,
+        b.payment_due_at,
+        b.paid_at,
+        b.cancellation_reason,
+        b.cancelled_at,
+        b.cancelled_by,
+        b.refund_amount,
+        b.confirmed_at,
+        b.completed_at,
+        b.completed_by,
+        b.no_show_party,
+        b.created_at,
+        b.updated_at,
+        ms.id AS service_id,
+        ms.mentorship_service,
+        c.id AS counterpart_id,
+        c.first_name AS counterpart_first_name,
+        c.last_name AS counterpart_last_name,
+        cmd.photo_url AS counterpart_photo_url,
+        cmd.current_position AS counterpart_current_position,
+        cmd.company AS counterpart_company
+    FROM bookings b
+    INNER JOIN users c ON c.id = ${BOOKING_ROLES[role].counterpartColumn}
+    LEFT JOIN mentor_details cmd ON cmd.user_id = c.id
+    LEFT JOIN mentor_services ms ON ms.id = b.service_id
+    WHERE ${whereClause}
+`;
+
+/**
+ * Format a booking row for the dashboard of the given role
+ */
+const formatBooking = (row, role) => ({
+    id: row.id,
+    sessionDate: row.session_date,
+    durationMinutes: row.duration_minutes,
+    sessionTopic: row.session_topic,
+    notes: row.notes,
+    mentorPrice: row.mentor_price,
+    platformFee: row.platform_fee,
+    taxesFee: row.taxes_fee,
+    totalPrice: row.total_price,
+    meetingLink: row.meeting_link,
+    meetingPlatform: row.meeting_platform,
+    customerPortalLink: row.customer_portal_link,
+    status: row.status,
+    paymentStatus: row.payment_status,
+    paymentDueAt: row.payment_due_at,
+    paidAt: row.paid_at,
+    cancellationReason: row.cancellation_reason,
+    cancelledAt: row.cancelled_at,
+    cancelledBy: row.cancelled_by,
+    refundAmount: row.refund_amount,
+    confirmedAt: row.confirmed_at,
+    completedAt: row.completed_at,
+    completedBy: row.completed_by,
+    noShowParty: row.no_show_party,
+    createdAt: row.created_at,
+    updatedAt: row.updated_at,
+    service: row.service_id ? {
+        id: row.service_id,
+        mentorshipService: row.mentorship_service
+    } : null,
+    [BOOKING_ROLES[role].counterpartKey]: {
+        id: row.counterpart_id,
+        firstName: row.counterpart_first_name,
+        lastName: row.counterpart_last_name,
+        name: `${row.counterpart_first_name} ${row.counterpart_last_name}`,
+        photoUrl: row.counterpart_photo_url,
+        ...(role === 'student' ? {
+            currentPosition: row.counterpart_current_position,
+            company: row.counterpart_company
+        } : {})
+    }
+});
+
+/**
+ * List the current user's bookings with filters and pagination
+ */
+const listBookings = async (req, res, role) => {
+    try {
+        const {
+            status = '',
+            paymentStatus = '',
+            from = '',
+            to = '',
+            order = 'asc',
+            page = 1,
+            limit = 10
+        } = req.query;
+
+        let whereConditions = [`${BOOKING_ROLES[role].ownerColumn} = $1`];
+        let queryParams = [req.user.id];
+        let paramCounter = 2;
+
+        // Status filter (comma-separated, e.g. "pending,confirmed")
+        if (status) {
+            const statuses = parseListFilter(status, BOOKING_STATUSES);
+            if (!statuses) {
+                return res.status(400).json({
+                    success: false,
+                    message: `Invalid status. Must be one of: ${BOOKING_STATUSES.join(', ')}`
+                });
+            }
+            queryParams.push(statuses);
+            whereConditions.push(`b.status = ANY($${paramCounter})`);
+            paramCounter++;
+        }
+
+        // Payment status filter
+        if (paymentStatus) {
+            const paymentStatuses = parseListFilter(paymentStatus, PAYMENT_STATUSES);
+            if (!paymentStatuses) {
+                return res.status(400).json({
+                    success: false,
+                    message: `Invalid paymentStatus. Must be one of: ${PAYMENT_STATUSES.join(', ')}`
+                });
+            }
+            queryParams.push(paymentStatuses);
+            whereConditions.push(`b.payment_status = ANY($${paramCounter})`);
+            paramCounter++;
+        }
+
+        // Date range filter on the session start (UTC)
+        if (from) {
+            const fromDate = parseDateFilter(from, false);
+            if (!fromDate) {
+                return res.status(400).json({
+                    success: false,
+                    message: 'Invalid "from" date'
+                });
+            }
+            queryParams.push(fromDate.toISOString());
+            whereConditions.push(`b.session_date >= $${paramCounter}`);
+            paramCounter++;
+        }
+
+        if (to) {
+            const toDate = parseDateFilter(to, true);
+            if (!toDate) {
+                return res.status(400).json({
+                    success: false,
+                    message: 'Invalid "to" date'
+                });
+            }
+            queryParams.push(toDate.toISOString());
+            whereConditions.push(`b.session_date <= $${paramCounter}`);
+            paramCounter++;
+        }
+
+        if (order !== 'asc' && order !== 'desc') {
+            return res.status(400).json({
+                success: false,
+                message: 'Invalid order. Must be "asc" or "desc"'
+            });
+        }
+
+        const pageNumber = Math.max(parseInt(page) || 1, 1);
+        const pageSize = Math.min(Math.max(parseInt(limit) || 10, 1), 100);
+        const offset = (pageNumber - 1) * pageSize;
+
+        const whereClause = whereConditions.join(' AND ');
+
+        // Get total count for pagination
+        const countResult = await pool.query(
+            `SELECT COUNT(*) FROM bookings b WHERE ${whereClause}`,
+            queryParams
+        );
+        const totalBookings = parseInt(countResult.rows[0].count);
+        const totalPages = Math.ceil(totalBookings / pageSize);
+
+        const bookingsQuery = `
+            ${buildBookingsQuery(role, whereClause)}
+            ORDER BY b.session_date ${order === 'desc' ? 'DESC' : 'ASC'}
+            LIMIT $${paramCounter} OFFSET $${paramCounter + 1}
+        `;
+
+        queryParams.push(pageSize, offset);
+        const bookingsResult = await pool.query(bookingsQuery, queryParams);
+
+        res.json({
+            success: true,
+            bookings: bookingsResult.rows.map(row => formatBooking(row, role)),
+            totalBookings,
+            totalPages,
+            currentPage: pageNumber
+        });
+
+    } catch (error) {
+        console.error('Error fetching bookings:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Failed to fetch bookings',
+            error: process.env.NODE_ENV === 'development' ? error.message : undefined
+        });
+    }
+};
+
+/**
+ * Get one of the current user's bookings
+ */
+const getBooking = async (req, res, role) => {
+    try {
+        const result = await pool.query(
+            buildBookingsQuery(role, `b.id = $1 AND ${BOOKING_ROLES[role].ownerColumn} = $2`),
+            [req.params.id, req.user.id]
+        );
+
+        if (result.rows.length === 0) {
+            return res.status(404).json({
+                success: false,
+                message: 'Booking not found'
+            });
+        }
+
+        res.json({
+            success: true,
+            data: {
+                ...formatBooking(result.rows[0], role),
+                reschedules: await getRescheduleHistory(req.params.id)
+            }
+        });
+
+    } catch (error) {
+        console.error('Error fetching booking:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Failed to fetch booking',
+            error: process.env.NODE_ENV === 'development' ? error.message : undefined
+        });
+    }
+};
+
+// Status codes for the errors thrown by booking actions (cancel, reschedule)
+const BOOKING_ACTION_ERRORS = {
+    'Booking not found': 404,
+    'No pending reschedule request for this booking': 404,
+    'The new session time must be in the future': 400,
+    'The new session time is too soon': 400,
+    'The new session time is too far in advance': 400,
+    'The mentor is fully booked on the new session date': 409,
+    'The mentor is fully booked in the new session week': 409,
+    'The new session time must be different from the current one': 400,
+    'The new session time is outside the mentor\'s availability': 400,
+    'Only pending or confirmed bookings can be cancelled': 409,
+    'Only pending bookings can be declined': 409,
+    'Only pending bookings can be confirmed': 409,
+    'Sessions that have already started cannot be confirmed': 409,
+    'Only confirmed bookings can be marked as completed or no-show': 409,
+    'The session has not ended yet': 409,
+    'Sessions that have already started cannot be cancelled': 409,
+    'Only pending or confirmed bookings can be rescheduled': 409,
+    'Sessions that have already started cannot be rescheduled': 409,
+    'A reschedule request is already pending for this booking': 409,
+    'The new session time is already booked': 409,
+    'The proposed time has already passed': 409,
+    'The proposed time is no longer available': 409,
+    'The proposed time is no longer within your availability': 409
+};
+
+/**
+ * Respond to an error from a booking action
+ */
+const handleBookingActionError = (error, res, failureMessage) => {
+    const status = BOOKING_ACTION_ERRORS[error.message];
+
+    if (status) {
+        return res.status(status).json({
+            success: false,
+            message: error.message
+        });
+    }
+
+    res.status(500).json({
+        success: false,
+        message: failureMessage,
+        error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+};
+
+/**
+ * Cancel one of the current user's bookings (or, for mentors, decline a pending one)
+ */
+const cancelOwnBooking = async (req, res, role, { decline = false } = {}) => {
+    try {
+        const { reason } = req.body;
+
+        if (!reason || typeof reason !== 'string' || reason.trim() === '') {
+            return res.status(400).json({
+                success: false,
+                message: decline ? 'Please provide a reason for declining' : 'Please provide a cancellation reason'
+            });
+        }
+
+        const cancelled = await cancelBooking(req.params.id, { userId: req.user.id, role }, reason.trim(), {
+            onlyPending: decline
+        });
+
+        res.json({
+            success: true,
+            message: decline ? 'Booking declined' : 'Booking cancelled successfully',
+            data: cancelled
+        });
+
+    } catch (error) {
+        console.error('Error cancelling booking:', error);
+        handleBookingActionError(error, res, decline ? 'Failed to decline booking' : 'Failed to cancel booking');
+    }
+};
+
+/**
+ * Mark one of the current user's sessions as completed or no-show
+ */
+const recordOwnSessionOutcome = async (req, res, role, outcome) => {
+    try {
+        const updated = await recordSessionOutcome(req.params.id, { userId: req.user.id, role }, outcome);
+
+        res.json({
+            success: true,
+            message: outcome === 'completed' ? 'Session marked as completed' : 'Session marked as no-show',
+            data: updated
+        });
+
+    } catch (error) {
+        console.error('Error recording session outcome:', error);
+        handleBookingActionError(error, res, 'Failed to update booking');
+    }
+};
+
+/**
+ * Mentor accepts or declines the open reschedule request of a booking
+ */
+const respondToOwnReschedule = async (req, res, accept) => {
+    try {
+        const { note } = req.body || {};
+
+        if (note !== undefined && note !== null && typeof note !== 'string') {
+            return res.status(400).json({
+                success: false,
+                message: 'Note must be text'
+            });
+        }
+
+        const reschedule = await respondToReschedule(req.params.id, req.user.id, {
+            accept,
+            note: note ? note.trim() : null
+        });
+
+        res.json({
+            success: true,
+            message: accept ? 'Booking rescheduled successfully' : 'Reschedule request declined',
+            data: reschedule
+        });
+
+    } catch (error) {
+        console.error('Error responding to reschedule request:', error);
+        handleBookingActionError(error, res, 'Failed to respond to reschedule request');
+    }
+};
+
+// Get student's bookings (upcoming sessions, history)
+router.get('/student/bookings', authenticateUser, requireStudent, (req, res) => listBookings(req, res, 'student'));
+
+// Get a single booking of the student
+router.get('/student/bookings/:id', authenticateUser, requireStudent, (req, res) => getBooking(req, res, 'student'));
+
+// Cancel a booking as the student
+router.post('/student/bookings/:id/cancel', authenticateUser, requireStudent, (req, res) => cancelOwnBooking(req, res, 'student'));
+
+// Mark a session as completed (after it has ended)
+router.post('/student/bookings/:id/complete', authenticateUser, requireStudent, (req, res) => recordOwnSessionOutcome(req, res, 'student', 'completed'));
+
+// Report that the mentor didn't attend the session
+router.post('/student/bookings/:id/no-show', authenticateUser, requireStudent, (req, res) => recordOwnSessionOutcome(req, res, 'student', 'no_show'));
+
+// Ask the mentor to move a booking to a new time
+router.post('/student/bookings/:id/reschedule', authenticateUser, requireStudent, async (req, res) => {
+    try {
+        const { sessionDate, reason } = req.body;
+
+        if (!sessionDate) {
+            return res.status(400).json({
+                success: false,
+                message: 'Missing required field: sessionDate'
+            });
+        }
+
+        const sessionDateObj = new Date(sessionDate);
+        if (isNaN(sessionDateObj.getTime())) {
+            return res.status(400).json({
+                success: false,
+                message: 'Invalid session date format'
+            });
+        }
+
+        const reschedule = await requestReschedule(req.params.id, req.user.id, {
+            sessionDate: sessionDateObj,
+            reason: typeof reason === 'string' && reason.trim() ? reason.trim() : null
+        });
+
+        res.status(201).json({
+            success: true,
+            message: 'Reschedule request sent to the mentor',
+            data: reschedule
+        });
+
+    } catch (error) {
+        console.error('Error requesting reschedule:', error);
+        handleBookingActionError(error, res, 'Failed to request reschedule');
+    }
+});
+
+// Withdraw the open reschedule request of a booking
+router.delete('/student/bookings/:id/reschedule', authenticateUser, requireStudent, async (req, res) => {
+    try {
+        const reschedule = await withdrawReschedule(req.params.id, req.user.id);
+
+        res.json({
+            success: true,
+            message: 'Reschedule request withdrawn',
+            data: reschedule
+        });
+
+    } catch (error) {
+        console.error('Error withdrawing reschedule request:', error);
+        handleBookingActionError(error, res, 'Failed to withdraw reschedule request');
+    }
+});
+
+// Get mentor's bookings (schedule, history)
+router.get('/mentor/bookings', authenticateUser, requireMentor, (req, res) => listBookings(req, res, 'mentor'));
+
+// Get a single booking of the mentor
+router.get('/mentor/bookings/:id', authenticateUser, requireMentor, (req, res) => getBooking(req, res, 'mentor'));
+
+// Cancel a booking as the mentor
+router.post('/mentor/bookings/:id/cancel', authenticateUser, requireMentor, (req, res) => cancelOwnBooking(req, res, 'mentor'));
+
+// Accept the student's proposed new time
+router.post('/mentor/bookings/:id/reschedule/accept', authenticateUser, requireMentor, (req, res) => respondToOwnReschedule(req, res, true));
+
+// Decline the student's proposed new time (booking keeps its current time)
+router.post('/mentor/bookings/:id/reschedule/decline', authenticateUser, requireMentor, (req, res) => respondToOwnReschedule(req, res, false));
+
+// Confirm a pending booking, optionally adding the meeting details
+router.post('/mentor/bookings/:id/confirm', authenticateUser, requireMentor, async (req, res) => {
+    try {
+        const { meetingLink, meetingPlatform } = req.body || {};
+
+        if (meetingLink !== undefined && meetingLink !== null &&
+            (typeof meetingLink !== 'string' || !/^https?:\/\/\S+$/.test(meetingLink) || meetingLink.length > 500)) {
+            return res.status(400).json({
+                success: false,
+                message: 'Meeting link must be a valid http(s) URL'
+            });
+        }
+
+        if (meetingPlatform !== undefined && meetingPlatform !== null &&
+            (typeof meetingPlatform !== 'string' || meetingPlatform.trim() === '' || meetingPlatform.length > 50)) {
+            return res.status(400).json({
+                success: false,
+                message: 'Invalid meeting platform'
+            });
+        }
+
+        const confirmed = await confirmBooking(req.params.id, req.user.id, {
+            meetingLink,
+            meetingPlatform: meetingPlatform ? meetingPlatform.trim() : null
+        });
+
+        res.json({
+            success: true,
+            message: 'Booking confirmed successfully',
+            data: confirmed
+        });
+
+    } catch (error) {
+        console.error('Error confirming booking:', error);
+        handleBookingActionError(error, res, 'Failed to confirm booking');
+    }
+});
+
+// Decline a pending booking (the student gets a full refund)
+router.post('/mentor/bookings/:id/decline', authenticateUser, requireMentor, (req, res) => cancelOwnBooking(req, res, 'mentor', { decline: true }));
+
+// Mark a session as completed (after it has ended)
+router.post('/mentor/bookings/:id/complete', authenticateUser, requireMentor, (req, res) => recordOwnSessionOutcome(req, res, 'mentor', 'completed'));
+
+// Report that the student didn't attend the session
+router.post('/mentor/bookings/:id/no-show', authenticateUser, requireMentor, (req, res) => recordOwnSessionOutcome(req, res, 'mentor', 'no_show'));
+
 export default router;
@@ -0,0 +1,124 @@
+import express from 'express';
+import { authenticateUser } from '../middleware/auth.js';
+import {
+    getMarketingConsent,
+    updateMarketingConsent,
+    unsubscribeWithToken
+} from '../services/marketingConsentService.js';
+
+const router = express.Router();
+
+const CONSENT_SOURCES = ['web_app', 'mobile_app'];
+
+// Get current user's marketing consent and its history
+router.get('/consent', authenticateUser, async (req, res) => {
+    try {
+        const consent = await getMarketingConsent(req.user.id);
+
+        res.json({
+            success: true,
+            data: consent
+        });
+
+    } catch (error) {
+        console.error('Error fetching marketing consent:', error);
+
+        if (error.message === 'User not found') {
+            return res.status(404).json({
+                success: false,
+                message: error.message
+            });
+        }
+
+        res.status(500).json({
+            success: false,
+            message: 'Failed to fetch marketing consent',
+            error: process.env.NODE_ENV === 'development' ? error.message : undefined
+        });
+    }
+});
+
+// Give or withdraw marketing consent
+router.put('/consent', authenticateUser, async (req, res) => {
+    try {
+        const { agreeToMarketing, source = 'web_app' } = req.body;
+
+        if (typeof agreeToMarketing !== 'boolean') {
+            return res.status(400).json({
+                success: false,
+                message: 'agreeToMarketing must be true or false'
+            });
+        }
+
+        if (!CONSENT_SOURCES.includes(source)) {
+            return res.status(400).json({
+                success: false,
+                message: `Invalid source. Must be one of: ${CONSENT_SOURCES.join(', ')}`
+            });
+        }
+
+        const result = await updateMarketingConsent(req.user.id, { consentGiven: agreeToMarketing, source }, req);
+
+        res.json({
+            success: true,
+            message: agreeToMarketing ? 'You are subscribed to marketing emails' : 'You are unsubscribed from marketing emails',
+            data: result
+        });
+
+    } catch (error) {
+        console.error('Error updating marketing consent:', error);
+
+        if (error.message === 'User not found') {
+            return res.status(404).json({
+                success: false,
+                message: error.message
+            });
+        }
+
+        res.status(500).json({
+            success: false,
+            message: 'Failed to update marketing consent',
+            error: process.env.NODE_ENV === 'development' ? error.message : undefined
+        });
+    }
+});
+
+// Unsubscribe from marketing emails with a signed link - Public endpoint
+// Mail clients send one-click requests (RFC 8058) with the token in the query string
+router.post('/unsubscribe', async (req, res) => {
+    try {
+        const token = req.query.token || (req.body && req.body.token);
+
+        if (!token) {
+            return res.status(400).json({
+                success: false,
+                message: 'Unsubscribe token is required'
+            });
+        }
+
+        await unsubscribeWithToken(token, req);
+
+        res.json({
+            success: true,
+            message: 'You have been unsubscribed from marketing emails'
+        });
+
+    } catch (error) {
+        console.error('Error unsubscribing from marketing emails:', error);
+
+        if (error.message === 'Invalid unsubscribe link') {
+            return res.status(400).json({
+                success: false,
+                message: error.message
+            });
+        }
+
+        res.status(500).json({
+            success: false,
+            message: 'Failed to unsubscribe',
+            error: process.env.NODE_ENV === 'development' ? error.message : undefined
+        });
+    }
+});
+
+export default router;
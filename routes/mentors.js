@@ -1,5 +1,10 @@
 import express from 'express';
 import pool from '../db/config.js';
+import { getMentorBookableSlots, getBookingLimits } from '../services/bookingService.js';
+import { isValidTimeZone, isValidDateString } from '../services/availabilityService.js';
+import { findAvailabilityOverrides } from '../dal/availabilityDal.js';
+import { findMentorDocumentType } from '../dal/userDal.js';
+import { calculateServicePrice } from '../services/pricingService.js';
 
 const router = express.Router();
 
@@ -106,6 +111,7 @@ router.get('/:id', async (req, res) => {
             FROM users u
             INNER JOIN mentor_details md ON u.id = md.user_id
             WHERE u.id = $1 AND u.user_type = 'mentor'
+            AND u.deletion_scheduled_for IS NULL AND u.deleted_at IS NULL
         `;
 
         const result = await pool.query(mentorQuery, [id]);
@@ -159,7 +165,7 @@ router.get('/:id/availability', async (req, res) => {
 
         // First verify mentor exists
         const mentorCheck = await pool.query(
-            'SELECT id FROM users WHERE id = $1 AND user_type = $2',
+            'SELECT id FROM users WHERE id = $1 AND user_type = $2 AND deletion_scheduled_for IS NULL AND deleted_at IS NULL',
             [id, 'mentor']
         );
 
@@ -177,6 +183,13 @@ router.get('/:id/availability', async (req, res) => {
                 mentor_id,
                 timezone,
                 schedule,
+                buffer_before_minutes,
+                buffer_after_minutes,
+                min_notice_hours,
+                max_days_ahead,
+                max_sessions_per_day,
+                max_sessions_per_week,
+                max_active_bookings_per_student,
                 created_at,
                 updated_at
             FROM mentor_availability
@@ -194,12 +207,24 @@ router.get('/:id/availability', async (req, res) => {
         }
 
         const availability = result.rows[0];
+        const overrides = await findAvailabilityOverrides(id);
 
         const availabilityData = {
             id: availability.id,
             mentorId: availability.mentor_id,
             timezone: availability.timezone,
             schedule: availability.schedule,
+            bufferBeforeMinutes: availability.buffer_before_minutes,
+            bufferAfterMinutes: availability.buffer_after_minutes,
+            bookingLimits: getBookingLimits(availability),
+            // Date-specific time off and extra hours (the mentor's private notes are left out)
+            overrides: overrides.map(override => ({
+                type: override.override_type,
+                startDate: override.start_date,
+                endDate: override.end_date,
+                startTime: override.start_time,
+                endTime: override.end_time
+            })),
             createdAt: availability.created_at,
             updatedAt: availability.updated_at
         };
@@ -226,7 +251,7 @@ router.get('/:id/services', async (req, res) => {
 
         // First verify mentor exists
         const mentorCheck = await pool.query(
-            'SELECT id FROM users WHERE id = $1 AND user_type = $2',
+            'SELECT id FROM users WHERE id = $1 AND user_type = $2 AND deletion_scheduled_for IS NULL AND deleted_at IS NULL',
             [id, 'mentor']
         );
 
@@ -244,9 +269,7 @@ router.get('/:id/services', async (req, res) => {
                 mentor_id,
                 mentorship_service,
                 mentor_session_price,
-                platform_fee,
-                taxes_fee,
-                total_price,
+                duration_minutes,
                 created_at,
                 updated_at
             FROM mentor_services
@@ -255,19 +278,25 @@ router.get('/:id/services', async (req, res) => {
         `;
 
         const result = await pool.query(servicesQuery, [id]);
-
-        // Format response with camelCase
-        const services = result.rows.map(service => ({
-            id: service.id,
-            mentorId: service.mentor_id,
-            mentorshipService: service.mentorship_service,
-            mentorSessionPrice: service.mentor_session_price,
-            platformFee: service.platform_fee,
-            taxesFee: service.taxes_fee,
-            totalPrice: service.total_price,
-            createdAt: service.created_at,
-            updatedAt: service.updated_at
-        }));
+        const documentType = await findMentorDocumentType(id);
+
+        // Format response with camelCase; fees are what booking now would cost (see POST /api/bookings)
+        const services = result.rows.map(service => {
+            const price = calculateServicePrice(service.mentor_session_price, documentType);
+
+            return {
+                id: service.id,
+                mentorId: service.mentor_id,
+                mentorshipService: service.mentorship_service,
+                mentorSessionPrice: price.mentorSessionPrice,
+                platformFee: price.platformFee,
+                taxesFee: price.taxesFee,
+                totalPrice: price.totalPrice,
+                durationMinutes: service.duration_minutes,
+                createdAt: service.created_at,
+                updatedAt: service.updated_at
+            };
+        });
 
         res.json({
             success: true,
@@ -284,6 +313,104 @@ router.get('/:id/services', async (req, res) => {
     }
 });
 
+const MAX_SLOT_RANGE_DAYS = 31;
+
+// Get bookable session start times for a mentor - Public endpoint
+// from/to are dates (YYYY-MM-DD) in the viewer's timezone; times are returned in UTC and labelled in that timezone
+router.get('/:id/slots', async (req, res) => {
+    try {
+        const { id } = req.params;
+        const { from, to, serviceId, timezone = 'UTC' } = req.query;
+
+        if (!isValidDateString(from) || !isValidDateString(to)) {
+            return res.status(400).json({
+                success: false,
+                message: 'from and to dates are required in YYYY-MM-DD format'
+            });
+        }
+
+        const rangeDays = (new Date(to) - new Date(from)) / (24 * 60 * 60 * 1000) + 1;
+
+        if (rangeDays < 1) {
+            return res.status(400).json({
+                success: false,
+                message: 'to date must be on or after from date'
+            });
+        }
+
+        if (rangeDays > MAX_SLOT_RANGE_DAYS) {
+            return res.status(400).json({
+                success: false,
+                message: `Date range cannot exceed ${MAX_SLOT_RANGE_DAYS} days`
+            });
+        }
+
+        if (!isValidTimeZone(timezone)) {
+            return res.status(400).json({
+                success: false,
+                message: 'Invalid timezone. Use an IANA timezone such as Asia/Tbilisi'
+            });
+        }
+
+        // First verify mentor exists
+        const mentorCheck = await pool.query(
+            'SELECT id FROM users WHERE id = $1 AND user_type = $2 AND deletion_scheduled_for IS NULL AND deleted_at IS NULL',
+            [id, 'mentor']
+        );
+
+        if (mentorCheck.rows.length === 0) {
+            return res.status(404).json({
+                success: false,
+                message: 'Mentor not found'
+            });
+        }
+
+        // Slots are sized to the chosen service's duration
+        let durationMinutes;
+
+        if (serviceId) {
+            const serviceCheck = await pool.query(
+                'SELECT id, duration_minutes FROM mentor_services WHERE id = $1 AND mentor_id = $2',
+                [serviceId, id]
+            );
+
+            if (serviceCheck.rows.length === 0) {
+                return res.status(404).json({
+                    success: false,
+                    message: 'Service not found'
+                });
+            }
+
+            durationMinutes = serviceCheck.rows[0].duration_minutes;
+        }
+
+        const result = await getMentorBookableSlots(id, {
+            fromDate: from,
+            toDate: to,
+            viewerTimezone: timezone,
+            durationMinutes
+        });
+
+        // Mentor hasn't set availability yet - nothing is bookable
+        res.json({
+            success: true,
+            data: result || {
+                mentorTimezone: null,
+                viewerTimezone: timezone,
+                slots: []
+            }
+        });
+
+    } catch (error) {
+        console.error('Error fetching mentor slots:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Failed to fetch available slots',
+            error: process.env.NODE_ENV === 'development' ? error.message : undefined
+        });
+    }
+});
+
 // Get all mentors with pagination and filtering
 router.get('/', async (req, res) => {
     try {
@@ -301,8 +428,12 @@ router.get('/', async (req, res) => {
 
         const offset = (parseInt(page) - 1) * parseInt(limit);
 
-        // Build WHERE clause for filters
-        let whereConditions = ["u.user_type = 'mentor'"];
+        // Build WHERE clause for filters (mentors who are deleting their account are no longer listed)
+        let whereConditions = [
+            "u.user_type = 'mentor'",
+            'u.deletion_scheduled_for IS NULL',
+            'u.deleted_at IS NULL'
+        ];
         let queryParams = [];
         let paramCounter = 1;
 
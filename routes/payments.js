@@ -0,0 +1,120 @@
+import express from 'express';
+import { authenticateUser, requireStudent } from '../middleware/auth.js';
+import { createCheckout, handlePaymentWebhook } from '../services/paymentService.js';
+import { isFakeProviderEnabled } from '../services/paymentProviders/index.js';
+import { getCheckoutSession, completeCheckoutSession } from '../services/paymentProviders/fakeProvider.js';
+
+const router = express.Router();
+
+// Service errors that are safe to show, with their status codes
+const PAYMENT_ERRORS = {
+    'Booking not found': 404,
+    'Only pending or confirmed bookings can be paid': 409,
+    'This booking is already paid': 409,
+    'The payment deadline for this booking has passed': 409
+};
+
+// Start paying for a booking - returns the provider's checkout URL
+router.post('/bookings/:bookingId/checkout', authenticateUser, requireStudent, async (req, res) => {
+    try {
+        const payment = await createCheckout(req.params.bookingId, req.user.id);
+
+        res.status(201).json({
+            success: true,
+            data: payment
+        });
+
+    } catch (error) {
+        console.error('Error creating checkout:', error);
+
+        const status = PAYMENT_ERRORS[error.message];
+
+        if (status) {
+            return res.status(status).json({
+                success: false,
+                message: error.message
+            });
+        }
+
+        res.status(500).json({
+            success: false,
+            message: 'Failed to start checkout',
+            error: process.env.NODE_ENV === 'development' ? error.message : undefined
+        });
+    }
+});
+
+// Payment provider webhook - Public endpoint, authenticated by its signature
+// The body arrives unparsed (see index.js) because the signature covers the exact bytes sent
+router.post('/webhook', async (req, res) => {
+    try {
+        const rawBody = Buffer.isBuffer(req.body) ? req.body.toString('utf8') : '';
+        await handlePaymentWebhook(rawBody, req.headers);
+
+        // Duplicates are acknowledged too, so the provider stops retrying them
+        res.json({ received: true });
+
+    } catch (error) {
+        if (error.message === 'Invalid webhook signature') {
+            return res.status(400).json({
+                success: false,
+                message: error.message
+            });
+        }
+
+        // Anything else is retried by the provider
+        console.error('Error processing payment webhook:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Failed to process webhook',
+            error: process.env.NODE_ENV === 'development' ? error.message : undefined
+        });
+    }
+});
+
+// Fake provider checkout pages - only when PAYMENT_PROVIDER=fake outside production
+if (isFakeProviderEnabled()) {
+    // Show the fake checkout page
+    router.get('/fake/checkout/:sessionId', (req, res) => {
+        const session = getCheckoutSession(req.params.sessionId);
+
+        if (!session) {
+            return res.status(404).send('Checkout session not found');
+        }
+
+        res.send(`
+            <!DOCTYPE html>
+            <html>
+            <head><meta charset="UTF-8"><title>Fake checkout</title></head>
+            <body style="font-family: Arial, sans-serif; max-width: 400px; margin: 40px auto;">
+                <h1>Fake checkout</h1>
+                <p>${session.description}</p>
+                <p><strong>${(session.amount / 100).toFixed(2)} ${session.currency}</strong></p>
+                <form method="POST" action="${req.params.sessionId}/complete?outcome=paid"><button>Pay</button></form>
+                <form method="POST" action="${req.params.sessionId}/complete?outcome=failed"><button>Decline payment</button></form>
+            </body>
+            </html>
+        `);
+    });
+
+    // Finish the fake checkout: deliver the signed webhook a real provider would send, then return to the app
+    router.post('/fake/checkout/:sessionId/complete', async (req, res) => {
+        try {
+            const outcome = req.query.outcome === 'paid' ? 'paid' : 'failed';
+            const webhook = completeCheckoutSession(req.params.sessionId, outcome);
+
+            if (!webhook) {
+                return res.status(404).send('Checkout session not found');
+            }
+
+            await handlePaymentWebhook(webhook.rawBody, webhook.headers);
+            res.redirect(303, webhook.redirectUrl);
+
+        } catch (error) {
+            console.error('Error completing fake checkout:', error);
+            res.status(500).send('Failed to complete checkout');
+        }
+    });
+}
+
+export default router;
@@ -0,0 +1,209 @@
+// Business logic for personal data export and account deletion
+import pool from '../db/config.js';
+import { findUserById } from '../dal/userDal.js';
+import { revokeAllSessions } from '../dal/sessionDal.js';
+import {
+    findAccountExportData,
+    countUpcomingBookings,
+    scheduleAccountDeletion,
+    cancelAccountDeletion,
+    findAccountsDueForDeletion,
+    lockAccountDueForDeletion,
+    purgeAccountData
+} from '../dal/accountDal.js';
+import { getUnpaidEarnings } from './payoutService.js';
+import { deleteFromSupabase } from './storageService.js';
+import { sendAccountDeletionScheduledEmail, sendAccountDeletedEmail } from './emailService.js';
+
+const ACCOUNT_DELETION_GRACE_DAYS = parseInt(process.env.ACCOUNT_DELETION_GRACE_DAYS) || 30;
+const ACCOUNT_DELETION_BATCH_SIZE = 50;
+
+/**
+ * Convert a database row's snake_case keys to camelCase
+ */
+const toCamelCase = (row) => {
+    if (!row) {
+        return null;
+    }
+
+    return Object.fromEntries(
+        Object.entries(row).map(([key, value]) => [
+            key.replace(/_([a-z])/g, (match, letter) => letter.toUpperCase()),
+            value
+        ])
+    );
+};
+
+/**
+ * Build a copy of everything stored about the user
+ */
+export const exportAccountData = async (userId) => {
+    const data = await findAccountExportData(userId);
+
+    if (!data) {
+        throw new Error('User not found');
+    }
+
+    return {
+        exportedAt: new Date().toISOString(),
+        profile: toCamelCase(data.user),
+        marketingConsentHistory: data.marketingConsentHistory.map(toCamelCase),
+        mentorProfile: toCamelCase(data.mentorDetails),
+        documentConfirmation: toCamelCase(data.documentConfirmation),
+        availability: toCamelCase(data.availability),
+        availabilityOverrides: data.availabilityOverrides.map(toCamelCase),
+        services: data.services.map(toCamelCase),
+        paymentInfo: toCamelCase(data.paymentInfo),
+        bookings: data.bookings.map(toCamelCase),
+        bookingReschedules: data.bookingReschedules.map(toCamelCase),
+        payments: data.payments.map(toCamelCase),
+        refunds: data.refunds.map(toCamelCase),
+        ledgerEntries: data.ledgerEntries.map(toCamelCase),
+        payouts: data.payouts.map(toCamelCase),
+        sessions: data.sessions.map(toCamelCase),
+        loginAttempts: data.loginAttempts.map(toCamelCase),
+        apiKeys: data.apiKeys.map(toCamelCase),
+        twoFactor: {
+            enabled: !!(data.twoFactor && data.twoFactor.enabled_at),
+            enabledAt: data.twoFactor ? data.twoFactor.enabled_at : null
+        }
+    };
+};
+
+/**
+ * Schedule the account for deletion after the grace period
+ * Other sessions are signed out; the current one stays so the user can still cancel
+ */
+export const requestAccountDeletion = async (userId, sessionId) => {
+    const user = await findUserById(userId);
+
+    if (!user) {
+        throw new Error('User not found');
+    }
+
+    if (user.deletion_scheduled_for) {
+        throw new Error('Account deletion is already scheduled');
+    }
+
+    if (await countUpcomingBookings(userId) > 0) {
+        throw new Error('Cancel your upcoming bookings before deleting your account');
+    }
+
+    if (user.user_type === 'mentor' && await getUnpaidEarnings(userId) > 0) {
+        throw new Error('Your earnings must be paid out before you can delete your account');
+    }
+
+    const scheduledFor = new Date(Date.now() + ACCOUNT_DELETION_GRACE_DAYS * 24 * 60 * 60 * 1000);
+    const scheduled = await scheduleAccountDeletion(userId, scheduledFor);
+
+    if (!scheduled) {
+        throw new Error('Account deletion is already scheduled');
+    }
+
+    await revokeAllSessions(userId, 'account_deletion', { exceptSessionId: sessionId });
+
+    // Send confirmation email (non-blocking)
+    sendAccountDeletionScheduledEmail({
+        firstName: user.first_name,
+        email: user.email
+    }, scheduled.deletion_scheduled_for).catch(error => {
+        console.error('Failed to send account deletion scheduled email:', error);
+    });
+
+    return {
+        requestedAt: scheduled.deletion_requested_at,
+        scheduledFor: scheduled.deletion_scheduled_for
+    };
+};
+
+/**
+ * Cancel a pending account deletion during the grace period
+ */
+export const cancelAccountDeletionRequest = async (userId) => {
+    const cancelled = await cancelAccountDeletion(userId);
+
+    if (!cancelled) {
+        throw new Error('No account deletion is scheduled');
+    }
+};
+
+/**
+ * Permanently delete one account whose grace period has ended
+ * Returns false if the account was cancelled or purged in the meantime, still has upcoming bookings,
+ * or the mentor is still owed earnings
+ */
+const purgeAccount = async (userId) => {
+    const client = await pool.connect();
+    let user;
+
+    try {
+        await client.query('BEGIN');
+
+        user = await lockAccountDueForDeletion(userId, client);
+
+        if (!user) {
+            await client.query('ROLLBACK');
+            return false;
+        }
+
+        // A session completed during the grace period can still be owed; purge after the next payout settles
+        if (user.user_type === 'mentor' && await getUnpaidEarnings(userId) > 0) {
+            await client.query('ROLLBACK');
+            console.warn(`Account ${userId} is kept until the mentor's remaining earnings are paid out`);
+            return false;
+        }
+
+        // A booking made just before the deletion was scheduled would otherwise lose its other party
+        if (await countUpcomingBookings(userId, client) > 0) {
+            await client.query('ROLLBACK');
+            console.warn(`Account ${userId} is kept until its upcoming bookings are over or cancelled`);
+            return false;
+        }
+
+        await purgeAccountData(user, client);
+
+        await client.query('COMMIT');
+    } catch (error) {
+        await client.query('ROLLBACK');
+        throw error;
+    } finally {
+        client.release();
+    }
+
+    // Storage cleanup happens after commit; a leftover file is logged rather than undoing the deletion
+    if (user.photo_url) {
+        deleteFromSupabase(user.photo_url).catch(error => {
+            console.error(`Failed to delete photo for purged account ${userId}:`, error);
+        });
+    }
+
+    sendAccountDeletedEmail({
+        firstName: user.first_name,
+        email: user.email
+    }).catch(error => {
+        console.error('Failed to send account deleted email:', error);
+    });
+
+    return true;
+};
+
+/**
+ * Purge all accounts whose deletion grace period has ended
+ * Returns the number of accounts deleted
+ */
+export const purgeDueAccountDeletions = async () => {
+    const dueAccounts = await findAccountsDueForDeletion(ACCOUNT_DELETION_BATCH_SIZE);
+    let purgedCount = 0;
+
+    for (const account of dueAccounts) {
+        try {
+            if (await purgeAccount(account.id)) {
+                purgedCount++;
+            }
+        } catch (error) {
+            console.error(`Failed to purge account ${account.id}:`, error);
+        }
+    }
+
+    return purgedCount;
+};
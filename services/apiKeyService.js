@@ -0,0 +1,115 @@
+// Business logic for personal API keys
+import crypto from 'crypto';
+import { findUserById } from '../dal/userDal.js';
+import {
+    createApiKey as insertApiKey,
+    findActiveApiKeyByPrefix,
+    touchApiKey,
+    findApiKeysByUser,
+    revokeApiKey as markApiKeyRevoked
+} from '../dal/apiKeyDal.js';
+
+const API_KEY_PREFIX = 'zak';
+const MAX_API_KEYS_PER_USER = 10;
+
+// A scope is "<api area>:<read|write>"; the area is the mount path under /api
+// Auth routes (sessions, passwords, API keys themselves) and admin routes (which need 2FA on a session)
+// are never reachable with an API key
+export const API_KEY_SCOPES = [
+    'bookings:read',
+    'bookings:write',
+    'dashboard:read',
+    'dashboard:write'
+];
+
+/**
+ * Hash a full API key for storage and comparison
+ */
+const hashApiKey = (apiKey) => {
+    return crypto.createHash('sha256').update(apiKey).digest('hex');
+};
+
+/**
+ * Whether a bearer credential looks like an API key rather than a JWT
+ */
+export const isApiKey = (credential) => {
+    return credential.startsWith(`${API_KEY_PREFIX}_`);
+};
+
+/**
+ * Scope needed for a request, e.g. GET /api/bookings/... -> 'bookings:read'
+ */
+export const getRequiredScope = (req) => {
+    const area = req.baseUrl.replace(/^\/api\//, '').split('/')[0];
+    const access = ['GET', 'HEAD', 'OPTIONS'].includes(req.method) ? 'read' : 'write';
+    return `${area}:${access}`;
+};
+
+/**
+ * Resolve an API key to its owner and scopes
+ */
+export const verifyApiKey = async (apiKey) => {
+    const [, keyPrefix] = apiKey.split('_');
+    const record = keyPrefix ? await findActiveApiKeyByPrefix(keyPrefix) : null;
+
+    if (!record ||
+        !crypto.timingSafeEqual(Buffer.from(record.key_hash), Buffer.from(hashApiKey(apiKey)))) {
+        throw new Error('Invalid API key');
+    }
+
+    const user = await findUserById(record.user_id);
+
+    if (!user) {
+        throw new Error('Invalid API key');
+    }
+
+    touchApiKey(record.id).catch(error => {
+        console.error('Failed to record API key usage:', error);
+    });
+
+    return { user, apiKeyId: record.id, scopes: record.scopes };
+};
+
+/**
+ * Create a new API key; the full key is only returned here
+ */
+export const createApiKey = async (userId, { name, scopes, expiresInDays }) => {
+    const existing = await findApiKeysByUser(userId);
+
+    if (existing.length >= MAX_API_KEYS_PER_USER) {
+        throw new Error('Maximum number of API keys reached');
+    }
+
+    const keyPrefix = crypto.randomBytes(6).toString('hex');
+    const apiKey = `${API_KEY_PREFIX}_${keyPrefix}_${crypto.randomBytes(24).toString('hex')}`;
+    const expiresAt = expiresInDays ? new Date(Date.now() + expiresInDays * 24 * 60 * 60 * 1000) : null;
+
+    const record = await insertApiKey({
+        userId,
+        name,
+        keyPrefix,
+        keyHash: hashApiKey(apiKey),
+        scopes,
+        expiresAt
+    });
+
+    return { apiKey, record };
+};
+
+/**
+ * List a user's active API keys (without secrets)
+ */
+export const listApiKeys = async (userId) => {
+    return findApiKeysByUser(userId);
+};
+
+/**
+ * Revoke one of the user's API keys
+ */
+export const revokeApiKey = async (userId, apiKeyId) => {
+    const revoked = await markApiKeyRevoked(apiKeyId, userId);
+
+    if (!revoked) {
+        throw new Error('API key not found');
+    }
+};
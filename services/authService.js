@@ -1,5 +1,6 @@
 // Business logic for authentication
 import bcrypt from 'bcrypt';
+import crypto from 'crypto';
 import jwt from 'jsonwebtoken';
 import pool from '../db/config.js';
 import {
@@ -8,38 +9,205 @@ import {
     createMentor,
     recordMarketingConsent,
     findUserByEmail,
-    findUserById
+    findUserById,
+    findUserWithPasswordById,
+    updateUserPassword,
+    markEmailVerified
 } from '../dal/userDal.js';
-import { sendStudentWelcomeEmail, sendMentorWelcomeEmail } from './emailService.js';
+import {
+    createPasswordResetToken,
+    findValidPasswordResetToken,
+    invalidatePasswordResetTokens
+} from '../dal/passwordResetDal.js';
+import {
+    createEmailVerificationToken,
+    findValidEmailVerificationToken,
+    findLatestEmailVerificationToken,
+    invalidateEmailVerificationTokens
+} from '../dal/emailVerificationDal.js';
+import {
+    createSession,
+    findActiveSession,
+    findSessionByRefreshTokenHash,
+    rotateSessionRefreshToken,
+    findActiveSessionsByUser,
+    revokeSession,
+    revokeAllSessions,
+    markSessionReauthenticated
+} from '../dal/sessionDal.js';
+import {
+    recordLoginAttempt,
+    countFailedLoginAttemptsByIp,
+    incrementFailedLogins,
+    lockUser,
+    resetFailedLogins,
+    createAccountUnlockToken,
+    findValidAccountUnlockToken,
+    invalidateAccountUnlockTokens
+} from '../dal/loginAttemptDal.js';
+import {
+    sendStudentWelcomeEmail,
+    sendMentorWelcomeEmail,
+    sendPasswordResetEmail,
+    sendEmailVerificationEmail,
+    sendPasswordChangedEmail,
+    sendAccountLockedEmail
+} from './emailService.js';
+import { revokeAllApiKeys } from '../dal/apiKeyDal.js';
+import { isTwoFactorEnabled, verifySecondFactor } from './twoFactorService.js';
 
 const JWT_SECRET = process.env.JWT_SECRET || 'jwt-secret';
-const JWT_EXPIRES_IN = process.env.JWT_EXPIRES_IN || '7d';
+const ACCESS_TOKEN_EXPIRES_MINUTES = parseInt(process.env.ACCESS_TOKEN_EXPIRES_MINUTES) || 15;
+const REFRESH_TOKEN_EXPIRES_DAYS = parseInt(process.env.REFRESH_TOKEN_EXPIRES_DAYS) || 30;
+const PASSWORD_RESET_EXPIRES_MINUTES = parseInt(process.env.PASSWORD_RESET_EXPIRES_MINUTES) || 60;
+const EMAIL_VERIFICATION_EXPIRES_HOURS = parseInt(process.env.EMAIL_VERIFICATION_EXPIRES_HOURS) || 24;
+const EMAIL_VERIFICATION_RESEND_SECONDS = 60;
+const FRONTEND_URL = process.env.FRONTEND_URL || 'http://localhost:5173';
+
+// Login throttling: failures are counted within a sliding window per account and per IP
+const LOGIN_ATTEMPT_WINDOW_MINUTES = parseInt(process.env.LOGIN_ATTEMPT_WINDOW_MINUTES) || 15;
+const LOGIN_DELAY_AFTER_ATTEMPTS = parseInt(process.env.LOGIN_DELAY_AFTER_ATTEMPTS) || 3;
+const LOGIN_LOCKOUT_AFTER_ATTEMPTS = parseInt(process.env.LOGIN_LOCKOUT_AFTER_ATTEMPTS) || 10;
+const LOGIN_LOCKOUT_MINUTES = parseInt(process.env.LOGIN_LOCKOUT_MINUTES) || 30;
+const LOGIN_MAX_FAILED_PER_IP = parseInt(process.env.LOGIN_MAX_FAILED_PER_IP) || 50;
+const LOGIN_MAX_DELAY_SECONDS = 300;
+const TWO_FACTOR_CHALLENGE_EXPIRES_SECONDS = 5 * 60;
+
+// Cookie lifetimes matching the token lifetimes
+export const ACCESS_TOKEN_MAX_AGE_MS = ACCESS_TOKEN_EXPIRES_MINUTES * 60 * 1000;
+export const REFRESH_TOKEN_MAX_AGE_MS = REFRESH_TOKEN_EXPIRES_DAYS * 24 * 60 * 60 * 1000;
 
 /**
- * Generate JWT token for user
+ * Generate short-lived JWT access token bound to a session
  */
-const generateToken = (user) => {
+const generateAccessToken = (user, sessionId) => {
     return jwt.sign(
         {
             id: user.id,
             email: user.email,
-            userType: user.user_type
+            userType: user.user_type,
+            sid: sessionId
         },
         JWT_SECRET,
-        { expiresIn: JWT_EXPIRES_IN }
+        { expiresIn: ACCESS_TOKEN_EXPIRES_MINUTES * 60 }
     );
 };
 
+/**
+ * Hash a random token for storage (tokens are only stored as SHA-256 digests)
+ */
+const hashToken = (token) => {
+    return crypto.createHash('sha256').update(token).digest('hex');
+};
+
 /**
  * Get client metadata from request
  */
-const getClientMetadata = (req) => {
+export const getClientMetadata = (req) => {
     return {
         ipAddress: req.ip || req.headers['x-forwarded-for'] || req.connection.remoteAddress,
         userAgent: req.headers['user-agent']
     };
 };
 
+/**
+ * Build a login throttling error carrying how long the client should wait
+ */
+const loginThrottleError = (message, retryAfterSeconds) => {
+    const error = new Error(message);
+    error.retryAfter = Math.max(1, Math.ceil(retryAfterSeconds));
+    return error;
+};
+
+/**
+ * Seconds a user must wait after their last failure before trying again
+ * Doubles with every failure past LOGIN_DELAY_AFTER_ATTEMPTS: 1s, 2s, 4s, ... up to LOGIN_MAX_DELAY_SECONDS
+ */
+const getLoginDelaySeconds = (failedAttempts) => {
+    if (failedAttempts < LOGIN_DELAY_AFTER_ATTEMPTS) {
+        return 0;
+    }
+    return Math.min(2 ** (failedAttempts - LOGIN_DELAY_AFTER_ATTEMPTS), LOGIN_MAX_DELAY_SECONDS);
+};
+
+/**
+ * Record a failed password for an existing user and lock the account once the threshold is hit
+ * Returns the lock expiry when this failure caused a lockout
+ */
+const registerFailedLogin = async (user) => {
+    const windowStart = new Date(Date.now() - LOGIN_ATTEMPT_WINDOW_MINUTES * 60 * 1000);
+    const { failed_login_attempts: failedAttempts } = await incrementFailedLogins(user.id, windowStart);
+
+    if (failedAttempts < LOGIN_LOCKOUT_AFTER_ATTEMPTS) {
+        return null;
+    }
+
+    const lockedUntil = new Date(Date.now() + LOGIN_LOCKOUT_MINUTES * 60 * 1000);
+    await lockUser(user.id, lockedUntil);
+
+    // Email an unlock link that stays valid for the lock duration
+    const token = crypto.randomBytes(32).toString('hex');
+    await createAccountUnlockToken({
+        userId: user.id,
+        tokenHash: hashToken(token),
+        expiresAt: lockedUntil
+    });
+
+    const unlockUrl = `${FRONTEND_URL}/unlock-account?token=${token}`;
+
+    sendAccountLockedEmail({
+        firstName: user.first_name,
+        email: user.email
+    }, unlockUrl, LOGIN_LOCKOUT_MINUTES).catch(error => {
+        console.error('Failed to send account locked email:', error);
+    });
+
+    return lockedUntil;
+};
+
+/**
+ * Start a new session for the user and issue its first token pair
+ */
+const startSession = async (user, req) => {
+    const refreshToken = crypto.randomBytes(32).toString('hex');
+    const clientMetadata = getClientMetadata(req);
+
+    const session = await createSession({
+        userId: user.id,
+        refreshTokenHash: hashToken(refreshToken),
+        userAgent: clientMetadata.userAgent,
+        ipAddress: clientMetadata.ipAddress,
+        expiresAt: new Date(Date.now() + REFRESH_TOKEN_MAX_AGE_MS)
+    });
+
+    return {
+        token: generateAccessToken(user, session.id),
+        refreshToken
+    };
+};
+
+/**
+ * Create a verification token for the user's current email and send the link
+ */
+export const issueEmailVerification = async (user) => {
+    const token = crypto.randomBytes(32).toString('hex');
+    const expiresAt = new Date(Date.now() + EMAIL_VERIFICATION_EXPIRES_HOURS * 60 * 60 * 1000);
+
+    await createEmailVerificationToken({
+        userId: user.id,
+        email: user.email,
+        tokenHash: hashToken(token),
+        expiresAt
+    });
+
+    const verifyUrl = `${FRONTEND_URL}/verify-email?token=${token}`;
+
+    await sendEmailVerificationEmail({
+        firstName: user.first_name,
+        email: user.email
+    }, verifyUrl, EMAIL_VERIFICATION_EXPIRES_HOURS);
+};
+
 /**
  * Register a new student
  */
@@ -94,8 +262,8 @@ export const registerStudent = async (data, req) => {
 
         await client.query('COMMIT');
 
-        // Generate JWT token
-        const token = generateToken(newUser);
+        // Start session and generate tokens
+        const { token, refreshToken } = await startSession(newUser, req);
 
         // Send welcome email (non-blocking)
         sendStudentWelcomeEmail({
@@ -106,9 +274,15 @@ export const registerStudent = async (data, req) => {
             console.error('Failed to send welcome email, but registration succeeded:', error);
         });
 
+        // Send email verification link (non-blocking)
+        issueEmailVerification(newUser).catch(error => {
+            console.error('Failed to send verification email, but registration succeeded:', error);
+        });
+
         return {
             user: newUser,
-            token
+            token,
+            refreshToken
         };
 
     } catch (error) {
@@ -189,8 +363,8 @@ export const registerMentor = async (data, req) => {
         consentData
     );
 
-    // Generate JWT token
-    const token = generateToken(newUser);
+    // Start session and generate tokens
+    const { token, refreshToken } = await startSession(newUser, req);
 
     // Send welcome email (non-blocking)
     sendMentorWelcomeEmail({
@@ -201,45 +375,246 @@ export const registerMentor = async (data, req) => {
         console.error('Failed to send welcome email, but registration succeeded:', error);
     });
 
+    // Send email verification link (non-blocking)
+    issueEmailVerification(newUser).catch(error => {
+        console.error('Failed to send verification email, but registration succeeded:', error);
+    });
+
     return {
         user: newUser,
-        token
+        token,
+        refreshToken
     };
 };
 
+/**
+ * Refuse locked or throttled accounts before any credential is checked
+ * An expired lock starts the failure count over
+ */
+const assertLoginAllowed = async (user, windowStart) => {
+    if (user.locked_until) {
+        if (new Date(user.locked_until) > new Date()) {
+            throw loginThrottleError(
+                'Account temporarily locked due to too many failed login attempts. Check your email to unlock it.',
+                (new Date(user.locked_until).getTime() - Date.now()) / 1000
+            );
+        }
+
+        await resetFailedLogins(user.id);
+        user.failed_login_attempts = 0;
+        user.last_failed_login_at = null;
+        user.locked_until = null;
+    }
+
+    // Progressive delay between attempts once failures start piling up
+    const lastFailureInWindow = user.last_failed_login_at && new Date(user.last_failed_login_at) > windowStart;
+    if (lastFailureInWindow) {
+        const nextAttemptAt = new Date(user.last_failed_login_at).getTime() + getLoginDelaySeconds(user.failed_login_attempts) * 1000;
+        if (nextAttemptAt > Date.now()) {
+            throw loginThrottleError('Too many failed login attempts. Please try again later.', (nextAttemptAt - Date.now()) / 1000);
+        }
+    }
+};
+
+/**
+ * Record a failed credential check and throw the matching error
+ */
+const rejectLogin = async (user, attempt, message) => {
+    await recordLoginAttempt({ ...attempt, userId: user.id, success: false });
+    const lockedUntil = await registerFailedLogin(user);
+
+    if (lockedUntil) {
+        throw loginThrottleError(
+            'Account temporarily locked due to too many failed login attempts. Check your email to unlock it.',
+            LOGIN_LOCKOUT_MINUTES * 60
+        );
+    }
+
+    throw new Error(message);
+};
+
+/**
+ * Record a successful login and start the session
+ */
+const completeLogin = async (user, attempt, req) => {
+    await recordLoginAttempt({ ...attempt, userId: user.id, success: true });
+    if (user.failed_login_attempts > 0 || user.locked_until) {
+        await resetFailedLogins(user.id);
+    }
+
+    // Start session and generate tokens
+    const { token, refreshToken } = await startSession(user, req);
+
+    // Remove password from user object
+    const { password: _, ...userWithoutPassword } = user;
+    return { user: userWithoutPassword, token, refreshToken };
+};
+
 /**
  * Login user
+ * Resolves to { twoFactorRequired, challengeToken } instead of tokens when the account has 2FA enabled
  */
-export const loginUser = async (email, password) => {
+export const loginUser = async (email, password, req) => {
+    const clientMetadata = getClientMetadata(req);
+    const attempt = {
+        email,
+        ipAddress: clientMetadata.ipAddress,
+        userAgent: clientMetadata.userAgent
+    };
+
+    // Throttle by IP first so unknown emails can't be sprayed without limit
+    const windowStart = new Date(Date.now() - LOGIN_ATTEMPT_WINDOW_MINUTES * 60 * 1000);
+    const ipFailures = await countFailedLoginAttemptsByIp(clientMetadata.ipAddress, windowStart);
+    if (ipFailures >= LOGIN_MAX_FAILED_PER_IP) {
+        throw loginThrottleError('Too many failed login attempts. Please try again later.', LOGIN_ATTEMPT_WINDOW_MINUTES * 60);
+    }
+
     // Find user by email
     const user = await findUserByEmail(email.toLowerCase());
 
     if (!user) {
+        await recordLoginAttempt({ ...attempt, success: false });
         throw new Error('Invalid email or password');
     }
 
+    await assertLoginAllowed(user, windowStart);
+
     // Verify password
     const isPasswordValid = await bcrypt.compare(password, user.password);
 
     if (!isPasswordValid) {
-        throw new Error('Invalid email or password');
+        await rejectLogin(user, attempt, 'Invalid email or password');
     }
 
-    // Generate JWT token
-    const token = generateToken(user);
+    // Second step: hand back a short-lived challenge instead of a session
+    if (await isTwoFactorEnabled(user.id)) {
+        return {
+            twoFactorRequired: true,
+            challengeToken: jwt.sign(
+                { id: user.id, purpose: 'two_factor_login' },
+                JWT_SECRET,
+                { expiresIn: TWO_FACTOR_CHALLENGE_EXPIRES_SECONDS }
+            )
+        };
+    }
 
-    // Remove password from user object
-    const { password: _, ...userWithoutPassword } = user;
-    return { user: userWithoutPassword, token };
+    return completeLogin(user, attempt, req);
 };
 
 /**
- * Verify JWT token and get user data
+ * Finish a 2FA login with a TOTP code or a recovery code
+ */
+export const completeTwoFactorLogin = async (challengeToken, { code, recoveryCode }, req) => {
+    let decoded;
+    try {
+        decoded = jwt.verify(challengeToken, JWT_SECRET);
+    } catch (error) {
+        throw new Error('Login challenge expired. Please log in again.');
+    }
+
+    if (decoded.purpose !== 'two_factor_login') {
+        throw new Error('Login challenge expired. Please log in again.');
+    }
+
+    const user = await findUserById(decoded.id);
+
+    if (!user) {
+        throw new Error('Login challenge expired. Please log in again.');
+    }
+
+    const clientMetadata = getClientMetadata(req);
+    const attempt = {
+        email: user.email,
+        ipAddress: clientMetadata.ipAddress,
+        userAgent: clientMetadata.userAgent
+    };
+
+    const windowStart = new Date(Date.now() - LOGIN_ATTEMPT_WINDOW_MINUTES * 60 * 1000);
+    await assertLoginAllowed(user, windowStart);
+
+    const isFactorValid = await verifySecondFactor(user.id, { code, recoveryCode });
+
+    if (!isFactorValid) {
+        await rejectLogin(user, attempt, 'Invalid authentication code');
+    }
+
+    return completeLogin(user, attempt, req);
+};
+
+/**
+ * Check a logged-in user's password and, with secondFactor, their TOTP or recovery code
+ * Failures count towards the same per-IP limit, delays and lockout as logins, so a stolen session can't
+ * be used to guess the password; user must come from findUserWithPasswordById
+ */
+export const verifyUserCredentials = async (user, { password, code, recoveryCode }, req, {
+    secondFactor = false,
+    passwordError = 'Current password is incorrect',
+    codeError = 'Invalid authentication code'
+} = {}) => {
+    const clientMetadata = getClientMetadata(req);
+    const attempt = {
+        email: user.email,
+        ipAddress: clientMetadata.ipAddress,
+        userAgent: clientMetadata.userAgent
+    };
+
+    const windowStart = new Date(Date.now() - LOGIN_ATTEMPT_WINDOW_MINUTES * 60 * 1000);
+    const ipFailures = await countFailedLoginAttemptsByIp(clientMetadata.ipAddress, windowStart);
+    if (ipFailures >= LOGIN_MAX_FAILED_PER_IP) {
+        throw loginThrottleError('Too many failed login attempts. Please try again later.', LOGIN_ATTEMPT_WINDOW_MINUTES * 60);
+    }
+
+    await assertLoginAllowed(user, windowStart);
+
+    const isPasswordValid = password ? await bcrypt.compare(password, user.password) : false;
+
+    if (!isPasswordValid) {
+        await rejectLogin(user, attempt, passwordError);
+    }
+
+    if (secondFactor && !(await verifySecondFactor(user.id, { code, recoveryCode }))) {
+        await rejectLogin(user, attempt, codeError);
+    }
+
+    await recordLoginAttempt({ ...attempt, userId: user.id, success: true });
+    if (user.failed_login_attempts > 0) {
+        await resetFailedLogins(user.id);
+    }
+};
+
+/**
+ * Re-check credentials on the current session before a sensitive change
+ * Requires the password, plus a TOTP or recovery code when 2FA is enabled
+ */
+export const reauthenticate = async (userId, sessionId, { password, code, recoveryCode }, req) => {
+    const user = await findUserWithPasswordById(userId);
+
+    if (!user) {
+        throw new Error('User not found');
+    }
+
+    await verifyUserCredentials(user, { password, code, recoveryCode }, req, {
+        secondFactor: await isTwoFactorEnabled(userId)
+    });
+
+    await markSessionReauthenticated(sessionId);
+};
+
+/**
+ * Verify JWT access token and get user data
+ * Also returns the session id so callers can tell which session is current
  */
 export const verifyToken = async (token) => {
     // Verify token
     const decoded = jwt.verify(token, JWT_SECRET);
 
+    // The session behind the token must still be active (not logged out or revoked)
+    const session = decoded.sid ? await findActiveSession(decoded.sid) : null;
+
+    if (!session || session.user_id !== decoded.id) {
+        throw new Error('Session expired');
+    }
+
     // Fetch fresh user data from database
     const user = await findUserById(decoded.id);
 
@@ -247,5 +622,323 @@ export const verifyToken = async (token) => {
         throw new Error('User not found');
     }
 
-    return user;
+    return { ...user, session_id: session.id };
+};
+
+/**
+ * Exchange a refresh token for a new token pair
+ * Presenting an already-rotated refresh token revokes the whole session and resolves to null
+ */
+export const refreshSession = async (refreshToken, req) => {
+    const client = await pool.connect();
+
+    try {
+        await client.query('BEGIN');
+
+        const tokenHash = hashToken(refreshToken);
+        const session = await findSessionByRefreshTokenHash(tokenHash, client);
+
+        if (!session || session.revoked_at || new Date(session.expires_at) <= new Date()) {
+            throw new Error('Invalid refresh token');
+        }
+
+        if (session.refresh_token_hash !== tokenHash) {
+            // An old token was replayed - assume it was stolen and end the session
+            await revokeSession(session.id, session.user_id, 'refresh_token_reuse', client);
+            await client.query('COMMIT');
+            return null;
+        }
+
+        const user = await findUserById(session.user_id);
+
+        if (!user) {
+            throw new Error('Invalid refresh token');
+        }
+
+        const newRefreshToken = crypto.randomBytes(32).toString('hex');
+        const clientMetadata = getClientMetadata(req);
+
+        await rotateSessionRefreshToken(session.id, {
+            refreshTokenHash: hashToken(newRefreshToken),
+            userAgent: clientMetadata.userAgent,
+            ipAddress: clientMetadata.ipAddress,
+            expiresAt: new Date(Date.now() + REFRESH_TOKEN_MAX_AGE_MS)
+        }, client);
+
+        await client.query('COMMIT');
+
+        return {
+            user,
+            token: generateAccessToken(user, session.id),
+            refreshToken: newRefreshToken
+        };
+
+    } catch (error) {
+        await client.query('ROLLBACK');
+        throw error;
+    } finally {
+        client.release();
+    }
+};
+
+/**
+ * End the session that owns a refresh token (used on logout)
+ */
+export const endSession = async (refreshToken) => {
+    const client = await pool.connect();
+
+    try {
+        await client.query('BEGIN');
+
+        const session = await findSessionByRefreshTokenHash(hashToken(refreshToken), client);
+        if (session && !session.revoked_at) {
+            await revokeSession(session.id, session.user_id, 'logout', client);
+        }
+
+        await client.query('COMMIT');
+    } catch (error) {
+        await client.query('ROLLBACK');
+        throw error;
+    } finally {
+        client.release();
+    }
+};
+
+/**
+ * List a user's active sessions
+ */
+export const listSessions = async (userId) => {
+    return findActiveSessionsByUser(userId);
+};
+
+/**
+ * Revoke one of the user's sessions
+ */
+export const revokeUserSession = async (userId, sessionId) => {
+    const revoked = await revokeSession(sessionId, userId, 'user_revoked');
+
+    if (!revoked) {
+        throw new Error('Session not found');
+    }
+};
+
+/**
+ * Revoke all of the user's sessions, optionally keeping the current one, and all of their API keys
+ * Returns the number of sessions revoked
+ */
+export const revokeUserSessions = async (userId, exceptSessionId = null) => {
+    const client = await pool.connect();
+
+    try {
+        await client.query('BEGIN');
+
+        const revokedCount = await revokeAllSessions(userId, 'user_revoked', { exceptSessionId }, client);
+        await revokeAllApiKeys(userId, client);
+
+        await client.query('COMMIT');
+        return revokedCount;
+    } catch (error) {
+        await client.query('ROLLBACK');
+        throw error;
+    } finally {
+        client.release();
+    }
+};
+
+/**
+ * Request a password reset link
+ * Resolves silently when the email is unknown so callers can't probe for accounts
+ */
+export const requestPasswordReset = async (email, req) => {
+    const user = await findUserByEmail(email.toLowerCase());
+
+    if (!user) {
+        return;
+    }
+
+    const token = crypto.randomBytes(32).toString('hex');
+    const expiresAt = new Date(Date.now() + PASSWORD_RESET_EXPIRES_MINUTES * 60 * 1000);
+    const clientMetadata = getClientMetadata(req);
+
+    await createPasswordResetToken({
+        userId: user.id,
+        tokenHash: hashToken(token),
+        expiresAt,
+        ipAddress: clientMetadata.ipAddress,
+        userAgent: clientMetadata.userAgent
+    });
+
+    const resetUrl = `${FRONTEND_URL}/reset-password?token=${token}`;
+
+    // Send reset email (non-blocking)
+    sendPasswordResetEmail({
+        firstName: user.first_name,
+        email: user.email
+    }, resetUrl, PASSWORD_RESET_EXPIRES_MINUTES).catch(error => {
+        console.error('Failed to send password reset email:', error);
+    });
+};
+
+/**
+ * Reset password using a token from the reset email
+ */
+export const resetPassword = async (token, password) => {
+    const client = await pool.connect();
+
+    try {
+        await client.query('BEGIN');
+
+        const resetToken = await findValidPasswordResetToken(hashToken(token), client);
+
+        if (!resetToken) {
+            throw new Error('Invalid or expired reset token');
+        }
+
+        const hashedPassword = await bcrypt.hash(password, 10);
+        await updateUserPassword(resetToken.user_id, hashedPassword, client);
+
+        // Burn this token and any other outstanding tokens for the user
+        await invalidatePasswordResetTokens(resetToken.user_id, client);
+
+        // Log out everywhere, API keys included
+        await revokeAllSessions(resetToken.user_id, 'password_reset', {}, client);
+        await revokeAllApiKeys(resetToken.user_id, client);
+
+        // Proving access to the inbox also lifts any login lockout
+        await resetFailedLogins(resetToken.user_id, client);
+        await invalidateAccountUnlockTokens(resetToken.user_id, client);
+
+        await client.query('COMMIT');
+
+    } catch (error) {
+        await client.query('ROLLBACK');
+        throw error;
+    } finally {
+        client.release();
+    }
+};
+
+/**
+ * Verify email address using a token from the verification email
+ */
+export const verifyEmail = async (token) => {
+    const client = await pool.connect();
+
+    try {
+        await client.query('BEGIN');
+
+        const verificationToken = await findValidEmailVerificationToken(hashToken(token), client);
+
+        if (!verificationToken) {
+            throw new Error('Invalid or expired verification token');
+        }
+
+        // The token only counts for the address it was sent to
+        const verified = await markEmailVerified(verificationToken.user_id, verificationToken.email, client);
+
+        if (!verified) {
+            throw new Error('Invalid or expired verification token');
+        }
+
+        await invalidateEmailVerificationTokens(verificationToken.user_id, client);
+
+        await client.query('COMMIT');
+        return verified;
+
+    } catch (error) {
+        await client.query('ROLLBACK');
+        throw error;
+    } finally {
+        client.release();
+    }
+};
+
+/**
+ * Resend the verification email to a logged-in user
+ */
+export const resendEmailVerification = async (userId) => {
+    const user = await findUserById(userId);
+
+    if (!user) {
+        throw new Error('User not found');
+    }
+
+    if (user.email_verified_at) {
+        throw new Error('Email is already verified');
+    }
+
+    const latestToken = await findLatestEmailVerificationToken(userId);
+    if (latestToken && Date.now() - new Date(latestToken.created_at).getTime() < EMAIL_VERIFICATION_RESEND_SECONDS * 1000) {
+        throw new Error('Please wait a minute before requesting another verification email');
+    }
+
+    await issueEmailVerification(user);
+};
+
+/**
+ * Change password for a logged-in user
+ * The current session stays active; every other session and all API keys are revoked
+ */
+export const changePassword = async (userId, sessionId, currentPassword, newPassword, req) => {
+    const user = await findUserWithPasswordById(userId);
+
+    if (!user) {
+        throw new Error('User not found');
+    }
+
+    await verifyUserCredentials(user, { password: currentPassword }, req);
+
+    const hashedPassword = await bcrypt.hash(newPassword, 10);
+    const client = await pool.connect();
+
+    try {
+        await client.query('BEGIN');
+
+        await updateUserPassword(user.id, hashedPassword, client);
+        await revokeAllSessions(user.id, 'password_change', { exceptSessionId: sessionId }, client);
+        await revokeAllApiKeys(user.id, client);
+
+        await client.query('COMMIT');
+    } catch (error) {
+        await client.query('ROLLBACK');
+        throw error;
+    } finally {
+        client.release();
+    }
+
+    // Send security notification (non-blocking)
+    sendPasswordChangedEmail({
+        firstName: user.first_name,
+        email: user.email
+    }).catch(error => {
+        console.error('Failed to send password changed email:', error);
+    });
+};
+
+/**
+ * Unlock an account using the token from the lockout email
+ */
+export const unlockAccount = async (token) => {
+    const client = await pool.connect();
+
+    try {
+        await client.query('BEGIN');
+
+        const unlockToken = await findValidAccountUnlockToken(hashToken(token), client);
+
+        if (!unlockToken) {
+            throw new Error('Invalid or expired unlock token');
+        }
+
+        await resetFailedLogins(unlockToken.user_id, client);
+        await invalidateAccountUnlockTokens(unlockToken.user_id, client);
+
+        await client.query('COMMIT');
+
+    } catch (error) {
+        await client.query('ROLLBACK');
+        throw error;
+    } finally {
+        client.release();
+    }
 };
@@ -0,0 +1,255 @@
+// Business logic for checking session times against mentors' availability
+// Schedules and date overrides are stored as wall-clock times in the mentor's IANA timezone; bookings are stored in UTC
+
+/**
+ * Whether a string is an IANA timezone known to the runtime (e.g. 'Asia/Tbilisi', 'America/Argentina/Buenos_Aires')
+ */
+export const isValidTimeZone = (timeZone) => {
+    if (typeof timeZone !== 'string' || timeZone === '') {
+        return false;
+    }
+
+    try {
+        new Intl.DateTimeFormat('en-US', { timeZone });
+        return true;
+    } catch (error) {
+        return false;
+    }
+};
+
+/**
+ * Get the wall-clock date, weekday and time of an instant in an IANA timezone
+ * e.g. { date: '2025-03-30', weekday: 'sunday', time: '09:00' }
+ */
+export const getZonedDateTime = (instant, timeZone) => {
+    const parts = new Intl.DateTimeFormat('en-US', {
+        timeZone,
+        hourCycle: 'h23',
+        year: 'numeric',
+        month: '2-digit',
+        day: '2-digit',
+        hour: '2-digit',
+        minute: '2-digit',
+        weekday: 'long'
+    }).formatToParts(instant);
+
+    const part = (type) => parts.find(item => item.type === type).value;
+
+    return {
+        date: `${part('year')}-${part('month')}-${part('day')}`,
+        weekday: part('weekday').toLowerCase(),
+        time: `${part('hour')}:${part('minute')}`
+    };
+};
+
+/**
+ * Add whole days to a YYYY-MM-DD date string
+ */
+const addDays = (date, days) => {
+    const next = new Date(`${date}T00:00:00.000Z`);
+    next.setUTCDate(next.getUTCDate() + days);
+    return next.toISOString().slice(0, 10);
+};
+
+/**
+ * Convert "HH:MM" to minutes after midnight and back
+ */
+const toMinutes = (time) => {
+    const [hours, minutes] = time.split(':').map(Number);
+    return hours * 60 + minutes;
+};
+
+const toTime = (minutes) => {
+    return `${String(Math.floor(minutes / 60)).padStart(2, '0')}:${String(minutes % 60).padStart(2, '0')}`;
+};
+
+/**
+ * Whether a string is a real calendar date in YYYY-MM-DD format
+ */
+export const isValidDateString = (value) => {
+    if (typeof value !== 'string' || !/^\d{4}-\d{2}-\d{2}$/.test(value)) {
+        return false;
+    }
+
+    const date = new Date(`${value}T00:00:00.000Z`);
+    return !isNaN(date.getTime()) && date.toISOString().startsWith(value);
+};
+
+/**
+ * First and last date (Monday to Sunday) of the week containing a YYYY-MM-DD date
+ */
+export const getWeekDates = (date) => {
+    // getUTCDay is 0 for Sunday; count days since Monday instead
+    const daysSinceMonday = (new Date(`${date}T00:00:00.000Z`).getUTCDay() + 6) % 7;
+    const start = addDays(date, -daysSinceMonday);
+
+    return { start, end: addDays(start, 6) };
+};
+
+/**
+ * Merge overlapping or touching [start, end] minute ranges
+ */
+const mergeRanges = (ranges) => {
+    const sorted = [...ranges].sort((a, b) => a[0] - b[0]);
+    const merged = [];
+
+    for (const range of sorted) {
+        const last = merged[merged.length - 1];
+
+        if (last && range[0] <= last[1]) {
+            last[1] = Math.max(last[1], range[1]);
+        } else {
+            merged.push([...range]);
+        }
+    }
+
+    return merged;
+};
+
+/**
+ * The mentor's time slots on one local date: the weekly slots for that weekday plus extra hours,
+ * minus blocked hours; a blocked whole day leaves nothing
+ */
+export const getSlotsForDate = ({ schedule, overrides = [] }, date) => {
+    const weekday = getZonedDateTime(new Date(`${date}T12:00:00.000Z`), 'UTC').weekday;
+    const dayOverrides = overrides.filter(override => override.start_date <= date && date <= override.end_date);
+
+    if (dayOverrides.some(override => override.override_type === 'blocked' && !override.start_time)) {
+        return [];
+    }
+
+    const toRange = (slot) => [toMinutes(slot.start), toMinutes(slot.end)];
+    const available = mergeRanges([
+        ...((schedule && schedule[weekday]) || []).map(toRange),
+        ...dayOverrides
+            .filter(override => override.override_type === 'available')
+            .map(override => toRange({ start: override.start_time, end: override.end_time }))
+    ]);
+    const blocked = dayOverrides
+        .filter(override => override.override_type === 'blocked')
+        .map(override => toRange({ start: override.start_time, end: override.end_time }));
+
+    // Cut each blocked range out of the available ones
+    const slots = blocked.reduce((ranges, [blockStart, blockEnd]) => ranges.flatMap(([start, end]) => [
+        [start, Math.min(end, blockStart)],
+        [Math.max(start, blockEnd), end]
+    ].filter(([from, to]) => from < to)), available);
+
+    return slots.map(([start, end]) => ({ start: toTime(start), end: toTime(end) }));
+};
+
+/**
+ * Whether a session fits entirely inside one of the mentor's time slots on that date
+ * Start and end are converted separately, so sessions are judged by the local times the mentor actually sees:
+ * across a DST change a 60-minute session can span 1 or 2 wall-clock hours, and times skipped by the clock never match
+ */
+export const isWithinAvailability = (availability, sessionStart, durationMinutes) => {
+    const start = getZonedDateTime(sessionStart, availability.timezone);
+    const end = getZonedDateTime(new Date(sessionStart.getTime() + durationMinutes * 60 * 1000), availability.timezone);
+
+    // Slots never cross midnight
+    if (start.date !== end.date) {
+        return false;
+    }
+
+    const slots = getSlotsForDate(availability, start.date);
+    return slots.some(slot => slot.start <= start.time && end.time <= slot.end);
+};
+
+/**
+ * Find the UTC instant at which the clock in a timezone shows the given date and time
+ * Returns null for wall-clock times skipped by a DST change; for repeated times the first occurrence wins
+ */
+export const zonedTimeToUtc = (date, time, timeZone) => {
+    const wallClock = new Date(`${date}T${time}:00.000Z`).getTime();
+
+    // Try the offsets in effect a day either side; together they cover any DST change in between
+    const candidates = [-1, 1]
+        .map(days => {
+            const local = getZonedDateTime(new Date(wallClock + days * 24 * 60 * 60 * 1000), timeZone);
+            const offset = new Date(`${local.date}T${local.time}:00.000Z`).getTime() - (wallClock + days * 24 * 60 * 60 * 1000);
+            // Offsets are whole minutes; drop the seconds lost by formatting without them
+            return new Date(wallClock - Math.round(offset / 60000) * 60000);
+        })
+        .filter(instant => {
+            const local = getZonedDateTime(instant, timeZone);
+            return local.date === date && local.time === time;
+        })
+        .sort((a, b) => a - b);
+
+    return candidates[0] || null;
+};
+
+/**
+ * Get the UTC instants at which the dates from and to (inclusive) begin and end in a timezone
+ */
+export const getZonedDateRange = (fromDate, toDate, timeZone) => {
+    // Midnight itself can be skipped where DST changes at 00:00; the day then starts an hour later
+    const startOfDay = (date) => zonedTimeToUtc(date, '00:00', timeZone) || zonedTimeToUtc(date, '01:00', timeZone);
+
+    return {
+        start: startOfDay(fromDate),
+        end: startOfDay(addDays(toDate, 1))
+    };
+};
+
+/**
+ * List bookable session start times between rangeStart and rangeEnd (UTC instants)
+ * Candidates start at the start of each available slot that day and repeat every stepMinutes while the session still fits;
+ * sessions starting before earliestStart, or whose time plus buffers overlaps an existing booking's, are left out
+ */
+export const getBookableSlots = ({
+    availability,
+    bookings,
+    rangeStart,
+    rangeEnd,
+    durationMinutes,
+    stepMinutes,
+    earliestStart
+}) => {
+    const { timezone } = availability;
+    const durationMs = durationMinutes * 60 * 1000;
+    const bufferBeforeMs = (availability.buffer_before_minutes || 0) * 60 * 1000;
+    const bufferAfterMs = (availability.buffer_after_minutes || 0) * 60 * 1000;
+    const busy = bookings.map(booking => {
+        const start = new Date(booking.session_date).getTime();
+        return {
+            start: start - (booking.buffer_before_minutes || 0) * 60 * 1000,
+            end: start + (booking.duration_minutes + (booking.buffer_after_minutes || 0)) * 60 * 1000
+        };
+    });
+
+    const firstDate = addDays(getZonedDateTime(rangeStart, timezone).date, -1);
+    const lastDate = addDays(getZonedDateTime(rangeEnd, timezone).date, 1);
+    const slots = [];
+
+    for (let date = firstDate; date <= lastDate; date = addDays(date, 1)) {
+        for (const slot of getSlotsForDate(availability, date)) {
+            for (let minute = toMinutes(slot.start); minute + durationMinutes <= toMinutes(slot.end); minute += stepMinutes) {
+                const start = zonedTimeToUtc(date, toTime(minute), timezone);
+
+                if (!start || start < rangeStart || start >= rangeEnd || start < earliestStart) {
+                    continue;
+                }
+
+                // Checks the end in local time too, which can shift across a DST change
+                if (!isWithinAvailability(availability, start, durationMinutes)) {
+                    continue;
+                }
+
+                const startMs = start.getTime();
+                const endMs = startMs + durationMs;
+
+                if (busy.some(booking => booking.start < endMs + bufferAfterMs && booking.end > startMs - bufferBeforeMs)) {
+                    continue;
+                }
+
+                slots.push({ start, end: new Date(endMs) });
+            }
+        }
+    }
+
+    // Deduplicate (a repeated DST hour can map two candidates to one instant) and sort
+    return [...new Map(slots.map(slot => [slot.start.getTime(), slot])).values()]
+        .sort((a, b) => a.start - b.start);
+};
@@ -0,0 +1,940 @@
+// Business logic for booking lifecycle changes
+import pool from '../db/config.js';
+import {
+    findBookingForUpdate,
+    markBookingCancelled,
+    findBookingWithParticipants,
+    findOverlappingBooking,
+    updateBookingSessionDate,
+    createRescheduleRequest,
+    findPendingRescheduleForUpdate,
+    resolveRescheduleRequest,
+    cancelPendingReschedules,
+    findRescheduleHistory,
+    markBookingConfirmed,
+    markBookingOutcome,
+    findExpiredPendingBookings,
+    findActiveBookingsInRange,
+    countMentorSessionsBetween,
+    countActiveStudentBookings
+} from '../dal/bookingDal.js';
+import { findMentorAvailability, lockMentorAvailability } from '../dal/availabilityDal.js';
+import {
+    isWithinAvailability,
+    getZonedDateTime,
+    getZonedDateRange,
+    getBookableSlots,
+    getWeekDates
+} from './availabilityService.js';
+import {
+    sendBookingCancelledEmail,
+    sendRescheduleRequestedEmail,
+    sendRescheduleResolvedEmail,
+    sendBookingConfirmedEmail,
+    sendBookingExpiredEmail
+} from './emailService.js';
+import { refundBooking } from './refundService.js';
+
+/**
+ * Read a whole number from the environment, falling back to a default (0 is allowed)
+ */
+const wholeNumberFromEnv = (name, defaultValue) => {
+    const value = parseInt(process.env[name]);
+    return Number.isInteger(value) && value >= 0 ? value : defaultValue;
+};
+
+// Session length used when no service is chosen (services set their own duration)
+export const DEFAULT_SESSION_DURATION_MINUTES = 60;
+// Sessions can't be booked or moved to less than this many hours from now, unless the mentor sets their own notice
+const BOOKING_MIN_NOTICE_HOURS = wholeNumberFromEnv('BOOKING_MIN_NOTICE_HOURS', 2);
+// Spacing of offered start times within a mentor's available slot
+const SLOT_STEP_MINUTES = parseInt(process.env.SLOT_STEP_MINUTES) || 30;
+
+// Students can cancel for a full refund until this many hours before the session
+const CANCELLATION_FREE_HOURS = wholeNumberFromEnv('CANCELLATION_FREE_HOURS', 24);
+// Share of the price refunded when a student cancels later than that (0 = no refund)
+const LATE_CANCELLATION_REFUND_PERCENT = wholeNumberFromEnv('LATE_CANCELLATION_REFUND_PERCENT', 50);
+
+// How long a mentor has to confirm a new booking before it expires
+const BOOKING_CONFIRMATION_HOURS = parseInt(process.env.BOOKING_CONFIRMATION_HOURS) || 24;
+const BOOKING_EXPIRY_BATCH_SIZE = 100;
+
+// Legal status changes; completed, no_show and both cancelled statuses are final
+const BOOKING_TRANSITIONS = {
+    pending: ['confirmed', 'cancelled_by_student', 'cancelled_by_mentor'],
+    confirmed: ['completed', 'no_show', 'cancelled_by_student', 'cancelled_by_mentor']
+};
+
+// Bookings that still hold their slot and can be cancelled or rescheduled
+const ACTIVE_STATUSES = ['pending', 'confirmed'];
+
+// Reschedule errors for time-based booking limits (codes from findBookingLimitViolation)
+const RESCHEDULE_LIMIT_ERRORS = {
+    min_notice: 'The new session time is too soon',
+    max_days_ahead: 'The new session time is too far in advance',
+    daily_limit: 'The mentor is fully booked on the new session date',
+    weekly_limit: 'The mentor is fully booked in the new session week'
+};
+
+/**
+ * Whether a booking may move from one status to another
+ */
+export const canTransition = (fromStatus, toStatus) => {
+    return (BOOKING_TRANSITIONS[fromStatus] || []).includes(toStatus);
+};
+
+/**
+ * When the session is scheduled to end
+ */
+const getSessionEnd = (booking) => {
+    return new Date(new Date(booking.session_date).getTime() + booking.duration_minutes * 60 * 1000);
+};
+
+/**
+ * A mentor's booking limits with the platform default notice filled in (null = no limit)
+ */
+export const getBookingLimits = (availability) => {
+    const settings = availability || {};
+
+    return {
+        minNoticeHours: settings.min_notice_hours ?? BOOKING_MIN_NOTICE_HOURS,
+        maxDaysAhead: settings.max_days_ahead || null,
+        maxSessionsPerDay: settings.max_sessions_per_day || null,
+        maxSessionsPerWeek: settings.max_sessions_per_week || null,
+        maxActiveBookingsPerStudent: settings.max_active_bookings_per_student || null
+    };
+};
+
+/**
+ * Earliest and latest times a session can start when booked now (latest is null without a horizon)
+ */
+const getBookingWindow = (limits, now = new Date()) => ({
+    earliest: new Date(now.getTime() + limits.minNoticeHours * 60 * 60 * 1000),
+    latest: limits.maxDaysAhead ? new Date(now.getTime() + limits.maxDaysAhead * 24 * 60 * 60 * 1000) : null
+});
+
+/**
+ * UTC range of the mentor's local day and week (Monday to Sunday) that a session falls in
+ */
+const getSessionDayAndWeek = (sessionDate, timezone) => {
+    const { date } = getZonedDateTime(sessionDate, timezone);
+    const week = getWeekDates(date);
+
+    return {
+        day: getZonedDateRange(date, date, timezone),
+        week: getZonedDateRange(week.start, week.end, timezone)
+    };
+};
+
+/**
+ * Check a session time against the mentor's booking limits (and, with studentId, the per-student cap)
+ * Returns the first limit broken as { code, message }, or null when the session is allowed
+ */
+export const findBookingLimitViolation = async (availability, sessionDate, {
+    mentorId,
+    studentId = null,
+    excludeBookingId = null
+}, client = null) => {
+    const limits = getBookingLimits(availability);
+    const window = getBookingWindow(limits);
+
+    if (sessionDate < window.earliest) {
+        return {
+            code: 'min_notice',
+            message: `Sessions with this mentor must be booked at least ${limits.minNoticeHours} hours in advance`
+        };
+    }
+
+    if (window.latest && sessionDate > window.latest) {
+        return {
+            code: 'max_days_ahead',
+            message: `Sessions with this mentor can be booked at most ${limits.maxDaysAhead} days in advance`
+        };
+    }
+
+    if (studentId && limits.maxActiveBookingsPerStudent) {
+        const activeBookings = await countActiveStudentBookings(mentorId, studentId, client);
+
+        if (activeBookings >= limits.maxActiveBookingsPerStudent) {
+            return {
+                code: 'student_limit',
+                message: `You can have at most ${limits.maxActiveBookingsPerStudent} active bookings with this mentor`
+            };
+        }
+    }
+
+    if (limits.maxSessionsPerDay || limits.maxSessionsPerWeek) {
+        const { day, week } = getSessionDayAndWeek(sessionDate, availability.timezone);
+
+        if (limits.maxSessionsPerDay &&
+            await countMentorSessionsBetween(mentorId, day.start, day.end, { excludeBookingId }, client) >= limits.maxSessionsPerDay) {
+            return {
+                code: 'daily_limit',
+                message: 'This mentor is fully booked on that day'
+            };
+        }
+
+        if (limits.maxSessionsPerWeek &&
+            await countMentorSessionsBetween(mentorId, week.start, week.end, { excludeBookingId }, client) >= limits.maxSessionsPerWeek) {
+            return {
+                code: 'weekly_limit',
+                message: 'This mentor is fully booked that week'
+            };
+        }
+    }
+
+    return null;
+};
+
+/**
+ * Whether a student can book a mentor at all right now, with every reason they can't
+ * Time-specific limits (notice, horizon, daily and weekly caps) are shown by the bookable slots instead
+ */
+export const getBookingEligibility = async (mentorId, student) => {
+    const availability = await findMentorAvailability(mentorId);
+    const limits = getBookingLimits(availability);
+    const activeBookings = await countActiveStudentBookings(mentorId, student.id);
+    const reasons = [];
+
+    if (student.userType !== 'user') {
+        reasons.push({ code: 'not_student', message: 'Only students can book sessions' });
+    }
+
+    if (!student.emailVerified) {
+        reasons.push({ code: 'email_not_verified', message: 'Please verify your email address before booking' });
+    }
+
+    if (!availability) {
+        reasons.push({ code: 'no_availability', message: 'This mentor has not set their availability yet' });
+    }
+
+    if (limits.maxActiveBookingsPerStudent && activeBookings >= limits.maxActiveBookingsPerStudent) {
+        reasons.push({
+            code: 'student_limit',
+            message: `You can have at most ${limits.maxActiveBookingsPerStudent} active bookings with this mentor`
+        });
+    }
+
+    return {
+        eligible: reasons.length === 0,
+        reasons,
+        activeBookings,
+        limits
+    };
+};
+
+/**
+ * Concrete bookable start times of a mentor between two dates (inclusive) in the viewer's timezone
+ * Returns null when the mentor hasn't set their availability
+ */
+export const getMentorBookableSlots = async (mentorId, {
+    fromDate,
+    toDate,
+    viewerTimezone,
+    durationMinutes = DEFAULT_SESSION_DURATION_MINUTES
+}) => {
+    const availability = await findMentorAvailability(mentorId);
+
+    if (!availability) {
+        return null;
+    }
+
+    const range = getZonedDateRange(fromDate, toDate, viewerTimezone);
+    const limits = getBookingLimits(availability);
+    const window = getBookingWindow(limits);
+
+    // Sessions near either end of the range can clash with bookings just outside it,
+    // and the weekly cap counts whole weeks
+    const weekMs = 7 * 24 * 60 * 60 * 1000;
+    const bookings = await findActiveBookingsInRange(
+        mentorId,
+        new Date(range.start.getTime() - weekMs),
+        new Date(range.end.getTime() + weekMs)
+    );
+
+    const slots = getBookableSlots({
+        availability,
+        bookings,
+        rangeStart: range.start,
+        rangeEnd: range.end,
+        durationMinutes,
+        stepMinutes: SLOT_STEP_MINUTES,
+        earliestStart: window.earliest
+    });
+
+    // Count sessions per mentor-local day and week to drop slots on fully booked ones
+    const countSessions = (range) => bookings.filter(booking => {
+        const sessionDate = new Date(booking.session_date);
+        return sessionDate >= range.start && sessionDate < range.end;
+    }).length;
+
+    const openSlots = slots.filter(slot => {
+        if (window.latest && slot.start > window.latest) {
+            return false;
+        }
+
+        if (!limits.maxSessionsPerDay && !limits.maxSessionsPerWeek) {
+            return true;
+        }
+
+        const { day, week } = getSessionDayAndWeek(slot.start, availability.timezone);
+
+        return !(limits.maxSessionsPerDay && countSessions(day) >= limits.maxSessionsPerDay) &&
+            !(limits.maxSessionsPerWeek && countSessions(week) >= limits.maxSessionsPerWeek);
+    });
+
+    return {
+        mentorTimezone: availability.timezone,
+        viewerTimezone,
+        durationMinutes,
+        bufferBeforeMinutes: availability.buffer_before_minutes,
+        bufferAfterMinutes: availability.buffer_after_minutes,
+        limits,
+        slots: openSlots.map(slot => {
+            const local = getZonedDateTime(slot.start, viewerTimezone);
+
+            return {
+                start: slot.start.toISOString(),
+                end: slot.end.toISOString(),
+                date: local.date,
+                weekday: local.weekday,
+                time: local.time
+            };
+        })
+    };
+};
+
+/**
+ * Current cancellation policy, for showing to users before they cancel
+ */
+export const getCancellationPolicy = () => ({
+    freeCancellationHours: CANCELLATION_FREE_HOURS,
+    lateCancellationRefundPercent: LATE_CANCELLATION_REFUND_PERCENT,
+    mentorCancellationRefundPercent: 100
+});
+
+/**
+ * Work out the refund for cancelling a booking now
+ * Mentor cancellations are always fully refunded; students get a partial refund close to the session
+ */
+export const getCancellationTerms = (booking, cancelledByRole, now = new Date()) => {
+    const hoursUntilSession = (new Date(booking.session_date).getTime() - now.getTime()) / (60 * 60 * 1000);
+    const isLateCancellation = cancelledByRole === 'student' && hoursUntilSession < CANCELLATION_FREE_HOURS;
+    const refundPercent = isLateCancellation ? LATE_CANCELLATION_REFUND_PERCENT : 100;
+
+    // Nothing to refund if the student hasn't paid; prices are whole GEL
+    const refundAmount = booking.payment_status === 'paid'
+        ? Math.round(booking.total_price * refundPercent / 100)
+        : 0;
+
+    return { isLateCancellation, refundPercent, refundAmount };
+};
+
+/**
+ * Ownership filter for findBookingForUpdate
+ */
+const bookingOwner = ({ userId, role }) => {
+    return role === 'mentor' ? { mentorId: userId } : { userId };
+};
+
+/**
+ * Cancel a booking on behalf of its student or mentor and notify the other party
+ * With onlyPending, this is the mentor declining a booking they haven't confirmed
+ */
+export const cancelBooking = async (bookingId, { userId, role }, reason, { onlyPending = false } = {}) => {
+    const client = await pool.connect();
+    const status = role === 'mentor' ? 'cancelled_by_mentor' : 'cancelled_by_student';
+    let cancelled;
+    let terms;
+
+    try {
+        await client.query('BEGIN');
+
+        const booking = await findBookingForUpdate(bookingId, bookingOwner({ userId, role }), client);
+
+        if (!booking) {
+            throw new Error('Booking not found');
+        }
+
+        if (onlyPending && booking.status !== 'pending') {
+            throw new Error('Only pending bookings can be declined');
+        }
+
+        if (!canTransition(booking.status, status)) {
+            throw new Error('Only pending or confirmed bookings can be cancelled');
+        }
+
+        if (new Date(booking.session_date) <= new Date()) {
+            throw new Error('Sessions that have already started cannot be cancelled');
+        }
+
+        terms = getCancellationTerms(booking, role);
+
+        cancelled = await markBookingCancelled(bookingId, {
+            status,
+            reason,
+            cancelledBy: userId,
+            refundAmount: terms.refundAmount
+        }, client);
+
+        await cancelPendingReschedules(bookingId, client);
+
+        await client.query('COMMIT');
+    } catch (error) {
+        await client.query('ROLLBACK');
+        throw error;
+    } finally {
+        client.release();
+    }
+
+    // Notify the other party (non-blocking)
+    notifyBookingCancelled(bookingId, role).catch(error => {
+        console.error('Failed to send booking cancelled email:', error);
+    });
+
+    // Send the student's money back through the payment provider (non-blocking)
+    if (terms.refundAmount > 0) {
+        refundBooking(bookingId, {
+            amount: terms.refundAmount,
+            reason: reason || 'Booking cancelled',
+            initiatedBy: userId,
+            initiatorRole: role,
+            forCancellation: true
+        }).catch(error => {
+            console.error(`Failed to refund cancelled booking ${bookingId}:`, error);
+        });
+    }
+
+    return {
+        id: cancelled.id,
+        status: cancelled.status,
+        cancellationReason: cancelled.cancellation_reason,
+        cancelledBy: cancelled.cancelled_by,
+        cancelledAt: cancelled.cancelled_at,
+        refundAmount: cancelled.refund_amount,
+        refundPercent: terms.refundPercent,
+        isLateCancellation: terms.isLateCancellation
+    };
+};
+
+/**
+ * Email the party who did not cancel
+ */
+const notifyBookingCancelled = async (bookingId, cancelledByRole) => {
+    const booking = await findBookingWithParticipants(bookingId);
+
+    if (!booking) {
+        return;
+    }
+
+    const student = { firstName: booking.student_first_name, lastName: booking.student_last_name, email: booking.student_email };
+    const mentor = { firstName: booking.mentor_first_name, lastName: booking.mentor_last_name, email: booking.mentor_email };
+    const cancelledByStudent = cancelledByRole === 'student';
+
+    await sendBookingCancelledEmail(cancelledByStudent ? mentor : student, {
+        cancelledByName: cancelledByStudent
+            ? `${student.firstName} ${student.lastName}`
+            : `${mentor.firstName} ${mentor.lastName}`,
+        serviceName: booking.mentorship_service,
+        sessionDate: booking.session_date,
+        reason: booking.cancellation_reason,
+        // Only the student is told about refunds
+        refundAmount: cancelledByStudent ? null : booking.refund_amount
+    });
+};
+
+/**
+ * Format a reschedule request for API responses
+ */
+const formatReschedule = (reschedule) => ({
+    id: reschedule.id,
+    requestedBy: reschedule.requested_by,
+    previousSessionDate: reschedule.previous_session_date,
+    proposedSessionDate: reschedule.proposed_session_date,
+    reason: reschedule.reason,
+    status: reschedule.status,
+    responseNote: reschedule.response_note,
+    respondedAt: reschedule.responded_at,
+    createdAt: reschedule.created_at
+});
+
+/**
+ * Student proposes a new time for a booking
+ * The booking keeps its current time until the mentor accepts
+ */
+export const requestReschedule = async (bookingId, studentId, { sessionDate, reason }) => {
+    const client = await pool.connect();
+    let reschedule;
+
+    try {
+        await client.query('BEGIN');
+
+        const booking = await findBookingForUpdate(bookingId, { userId: studentId }, client);
+
+        if (!booking) {
+            throw new Error('Booking not found');
+        }
+
+        if (!ACTIVE_STATUSES.includes(booking.status)) {
+            throw new Error('Only pending or confirmed bookings can be rescheduled');
+        }
+
+        if (new Date(booking.session_date) <= new Date()) {
+            throw new Error('Sessions that have already started cannot be rescheduled');
+        }
+
+        if (sessionDate <= new Date()) {
+            throw new Error('The new session time must be in the future');
+        }
+
+        if (sessionDate.getTime() === new Date(booking.session_date).getTime()) {
+            throw new Error('The new session time must be different from the current one');
+        }
+
+        if (await findPendingRescheduleForUpdate(bookingId, client)) {
+            throw new Error('A reschedule request is already pending for this booking');
+        }
+
+        const availability = await findMentorAvailability(booking.mentor_id, client);
+
+        if (!availability || !isWithinAvailability(availability, sessionDate, booking.duration_minutes)) {
+            throw new Error('The new session time is outside the mentor\'s availability');
+        }
+
+        // The booking already counts towards the student's cap, so only the time-based limits apply
+        const violation = await findBookingLimitViolation(availability, sessionDate, {
+            mentorId: booking.mentor_id,
+            excludeBookingId: bookingId
+        }, client);
+
+        if (violation) {
+            throw new Error(RESCHEDULE_LIMIT_ERRORS[violation.code]);
+        }
+
+        const overlapping = await findOverlappingBooking(
+            booking.mentor_id,
+            sessionDate,
+            booking.duration_minutes,
+            {
+                excludeBookingId: bookingId,
+                bufferBeforeMinutes: booking.buffer_before_minutes,
+                bufferAfterMinutes: booking.buffer_after_minutes
+            },
+            client
+        );
+
+        if (overlapping) {
+            throw new Error('The new session time is already booked');
+        }
+
+        reschedule = await createRescheduleRequest({
+            bookingId,
+            requestedBy: studentId,
+            proposedSessionDate: sessionDate,
+            reason
+        }, client);
+
+        await client.query('COMMIT');
+    } catch (error) {
+        await client.query('ROLLBACK');
+
+        // Another request for the same booking won the race (unique pending index)
+        if (error.code === '23505') {
+            throw new Error('A reschedule request is already pending for this booking');
+        }
+        throw error;
+    } finally {
+        client.release();
+    }
+
+    // Ask the mentor to respond (non-blocking)
+    notifyRescheduleRequested(bookingId, reschedule).catch(error => {
+        console.error('Failed to send reschedule requested email:', error);
+    });
+
+    return formatReschedule(reschedule);
+};
+
+/**
+ * Student withdraws their open reschedule request
+ */
+export const withdrawReschedule = async (bookingId, studentId) => {
+    const client = await pool.connect();
+
+    try {
+        await client.query('BEGIN');
+
+        const booking = await findBookingForUpdate(bookingId, { userId: studentId }, client);
+
+        if (!booking) {
+            throw new Error('Booking not found');
+        }
+
+        const pending = await findPendingRescheduleForUpdate(bookingId, client);
+
+        if (!pending) {
+            throw new Error('No pending reschedule request for this booking');
+        }
+
+        const withdrawn = await resolveRescheduleRequest(pending.id, { status: 'withdrawn' }, client);
+
+        await client.query('COMMIT');
+        return formatReschedule(withdrawn);
+    } catch (error) {
+        await client.query('ROLLBACK');
+        throw error;
+    } finally {
+        client.release();
+    }
+};
+
+/**
+ * Mentor accepts (booking moves to the proposed time) or declines (booking keeps its time)
+ */
+export const respondToReschedule = async (bookingId, mentorId, { accept, note }) => {
+    const client = await pool.connect();
+    let resolved;
+
+    try {
+        await client.query('BEGIN');
+
+        const booking = await findBookingForUpdate(bookingId, { mentorId }, client);
+
+        if (!booking) {
+            throw new Error('Booking not found');
+        }
+
+        const pending = await findPendingRescheduleForUpdate(bookingId, client);
+
+        if (!pending) {
+            throw new Error('No pending reschedule request for this booking');
+        }
+
+        if (accept) {
+            const proposedSessionDate = new Date(pending.proposed_session_date);
+
+            if (!ACTIVE_STATUSES.includes(booking.status)) {
+                throw new Error('Only pending or confirmed bookings can be rescheduled');
+            }
+
+            if (proposedSessionDate <= new Date()) {
+                throw new Error('The proposed time has already passed');
+            }
+
+            // The mentor's schedule and limits may have changed since the request, so check them again
+            await lockMentorAvailability(mentorId, client);
+            const availability = await findMentorAvailability(mentorId, client);
+
+            if (!availability || !isWithinAvailability(availability, proposedSessionDate, booking.duration_minutes)) {
+                throw new Error('The proposed time is no longer within your availability');
+            }
+
+            const violation = await findBookingLimitViolation(availability, proposedSessionDate, {
+                mentorId,
+                excludeBookingId: bookingId
+            }, client);
+
+            if (violation) {
+                throw new Error(RESCHEDULE_LIMIT_ERRORS[violation.code]);
+            }
+
+            // The slot was free when proposed, but isn't held, so check again
+            const overlapping = await findOverlappingBooking(
+                mentorId,
+                proposedSessionDate,
+                booking.duration_minutes,
+                {
+                    excludeBookingId: bookingId,
+                    bufferBeforeMinutes: booking.buffer_before_minutes,
+                    bufferAfterMinutes: booking.buffer_after_minutes
+                },
+                client
+            );
+
+            if (overlapping) {
+                throw new Error('The proposed time is no longer available');
+            }
+
+            await updateBookingSessionDate(bookingId, proposedSessionDate, client);
+        }
+
+        resolved = await resolveRescheduleRequest(pending.id, {
+            status: accept ? 'accepted' : 'declined',
+            responseNote: note
+        }, client);
+
+        await client.query('COMMIT');
+    } catch (error) {
+        await client.query('ROLLBACK');
+
+        // Another booking took the slot after the overlap check (bookings_no_mentor_overlap)
+        if (error.code === '23P01') {
+            throw new Error('The proposed time is no longer available');
+        }
+        throw error;
+    } finally {
+        client.release();
+    }
+
+    // Let the student know (non-blocking)
+    notifyRescheduleResolved(bookingId, resolved).catch(error => {
+        console.error('Failed to send reschedule resolved email:', error);
+    });
+
+    return formatReschedule(resolved);
+};
+
+/**
+ * Get the reschedule history of a booking
+ */
+export const getRescheduleHistory = async (bookingId) => {
+    const history = await findRescheduleHistory(bookingId);
+    return history.map(formatReschedule);
+};
+
+/**
+ * Email the mentor about a new reschedule request
+ */
+const notifyRescheduleRequested = async (bookingId, reschedule) => {
+    const booking = await findBookingWithParticipants(bookingId);
+
+    if (!booking) {
+        return;
+    }
+
+    await sendRescheduleRequestedEmail({
+        firstName: booking.mentor_first_name,
+        email: booking.mentor_email
+    }, {
+        studentName: `${booking.student_first_name} ${booking.student_last_name}`,
+        serviceName: booking.mentorship_service,
+        previousSessionDate: reschedule.previous_session_date,
+        proposedSessionDate: reschedule.proposed_session_date,
+        reason: reschedule.reason
+    });
+};
+
+/**
+ * Email the student the mentor's answer to their reschedule request
+ */
+const notifyRescheduleResolved = async (bookingId, reschedule) => {
+    const booking = await findBookingWithParticipants(bookingId);
+
+    if (!booking) {
+        return;
+    }
+
+    await sendRescheduleResolvedEmail({
+        firstName: booking.student_first_name,
+        email: booking.student_email
+    }, {
+        mentorName: `${booking.mentor_first_name} ${booking.mentor_last_name}`,
+        serviceName: booking.mentorship_service,
+        accepted: reschedule.status === 'accepted',
+        previousSessionDate: reschedule.previous_session_date,
+        proposedSessionDate: reschedule.proposed_session_date,
+        note: reschedule.response_note
+    });
+};
+
+/**
+ * Mentor confirms a pending booking, optionally adding the meeting details
+ */
+export const confirmBooking = async (bookingId, mentorId, { meetingLink, meetingPlatform } = {}) => {
+    const client = await pool.connect();
+    let confirmed;
+
+    try {
+        await client.query('BEGIN');
+
+        const booking = await findBookingForUpdate(bookingId, { mentorId }, client);
+
+        if (!booking) {
+            throw new Error('Booking not found');
+        }
+
+        if (!canTransition(booking.status, 'confirmed')) {
+            throw new Error('Only pending bookings can be confirmed');
+        }
+
+        if (new Date(booking.session_date) <= new Date()) {
+            throw new Error('Sessions that have already started cannot be confirmed');
+        }
+
+        confirmed = await markBookingConfirmed(bookingId, { meetingLink, meetingPlatform }, client);
+
+        await client.query('COMMIT');
+    } catch (error) {
+        await client.query('ROLLBACK');
+        throw error;
+    } finally {
+        client.release();
+    }
+
+    // Let the student know (non-blocking)
+    notifyBookingConfirmed(bookingId, confirmed).catch(error => {
+        console.error('Failed to send booking confirmed email:', error);
+    });
+
+    return {
+        id: confirmed.id,
+        status: confirmed.status,
+        confirmedAt: confirmed.confirmed_at,
+        meetingLink: confirmed.meeting_link,
+        meetingPlatform: confirmed.meeting_platform
+    };
+};
+
+/**
+ * Mark a confirmed session as completed or as a no-show once it has ended
+ * A no-show reported by one side means the other side didn't attend
+ */
+export const recordSessionOutcome = async (bookingId, { userId, role }, outcome) => {
+    const client = await pool.connect();
+
+    try {
+        await client.query('BEGIN');
+
+        const booking = await findBookingForUpdate(bookingId, bookingOwner({ userId, role }), client);
+
+        if (!booking) {
+            throw new Error('Booking not found');
+        }
+
+        if (!canTransition(booking.status, outcome)) {
+            throw new Error('Only confirmed bookings can be marked as completed or no-show');
+        }
+
+        if (getSessionEnd(booking) > new Date()) {
+            throw new Error('The session has not ended yet');
+        }
+
+        const updated = await markBookingOutcome(bookingId, {
+            status: outcome,
+            completedBy: userId,
+            noShowParty: outcome === 'no_show' ? (role === 'mentor' ? 'student' : 'mentor') : null
+        }, client);
+        // The session is over, so an open request to move it can no longer be answered
+        await cancelPendingReschedules(bookingId, client);
+
+        await client.query('COMMIT');
+
+        return {
+            id: updated.id,
+            status: updated.status,
+            completedAt: updated.completed_at,
+            completedBy: updated.completed_by,
+            noShowParty: updated.no_show_party
+        };
+    } catch (error) {
+        await client.query('ROLLBACK');
+        throw error;
+    } finally {
+        client.release();
+    }
+};
+
+/**
+ * Cancel pending bookings the mentor didn't confirm in time (full refund, as for mentor cancellations)
+ * Returns the number of bookings expired
+ */
+export const expireUnconfirmedBookings = async () => {
+    const expiredBookings = await findExpiredPendingBookings(BOOKING_CONFIRMATION_HOURS, BOOKING_EXPIRY_BATCH_SIZE);
+    let expiredCount = 0;
+
+    for (const { id } of expiredBookings) {
+        const client = await pool.connect();
+        let refundAmount;
+
+        try {
+            await client.query('BEGIN');
+
+            const booking = await findBookingForUpdate(id, {}, client);
+
+            // Confirmed or cancelled in the meantime
+            if (!booking || booking.status !== 'pending') {
+                await client.query('ROLLBACK');
+                continue;
+            }
+
+            refundAmount = getCancellationTerms(booking, 'mentor').refundAmount;
+
+            await markBookingCancelled(id, {
+                status: 'cancelled_by_mentor',
+                reason: 'Not confirmed by the mentor in time',
+                cancelledBy: null,
+                refundAmount
+            }, client);
+            await cancelPendingReschedules(id, client);
+
+            await client.query('COMMIT');
+            expiredCount++;
+        } catch (error) {
+            await client.query('ROLLBACK');
+            console.error(`Failed to expire booking ${id}:`, error);
+            continue;
+        } finally {
+            client.release();
+        }
+
+        notifyBookingExpired(id).catch(error => {
+            console.error('Failed to send booking expired email:', error);
+        });
+
+        // The platform bears the cost, as no one chose to cancel
+        if (refundAmount > 0) {
+            refundBooking(id, {
+                amount: refundAmount,
+                reason: 'Not confirmed by the mentor in time',
+                initiatorRole: 'system',
+                forCancellation: true
+            }).catch(error => {
+                console.error(`Failed to refund expired booking ${id}:`, error);
+            });
+        }
+    }
+
+    return expiredCount;
+};
+
+/**
+ * Email the student that the mentor confirmed their booking
+ */
+const notifyBookingConfirmed = async (bookingId, confirmed) => {
+    const booking = await findBookingWithParticipants(bookingId);
+
+    if (!booking) {
+        return;
+    }
+
+    await sendBookingConfirmedEmail({
+        firstName: booking.student_first_name,
+        email: booking.student_email
+    }, {
+        mentorName: `${booking.mentor_first_name} ${booking.mentor_last_name}`,
+        serviceName: booking.mentorship_service,
+        sessionDate: booking.session_date,
+        meetingLink: confirmed.meeting_link
+    });
+};
+
+/**
+ * Email the student that their booking expired without confirmation
+ */
+const notifyBookingExpired = async (bookingId) => {
+    const booking = await findBookingWithParticipants(bookingId);
+
+    if (!booking) {
+        return;
+    }
+
+    await sendBookingExpiredEmail({
+        firstName: booking.student_first_name,
+        email: booking.student_email
+    }, {
+        mentorName: `${booking.mentor_first_name} ${booking.mentor_last_name}`,
+        serviceName: booking.mentorship_service,
+        sessionDate: booking.session_date,
+        refundAmount: booking.refund_amount
+    });
+};
@@ -0,0 +1,28 @@
+// Building CSV files for downloads (bank exports, reports)
+
+/**
+ * Quote a value for a CSV cell
+ * Text starting with =, +, - or @ is prefixed with ' so spreadsheets don't run it as a formula
+ */
+const toCsvCell = (value) => {
+    if (value === null || value === undefined) {
+        return '';
+    }
+
+    let text = value instanceof Date ? value.toISOString() : String(value);
+
+    if (typeof value === 'string' && /^[=+\-@]/.test(text)) {
+        text = `'${text}`;
+    }
+
+    return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+/**
+ * Build a CSV file from a header row and data rows (arrays of values)
+ * Starts with a byte order mark so Excel reads Georgian text as UTF-8
+ */
+export const toCsv = (header, rows) => {
+    const lines = [header, ...rows].map(row => row.map(toCsvCell).join(','));
+    return `\uFEFF${lines.join('\r\n')}\r\n`;
+};
@@ -0,0 +1,163 @@
+// Business logic for mentors' earnings reports
+// Reports are computed from bookings.mentor_price; payouts come from the ledger (see payoutService)
+import {
+    findEarningsByPeriod,
+    findEarningsByService,
+    findLifetimeEarnings,
+    findEarningsSessions
+} from '../dal/earningsDal.js';
+import { findMentorAccountBalances } from '../dal/ledgerDal.js';
+import { findMentorAvailability } from '../dal/availabilityDal.js';
+import { getZonedDateTime, getZonedDateRange, getWeekDates } from './availabilityService.js';
+import { toCsv } from './csvService.js';
+
+export const EARNINGS_PERIODS = ['week', 'month', 'year'];
+
+// Timezone for mentors who haven't set their availability (the platform is based in Georgia)
+const DEFAULT_EARNINGS_TIMEZONE = 'Asia/Tbilisi';
+
+// How many periods are shown when no start date is given
+const DEFAULT_PERIOD_COUNT = { week: 12, month: 12, year: 5 };
+
+/**
+ * Move a YYYY-MM-DD date by whole periods (negative moves back)
+ */
+const addPeriods = (date, period, count) => {
+    const next = new Date(`${date}T00:00:00.000Z`);
+
+    if (period === 'week') {
+        next.setUTCDate(next.getUTCDate() + count * 7);
+    } else if (period === 'month') {
+        next.setUTCMonth(next.getUTCMonth() + count);
+    } else {
+        next.setUTCFullYear(next.getUTCFullYear() + count);
+    }
+
+    return next.toISOString().slice(0, 10);
+};
+
+/**
+ * First date of the week (Monday), month or year containing a YYYY-MM-DD date
+ */
+const getPeriodStart = (date, period) => {
+    if (period === 'week') {
+        return getWeekDates(date).start;
+    }
+
+    return period === 'month' ? `${date.slice(0, 7)}-01` : `${date.slice(0, 4)}-01-01`;
+};
+
+/**
+ * Resolve the timezone and the local date range of a report (by default the last few periods up to today)
+ * With wholePeriods, the start is moved back to the start of its period so the first period isn't cut short
+ */
+const getReportRange = async (mentorId, { period, fromDate, toDate, timeZone, wholePeriods }) => {
+    let zone = timeZone;
+
+    if (!zone) {
+        const availability = await findMentorAvailability(mentorId);
+        zone = availability ? availability.timezone : DEFAULT_EARNINGS_TIMEZONE;
+    }
+
+    const to = toDate || getZonedDateTime(new Date(), zone).date;
+    let from = fromDate || addPeriods(getPeriodStart(to, period), period, 1 - DEFAULT_PERIOD_COUNT[period]);
+
+    if (wholePeriods) {
+        from = getPeriodStart(from, period);
+    }
+
+    const { start, end } = getZonedDateRange(from, to, zone);
+
+    return { timeZone: zone, from, to, start, end };
+};
+
+/**
+ * Format a row of session totals for API responses
+ */
+const formatTotals = (row) => ({
+    earned: row.earned,
+    completedSessions: row.completed_sessions,
+    noShowSessions: row.no_show_sessions
+});
+
+/**
+ * A mentor's earnings between two local dates: totals per period and per service, plus their payout status
+ * Periods without sessions are included with zero totals
+ */
+export const getMentorEarnings = async (mentorId, { period = 'month', fromDate = null, toDate = null, timeZone = null } = {}) => {
+    const range = await getReportRange(mentorId, { period, fromDate, toDate, timeZone, wholePeriods: true });
+
+    const periodRows = await findEarningsByPeriod(mentorId, { period, ...range });
+    const serviceRows = await findEarningsByService(mentorId, range);
+    const lifetime = await findLifetimeEarnings(mentorId);
+    const balances = await findMentorAccountBalances(mentorId);
+
+    const rowsByPeriod = new Map(periodRows.map(row => [row.period_start, row]));
+    const periods = [];
+
+    for (let periodStart = range.from; periodStart <= range.to; periodStart = addPeriods(periodStart, period, 1)) {
+        const row = rowsByPeriod.get(periodStart) || { earned: 0, completed_sessions: 0, no_show_sessions: 0 };
+        periods.push({ periodStart, ...formatTotals(row) });
+    }
+
+    const paidOut = balances.bank || 0;
+    const inTransit = balances.payout_in_transit || 0;
+
+    return {
+        period,
+        from: range.from,
+        to: range.to,
+        timezone: range.timeZone,
+        totals: {
+            earned: periods.reduce((sum, item) => sum + item.earned, 0),
+            completedSessions: periods.reduce((sum, item) => sum + item.completedSessions, 0),
+            noShowSessions: periods.reduce((sum, item) => sum + item.noShowSessions, 0)
+        },
+        periods,
+        services: serviceRows.map(row => ({
+            serviceId: row.service_id,
+            serviceName: row.mentorship_service,
+            ...formatTotals(row)
+        })),
+        // All-time amounts: pending is earned but not yet in a payout batch
+        payouts: {
+            lifetimeEarnings: lifetime.earned,
+            refundDeductions: lifetime.refund_deductions,
+            pending: lifetime.earned - lifetime.refund_deductions - inTransit - paidOut,
+            inTransit,
+            paidOut
+        }
+    };
+};
+
+/**
+ * A mentor's completed and no-show sessions between two local dates as a CSV file, one row per session
+ * Returns { filename, csv }
+ */
+export const getMentorEarningsExport = async (mentorId, { fromDate = null, toDate = null, timeZone = null } = {}) => {
+    const range = await getReportRange(mentorId, { period: 'month', fromDate, toDate, timeZone, wholePeriods: false });
+    const sessions = await findEarningsSessions(mentorId, range);
+
+    const csv = toCsv(
+        ['Date', 'Time', 'Service', 'Student', 'Status', 'Payment Status', 'Mentor Price (GEL)', 'Earned (GEL)'],
+        sessions.map(session => {
+            const local = getZonedDateTime(new Date(session.session_date), range.timeZone);
+
+            return [
+                local.date,
+                local.time,
+                session.mentorship_service,
+                `${session.student_first_name} ${session.student_last_name}`,
+                session.status === 'no_show' ? `No-show (${session.no_show_party})` : 'Completed',
+                session.payment_status,
+                session.mentor_price,
+                session.earned
+            ];
+        })
+    );
+
+    return {
+        filename: `zacademy-earnings-${range.from}-to-${range.to}.csv`,
+        csv
+    };
+};
@@ -5,6 +5,17 @@ const senderEmail = process.env.RESEND_FROM_EMAIL // <-- Define this
 const fromEmail = `Z-Academy <${senderEmail}>`
 const companyEmail = process.env.COMPANY_EMAIL;
 console.log('fromEmail', fromEmail)
+
+/**
+ * Escape user-written text (e.g. cancellation reasons) before putting it into email HTML
+ */
+const escapeHtml = (text) => String(text)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&#39;');
+
 /**
  * Send welcome email to newly registered student
  * @param {Object} user - User object containing firstName, lastName, and email
@@ -305,3 +316,904 @@ export const sendMentorApplicationNotification = async (mentorData) => {
     }
 };
 
+/**
+ * Send password reset link
+ * @param {Object} user - User object containing firstName and email
+ * @param {string} resetUrl - Link to the frontend reset password page including the token
+ * @param {number} expiresInMinutes - How long the link stays valid
+ * @returns {Promise<Object>} - Resend API response
+ */
+export const sendPasswordResetEmail = async (user, resetUrl, expiresInMinutes) => {
+    try {
+        const { data, error } = await resend.emails.send({
+            from: fromEmail,
+            to: user.email,
+            subject: 'Reset your Z-Academy password',
+            html: `
+                <!DOCTYPE html>
+                <html>
+                <head>
+                    <meta charset="UTF-8">
+                    <meta name="viewport" content="width=device-width, initial-scale=1.0">
+                </head>
+                <body style="font-family: Arial, sans-serif; line-height: 1.6; color: #333; max-width: 600px; margin: 0 auto; padding: 20px;">
+                    <div style="background: linear-gradient(135deg, #667eea 0%, #764ba2 100%); padding: 30px; text-align: center; border-radius: 10px 10px 0 0;">
+                        <h1 style="color: white; margin: 0; font-size: 28px;">Password Reset</h1>
+                    </div>
+
+                    <div style="background-color: #f9f9f9; padding: 30px; border-radius: 0 0 10px 10px;">
+                        <h2 style="color: #667eea; margin-top: 0;">Hi ${user.firstName},</h2>
+
+                        <p>We received a request to reset the password for your Z-Academy account. Click the button below to choose a new password.</p>
+
+                        <div style="text-align: center; margin: 30px 0;">
+                            <a href="${resetUrl}"
+                               style="background: linear-gradient(135deg, #667eea 0%, #764ba2 100%); color: white; padding: 12px 30px; text-decoration: none; border-radius: 5px; display: inline-block; font-weight: bold;">
+                                Reset Password
+                            </a>
+                        </div>
+
+                        <div style="background-color: #e7f3ff; border-left: 4px solid #667eea; padding: 15px; margin: 20px 0;">
+                            <p style="margin: 0;">This link expires in ${expiresInMinutes} minutes and can only be used once.</p>
+                        </div>
+
+                        <p>If you didn't request a password reset, you can safely ignore this email. Your password will not change.</p>
+
+                        <p style="margin-top: 30px;">
+                            Best regards,<br>
+                            <strong>The Z-Academy Team</strong>
+                        </p>
+                    </div>
+
+                    <div style="text-align: center; margin-top: 20px; color: #666; font-size: 12px;">
+                        <p>This email was sent to ${user.email}</p>
+                        <p>&copy; ${new Date().getFullYear()} Z-Academy. All rights reserved.</p>
+                    </div>
+                </body>
+                </html>
+            `
+        });
+
+        if (error) {
+            console.error('Error sending password reset email:', error);
+            throw error;
+        }
+
+        console.log('Password reset email sent successfully:', data);
+        return data;
+    } catch (error) {
+        console.error('Failed to send password reset email:', error);
+        throw error;
+    }
+};
+
+/**
+ * Send email address verification link
+ * @param {Object} user - User object containing firstName and email
+ * @param {string} verifyUrl - Link to the frontend verify email page including the token
+ * @param {number} expiresInHours - How long the link stays valid
+ * @returns {Promise<Object>} - Resend API response
+ */
+export const sendEmailVerificationEmail = async (user, verifyUrl, expiresInHours) => {
+    try {
+        const { data, error } = await resend.emails.send({
+            from: fromEmail,
+            to: user.email,
+            subject: 'Confirm your Z-Academy email address',
+            html: `
+                <!DOCTYPE html>
+                <html>
+                <head>
+                    <meta charset="UTF-8">
+                    <meta name="viewport" content="width=device-width, initial-scale=1.0">
+                </head>
+                <body style="font-family: Arial, sans-serif; line-height: 1.6; color: #333; max-width: 600px; margin: 0 auto; padding: 20px;">
+                    <div style="background: linear-gradient(135deg, #667eea 0%, #764ba2 100%); padding: 30px; text-align: center; border-radius: 10px 10px 0 0;">
+                        <h1 style="color: white; margin: 0; font-size: 28px;">Confirm Your Email</h1>
+                    </div>
+
+                    <div style="background-color: #f9f9f9; padding: 30px; border-radius: 0 0 10px 10px;">
+                        <h2 style="color: #667eea; margin-top: 0;">Hi ${user.firstName},</h2>
+
+                        <p>Please confirm that this is your email address. You'll need a verified email to book sessions and submit mentor applications.</p>
+
+                        <div style="text-align: center; margin: 30px 0;">
+                            <a href="${verifyUrl}"
+                               style="background: linear-gradient(135deg, #667eea 0%, #764ba2 100%); color: white; padding: 12px 30px; text-decoration: none; border-radius: 5px; display: inline-block; font-weight: bold;">
+                                Verify Email
+                            </a>
+                        </div>
+
+                        <div style="background-color: #e7f3ff; border-left: 4px solid #667eea; padding: 15px; margin: 20px 0;">
+                            <p style="margin: 0;">This link expires in ${expiresInHours} hours.</p>
+                        </div>
+
+                        <p>If you didn't create a Z-Academy account, you can safely ignore this email.</p>
+
+                        <p style="margin-top: 30px;">
+                            Best regards,<br>
+                            <strong>The Z-Academy Team</strong>
+                        </p>
+                    </div>
+
+                    <div style="text-align: center; margin-top: 20px; color: #666; font-size: 12px;">
+                        <p>This email was sent to ${user.email}</p>
+                        <p>&copy; ${new Date().getFullYear()} Z-Academy. All rights reserved.</p>
+                    </div>
+                </body>
+                </html>
+            `
+        });
+
+        if (error) {
+            console.error('Error sending email verification email:', error);
+            throw error;
+        }
+
+        console.log('Email verification email sent successfully:', data);
+        return data;
+    } catch (error) {
+        console.error('Failed to send email verification email:', error);
+        throw error;
+    }
+};
+
+/**
+ * Send notification that the account password was changed
+ * @param {Object} user - User object containing firstName and email
+ * @returns {Promise<Object>} - Resend API response
+ */
+export const sendPasswordChangedEmail = async (user) => {
+    try {
+        const { data, error } = await resend.emails.send({
+            from: fromEmail,
+            to: user.email,
+            subject: 'Your Z-Academy password was changed',
+            html: `
+                <!DOCTYPE html>
+                <html>
+                <head>
+                    <meta charset="UTF-8">
+                    <meta name="viewport" content="width=device-width, initial-scale=1.0">
+                </head>
+                <body style="font-family: Arial, sans-serif; line-height: 1.6; color: #333; max-width: 600px; margin: 0 auto; padding: 20px;">
+                    <div style="background: linear-gradient(135deg, #667eea 0%, #764ba2 100%); padding: 30px; text-align: center; border-radius: 10px 10px 0 0;">
+                        <h1 style="color: white; margin: 0; font-size: 28px;">Password Changed</h1>
+                    </div>
+
+                    <div style="background-color: #f9f9f9; padding: 30px; border-radius: 0 0 10px 10px;">
+                        <h2 style="color: #667eea; margin-top: 0;">Hi ${user.firstName},</h2>
+
+                        <p>The password for your Z-Academy account was just changed. For your security, you have been signed out on all other devices.</p>
+
+                        <div style="background-color: #e7f3ff; border-left: 4px solid #667eea; padding: 15px; margin: 20px 0;">
+                            <p style="margin: 0;"><strong>Wasn't you?</strong></p>
+                            <p style="margin: 10px 0 0 0;">Reset your password right away and contact our support team.</p>
+                        </div>
+
+                        <div style="text-align: center; margin: 30px 0;">
+                            <a href="${process.env.FRONTEND_URL || 'http://localhost:5173'}/forgot-password"
+                               style="background: linear-gradient(135deg, #667eea 0%, #764ba2 100%); color: white; padding: 12px 30px; text-decoration: none; border-radius: 5px; display: inline-block; font-weight: bold;">
+                                Reset Password
+                            </a>
+                        </div>
+
+                        <p style="margin-top: 30px;">
+                            Best regards,<br>
+                            <strong>The Z-Academy Team</strong>
+                        </p>
+                    </div>
+
+                    <div style="text-align: center; margin-top: 20px; color: #666; font-size: 12px;">
+                        <p>This email was sent to ${user.email}</p>
+                        <p>&copy; ${new Date().getFullYear()} Z-Academy. All rights reserved.</p>
+                    </div>
+                </body>
+                </html>
+            `
+        });
+
+        if (error) {
+            console.error('Error sending password changed email:', error);
+            throw error;
+        }
+
+        console.log('Password changed email sent successfully:', data);
+        return data;
+    } catch (error) {
+        console.error('Failed to send password changed email:', error);
+        throw error;
+    }
+};
+
+/**
+ * Send notification that two-factor authentication was turned off
+ * @param {Object} user - User object containing firstName and email
+ * @returns {Promise<Object>} - Resend API response
+ */
+export const sendTwoFactorDisabledEmail = async (user) => {
+    try {
+        const { data, error } = await resend.emails.send({
+            from: fromEmail,
+            to: user.email,
+            subject: 'Two-factor authentication was turned off',
+            html: `
+                <!DOCTYPE html>
+                <html>
+                <head>
+                    <meta charset="UTF-8">
+                    <meta name="viewport" content="width=device-width, initial-scale=1.0">
+                </head>
+                <body style="font-family: Arial, sans-serif; line-height: 1.6; color: #333; max-width: 600px; margin: 0 auto; padding: 20px;">
+                    <div style="background: linear-gradient(135deg, #667eea 0%, #764ba2 100%); padding: 30px; text-align: center; border-radius: 10px 10px 0 0;">
+                        <h1 style="color: white; margin: 0; font-size: 28px;">Two-Factor Authentication Off</h1>
+                    </div>
+
+                    <div style="background-color: #f9f9f9; padding: 30px; border-radius: 0 0 10px 10px;">
+                        <h2 style="color: #667eea; margin-top: 0;">Hi ${user.firstName},</h2>
+
+                        <p>Two-factor authentication was just turned off for your Z-Academy account, so signing in now only needs your password. For your security, you have been signed out on all other devices.</p>
+
+                        <div style="background-color: #e7f3ff; border-left: 4px solid #667eea; padding: 15px; margin: 20px 0;">
+                            <p style="margin: 0;"><strong>Wasn't you?</strong></p>
+                            <p style="margin: 10px 0 0 0;">Reset your password right away, turn two-factor authentication back on and contact our support team.</p>
+                        </div>
+
+                        <div style="text-align: center; margin: 30px 0;">
+                            <a href="${process.env.FRONTEND_URL || 'http://localhost:5173'}/forgot-password"
+                               style="background: linear-gradient(135deg, #667eea 0%, #764ba2 100%); color: white; padding: 12px 30px; text-decoration: none; border-radius: 5px; display: inline-block; font-weight: bold;">
+                                Reset Password
+                            </a>
+                        </div>
+
+                        <p style="margin-top: 30px;">
+                            Best regards,<br>
+                            <strong>The Z-Academy Team</strong>
+                        </p>
+                    </div>
+
+                    <div style="text-align: center; margin-top: 20px; color: #666; font-size: 12px;">
+                        <p>This email was sent to ${user.email}</p>
+                        <p>&copy; ${new Date().getFullYear()} Z-Academy. All rights reserved.</p>
+                    </div>
+                </body>
+                </html>
+            `
+        });
+
+        if (error) {
+            console.error('Error sending two-factor disabled email:', error);
+            throw error;
+        }
+
+        console.log('Two-factor disabled email sent successfully:', data);
+        return data;
+    } catch (error) {
+        console.error('Failed to send two-factor disabled email:', error);
+        throw error;
+    }
+};
+
+/**
+ * Send notification that the account was locked after repeated failed logins
+ * @param {Object} user - User object containing firstName and email
+ * @param {string} unlockUrl - Link to the frontend unlock page including the token
+ * @param {number} lockoutMinutes - How long the lock lasts if the link isn't used
+ * @returns {Promise<Object>} - Resend API response
+ */
+export const sendAccountLockedEmail = async (user, unlockUrl, lockoutMinutes) => {
+    try {
+        const { data, error } = await resend.emails.send({
+            from: fromEmail,
+            to: user.email,
+            subject: 'Your Z-Academy account has been temporarily locked',
+            html: `
+                <!DOCTYPE html>
+                <html>
+                <head>
+                    <meta charset="UTF-8">
+                    <meta name="viewport" content="width=device-width, initial-scale=1.0">
+                </head>
+                <body style="font-family: Arial, sans-serif; line-height: 1.6; color: #333; max-width: 600px; margin: 0 auto; padding: 20px;">
+                    <div style="background: linear-gradient(135deg, #667eea 0%, #764ba2 100%); padding: 30px; text-align: center; border-radius: 10px 10px 0 0;">
+                        <h1 style="color: white; margin: 0; font-size: 28px;">Account Locked</h1>
+                    </div>
+
+                    <div style="background-color: #f9f9f9; padding: 30px; border-radius: 0 0 10px 10px;">
+                        <h2 style="color: #667eea; margin-top: 0;">Hi ${user.firstName},</h2>
+
+                        <p>We noticed several failed attempts to log in to your Z-Academy account, so we've temporarily locked it to keep it safe.</p>
+
+                        <div style="background-color: #e7f3ff; border-left: 4px solid #667eea; padding: 15px; margin: 20px 0;">
+                            <p style="margin: 0;">The lock lifts automatically in ${lockoutMinutes} minutes. If it was you, you can unlock your account right away using the button below.</p>
+                        </div>
+
+                        <div style="text-align: center; margin: 30px 0;">
+                            <a href="${unlockUrl}"
+                               style="background: linear-gradient(135deg, #667eea 0%, #764ba2 100%); color: white; padding: 12px 30px; text-decoration: none; border-radius: 5px; display: inline-block; font-weight: bold;">
+                                Unlock Account
+                            </a>
+                        </div>
+
+                        <p>If these attempts weren't you, we recommend resetting your password.</p>
+
+                        <p style="margin-top: 30px;">
+                            Best regards,<br>
+                            <strong>The Z-Academy Team</strong>
+                        </p>
+                    </div>
+
+                    <div style="text-align: center; margin-top: 20px; color: #666; font-size: 12px;">
+                        <p>This email was sent to ${user.email}</p>
+                        <p>&copy; ${new Date().getFullYear()} Z-Academy. All rights reserved.</p>
+                    </div>
+                </body>
+                </html>
+            `
+        });
+
+        if (error) {
+            console.error('Error sending account locked email:', error);
+            throw error;
+        }
+
+        console.log('Account locked email sent successfully:', data);
+        return data;
+    } catch (error) {
+        console.error('Failed to send account locked email:', error);
+        throw error;
+    }
+};
+
+
+/**
+ * Send confirmation that account deletion has been scheduled
+ * @param {Object} user - User object containing firstName and email
+ * @param {Date} scheduledFor - When the account will be permanently deleted
+ * @returns {Promise<Object>} - Resend API response
+ */
+export const sendAccountDeletionScheduledEmail = async (user, scheduledFor) => {
+    try {
+        const deletionDate = new Date(scheduledFor).toUTCString();
+
+        const { data, error } = await resend.emails.send({
+            from: fromEmail,
+            to: user.email,
+            subject: 'Your Z-Academy account is scheduled for deletion',
+            html: `
+                <!DOCTYPE html>
+                <html>
+                <head>
+                    <meta charset="UTF-8">
+                    <meta name="viewport" content="width=device-width, initial-scale=1.0">
+                </head>
+                <body style="font-family: Arial, sans-serif; line-height: 1.6; color: #333; max-width: 600px; margin: 0 auto; padding: 20px;">
+                    <div style="background: linear-gradient(135deg, #667eea 0%, #764ba2 100%); padding: 30px; text-align: center; border-radius: 10px 10px 0 0;">
+                        <h1 style="color: white; margin: 0; font-size: 28px;">Account Deletion Scheduled</h1>
+                    </div>
+
+                    <div style="background-color: #f9f9f9; padding: 30px; border-radius: 0 0 10px 10px;">
+                        <h2 style="color: #667eea; margin-top: 0;">Hi ${user.firstName},</h2>
+
+                        <p>We received your request to delete your Z-Academy account. Your account and personal data will be permanently deleted on <strong>${deletionDate}</strong>.</p>
+
+                        <div style="background-color: #e7f3ff; border-left: 4px solid #667eea; padding: 15px; margin: 20px 0;">
+                            <p style="margin: 0;"><strong>Changed your mind?</strong></p>
+                            <p style="margin: 10px 0 0 0;">Log in before that date and cancel the deletion from your account settings.</p>
+                        </div>
+
+                        <div style="text-align: center; margin: 30px 0;">
+                            <a href="${process.env.FRONTEND_URL || 'http://localhost:5173'}/login"
+                               style="background: linear-gradient(135deg, #667eea 0%, #764ba2 100%); color: white; padding: 12px 30px; text-decoration: none; border-radius: 5px; display: inline-block; font-weight: bold;">
+                                Log In
+                            </a>
+                        </div>
+
+                        <p>Records of past sessions are kept in anonymized form, as the other party needs them for accounting.</p>
+
+                        <p style="margin-top: 30px;">
+                            Best regards,<br>
+                            <strong>The Z-Academy Team</strong>
+                        </p>
+                    </div>
+
+                    <div style="text-align: center; margin-top: 20px; color: #666; font-size: 12px;">
+                        <p>This email was sent to ${user.email}</p>
+                        <p>&copy; ${new Date().getFullYear()} Z-Academy. All rights reserved.</p>
+                    </div>
+                </body>
+                </html>
+            `
+        });
+
+        if (error) {
+            console.error('Error sending account deletion scheduled email:', error);
+            throw error;
+        }
+
+        console.log('Account deletion scheduled email sent successfully:', data);
+        return data;
+    } catch (error) {
+        console.error('Failed to send account deletion scheduled email:', error);
+        throw error;
+    }
+};
+
+/**
+ * Send confirmation that the account has been permanently deleted
+ * @param {Object} user - User object containing firstName and email (captured before deletion)
+ * @returns {Promise<Object>} - Resend API response
+ */
+export const sendAccountDeletedEmail = async (user) => {
+    try {
+        const { data, error } = await resend.emails.send({
+            from: fromEmail,
+            to: user.email,
+            subject: 'Your Z-Academy account has been deleted',
+            html: `
+                <!DOCTYPE html>
+                <html>
+                <head>
+                    <meta charset="UTF-8">
+                    <meta name="viewport" content="width=device-width, initial-scale=1.0">
+                </head>
+                <body style="font-family: Arial, sans-serif; line-height: 1.6; color: #333; max-width: 600px; margin: 0 auto; padding: 20px;">
+                    <div style="background: linear-gradient(135deg, #667eea 0%, #764ba2 100%); padding: 30px; text-align: center; border-radius: 10px 10px 0 0;">
+                        <h1 style="color: white; margin: 0; font-size: 28px;">Account Deleted</h1>
+                    </div>
+
+                    <div style="background-color: #f9f9f9; padding: 30px; border-radius: 0 0 10px 10px;">
+                        <h2 style="color: #667eea; margin-top: 0;">Hi ${user.firstName},</h2>
+
+                        <p>As requested, your Z-Academy account and personal data have been permanently deleted. This is the last email you will receive from us.</p>
+
+                        <p>Thank you for being part of Z-Academy. You are always welcome to create a new account in the future.</p>
+
+                        <p style="margin-top: 30px;">
+                            Best regards,<br>
+                            <strong>The Z-Academy Team</strong>
+                        </p>
+                    </div>
+
+                    <div style="text-align: center; margin-top: 20px; color: #666; font-size: 12px;">
+                        <p>This email was sent to ${user.email}</p>
+                        <p>&copy; ${new Date().getFullYear()} Z-Academy. All rights reserved.</p>
+                    </div>
+                </body>
+                </html>
+            `
+        });
+
+        if (error) {
+            console.error('Error sending account deleted email:', error);
+            throw error;
+        }
+
+        console.log('Account deleted email sent successfully:', data);
+        return data;
+    } catch (error) {
+        console.error('Failed to send account deleted email:', error);
+        throw error;
+    }
+};
+
+/**
+ * Notify a student or mentor that the other party cancelled their session
+ * @param {Object} recipient - User object containing firstName and email
+ * @param {Object} details - cancelledByName, serviceName, sessionDate, reason and refundAmount (null to omit)
+ * @returns {Promise<Object>} - Resend API response
+ */
+export const sendBookingCancelledEmail = async (recipient, { cancelledByName, serviceName, sessionDate, reason, refundAmount }) => {
+    try {
+        const sessionTime = new Date(sessionDate).toUTCString();
+
+        const { data, error } = await resend.emails.send({
+            from: fromEmail,
+            to: recipient.email,
+            subject: 'Your Z-Academy session has been cancelled',
+            html: `
+                <!DOCTYPE html>
+                <html>
+                <head>
+                    <meta charset="UTF-8">
+                    <meta name="viewport" content="width=device-width, initial-scale=1.0">
+                </head>
+                <body style="font-family: Arial, sans-serif; line-height: 1.6; color: #333; max-width: 600px; margin: 0 auto; padding: 20px;">
+                    <div style="background: linear-gradient(135deg, #667eea 0%, #764ba2 100%); padding: 30px; text-align: center; border-radius: 10px 10px 0 0;">
+                        <h1 style="color: white; margin: 0; font-size: 28px;">Session Cancelled</h1>
+                    </div>
+
+                    <div style="background-color: #f9f9f9; padding: 30px; border-radius: 0 0 10px 10px;">
+                        <h2 style="color: #667eea; margin-top: 0;">Hi ${recipient.firstName},</h2>
+
+                        <p>${cancelledByName} has cancelled your ${serviceName ? `<strong>${serviceName}</strong> ` : ''}session scheduled for <strong>${sessionTime}</strong>.</p>
+
+                        <div style="background-color: #e7f3ff; border-left: 4px solid #667eea; padding: 15px; margin: 20px 0;">
+                            <p style="margin: 0;"><strong>Reason:</strong></p>
+                            <p style="margin: 10px 0 0 0;">${escapeHtml(reason)}</p>
+                        </div>
+
+                        ${refundAmount ? `<p>A refund of <strong>${refundAmount} GEL</strong> will be issued to your original payment method.</p>` : ''}
+
+                        <div style="text-align: center; margin: 30px 0;">
+                            <a href="${process.env.FRONTEND_URL || 'http://localhost:5173'}/dashboard"
+                               style="background: linear-gradient(135deg, #667eea 0%, #764ba2 100%); color: white; padding: 12px 30px; text-decoration: none; border-radius: 5px; display: inline-block; font-weight: bold;">
+                                Go to Dashboard
+                            </a>
+                        </div>
+
+                        <p style="margin-top: 30px;">
+                            Best regards,<br>
+                            <strong>The Z-Academy Team</strong>
+                        </p>
+                    </div>
+
+                    <div style="text-align: center; margin-top: 20px; color: #666; font-size: 12px;">
+                        <p>This email was sent to ${recipient.email}</p>
+                        <p>&copy; ${new Date().getFullYear()} Z-Academy. All rights reserved.</p>
+                    </div>
+                </body>
+                </html>
+            `
+        });
+
+        if (error) {
+            console.error('Error sending booking cancelled email:', error);
+            throw error;
+        }
+
+        console.log('Booking cancelled email sent successfully:', data);
+        return data;
+    } catch (error) {
+        console.error('Failed to send booking cancelled email:', error);
+        throw error;
+    }
+};
+
+/**
+ * Ask a mentor to accept or decline a new time proposed by the student
+ * @param {Object} mentor - User object containing firstName and email
+ * @param {Object} details - studentName, serviceName, previousSessionDate, proposedSessionDate and reason
+ * @returns {Promise<Object>} - Resend API response
+ */
+export const sendRescheduleRequestedEmail = async (mentor, { studentName, serviceName, previousSessionDate, proposedSessionDate, reason }) => {
+    try {
+        const { data, error } = await resend.emails.send({
+            from: fromEmail,
+            to: mentor.email,
+            subject: `${studentName} asked to reschedule a session`,
+            html: `
+                <!DOCTYPE html>
+                <html>
+                <head>
+                    <meta charset="UTF-8">
+                    <meta name="viewport" content="width=device-width, initial-scale=1.0">
+                </head>
+                <body style="font-family: Arial, sans-serif; line-height: 1.6; color: #333; max-width: 600px; margin: 0 auto; padding: 20px;">
+                    <div style="background: linear-gradient(135deg, #667eea 0%, #764ba2 100%); padding: 30px; text-align: center; border-radius: 10px 10px 0 0;">
+                        <h1 style="color: white; margin: 0; font-size: 28px;">Reschedule Request</h1>
+                    </div>
+
+                    <div style="background-color: #f9f9f9; padding: 30px; border-radius: 0 0 10px 10px;">
+                        <h2 style="color: #667eea; margin-top: 0;">Hi ${mentor.firstName},</h2>
+
+                        <p>${studentName} would like to move their ${serviceName ? `<strong>${serviceName}</strong> ` : ''}session.</p>
+
+                        <div style="background-color: #e7f3ff; border-left: 4px solid #667eea; padding: 15px; margin: 20px 0;">
+                            <p style="margin: 0;"><strong>Current time:</strong> ${new Date(previousSessionDate).toUTCString()}</p>
+                            <p style="margin: 10px 0 0 0;"><strong>Proposed time:</strong> ${new Date(proposedSessionDate).toUTCString()}</p>
+                            ${reason ? `<p style="margin: 10px 0 0 0;"><strong>Reason:</strong> ${escapeHtml(reason)}</p>` : ''}
+                        </div>
+
+                        <p>The session stays at its current time until you accept or decline the request.</p>
+
+                        <div style="text-align: center; margin: 30px 0;">
+                            <a href="${process.env.FRONTEND_URL || 'http://localhost:5173'}/dashboard"
+                               style="background: linear-gradient(135deg, #667eea 0%, #764ba2 100%); color: white; padding: 12px 30px; text-decoration: none; border-radius: 5px; display: inline-block; font-weight: bold;">
+                                Respond to Request
+                            </a>
+                        </div>
+
+                        <p style="margin-top: 30px;">
+                            Best regards,<br>
+                            <strong>The Z-Academy Team</strong>
+                        </p>
+                    </div>
+
+                    <div style="text-align: center; margin-top: 20px; color: #666; font-size: 12px;">
+                        <p>This email was sent to ${mentor.email}</p>
+                        <p>&copy; ${new Date().getFullYear()} Z-Academy. All rights reserved.</p>
+                    </div>
+                </body>
+                </html>
+            `
+        });
+
+        if (error) {
+            console.error('Error sending reschedule requested email:', error);
+            throw error;
+        }
+
+        console.log('Reschedule requested email sent successfully:', data);
+        return data;
+    } catch (error) {
+        console.error('Failed to send reschedule requested email:', error);
+        throw error;
+    }
+};
+
+/**
+ * Tell a student whether the mentor accepted their proposed new time
+ * @param {Object} student - User object containing firstName and email
+ * @param {Object} details - mentorName, serviceName, accepted, previousSessionDate, proposedSessionDate and note
+ * @returns {Promise<Object>} - Resend API response
+ */
+export const sendRescheduleResolvedEmail = async (student, { mentorName, serviceName, accepted, previousSessionDate, proposedSessionDate, note }) => {
+    try {
+        const { data, error } = await resend.emails.send({
+            from: fromEmail,
+            to: student.email,
+            subject: accepted ? 'Your session has been rescheduled' : 'Your reschedule request was declined',
+            html: `
+                <!DOCTYPE html>
+                <html>
+                <head>
+                    <meta charset="UTF-8">
+                    <meta name="viewport" content="width=device-width, initial-scale=1.0">
+                </head>
+                <body style="font-family: Arial, sans-serif; line-height: 1.6; color: #333; max-width: 600px; margin: 0 auto; padding: 20px;">
+                    <div style="background: linear-gradient(135deg, #667eea 0%, #764ba2 100%); padding: 30px; text-align: center; border-radius: 10px 10px 0 0;">
+                        <h1 style="color: white; margin: 0; font-size: 28px;">${accepted ? 'Session Rescheduled' : 'Reschedule Declined'}</h1>
+                    </div>
+
+                    <div style="background-color: #f9f9f9; padding: 30px; border-radius: 0 0 10px 10px;">
+                        <h2 style="color: #667eea; margin-top: 0;">Hi ${student.firstName},</h2>
+
+                        ${accepted
+                            ? `<p>${mentorName} accepted your request. Your ${serviceName ? `<strong>${serviceName}</strong> ` : ''}session now takes place on <strong>${new Date(proposedSessionDate).toUTCString()}</strong>.</p>`
+                            : `<p>${mentorName} couldn't make the time you proposed. Your ${serviceName ? `<strong>${serviceName}</strong> ` : ''}session stays on <strong>${new Date(previousSessionDate).toUTCString()}</strong>.</p>`}
+
+                        ${note ? `
+                        <div style="background-color: #e7f3ff; border-left: 4px solid #667eea; padding: 15px; margin: 20px 0;">
+                            <p style="margin: 0;"><strong>Message from ${mentorName}:</strong></p>
+                            <p style="margin: 10px 0 0 0;">${escapeHtml(note)}</p>
+                        </div>` : ''}
+
+                        <div style="text-align: center; margin: 30px 0;">
+                            <a href="${process.env.FRONTEND_URL || 'http://localhost:5173'}/dashboard"
+                               style="background: linear-gradient(135deg, #667eea 0%, #764ba2 100%); color: white; padding: 12px 30px; text-decoration: none; border-radius: 5px; display: inline-block; font-weight: bold;">
+                                View Booking
+                            </a>
+                        </div>
+
+                        <p style="margin-top: 30px;">
+                            Best regards,<br>
+                            <strong>The Z-Academy Team</strong>
+                        </p>
+                    </div>
+
+                    <div style="text-align: center; margin-top: 20px; color: #666; font-size: 12px;">
+                        <p>This email was sent to ${student.email}</p>
+                        <p>&copy; ${new Date().getFullYear()} Z-Academy. All rights reserved.</p>
+                    </div>
+                </body>
+                </html>
+            `
+        });
+
+        if (error) {
+            console.error('Error sending reschedule resolved email:', error);
+            throw error;
+        }
+
+        console.log('Reschedule resolved email sent successfully:', data);
+        return data;
+    } catch (error) {
+        console.error('Failed to send reschedule resolved email:', error);
+        throw error;
+    }
+};
+
+/**
+ * Tell a student that the mentor confirmed their session
+ * @param {Object} student - User object containing firstName and email
+ * @param {Object} details - mentorName, serviceName, sessionDate and meetingLink (optional)
+ * @returns {Promise<Object>} - Resend API response
+ */
+export const sendBookingConfirmedEmail = async (student, { mentorName, serviceName, sessionDate, meetingLink }) => {
+    try {
+        const { data, error } = await resend.emails.send({
+            from: fromEmail,
+            to: student.email,
+            subject: 'Your Z-Academy session is confirmed',
+            html: `
+                <!DOCTYPE html>
+                <html>
+                <head>
+                    <meta charset="UTF-8">
+                    <meta name="viewport" content="width=device-width, initial-scale=1.0">
+                </head>
+                <body style="font-family: Arial, sans-serif; line-height: 1.6; color: #333; max-width: 600px; margin: 0 auto; padding: 20px;">
+                    <div style="background: linear-gradient(135deg, #667eea 0%, #764ba2 100%); padding: 30px; text-align: center; border-radius: 10px 10px 0 0;">
+                        <h1 style="color: white; margin: 0; font-size: 28px;">Session Confirmed</h1>
+                    </div>
+
+                    <div style="background-color: #f9f9f9; padding: 30px; border-radius: 0 0 10px 10px;">
+                        <h2 style="color: #667eea; margin-top: 0;">Hi ${student.firstName},</h2>
+
+                        <p>${mentorName} confirmed your ${serviceName ? `<strong>${serviceName}</strong> ` : ''}session on <strong>${new Date(sessionDate).toUTCString()}</strong>.</p>
+
+                        ${meetingLink ? `
+                        <div style="background-color: #e7f3ff; border-left: 4px solid #667eea; padding: 15px; margin: 20px 0;">
+                            <p style="margin: 0;"><strong>Meeting link:</strong></p>
+                            <p style="margin: 10px 0 0 0;"><a href="${escapeHtml(meetingLink)}" style="color: #667eea;">${escapeHtml(meetingLink)}</a></p>
+                        </div>` : ''}
+
+                        <div style="text-align: center; margin: 30px 0;">
+                            <a href="${process.env.FRONTEND_URL || 'http://localhost:5173'}/dashboard"
+                               style="background: linear-gradient(135deg, #667eea 0%, #764ba2 100%); color: white; padding: 12px 30px; text-decoration: none; border-radius: 5px; display: inline-block; font-weight: bold;">
+                                View Booking
+                            </a>
+                        </div>
+
+                        <p style="margin-top: 30px;">
+                            Best regards,<br>
+                            <strong>The Z-Academy Team</strong>
+                        </p>
+                    </div>
+
+                    <div style="text-align: center; margin-top: 20px; color: #666; font-size: 12px;">
+                        <p>This email was sent to ${student.email}</p>
+                        <p>&copy; ${new Date().getFullYear()} Z-Academy. All rights reserved.</p>
+                    </div>
+                </body>
+                </html>
+            `
+        });
+
+        if (error) {
+            console.error('Error sending booking confirmed email:', error);
+            throw error;
+        }
+
+        console.log('Booking confirmed email sent successfully:', data);
+        return data;
+    } catch (error) {
+        console.error('Failed to send booking confirmed email:', error);
+        throw error;
+    }
+};
+
+/**
+ * Tell a student that their booking expired because the mentor didn't confirm it in time
+ * @param {Object} student - User object containing firstName and email
+ * @param {Object} details - mentorName, serviceName, sessionDate and refundAmount
+ * @returns {Promise<Object>} - Resend API response
+ */
+export const sendBookingExpiredEmail = async (student, { mentorName, serviceName, sessionDate, refundAmount }) => {
+    try {
+        const { data, error } = await resend.emails.send({
+            from: fromEmail,
+            to: student.email,
+            subject: 'Your Z-Academy booking request has expired',
+            html: `
+                <!DOCTYPE html>
+                <html>
+                <head>
+                    <meta charset="UTF-8">
+                    <meta name="viewport" content="width=device-width, initial-scale=1.0">
+                </head>
+                <body style="font-family: Arial, sans-serif; line-height: 1.6; color: #333; max-width: 600px; margin: 0 auto; padding: 20px;">
+                    <div style="background: linear-gradient(135deg, #667eea 0%, #764ba2 100%); padding: 30px; text-align: center; border-radius: 10px 10px 0 0;">
+                        <h1 style="color: white; margin: 0; font-size: 28px;">Booking Expired</h1>
+                    </div>
+
+                    <div style="background-color: #f9f9f9; padding: 30px; border-radius: 0 0 10px 10px;">
+                        <h2 style="color: #667eea; margin-top: 0;">Hi ${student.firstName},</h2>
+
+                        <p>Unfortunately ${mentorName} didn't confirm your ${serviceName ? `<strong>${serviceName}</strong> ` : ''}session on <strong>${new Date(sessionDate).toUTCString()}</strong> in time, so the booking has been cancelled.</p>
+
+                        ${refundAmount ? `<p>A full refund of <strong>${refundAmount} GEL</strong> will be issued to your original payment method.</p>` : ''}
+
+                        <p>You are welcome to pick another time or another mentor.</p>
+
+                        <div style="text-align: center; margin: 30px 0;">
+                            <a href="${process.env.FRONTEND_URL || 'http://localhost:5173'}/mentors"
+                               style="background: linear-gradient(135deg, #667eea 0%, #764ba2 100%); color: white; padding: 12px 30px; text-decoration: none; border-radius: 5px; display: inline-block; font-weight: bold;">
+                                Find a Mentor
+                            </a>
+                        </div>
+
+                        <p style="margin-top: 30px;">
+                            Best regards,<br>
+                            <strong>The Z-Academy Team</strong>
+                        </p>
+                    </div>
+
+                    <div style="text-align: center; margin-top: 20px; color: #666; font-size: 12px;">
+                        <p>This email was sent to ${student.email}</p>
+                        <p>&copy; ${new Date().getFullYear()} Z-Academy. All rights reserved.</p>
+                    </div>
+                </body>
+                </html>
+            `
+        });
+
+        if (error) {
+            console.error('Error sending booking expired email:', error);
+            throw error;
+        }
+
+        console.log('Booking expired email sent successfully:', data);
+        return data;
+    } catch (error) {
+        console.error('Failed to send booking expired email:', error);
+        throw error;
+    }
+};
+
+/**
+ * Tell a student that their booking was cancelled because it wasn't paid in time
+ * @param {Object} student - User object containing firstName and email
+ * @param {Object} details - mentorName, serviceName and sessionDate
+ * @returns {Promise<Object>} - Resend API response
+ */
+export const sendBookingPaymentExpiredEmail = async (student, { mentorName, serviceName, sessionDate }) => {
+    try {
+        const { data, error } = await resend.emails.send({
+            from: fromEmail,
+            to: student.email,
+            subject: 'Your Z-Academy booking was cancelled',
+            html: `
+                <!DOCTYPE html>
+                <html>
+                <head>
+                    <meta charset="UTF-8">
+                    <meta name="viewport" content="width=device-width, initial-scale=1.0">
+                </head>
+                <body style="font-family: Arial, sans-serif; line-height: 1.6; color: #333; max-width: 600px; margin: 0 auto; padding: 20px;">
+                    <div style="background: linear-gradient(135deg, #667eea 0%, #764ba2 100%); padding: 30px; text-align: center; border-radius: 10px 10px 0 0;">
+                        <h1 style="color: white; margin: 0; font-size: 28px;">Booking Not Paid</h1>
+                    </div>
+
+                    <div style="background-color: #f9f9f9; padding: 30px; border-radius: 0 0 10px 10px;">
+                        <h2 style="color: #667eea; margin-top: 0;">Hi ${student.firstName},</h2>
+
+                        <p>We didn't receive payment for your ${serviceName ? `<strong>${serviceName}</strong> ` : ''}session with ${mentorName} on <strong>${new Date(sessionDate).toUTCString()}</strong> in time, so the booking has been cancelled and the time has been released.</p>
+
+                        <p>You haven't been charged. If you'd still like to meet ${mentorName}, you can book the session again.</p>
+
+                        <div style="text-align: center; margin: 30px 0;">
+                            <a href="${process.env.FRONTEND_URL || 'http://localhost:5173'}/mentors"
+                               style="background: linear-gradient(135deg, #667eea 0%, #764ba2 100%); color: white; padding: 12px 30px; text-decoration: none; border-radius: 5px; display: inline-block; font-weight: bold;">
+                                Find a Mentor
+                            </a>
+                        </div>
+
+                        <p style="margin-top: 30px;">
+                            Best regards,<br>
+                            <strong>The Z-Academy Team</strong>
+                        </p>
+                    </div>
+
+                    <div style="text-align: center; margin-top: 20px; color: #666; font-size: 12px;">
+                        <p>This email was sent to ${student.email}</p>
+                        <p>&copy; ${new Date().getFullYear()} Z-Academy. All rights reserved.</p>
+                    </div>
+                </body>
+                </html>
+            `
+        });
+
+        if (error) {
+            console.error('Error sending booking payment expired email:', error);
+            throw error;
+        }
+
+        console.log('Booking payment expired email sent successfully:', data);
+        return data;
+    } catch (error) {
+        console.error('Failed to send booking payment expired email:', error);
+        throw error;
+    }
+};
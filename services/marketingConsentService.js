@@ -0,0 +1,143 @@
+// Business logic for marketing consent (settings changes and email unsubscribe links)
+import jwt from 'jsonwebtoken';
+import pool from '../db/config.js';
+import {
+    findMarketingConsent,
+    findMarketingPreferenceForUpdate,
+    updateMarketingPreference,
+    recordMarketingConsent
+} from '../dal/userDal.js';
+import { getClientMetadata } from './authService.js';
+
+const UNSUBSCRIBE_SECRET = process.env.MARKETING_UNSUBSCRIBE_SECRET || process.env.JWT_SECRET || 'jwt-secret';
+const FRONTEND_URL = process.env.FRONTEND_URL || 'http://localhost:5173';
+const API_URL = process.env.API_URL || 'http://localhost:3000';
+
+/**
+ * Change the user's marketing preference and record it in the consent history
+ * Returns false when the preference already had that value (nothing is recorded)
+ */
+const changeMarketingConsent = async (userId, consentGiven, { consentMethod, source, campaignId, notes }, req) => {
+    const client = await pool.connect();
+
+    try {
+        await client.query('BEGIN');
+
+        const user = await findMarketingPreferenceForUpdate(userId, client);
+
+        if (!user) {
+            throw new Error('User not found');
+        }
+
+        if (user.agree_to_marketing === consentGiven) {
+            await client.query('ROLLBACK');
+            return false;
+        }
+
+        const clientMetadata = getClientMetadata(req);
+
+        await updateMarketingPreference(userId, consentGiven, client);
+        await recordMarketingConsent(userId, {
+            consentGiven,
+            consentMethod,
+            ipAddress: clientMetadata.ipAddress,
+            userAgent: clientMetadata.userAgent,
+            source,
+            campaignId,
+            notes
+        }, client);
+
+        await client.query('COMMIT');
+        return true;
+    } catch (error) {
+        await client.query('ROLLBACK');
+        throw error;
+    } finally {
+        client.release();
+    }
+};
+
+/**
+ * Get the user's current marketing consent and its history
+ */
+export const getMarketingConsent = async (userId) => {
+    const consent = await findMarketingConsent(userId);
+
+    if (!consent) {
+        throw new Error('User not found');
+    }
+
+    return {
+        agreeToMarketing: consent.agree_to_marketing,
+        history: consent.history.map(entry => ({
+            consentGiven: entry.consent_given,
+            consentMethod: entry.consent_method,
+            source: entry.source,
+            campaignId: entry.campaign_id,
+            createdAt: entry.created_at
+        }))
+    };
+};
+
+/**
+ * Update marketing consent from the account settings
+ */
+export const updateMarketingConsent = async (userId, { consentGiven, source }, req) => {
+    const changed = await changeMarketingConsent(userId, consentGiven, {
+        consentMethod: 'settings',
+        source
+    }, req);
+
+    return { agreeToMarketing: consentGiven, changed };
+};
+
+/**
+ * Build the unsubscribe links to include in a marketing email
+ * unsubscribeUrl opens the frontend page; headers enable one-click unsubscribe (RFC 8058) in mail clients
+ * The API sends no marketing email yet; a campaign sender added later belongs in emailService next to the
+ * other sends, must skip users without agree_to_marketing and put these links in every email
+ */
+export const buildUnsubscribeLinks = (userId, campaignId = null) => {
+    const token = jwt.sign(
+        { id: userId, campaignId, purpose: 'marketing_unsubscribe' },
+        UNSUBSCRIBE_SECRET
+    );
+    const oneClickUrl = `${API_URL}/api/marketing/unsubscribe?token=${encodeURIComponent(token)}`;
+
+    return {
+        unsubscribeUrl: `${FRONTEND_URL}/unsubscribe?token=${encodeURIComponent(token)}`,
+        headers: {
+            'List-Unsubscribe': `<${oneClickUrl}>`,
+            'List-Unsubscribe-Post': 'List-Unsubscribe=One-Click'
+        }
+    };
+};
+
+/**
+ * Withdraw marketing consent using a signed link from an email (no login required)
+ */
+export const unsubscribeWithToken = async (token, req) => {
+    let decoded;
+    try {
+        decoded = jwt.verify(token, UNSUBSCRIBE_SECRET);
+    } catch (error) {
+        throw new Error('Invalid unsubscribe link');
+    }
+
+    if (decoded.purpose !== 'marketing_unsubscribe') {
+        throw new Error('Invalid unsubscribe link');
+    }
+
+    try {
+        await changeMarketingConsent(decoded.id, false, {
+            consentMethod: 'email',
+            source: 'unsubscribe_link',
+            campaignId: decoded.campaignId
+        }, req);
+    } catch (error) {
+        if (error.message === 'User not found') {
+            throw new Error('Invalid unsubscribe link');
+        }
+        throw error;
+    }
+};
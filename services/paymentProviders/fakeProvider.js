@@ -0,0 +1,124 @@
+// Offline payment provider for development and testing - nothing is charged
+// Checkout pages are served by this API (routes/payments.js) and webhooks are signed like a real provider's,
+// so the whole flow, including signature checks, runs without network access
+import crypto from 'crypto';
+
+// No fallback: getPaymentProvider refuses the fake provider until a secret is set
+const WEBHOOK_SECRET = process.env.FAKE_PAYMENT_WEBHOOK_SECRET;
+const API_URL = process.env.API_URL || 'http://localhost:3000';
+const SIGNATURE_HEADER = 'x-fake-signature';
+// Reject signed events older than this, so captured requests can't be replayed later
+const SIGNATURE_TOLERANCE_SECONDS = 300;
+
+// Open checkout sessions; the fake provider keeps no other state and forgets them on restart
+const checkoutSessions = new Map();
+
+const sign = (timestamp, rawBody) => {
+    if (!WEBHOOK_SECRET) {
+        throw new Error('FAKE_PAYMENT_WEBHOOK_SECRET is not configured');
+    }
+
+    return crypto.createHmac('sha256', WEBHOOK_SECRET).update(`${timestamp}.${rawBody}`).digest('hex');
+};
+
+export const name = 'fake';
+
+/**
+ * Open a checkout session
+ */
+export const createCheckoutSession = async ({ amount, currency, description, successUrl, cancelUrl, expiresAt }) => {
+    const sessionId = `fake_cs_${crypto.randomBytes(12).toString('hex')}`;
+
+    checkoutSessions.set(sessionId, { amount, currency, description, successUrl, cancelUrl, expiresAt });
+
+    return {
+        sessionId,
+        checkoutUrl: `${API_URL}/api/payments/fake/checkout/${sessionId}`
+    };
+};
+
+/**
+ * Refund part or all of a payment; the fake provider refunds instantly
+ */
+export const refund = async ({ paymentId, amount }) => {
+    if (!paymentId || !(amount > 0)) {
+        return { refundId: null, status: 'failed', failureReason: 'Invalid refund request' };
+    }
+
+    return {
+        refundId: `fake_re_${crypto.randomBytes(12).toString('hex')}`,
+        status: 'succeeded',
+        failureReason: null
+    };
+};
+
+/**
+ * Check a webhook's signature and turn it into a payment event
+ */
+export const parseWebhook = (rawBody, headers) => {
+    const signature = headers[SIGNATURE_HEADER] || '';
+    const parts = Object.fromEntries(signature.split(',').map(part => part.split('=')));
+    const timestamp = parseInt(parts.t);
+
+    if (!timestamp || !parts.v1 || Math.abs(Date.now() / 1000 - timestamp) > SIGNATURE_TOLERANCE_SECONDS) {
+        throw new Error('Invalid webhook signature');
+    }
+
+    const expected = sign(timestamp, rawBody);
+
+    if (parts.v1.length !== expected.length ||
+        !crypto.timingSafeEqual(Buffer.from(parts.v1), Buffer.from(expected))) {
+        throw new Error('Invalid webhook signature');
+    }
+
+    const event = JSON.parse(rawBody);
+
+    return {
+        id: event.id,
+        type: event.type,
+        sessionId: event.sessionId,
+        paymentId: event.paymentId,
+        refundId: event.refundId || null,
+        amount: event.amount,
+        currency: event.currency,
+        failureReason: event.failureReason || null
+    };
+};
+
+/**
+ * Details of an open checkout session, for the fake checkout page
+ */
+export const getCheckoutSession = (sessionId) => {
+    return checkoutSessions.get(sessionId) || null;
+};
+
+/**
+ * Complete a checkout session the way a real provider would: build the signed webhook it would send
+ * Outcome is 'paid' or 'failed'; returns the webhook request and where to send the student back to
+ */
+export const completeCheckoutSession = (sessionId, outcome) => {
+    const session = checkoutSessions.get(sessionId);
+
+    if (!session) {
+        return null;
+    }
+
+    checkoutSessions.delete(sessionId);
+
+    const rawBody = JSON.stringify({
+        id: `fake_evt_${crypto.randomBytes(12).toString('hex')}`,
+        type: outcome === 'paid' ? 'payment.succeeded' : 'payment.failed',
+        sessionId,
+        paymentId: outcome === 'paid' ? `fake_pay_${crypto.randomBytes(12).toString('hex')}` : null,
+        amount: session.amount,
+        currency: session.currency,
+        failureReason: outcome === 'paid' ? null : 'Card declined (fake provider)'
+    });
+    const timestamp = Math.floor(Date.now() / 1000);
+
+    return {
+        rawBody,
+        headers: { [SIGNATURE_HEADER]: `t=${timestamp},v1=${sign(timestamp, rawBody)}` },
+        redirectUrl: outcome === 'paid' ? session.successUrl : session.cancelUrl
+    };
+};
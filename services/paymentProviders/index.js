@@ -0,0 +1,57 @@
+// Payment provider selection
+// A provider module exports:
+//   name                                  - stored with each payment
+//   createCheckoutSession({ amount, currency, description, successUrl, cancelUrl, expiresAt, metadata })
+//                                         - resolves to { sessionId, checkoutUrl }; amount is in minor units (tetri)
+//   refund({ paymentId, amount, currency, reason })
+//                                         - resolves to { refundId, status, failureReason }; status is 'succeeded',
+//                                           'failed', or 'pending' when the outcome arrives later by webhook
+//   parseWebhook(rawBody, headers)        - verifies the signature (throws 'Invalid webhook signature') and returns
+//                                           { id, type, sessionId, paymentId, refundId, amount, currency, failureReason }
+//                                           with type 'payment.succeeded', 'payment.failed', 'refund.succeeded'
+//                                           or 'refund.failed'
+import * as fakeProvider from './fakeProvider.js';
+
+const providers = {
+    [fakeProvider.name]: fakeProvider
+};
+
+// Must be set explicitly; there is no default, so a misconfigured server can't fall back to the fake provider
+const PAYMENT_PROVIDER = process.env.PAYMENT_PROVIDER;
+
+/**
+ * The configured payment provider
+ * The fake provider accepts webhooks signed with a shared secret and charges nothing, so it is refused in production
+ */
+export const getPaymentProvider = () => {
+    if (!PAYMENT_PROVIDER) {
+        throw new Error('PAYMENT_PROVIDER is not configured');
+    }
+
+    const provider = providers[PAYMENT_PROVIDER];
+
+    if (!provider) {
+        throw new Error(`Unknown payment provider: ${PAYMENT_PROVIDER}`);
+    }
+
+    if (provider === fakeProvider) {
+        if (process.env.NODE_ENV === 'production') {
+            throw new Error('The fake payment provider cannot be used in production');
+        }
+
+        if (!process.env.FAKE_PAYMENT_WEBHOOK_SECRET) {
+            throw new Error('FAKE_PAYMENT_WEBHOOK_SECRET is not configured');
+        }
+    }
+
+    return provider;
+};
+
+/**
+ * Whether the offline fake provider is in use (its checkout pages are only served then)
+ */
+export const isFakeProviderEnabled = () => {
+    return PAYMENT_PROVIDER === fakeProvider.name
+        && process.env.NODE_ENV !== 'production'
+        && !!process.env.FAKE_PAYMENT_WEBHOOK_SECRET;
+};
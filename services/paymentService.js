@@ -0,0 +1,310 @@
+// Business logic for paying for bookings through the configured payment provider
+import pool from '../db/config.js';
+import {
+    findBookingForUpdate,
+    markBookingCancelled,
+    cancelPendingReschedules,
+    findBookingWithParticipants
+} from '../dal/bookingDal.js';
+import {
+    createPayment,
+    findOpenPayment,
+    findPaymentBySessionForUpdate,
+    updatePaymentStatus,
+    expireOpenPayments,
+    recordWebhookEvent,
+    updateBookingPaymentStatus,
+    findOverduePaymentBookings
+} from '../dal/paymentDal.js';
+import { getPaymentProvider } from './paymentProviders/index.js';
+import { refundBooking, applyRefundEvent } from './refundService.js';
+import { sendBookingPaymentExpiredEmail } from './emailService.js';
+
+// How long a student has to pay after booking before the booking is cancelled
+const PAYMENT_WINDOW_MINUTES = parseInt(process.env.PAYMENT_WINDOW_MINUTES) || 30;
+const PAYMENT_EXPIRY_BATCH_SIZE = 100;
+const PAYMENT_CURRENCY = 'GEL';
+const FRONTEND_URL = process.env.FRONTEND_URL || 'http://localhost:5173';
+
+/**
+ * When a booking made now must be paid by (never later than the session itself)
+ */
+export const getPaymentDueAt = (sessionDate, now = new Date()) => {
+    const windowEnd = new Date(now.getTime() + PAYMENT_WINDOW_MINUTES * 60 * 1000);
+    return windowEnd < sessionDate ? windowEnd : sessionDate;
+};
+
+/**
+ * Format a payment for API responses
+ */
+const formatPayment = (payment) => ({
+    id: payment.id,
+    bookingId: payment.booking_id,
+    provider: payment.provider,
+    amount: payment.amount / 100,
+    currency: payment.currency,
+    status: payment.status,
+    checkoutUrl: payment.status === 'pending' ? payment.checkout_url : null,
+    expiresAt: payment.expires_at,
+    paidAt: payment.paid_at,
+    failureReason: payment.failure_reason,
+    createdAt: payment.created_at
+});
+
+/**
+ * Open (or reuse) a checkout session for the student's booking
+ */
+export const createCheckout = async (bookingId, studentId) => {
+    const provider = getPaymentProvider();
+    const client = await pool.connect();
+
+    try {
+        await client.query('BEGIN');
+
+        const booking = await findBookingForUpdate(bookingId, { userId: studentId }, client);
+
+        if (!booking) {
+            throw new Error('Booking not found');
+        }
+
+        if (!['pending', 'confirmed'].includes(booking.status)) {
+            throw new Error('Only pending or confirmed bookings can be paid');
+        }
+
+        if (booking.payment_status === 'paid') {
+            throw new Error('This booking is already paid');
+        }
+
+        const now = new Date();
+        // Bookings made before online payments have no deadline; they can be paid until the session starts
+        const dueAt = booking.payment_due_at ? new Date(booking.payment_due_at) : new Date(booking.session_date);
+
+        if (dueAt <= now) {
+            throw new Error('The payment deadline for this booking has passed');
+        }
+
+        // Paying twice for one booking is worse than a stale page, so hand back the open session
+        const openPayment = await findOpenPayment(bookingId, provider.name, client);
+
+        if (openPayment) {
+            await client.query('COMMIT');
+            return formatPayment(openPayment);
+        }
+
+        const amount = booking.total_price * 100;
+        const session = await provider.createCheckoutSession({
+            amount,
+            currency: PAYMENT_CURRENCY,
+            description: 'Z-Academy mentoring session',
+            successUrl: `${FRONTEND_URL}/bookings/${bookingId}?payment=success`,
+            cancelUrl: `${FRONTEND_URL}/bookings/${bookingId}?payment=cancelled`,
+            expiresAt: dueAt,
+            metadata: { bookingId }
+        });
+
+        const payment = await createPayment({
+            bookingId,
+            provider: provider.name,
+            providerSessionId: session.sessionId,
+            amount,
+            currency: PAYMENT_CURRENCY,
+            checkoutUrl: session.checkoutUrl,
+            expiresAt: dueAt
+        }, client);
+
+        await client.query('COMMIT');
+        return formatPayment(payment);
+    } catch (error) {
+        await client.query('ROLLBACK');
+        throw error;
+    } finally {
+        client.release();
+    }
+};
+
+/**
+ * Apply a payment event to the payment and its booking (within the webhook transaction)
+ * Returns true when the money arrived for a booking that is already cancelled and must be refunded
+ */
+const applyPaymentEvent = async (payment, event, client) => {
+    const booking = await findBookingForUpdate(payment.booking_id, {}, client);
+
+    switch (event.type) {
+        case 'payment.succeeded':
+            if (payment.status === 'paid' || payment.status === 'refunded') {
+                return false;
+            }
+
+            // Only the amount the checkout session was opened for confirms the booking; anything else is left for an admin
+            if (event.amount !== payment.amount || event.currency !== payment.currency) {
+                console.error(`Payment ${payment.id} expected ${payment.amount} ${payment.currency} but the provider reported ${event.amount} ${event.currency}`);
+
+                await updatePaymentStatus(payment.id, {
+                    status: 'failed',
+                    providerPaymentId: event.paymentId,
+                    failureReason: `Paid amount does not match: ${event.amount} ${event.currency}`
+                }, client);
+
+                if (booking && booking.payment_status !== 'paid') {
+                    await updateBookingPaymentStatus(payment.booking_id, 'failed', client);
+                }
+                return false;
+            }
+
+            await updatePaymentStatus(payment.id, { status: 'paid', providerPaymentId: event.paymentId }, client);
+            await updateBookingPaymentStatus(payment.booking_id, 'paid', client);
+
+            // Paid after the booking was cancelled (e.g. it expired while the student was at checkout)
+            return !!booking && !['pending', 'confirmed'].includes(booking.status);
+
+        case 'payment.failed':
+            if (payment.status !== 'pending') {
+                return false;
+            }
+
+            await updatePaymentStatus(payment.id, { status: 'failed', failureReason: event.failureReason }, client);
+
+            // Another checkout session may already have paid for the booking
+            if (booking && booking.payment_status !== 'paid') {
+                await updateBookingPaymentStatus(payment.booking_id, 'failed', client);
+            }
+            return false;
+
+        default:
+            // Providers send many event types; only the ones above matter
+            return false;
+    }
+};
+
+/**
+ * Verify and process a webhook from the payment provider
+ * Each event is processed once, however many times the provider retries it
+ */
+export const handlePaymentWebhook = async (rawBody, headers) => {
+    const provider = getPaymentProvider();
+    let event;
+
+    try {
+        event = provider.parseWebhook(rawBody, headers);
+    } catch (error) {
+        throw new Error('Invalid webhook signature');
+    }
+
+    const client = await pool.connect();
+    let payment;
+    let needsRefund = false;
+
+    try {
+        await client.query('BEGIN');
+
+        const isNew = await recordWebhookEvent(provider.name, event, client);
+
+        if (!isNew) {
+            await client.query('ROLLBACK');
+            return { processed: false };
+        }
+
+        if (event.type === 'refund.succeeded' || event.type === 'refund.failed') {
+            await applyRefundEvent(event, client);
+        } else {
+            payment = await findPaymentBySessionForUpdate(provider.name, event.sessionId, client);
+
+            if (payment) {
+                needsRefund = await applyPaymentEvent(payment, event, client);
+            } else {
+                console.warn(`Payment webhook ${event.id} refers to unknown checkout session ${event.sessionId}`);
+            }
+        }
+
+        await client.query('COMMIT');
+    } catch (error) {
+        await client.query('ROLLBACK');
+        throw error;
+    } finally {
+        client.release();
+    }
+
+    // Give the money back for a booking that no longer exists (non-blocking)
+    if (needsRefund) {
+        refundBooking(payment.booking_id, {
+            reason: 'Payment received after the booking was cancelled',
+            initiatorRole: 'system',
+            costBearer: 'platform',
+            forCancellation: true
+        }).catch(error => {
+            console.error(`Failed to refund late payment for booking ${payment.booking_id}:`, error);
+        });
+    }
+
+    return { processed: true };
+};
+
+/**
+ * Cancel bookings that weren't paid by their deadline
+ * Returns how many bookings were cancelled
+ */
+export const expireUnpaidBookings = async () => {
+    const overdueBookings = await findOverduePaymentBookings(PAYMENT_EXPIRY_BATCH_SIZE);
+    let expiredCount = 0;
+
+    for (const { id } of overdueBookings) {
+        const client = await pool.connect();
+
+        try {
+            await client.query('BEGIN');
+
+            const booking = await findBookingForUpdate(id, {}, client);
+
+            // Paid or cancelled in the meantime
+            if (!booking || !['pending', 'failed'].includes(booking.payment_status) ||
+                !['pending', 'confirmed'].includes(booking.status)) {
+                await client.query('ROLLBACK');
+                continue;
+            }
+
+            await markBookingCancelled(id, {
+                status: 'cancelled_by_student',
+                reason: 'Not paid in time',
+                cancelledBy: null,
+                refundAmount: 0
+            }, client);
+            await cancelPendingReschedules(id, client);
+            await expireOpenPayments(id, client);
+
+            await client.query('COMMIT');
+            expiredCount++;
+        } catch (error) {
+            await client.query('ROLLBACK');
+            console.error(`Failed to expire unpaid booking ${id}:`, error);
+            continue;
+        } finally {
+            client.release();
+        }
+
+        notifyBookingPaymentExpired(id).catch(error => {
+            console.error('Failed to send booking payment expired email:', error);
+        });
+    }
+
+    return expiredCount;
+};
+
+/**
+ * Email the student that their unpaid booking was cancelled
+ */
+const notifyBookingPaymentExpired = async (bookingId) => {
+    const booking = await findBookingWithParticipants(bookingId);
+
+    if (!booking) {
+        return;
+    }
+
+    await sendBookingPaymentExpiredEmail({
+        firstName: booking.student_first_name,
+        email: booking.student_email
+    }, {
+        mentorName: `${booking.mentor_first_name} ${booking.mentor_last_name}`,
+        serviceName: booking.mentorship_service,
+        sessionDate: booking.session_date
+    });
+};
@@ -0,0 +1,310 @@
+// Business logic for the mentor earnings ledger and bank payouts
+// Amounts are whole GEL; see db/migrations/021_create_mentor_ledger.sql for the accounts and entry types
+import pool from '../db/config.js';
+import {
+    postSessionEarnings,
+    postRefundDeductions,
+    createLedgerEntry,
+    lockLedger,
+    findMentorAccountBalances,
+    findPayableMentorBalances,
+    findMentorLedgerEntries,
+    createPayoutBatch as insertPayoutBatch,
+    createPayoutBatchItem,
+    updatePayoutBatchTotals,
+    findPayoutBatches,
+    findPayoutBatchById,
+    findPayoutBatchForUpdate,
+    findPayoutBatchItems,
+    markPayoutBatchSettled
+} from '../dal/ledgerDal.js';
+import { findLifetimeEarnings } from '../dal/earningsDal.js';
+import { toCsv } from './csvService.js';
+
+// Maximum number of bookings (and refunds) added to the ledger per run
+const LEDGER_POSTING_BATCH_SIZE = parseInt(process.env.LEDGER_POSTING_BATCH_SIZE) || 500;
+
+/**
+ * Format a ledger entry for API responses
+ * Credits to the mentor's balance are positive, debits negative
+ */
+const formatLedgerEntry = (entry) => ({
+    id: entry.id,
+    entryType: entry.entry_type,
+    debitAccount: entry.debit_account,
+    creditAccount: entry.credit_account,
+    amount: entry.amount,
+    balanceChange: entry.credit_account === 'mentor_payable'
+        ? entry.amount
+        : (entry.debit_account === 'mentor_payable' ? -entry.amount : 0),
+    bookingId: entry.booking_id,
+    refundId: entry.refund_id,
+    payoutBatchId: entry.payout_batch_id,
+    description: entry.description,
+    createdAt: entry.created_at
+});
+
+/**
+ * Format a payout batch for API responses
+ */
+const formatPayoutBatch = (batch) => ({
+    id: batch.id,
+    status: batch.status,
+    totalAmount: batch.total_amount,
+    itemCount: batch.item_count,
+    createdBy: batch.created_by,
+    settledBy: batch.settled_by,
+    settledAt: batch.settled_at,
+    bankReference: batch.bank_reference,
+    createdAt: batch.created_at
+});
+
+/**
+ * Format a payout batch item for API responses
+ */
+const formatPayoutItem = (item) => ({
+    id: item.id,
+    mentorId: item.mentor_id,
+    amount: item.amount,
+    beneficiaryName: item.beneficiary_name,
+    identificationNumber: item.identification_number,
+    bank: item.bank,
+    bankRtgsCode: item.bank_rtgs_code,
+    bankAccountNumber: item.bank_account_number
+});
+
+/**
+ * Add completed, paid sessions and the refunds mentors bear to the ledger
+ * Safe to run repeatedly; returns the number of entries added
+ */
+export const postLedgerEntries = async () => {
+    // Earnings first, so refunds of the sessions they credit can be debited in the same run
+    const earnings = await postSessionEarnings(LEDGER_POSTING_BATCH_SIZE);
+    const deductions = await postRefundDeductions(LEDGER_POSTING_BATCH_SIZE);
+
+    return earnings + deductions;
+};
+
+/**
+ * A mentor's balances and a page of their ledger entries
+ * balance is what we owe them, inTransit what is in unsettled payout batches, paidOut what reached their bank
+ */
+export const getMentorLedger = async (mentorId, { page = 1, limit = 50 } = {}) => {
+    const balances = await findMentorAccountBalances(mentorId);
+    const entries = await findMentorLedgerEntries(mentorId, { limit, offset: (page - 1) * limit });
+    const totalEntries = entries.length > 0 ? parseInt(entries[0].total_count) : 0;
+
+    return {
+        balance: balances.mentor_payable || 0,
+        inTransit: balances.payout_in_transit || 0,
+        paidOut: balances.bank || 0,
+        entries: entries.map(formatLedgerEntry),
+        totalEntries,
+        totalPages: Math.ceil(totalEntries / limit),
+        currentPage: page
+    };
+};
+
+/**
+ * What the platform still has to transfer to a mentor: everything earned, less refund deductions and settled payouts
+ * Counts sessions the posting job hasn't added to the ledger yet, and payouts still in transit
+ */
+export const getUnpaidEarnings = async (mentorId) => {
+    const lifetime = await findLifetimeEarnings(mentorId);
+    const balances = await findMentorAccountBalances(mentorId);
+
+    return lifetime.earned - lifetime.refund_deductions - (balances.bank || 0);
+};
+
+/**
+ * Pay out every positive mentor balance: one bank transfer per mentor, using their stored bank details
+ * Mentors without bank details are left out (their balance waits for the next batch) and listed as skipped
+ */
+export const createPayoutBatch = async (adminId) => {
+    await postLedgerEntries();
+
+    const client = await pool.connect();
+
+    try {
+        await client.query('BEGIN');
+        await lockLedger(client);
+
+        const balances = await findPayableMentorBalances(client);
+        const payable = balances.filter(mentor => mentor.bank_account_number);
+
+        if (payable.length === 0) {
+            throw new Error('There are no mentor balances to pay out');
+        }
+
+        const batch = await insertPayoutBatch(adminId, client);
+        const items = [];
+
+        for (const mentor of payable) {
+            items.push(await createPayoutBatchItem(batch.id, {
+                mentorId: mentor.mentor_id,
+                amount: mentor.balance,
+                beneficiaryName: `${mentor.first_name} ${mentor.last_name}`,
+                identificationNumber: mentor.identification_number,
+                bank: mentor.bank,
+                bankRtgsCode: mentor.bank_rtgs_code,
+                bankAccountNumber: mentor.bank_account_number
+            }, client));
+
+            await createLedgerEntry({
+                mentorId: mentor.mentor_id,
+                entryType: 'payout',
+                debitAccount: 'mentor_payable',
+                creditAccount: 'payout_in_transit',
+                amount: mentor.balance,
+                payoutBatchId: batch.id,
+                description: 'Payout batch created'
+            }, client);
+        }
+
+        const updated = await updatePayoutBatchTotals(batch.id, {
+            totalAmount: items.reduce((sum, item) => sum + item.amount, 0),
+            itemCount: items.length
+        }, client);
+
+        await client.query('COMMIT');
+
+        return {
+            ...formatPayoutBatch(updated),
+            items: items.map(formatPayoutItem),
+            skippedMentors: balances
+                .filter(mentor => !mentor.bank_account_number)
+                .map(mentor => ({
+                    mentorId: mentor.mentor_id,
+                    name: `${mentor.first_name} ${mentor.last_name}`,
+                    balance: mentor.balance,
+                    reason: 'No payment information'
+                }))
+        };
+    } catch (error) {
+        await client.query('ROLLBACK');
+        throw error;
+    } finally {
+        client.release();
+    }
+};
+
+/**
+ * Get a page of payout batches, optionally filtered by status
+ */
+export const getPayoutBatches = async ({ status = null, page = 1, limit = 20 } = {}) => {
+    const batches = await findPayoutBatches({ status, limit, offset: (page - 1) * limit });
+    const totalBatches = batches.length > 0 ? parseInt(batches[0].total_count) : 0;
+
+    return {
+        batches: batches.map(formatPayoutBatch),
+        totalBatches,
+        totalPages: Math.ceil(totalBatches / limit),
+        currentPage: page
+    };
+};
+
+/**
+ * Get a payout batch with its transfers
+ */
+export const getPayoutBatch = async (batchId) => {
+    const batch = await findPayoutBatchById(batchId);
+
+    if (!batch) {
+        throw new Error('Payout batch not found');
+    }
+
+    const items = await findPayoutBatchItems(batchId);
+
+    return {
+        ...formatPayoutBatch(batch),
+        items: items.map(formatPayoutItem)
+    };
+};
+
+/**
+ * Bank transfer file for a payout batch, in the column layout Georgian banks' bulk transfer imports use
+ * Returns { filename, csv }
+ */
+export const getPayoutBatchExport = async (batchId) => {
+    const batch = await findPayoutBatchById(batchId);
+
+    if (!batch) {
+        throw new Error('Payout batch not found');
+    }
+
+    const items = await findPayoutBatchItems(batchId);
+    const batchDate = batch.created_at.toISOString().slice(0, 10);
+
+    const csv = toCsv(
+        [
+            'Beneficiary Account (IBAN)',
+            'Beneficiary Name',
+            'Beneficiary ID Number',
+            'Beneficiary Bank',
+            'Beneficiary Bank Code',
+            'Amount',
+            'Currency',
+            'Payment Purpose'
+        ],
+        items.map(item => [
+            item.bank_account_number,
+            item.beneficiary_name,
+            item.identification_number,
+            item.bank,
+            item.bank_rtgs_code,
+            item.amount.toFixed(2),
+            'GEL',
+            `Zacademy mentor payout ${batchDate}`
+        ])
+    );
+
+    return {
+        filename: `zacademy-payouts-${batchDate}-${batch.id.slice(0, 8)}.csv`,
+        csv
+    };
+};
+
+/**
+ * Record that the bank carried out a payout batch's transfers
+ */
+export const settlePayoutBatch = async (batchId, adminId, { bankReference = null } = {}) => {
+    const client = await pool.connect();
+
+    try {
+        await client.query('BEGIN');
+
+        const batch = await findPayoutBatchForUpdate(batchId, client);
+
+        if (!batch) {
+            throw new Error('Payout batch not found');
+        }
+
+        if (batch.status === 'settled') {
+            throw new Error('This payout batch is already settled');
+        }
+
+        const items = await findPayoutBatchItems(batchId, client);
+
+        for (const item of items) {
+            await createLedgerEntry({
+                mentorId: item.mentor_id,
+                entryType: 'payout_settled',
+                debitAccount: 'payout_in_transit',
+                creditAccount: 'bank',
+                amount: item.amount,
+                payoutBatchId: batchId,
+                description: bankReference ? `Bank transfer ${bankReference}` : 'Bank transfer'
+            }, client);
+        }
+
+        const settled = await markPayoutBatchSettled(batchId, { settledBy: adminId, bankReference }, client);
+
+        await client.query('COMMIT');
+        return formatPayoutBatch(settled);
+    } catch (error) {
+        await client.query('ROLLBACK');
+        throw error;
+    } finally {
+        client.release();
+    }
+};
@@ -0,0 +1,46 @@
+// Business logic for session prices: the student pays the mentor's price plus the platform fee and taxes
+// All amounts are whole GEL; each fee is rounded to the nearest GEL (halves round up)
+
+const DOCUMENT_TYPES = ['individual_entrepreneur', 'private_individual'];
+
+/**
+ * Read a percentage from the environment, falling back to a default (0 is allowed)
+ */
+const percentFromEnv = (name, defaultPercent) => {
+    const value = parseFloat(process.env[name]);
+    return Number.isFinite(value) && value >= 0 ? value : defaultPercent;
+};
+
+const PLATFORM_FEE_PERCENT = percentFromEnv('PLATFORM_FEE_PERCENT', 14);
+const TAXES_PERCENT = percentFromEnv('TAXES_PERCENT', 26);
+
+// Taxes can differ by how the mentor is registered (mentor_document_confirmations.document_type)
+const TAXES_PERCENT_BY_DOCUMENT_TYPE = {
+    individual_entrepreneur: percentFromEnv('TAXES_PERCENT_INDIVIDUAL_ENTREPRENEUR', TAXES_PERCENT),
+    private_individual: percentFromEnv('TAXES_PERCENT_PRIVATE_INDIVIDUAL', TAXES_PERCENT)
+};
+
+/**
+ * Fee rates for a mentor with the given document type (null before the mentor has confirmed one)
+ */
+export const getPricingRates = (documentType = null) => ({
+    platformFeePercent: PLATFORM_FEE_PERCENT,
+    taxesPercent: DOCUMENT_TYPES.includes(documentType) ? TAXES_PERCENT_BY_DOCUMENT_TYPE[documentType] : TAXES_PERCENT
+});
+
+/**
+ * Work out the fees and total for a mentor's session price (whole GEL)
+ */
+export const calculateServicePrice = (mentorSessionPrice, documentType = null) => {
+    const rates = getPricingRates(documentType);
+    const platformFee = Math.round(mentorSessionPrice * rates.platformFeePercent / 100);
+    const taxesFee = Math.round(mentorSessionPrice * rates.taxesPercent / 100);
+
+    return {
+        mentorSessionPrice,
+        platformFee,
+        taxesFee,
+        totalPrice: mentorSessionPrice + platformFee + taxesFee,
+        rates
+    };
+};
@@ -0,0 +1,345 @@
+// Business logic for refunding booking payments through the payment provider
+import pool from '../db/config.js';
+import { findBookingForUpdate } from '../dal/bookingDal.js';
+import {
+    findPaidPayment,
+    sumRefunds,
+    createRefund,
+    findRefundForUpdate,
+    updateRefundStatus,
+    updatePaymentStatus,
+    updateBookingPaymentStatus,
+    findBookingRefunds,
+    hasRefundSince,
+    markRefundRetrying,
+    findRetryableRefunds,
+    findBookingsMissingRefunds,
+    findRefunds
+} from '../dal/paymentDal.js';
+import { getPaymentProvider } from './paymentProviders/index.js';
+
+const COST_BEARERS = ['mentor', 'platform'];
+
+// Failed refunds are sent again until they have been tried this many times; after that an admin has to act
+const REFUND_MAX_ATTEMPTS = parseInt(process.env.REFUND_MAX_ATTEMPTS) || 5;
+// Cancelled bookings get a missing refund only after this long, so refunds still being created aren't doubled
+const MISSING_REFUND_DELAY_MINUTES = parseInt(process.env.MISSING_REFUND_DELAY_MINUTES) || 10;
+// Maximum number of refunds retried (and created) per run
+const REFUND_RETRY_BATCH_SIZE = parseInt(process.env.REFUND_RETRY_BATCH_SIZE) || 50;
+
+/**
+ * Format a refund for API responses
+ */
+const formatRefund = (refund) => ({
+    id: refund.id,
+    bookingId: refund.booking_id,
+    amount: refund.amount,
+    reason: refund.reason,
+    initiatedBy: refund.initiated_by,
+    initiatorRole: refund.initiator_role,
+    costBearer: refund.cost_bearer,
+    mentorDeduction: refund.mentor_deduction,
+    status: refund.status,
+    failureReason: refund.failure_reason,
+    attempts: refund.attempts,
+    completedAt: refund.completed_at,
+    createdAt: refund.created_at
+});
+
+/**
+ * Who pays for refunding a booking by default
+ * The mentor does when they cancelled it themselves; otherwise (student cancellations, expiries,
+ * late payments for cancelled bookings) the platform does and the mentor's earnings are untouched
+ */
+export const getRefundCostBearer = (booking) => {
+    return booking.status === 'cancelled_by_mentor' && booking.cancelled_by ? 'mentor' : 'platform';
+};
+
+/**
+ * Apply the provider's answer to a pending refund (within a transaction)
+ * Once everything paid has been refunded, the payment and booking become 'refunded'
+ */
+export const applyRefundResult = async (refund, { status, refundId, failureReason }, client) => {
+    // Already settled (the webhook can arrive before the provider's API response)
+    if (refund.status !== 'pending') {
+        return refund;
+    }
+
+    // The outcome will arrive by webhook; keep the provider's refund ID to match it
+    if (status === 'pending') {
+        return refundId ? updateRefundStatus(refund.id, { status: 'pending', providerRefundId: refundId }, client) : refund;
+    }
+
+    const updated = await updateRefundStatus(refund.id, {
+        status: status === 'succeeded' ? 'succeeded' : 'failed',
+        providerRefundId: refundId,
+        failureReason: status === 'succeeded' ? null : (failureReason || 'Refund failed')
+    }, client);
+
+    if (updated.status === 'succeeded') {
+        const payment = await findPaidPayment(refund.booking_id, client);
+        const refundedTotal = await sumRefunds(refund.payment_id, { succeededOnly: true }, client);
+
+        if (payment && payment.id === refund.payment_id && refundedTotal * 100 >= payment.amount) {
+            await updatePaymentStatus(payment.id, { status: 'refunded' }, client);
+            await updateBookingPaymentStatus(refund.booking_id, 'refunded', client);
+        }
+    }
+
+    return updated;
+};
+
+/**
+ * Send a pending refund to the provider and record its answer
+ * A provider outage leaves the refund failed, for retryFailedRefunds to send again
+ */
+const sendRefund = async (refund, payment) => {
+    let result;
+
+    try {
+        result = await getPaymentProvider().refund({
+            paymentId: payment.provider_payment_id,
+            amount: refund.amount * 100,
+            currency: payment.currency,
+            reason: refund.reason
+        });
+    } catch (error) {
+        console.error(`Payment provider refund failed for booking ${refund.booking_id}:`, error);
+        result = { status: 'failed', refundId: null, failureReason: 'The payment provider could not process the refund' };
+    }
+
+    const client = await pool.connect();
+
+    try {
+        await client.query('BEGIN');
+
+        const locked = await findRefundForUpdate({ refundId: refund.id }, client);
+        const updated = await applyRefundResult(locked, result, client);
+
+        await client.query('COMMIT');
+        return formatRefund(updated);
+    } catch (error) {
+        await client.query('ROLLBACK');
+        throw error;
+    } finally {
+        client.release();
+    }
+};
+
+/**
+ * Refund a paid booking, in full or in part
+ * amount is in whole GEL (null refunds whatever is left); costBearer defaults to getRefundCostBearer
+ * With forCancellation, this is the one automatic refund of a cancelled booking: nothing is done if the booking
+ * already has a refund from since it was cancelled (the booking lock makes this safe against the retry job)
+ */
+export const refundBooking = async (bookingId, {
+    amount = null,
+    reason,
+    initiatedBy = null,
+    initiatorRole,
+    costBearer = null,
+    forCancellation = false
+}) => {
+    const client = await pool.connect();
+    let refund;
+    let payment;
+
+    // Record the refund first, so a provider outage leaves a failed refund to retry rather than no trace
+    try {
+        await client.query('BEGIN');
+
+        const booking = await findBookingForUpdate(bookingId, {}, client);
+
+        if (!booking) {
+            throw new Error('Booking not found');
+        }
+
+        if (forCancellation && await hasRefundSince(bookingId, booking.cancelled_at, client)) {
+            await client.query('ROLLBACK');
+            return null;
+        }
+
+        payment = await findPaidPayment(bookingId, client);
+
+        if (!payment) {
+            throw new Error('This booking has no payment to refund');
+        }
+
+        const refundable = payment.amount / 100 - await sumRefunds(payment.id, {}, client);
+
+        if (refundable <= 0) {
+            throw new Error('This booking has already been fully refunded');
+        }
+
+        const refundAmount = amount === null ? refundable : amount;
+
+        if (refundAmount > refundable) {
+            throw new Error('The refund amount is more than what is left to refund');
+        }
+
+        const bearer = costBearer || getRefundCostBearer(booking);
+
+        refund = await createRefund({
+            bookingId,
+            paymentId: payment.id,
+            amount: refundAmount,
+            reason,
+            initiatedBy,
+            initiatorRole,
+            costBearer: bearer,
+            // The mentor's share of the refunded money, in proportion to their part of the price
+            mentorDeduction: bearer === 'mentor'
+                ? Math.min(refundAmount, Math.round(refundAmount * booking.mentor_price / booking.total_price))
+                : 0
+        }, client);
+
+        await client.query('COMMIT');
+    } catch (error) {
+        await client.query('ROLLBACK');
+        throw error;
+    } finally {
+        client.release();
+    }
+
+    return sendRefund(refund, payment);
+};
+
+/**
+ * Send a failed refund to the provider again, if it still fits in what is left to refund
+ * Returns the refund, or null if it was not retried
+ */
+const retryRefund = async (refundId, bookingId) => {
+    const client = await pool.connect();
+    let refund;
+    let payment;
+
+    try {
+        await client.query('BEGIN');
+
+        // Lock the booking first, as refundBooking does, so both can't refund the same money
+        await findBookingForUpdate(bookingId, {}, client);
+        const locked = await findRefundForUpdate({ refundId }, client);
+
+        if (locked.status !== 'failed' || locked.attempts >= REFUND_MAX_ATTEMPTS) {
+            await client.query('ROLLBACK');
+            return null;
+        }
+
+        payment = await findPaidPayment(locked.booking_id, client);
+        const refundable = payment && payment.id === locked.payment_id
+            ? payment.amount / 100 - await sumRefunds(payment.id, {}, client)
+            : 0;
+
+        // Refunded another way in the meantime (e.g. an admin refund); leave it failed
+        if (locked.amount > refundable) {
+            await client.query('ROLLBACK');
+            console.warn(`Refund ${refundId} no longer fits in what is left to refund; not retrying`);
+            return null;
+        }
+
+        refund = await markRefundRetrying(refundId, client);
+
+        await client.query('COMMIT');
+    } catch (error) {
+        await client.query('ROLLBACK');
+        throw error;
+    } finally {
+        client.release();
+    }
+
+    return sendRefund(refund, payment);
+};
+
+/**
+ * Retry failed refunds and create the refunds cancelled bookings are owed but never got
+ * (e.g. the database or provider failed while a cancellation's refund was being created)
+ * Returns the number of refunds sent
+ */
+export const retryFailedRefunds = async () => {
+    let sentCount = 0;
+
+    for (const { id, booking_id: bookingId } of await findRetryableRefunds(REFUND_MAX_ATTEMPTS, REFUND_RETRY_BATCH_SIZE)) {
+        try {
+            if (await retryRefund(id, bookingId)) {
+                sentCount++;
+            }
+        } catch (error) {
+            console.error(`Failed to retry refund ${id}:`, error);
+        }
+    }
+
+    for (const booking of await findBookingsMissingRefunds(MISSING_REFUND_DELAY_MINUTES, REFUND_RETRY_BATCH_SIZE)) {
+        try {
+            const refund = await refundBooking(booking.id, booking.paid_after_cancellation
+                ? {
+                    reason: 'Payment received after the booking was cancelled',
+                    initiatorRole: 'system',
+                    costBearer: 'platform',
+                    forCancellation: true
+                }
+                : {
+                    amount: booking.refund_amount,
+                    reason: 'Booking cancelled',
+                    initiatorRole: 'system',
+                    forCancellation: true
+                });
+
+            if (refund) {
+                sentCount++;
+            }
+        } catch (error) {
+            console.error(`Failed to create missing refund for booking ${booking.id}:`, error);
+        }
+    }
+
+    return sentCount;
+};
+
+/**
+ * Apply a refund webhook from the provider (within the webhook transaction)
+ */
+export const applyRefundEvent = async (event, client) => {
+    const refund = await findRefundForUpdate({ providerRefundId: event.refundId }, client);
+
+    if (!refund) {
+        console.warn(`Refund webhook ${event.id} refers to unknown refund ${event.refundId}`);
+        return;
+    }
+
+    await applyRefundResult(refund, {
+        status: event.type === 'refund.succeeded' ? 'succeeded' : 'failed',
+        refundId: event.refundId,
+        failureReason: event.failureReason
+    }, client);
+};
+
+/**
+ * Whether a value is a valid cost bearer for a manual refund
+ */
+export const isValidCostBearer = (costBearer) => {
+    return COST_BEARERS.includes(costBearer);
+};
+
+/**
+ * Get a page of refunds across all bookings, optionally filtered by status
+ * Failed refunds with attempts === REFUND_MAX_ATTEMPTS are no longer retried and need an admin
+ */
+export const getRefunds = async ({ status = null, page = 1, limit = 20 } = {}) => {
+    const refunds = await findRefunds({ status, limit, offset: (page - 1) * limit });
+    const totalRefunds = refunds.length > 0 ? parseInt(refunds[0].total_count) : 0;
+
+    return {
+        refunds: refunds.map(refund => ({ ...formatRefund(refund), retriesExhausted: refund.status === 'failed' && refund.attempts >= REFUND_MAX_ATTEMPTS })),
+        totalRefunds,
+        totalPages: Math.ceil(totalRefunds / limit),
+        currentPage: page
+    };
+};
+
+/**
+ * Get all refunds of a booking
+ */
+export const getBookingRefunds = async (bookingId) => {
+    const refunds = await findBookingRefunds(bookingId);
+    return refunds.map(formatRefund);
+};
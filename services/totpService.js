@@ -0,0 +1,148 @@
+// RFC 6238 time-based one-time passwords (compatible with Google Authenticator, Authy, 1Password)
+import crypto from 'crypto';
+
+const TOTP_DIGITS = 6;
+const TOTP_PERIOD_SECONDS = 30;
+const TOTP_ALLOWED_DRIFT_STEPS = 1; // Accept the previous and next code to tolerate clock skew
+const TOTP_ISSUER = process.env.TOTP_ISSUER || 'Z-Academy';
+const BASE32_ALPHABET = 'ABCDEFGHIJKLMNOPQRSTUVWXYZ234567';
+
+// AES-256 key for secrets at rest, derived from the configured key
+const ENCRYPTION_KEY = crypto
+    .createHash('sha256')
+    .update(process.env.TWO_FACTOR_ENCRYPTION_KEY || 'two-factor-secret')
+    .digest();
+
+/**
+ * Encode bytes as RFC 4648 base32 without padding
+ */
+const base32Encode = (buffer) => {
+    let bits = 0;
+    let value = 0;
+    let output = '';
+
+    for (const byte of buffer) {
+        value = (value << 8) | byte;
+        bits += 8;
+        while (bits >= 5) {
+            output += BASE32_ALPHABET[(value >>> (bits - 5)) & 31];
+            bits -= 5;
+        }
+    }
+
+    if (bits > 0) {
+        output += BASE32_ALPHABET[(value << (5 - bits)) & 31];
+    }
+
+    return output;
+};
+
+/**
+ * Decode an RFC 4648 base32 string
+ */
+const base32Decode = (input) => {
+    const cleaned = input.toUpperCase().replace(/=+$/, '');
+    let bits = 0;
+    let value = 0;
+    const bytes = [];
+
+    for (const char of cleaned) {
+        const index = BASE32_ALPHABET.indexOf(char);
+        if (index === -1) {
+            throw new Error('Invalid base32 character');
+        }
+        value = (value << 5) | index;
+        bits += 5;
+        if (bits >= 8) {
+            bytes.push((value >>> (bits - 8)) & 255);
+            bits -= 8;
+        }
+    }
+
+    return Buffer.from(bytes);
+};
+
+/**
+ * Compute the HOTP value (RFC 4226) for a counter
+ */
+const generateHotp = (secret, counter) => {
+    const counterBuffer = Buffer.alloc(8);
+    counterBuffer.writeBigUInt64BE(BigInt(counter));
+
+    const hmac = crypto.createHmac('sha1', base32Decode(secret)).update(counterBuffer).digest();
+    const offset = hmac[hmac.length - 1] & 0x0f;
+    const binary = ((hmac[offset] & 0x7f) << 24) |
+        (hmac[offset + 1] << 16) |
+        (hmac[offset + 2] << 8) |
+        hmac[offset + 3];
+
+    return String(binary % 10 ** TOTP_DIGITS).padStart(TOTP_DIGITS, '0');
+};
+
+/**
+ * Generate a new random base32 TOTP secret (160 bits, as recommended by RFC 4226)
+ */
+export const generateTotpSecret = () => {
+    return base32Encode(crypto.randomBytes(20));
+};
+
+/**
+ * Build the otpauth:// URI that authenticator apps read from a QR code
+ */
+export const buildOtpauthUri = (secret, accountName) => {
+    const label = encodeURIComponent(`${TOTP_ISSUER}:${accountName}`);
+    const params = new URLSearchParams({
+        secret,
+        issuer: TOTP_ISSUER,
+        algorithm: 'SHA1',
+        digits: String(TOTP_DIGITS),
+        period: String(TOTP_PERIOD_SECONDS)
+    });
+    return `otpauth://totp/${label}?${params.toString()}`;
+};
+
+/**
+ * Check a code against the secret
+ * @returns {number|null} The matching time step, or null if the code is wrong
+ */
+export const verifyTotpCode = (secret, code, now = Date.now()) => {
+    const normalized = String(code || '').replace(/\s/g, '');
+    if (!new RegExp(`^\\d{${TOTP_DIGITS}}$`).test(normalized)) {
+        return null;
+    }
+
+    const currentStep = Math.floor(now / 1000 / TOTP_PERIOD_SECONDS);
+
+    for (let drift = -TOTP_ALLOWED_DRIFT_STEPS; drift <= TOTP_ALLOWED_DRIFT_STEPS; drift++) {
+        const step = currentStep + drift;
+        const expected = generateHotp(secret, step);
+        if (crypto.timingSafeEqual(Buffer.from(expected), Buffer.from(normalized))) {
+            return step;
+        }
+    }
+
+    return null;
+};
+
+/**
+ * Encrypt a TOTP secret for storage
+ */
+export const encryptTotpSecret = (secret) => {
+    const iv = crypto.randomBytes(12);
+    const cipher = crypto.createCipheriv('aes-256-gcm', ENCRYPTION_KEY, iv);
+    const encrypted = Buffer.concat([cipher.update(secret, 'utf8'), cipher.final()]);
+    const authTag = cipher.getAuthTag();
+
+    return [iv, authTag, encrypted].map(part => part.toString('base64')).join(':');
+};
+
+/**
+ * Decrypt a stored TOTP secret
+ */
+export const decryptTotpSecret = (stored) => {
+    const [iv, authTag, encrypted] = stored.split(':').map(part => Buffer.from(part, 'base64'));
+    const decipher = crypto.createDecipheriv('aes-256-gcm', ENCRYPTION_KEY, iv);
+    decipher.setAuthTag(authTag);
+
+    return Buffer.concat([decipher.update(encrypted), decipher.final()]).toString('utf8');
+};
@@ -0,0 +1,251 @@
+// Business logic for two-factor authentication (TOTP + recovery codes)
+import crypto from 'crypto';
+import pool from '../db/config.js';
+import { findUserById, findUserWithPasswordById } from '../dal/userDal.js';
+import {
+    findTwoFactorByUserId,
+    upsertPendingTwoFactor,
+    consumeTwoFactorStep,
+    enableTwoFactor,
+    deleteTwoFactor,
+    replaceRecoveryCodes,
+    useRecoveryCode,
+    countUnusedRecoveryCodes
+} from '../dal/twoFactorDal.js';
+import { revokeAllSessions } from '../dal/sessionDal.js';
+import {
+    generateTotpSecret,
+    buildOtpauthUri,
+    verifyTotpCode,
+    encryptTotpSecret,
+    decryptTotpSecret
+} from './totpService.js';
+import { verifyUserCredentials } from './authService.js';
+import { sendTwoFactorDisabledEmail } from './emailService.js';
+
+const RECOVERY_CODE_COUNT = 10;
+
+/**
+ * Hash a recovery code for storage, ignoring case, spaces and dashes
+ */
+const hashRecoveryCode = (code) => {
+    const normalized = String(code || '').toLowerCase().replace(/[^a-z0-9]/g, '');
+    return crypto.createHash('sha256').update(normalized).digest('hex');
+};
+
+/**
+ * Generate a fresh set of recovery codes formatted as xxxxx-xxxxx
+ */
+const generateRecoveryCodes = () => {
+    return Array.from({ length: RECOVERY_CODE_COUNT }, () => {
+        const hex = crypto.randomBytes(5).toString('hex');
+        return `${hex.slice(0, 5)}-${hex.slice(5)}`;
+    });
+};
+
+/**
+ * Check the user's password, then their TOTP or recovery code, with the login throttle and lockout
+ * Either one being wrong gives the same error, so the password can't be confirmed without the second factor
+ */
+const verifyPasswordAndSecondFactor = async (user, { password, code, recoveryCode }, req) => {
+    await verifyUserCredentials(user, { password, code, recoveryCode }, req, {
+        secondFactor: true,
+        passwordError: 'Invalid password or authentication code',
+        codeError: 'Invalid password or authentication code'
+    });
+};
+
+/**
+ * Whether the user has confirmed 2FA setup
+ */
+export const isTwoFactorEnabled = async (userId) => {
+    const twoFactor = await findTwoFactorByUserId(userId);
+    return !!(twoFactor && twoFactor.enabled_at);
+};
+
+/**
+ * Verify a TOTP code or an unused recovery code for a user with 2FA enabled
+ * Each TOTP time step and each recovery code is accepted only once
+ */
+export const verifySecondFactor = async (userId, { code, recoveryCode }) => {
+    const twoFactor = await findTwoFactorByUserId(userId);
+
+    if (!twoFactor || !twoFactor.enabled_at) {
+        return false;
+    }
+
+    if (code) {
+        const step = verifyTotpCode(decryptTotpSecret(twoFactor.secret_encrypted), code);
+        if (step === null) {
+            return false;
+        }
+        return consumeTwoFactorStep(userId, step);
+    }
+
+    if (recoveryCode) {
+        return useRecoveryCode(userId, hashRecoveryCode(recoveryCode));
+    }
+
+    return false;
+};
+
+/**
+ * Get 2FA status for the settings screen
+ */
+export const getTwoFactorStatus = async (userId) => {
+    const twoFactor = await findTwoFactorByUserId(userId);
+    const enabled = !!(twoFactor && twoFactor.enabled_at);
+
+    return {
+        enabled,
+        pendingSetup: !!(twoFactor && !twoFactor.enabled_at),
+        enabledAt: enabled ? twoFactor.enabled_at : null,
+        recoveryCodesRemaining: enabled ? await countUnusedRecoveryCodes(userId) : 0
+    };
+};
+
+/**
+ * Start (or restart) enrollment by generating a new secret
+ * 2FA is not active until confirmTwoFactorSetup succeeds
+ */
+export const startTwoFactorSetup = async (userId) => {
+    const user = await findUserById(userId);
+
+    if (!user) {
+        throw new Error('User not found');
+    }
+
+    const secret = generateTotpSecret();
+    const pending = await upsertPendingTwoFactor(userId, encryptTotpSecret(secret));
+
+    if (!pending) {
+        throw new Error('Two-factor authentication is already enabled');
+    }
+
+    return {
+        secret,
+        otpauthUri: buildOtpauthUri(secret, user.email)
+    };
+};
+
+/**
+ * Confirm enrollment with a code from the authenticator app
+ * Returns the recovery codes, which are shown to the user only this once
+ */
+export const confirmTwoFactorSetup = async (userId, sessionId, code) => {
+    const twoFactor = await findTwoFactorByUserId(userId);
+
+    if (!twoFactor) {
+        throw new Error('Two-factor setup has not been started');
+    }
+
+    if (twoFactor.enabled_at) {
+        throw new Error('Two-factor authentication is already enabled');
+    }
+
+    const step = verifyTotpCode(decryptTotpSecret(twoFactor.secret_encrypted), code);
+
+    if (step === null) {
+        throw new Error('Invalid authentication code');
+    }
+
+    const recoveryCodes = generateRecoveryCodes();
+    const client = await pool.connect();
+
+    try {
+        await client.query('BEGIN');
+
+        await consumeTwoFactorStep(userId, step, client);
+        await enableTwoFactor(userId, client);
+        await replaceRecoveryCodes(userId, recoveryCodes.map(hashRecoveryCode), client);
+
+        // Sessions that only passed a password check are logged out
+        await revokeAllSessions(userId, 'two_factor_enabled', { exceptSessionId: sessionId }, client);
+
+        await client.query('COMMIT');
+    } catch (error) {
+        await client.query('ROLLBACK');
+        throw error;
+    } finally {
+        client.release();
+    }
+
+    return { recoveryCodes };
+};
+
+/**
+ * Turn 2FA off (not allowed for admins)
+ * The current session stays active; every other session is revoked and the user is notified
+ */
+export const disableTwoFactor = async (userId, sessionId, credentials, req) => {
+    const user = await findUserWithPasswordById(userId);
+
+    if (!user) {
+        throw new Error('User not found');
+    }
+
+    if (user.user_type === 'admin') {
+        throw new Error('Two-factor authentication is required for admin accounts');
+    }
+
+    if (!(await isTwoFactorEnabled(userId))) {
+        throw new Error('Two-factor authentication is not enabled');
+    }
+
+    await verifyPasswordAndSecondFactor(user, credentials, req);
+
+    const client = await pool.connect();
+
+    try {
+        await client.query('BEGIN');
+        await deleteTwoFactor(userId, client);
+        await revokeAllSessions(userId, 'two_factor_disabled', { exceptSessionId: sessionId }, client);
+        await client.query('COMMIT');
+    } catch (error) {
+        await client.query('ROLLBACK');
+        throw error;
+    } finally {
+        client.release();
+    }
+
+    // Send security notification (non-blocking)
+    sendTwoFactorDisabledEmail({
+        firstName: user.first_name,
+        email: user.email
+    }).catch(error => {
+        console.error('Failed to send two-factor disabled email:', error);
+    });
+};
+
+/**
+ * Replace all recovery codes with a new set
+ */
+export const regenerateRecoveryCodes = async (userId, credentials, req) => {
+    const user = await findUserWithPasswordById(userId);
+
+    if (!user) {
+        throw new Error('User not found');
+    }
+
+    if (!(await isTwoFactorEnabled(userId))) {
+        throw new Error('Two-factor authentication is not enabled');
+    }
+
+    await verifyPasswordAndSecondFactor(user, credentials, req);
+
+    const recoveryCodes = generateRecoveryCodes();
+    const client = await pool.connect();
+
+    try {
+        await client.query('BEGIN');
+        await replaceRecoveryCodes(userId, recoveryCodes.map(hashRecoveryCode), client);
+        await client.query('COMMIT');
+    } catch (error) {
+        await client.query('ROLLBACK');
+        throw error;
+    } finally {
+        client.release();
+    }
+
+    return { recoveryCodes };
+};
@@ -0,0 +1,159 @@
+// Availability rules in the mentor's timezone: weekly slots with date overrides, and session times across DST changes
+// Europe/Berlin moves to summer time on 2025-03-30 (02:00 -> 03:00) and back on 2025-10-26 (03:00 -> 02:00)
+import { test, describe } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+    getSlotsForDate,
+    isWithinAvailability,
+    zonedTimeToUtc,
+    getZonedDateRange,
+    getBookableSlots
+} from '../services/availabilityService.js';
+
+const berlinSundays = {
+    timezone: 'Europe/Berlin',
+    schedule: { sunday: [{ start: '01:00', end: '04:00' }] },
+    overrides: []
+};
+
+const bookableStarts = (availability, rangeStart, rangeEnd, options = {}) => getBookableSlots({
+    availability,
+    bookings: [],
+    rangeStart: new Date(rangeStart),
+    rangeEnd: new Date(rangeEnd),
+    durationMinutes: 60,
+    stepMinutes: 60,
+    earliestStart: new Date(0),
+    ...options
+}).map(slot => slot.start.toISOString());
+
+describe('getSlotsForDate', () => {
+    const availability = {
+        schedule: { monday: [{ start: '09:00', end: '12:00' }, { start: '14:00', end: '17:00' }] },
+        overrides: []
+    };
+
+    test('uses the weekly slots for the weekday', () => {
+        assert.deepEqual(getSlotsForDate(availability, '2025-06-02'), [
+            { start: '09:00', end: '12:00' },
+            { start: '14:00', end: '17:00' }
+        ]);
+        assert.deepEqual(getSlotsForDate(availability, '2025-06-03'), []);
+    });
+
+    test('merges extra hours into the weekly slots', () => {
+        const slots = getSlotsForDate({
+            ...availability,
+            overrides: [{ override_type: 'available', start_date: '2025-06-02', end_date: '2025-06-02', start_time: '12:00', end_time: '14:00' }]
+        }, '2025-06-02');
+
+        assert.deepEqual(slots, [{ start: '09:00', end: '17:00' }]);
+    });
+
+    test('cuts blocked hours out of the slots', () => {
+        const slots = getSlotsForDate({
+            ...availability,
+            overrides: [{ override_type: 'blocked', start_date: '2025-06-01', end_date: '2025-06-08', start_time: '10:00', end_time: '15:00' }]
+        }, '2025-06-02');
+
+        assert.deepEqual(slots, [
+            { start: '09:00', end: '10:00' },
+            { start: '15:00', end: '17:00' }
+        ]);
+    });
+
+    test('leaves nothing on a blocked whole day', () => {
+        const slots = getSlotsForDate({
+            ...availability,
+            overrides: [
+                { override_type: 'available', start_date: '2025-06-02', end_date: '2025-06-02', start_time: '18:00', end_time: '20:00' },
+                { override_type: 'blocked', start_date: '2025-06-02', end_date: '2025-06-02', start_time: null, end_time: null }
+            ]
+        }, '2025-06-02');
+
+        assert.deepEqual(slots, []);
+    });
+});
+
+describe('zonedTimeToUtc', () => {
+    test('converts a wall-clock time with the offset in effect that day', () => {
+        assert.equal(zonedTimeToUtc('2025-06-01', '10:00', 'Europe/Berlin').toISOString(), '2025-06-01T08:00:00.000Z');
+        assert.equal(zonedTimeToUtc('2025-01-05', '10:00', 'Europe/Berlin').toISOString(), '2025-01-05T09:00:00.000Z');
+    });
+
+    test('returns null for a time skipped when the clocks go forward', () => {
+        assert.equal(zonedTimeToUtc('2025-03-30', '02:30', 'Europe/Berlin'), null);
+    });
+
+    test('picks the first of a time repeated when the clocks go back', () => {
+        assert.equal(zonedTimeToUtc('2025-10-26', '02:30', 'Europe/Berlin').toISOString(), '2025-10-26T00:30:00.000Z');
+    });
+});
+
+describe('getZonedDateRange', () => {
+    test('spans a 23-hour day when the clocks go forward', () => {
+        const range = getZonedDateRange('2025-03-30', '2025-03-30', 'Europe/Berlin');
+
+        assert.equal(range.start.toISOString(), '2025-03-29T23:00:00.000Z');
+        assert.equal(range.end.toISOString(), '2025-03-30T22:00:00.000Z');
+    });
+
+    test('starts the day at 01:00 where the clocks skip midnight', () => {
+        // Chile moves from 00:00 to 01:00 on 2025-09-07
+        const range = getZonedDateRange('2025-09-07', '2025-09-07', 'America/Santiago');
+
+        assert.equal(range.start.toISOString(), '2025-09-07T04:00:00.000Z');
+        assert.equal(range.end.toISOString(), '2025-09-08T03:00:00.000Z');
+    });
+});
+
+describe('isWithinAvailability across DST changes', () => {
+    test('judges a session by the local times the mentor sees when the clocks go forward', () => {
+        // 01:30 CET to 03:30 CEST: one hour long, ends inside the 01:00-04:00 slot
+        assert.equal(isWithinAvailability(berlinSundays, new Date('2025-03-30T00:30:00Z'), 60), true);
+        // 03:30 to 04:30 CEST runs past the end of the slot
+        assert.equal(isWithinAvailability(berlinSundays, new Date('2025-03-30T01:30:00Z'), 60), false);
+    });
+
+    test('accepts sessions in the repeated hour when the clocks go back', () => {
+        // 02:30 CEST to 02:30 CET, and 02:30 to 03:30 CET
+        assert.equal(isWithinAvailability(berlinSundays, new Date('2025-10-26T00:30:00Z'), 60), true);
+        assert.equal(isWithinAvailability(berlinSundays, new Date('2025-10-26T01:30:00Z'), 60), true);
+    });
+
+    test('refuses sessions that cross local midnight', () => {
+        const allDay = { timezone: 'UTC', schedule: { monday: [{ start: '00:00', end: '23:59' }], tuesday: [{ start: '00:00', end: '23:59' }] } };
+
+        assert.equal(isWithinAvailability(allDay, new Date('2025-06-02T23:30:00Z'), 60), false);
+    });
+});
+
+describe('getBookableSlots across DST changes', () => {
+    test('skips the start time that does not exist when the clocks go forward', () => {
+        // 01:00 CET and 03:00 CEST; 02:00 never happens
+        assert.deepEqual(bookableStarts(berlinSundays, '2025-03-29T12:00:00Z', '2025-03-31T00:00:00Z'), [
+            '2025-03-30T00:00:00.000Z',
+            '2025-03-30T01:00:00.000Z'
+        ]);
+    });
+
+    test('offers each start time once when the clocks go back', () => {
+        // 01:00 CEST, the first 02:00 (CEST) and 03:00 CET
+        assert.deepEqual(bookableStarts(berlinSundays, '2025-10-25T12:00:00Z', '2025-10-27T00:00:00Z'), [
+            '2025-10-25T23:00:00.000Z',
+            '2025-10-26T00:00:00.000Z',
+            '2025-10-26T02:00:00.000Z'
+        ]);
+    });
+
+    test('leaves out times whose buffers overlap a booking', () => {
+        const starts = bookableStarts(
+            { ...berlinSundays, buffer_after_minutes: 15 },
+            '2025-10-25T12:00:00Z',
+            '2025-10-27T00:00:00Z',
+            { bookings: [{ session_date: '2025-10-26T00:00:00Z', duration_minutes: 60 }] }
+        );
+
+        assert.deepEqual(starts, ['2025-10-26T02:00:00.000Z']);
+    });
+});
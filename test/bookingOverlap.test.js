@@ -0,0 +1,171 @@
+// Double booking protection: the bookings_no_mentor_overlap exclusion constraint (migrations 015 and 016)
+// Each race lets two transactions pass the application's overlap check before either inserts, as two students
+// booking the same slot at once would; PostgreSQL must then reject the second insert with 23P01
+import { test, describe, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { createTestDatabase, TEST_DATABASE_URL } from './testDatabase.js';
+import { findOverlappingBooking } from '../dal/bookingDal.js';
+
+const SESSION_START = new Date('2030-01-07T10:00:00.000Z');
+
+const minutesFrom = (date, minutes) => new Date(date.getTime() + minutes * 60 * 1000);
+
+describe('bookings_no_mentor_overlap', { skip: !TEST_DATABASE_URL && 'TEST_DATABASE_URL is not set' }, () => {
+    let db;
+    let studentIds;
+
+    const createUser = async (userType) => {
+        const result = await db.pool.query(
+            `INSERT INTO users (first_name, last_name, email, password, user_type)
+            VALUES ('Test', 'User', $1, 'not-a-hash', $2)
+            RETURNING id`,
+            [`${userType}-${Math.random().toString(36).slice(2)}@example.com`, userType]
+        );
+        return result.rows[0].id;
+    };
+
+    const insertBooking = (client, { mentorId, studentId, sessionDate, durationMinutes = 60, bufferBeforeMinutes = 0, bufferAfterMinutes = 0, status = 'pending' }) => {
+        return client.query(
+            `INSERT INTO bookings (
+                mentor_id, user_id, session_date, duration_minutes, buffer_before_minutes, buffer_after_minutes,
+                mentor_price, platform_fee, taxes_fee, total_price, status
+            )
+            VALUES ($1, $2, $3, $4, $5, $6, 100, 14, 26, 140, $7)
+            RETURNING id`,
+            [mentorId, studentId, sessionDate.toISOString(), durationMinutes, bufferBeforeMinutes, bufferAfterMinutes, status]
+        );
+    };
+
+    /**
+     * Two students book concurrently: both transactions run the overlap check, then both insert
+     * Returns the outcome of each insert ({ status: 'fulfilled' | 'rejected', ... })
+     */
+    const raceBookings = async (mentorId, first, second) => {
+        const clients = [await db.pool.connect(), await db.pool.connect()];
+
+        try {
+            await Promise.all(clients.map(client => client.query('BEGIN')));
+
+            // Neither transaction can see the other's uncommitted booking, so both checks pass
+            const checks = await Promise.all([first, second].map((booking, index) => findOverlappingBooking(
+                mentorId,
+                booking.sessionDate,
+                booking.durationMinutes || 60,
+                booking,
+                clients[index]
+            )));
+            assert.deepEqual(checks, [null, null]);
+
+            const firstInsert = await insertBooking(clients[0], { mentorId, studentId: studentIds[0], ...first });
+
+            // The second insert waits on the first transaction's conflicting row until it commits
+            const secondInsert = Promise.allSettled([
+                insertBooking(clients[1], { mentorId, studentId: studentIds[1], ...second })
+            ]);
+            await clients[0].query('COMMIT');
+
+            const [secondOutcome] = await secondInsert;
+            await clients[1].query(secondOutcome.status === 'fulfilled' ? 'COMMIT' : 'ROLLBACK');
+
+            return [{ status: 'fulfilled', value: firstInsert }, secondOutcome];
+        } finally {
+            clients.forEach(client => client.release());
+        }
+    };
+
+    const assertSecondRejected = (outcomes) => {
+        assert.equal(outcomes[0].status, 'fulfilled');
+        assert.equal(outcomes[1].status, 'rejected');
+        assert.equal(outcomes[1].reason.code, '23P01');
+    };
+
+    const assertBothBooked = (outcomes) => {
+        assert.deepEqual(outcomes.map(outcome => outcome.status), ['fulfilled', 'fulfilled']);
+    };
+
+    before(async () => {
+        db = await createTestDatabase();
+        studentIds = [await createUser('user'), await createUser('user')];
+    });
+
+    after(async () => {
+        if (db) {
+            await db.drop();
+        }
+    });
+
+    test('rejects the second of two concurrent bookings of the same slot', async () => {
+        const mentorId = await createUser('mentor');
+
+        assertSecondRejected(await raceBookings(mentorId,
+            { sessionDate: SESSION_START },
+            { sessionDate: SESSION_START }
+        ));
+
+        const count = await db.pool.query('SELECT COUNT(*) FROM bookings WHERE mentor_id = $1', [mentorId]);
+        assert.equal(parseInt(count.rows[0].count), 1);
+    });
+
+    test('rejects a concurrent booking that partly overlaps', async () => {
+        const mentorId = await createUser('mentor');
+
+        assertSecondRejected(await raceBookings(mentorId,
+            { sessionDate: SESSION_START },
+            { sessionDate: minutesFrom(SESSION_START, 30) }
+        ));
+    });
+
+    test('rejects a concurrent booking that starts inside the buffer after another session', async () => {
+        const mentorId = await createUser('mentor');
+
+        // 10:00-11:00 plus 15 minutes after; the second session starts at 11:00
+        assertSecondRejected(await raceBookings(mentorId,
+            { sessionDate: SESSION_START, bufferAfterMinutes: 15 },
+            { sessionDate: minutesFrom(SESSION_START, 60) }
+        ));
+    });
+
+    test('rejects a concurrent booking whose buffer before reaches into another session', async () => {
+        const mentorId = await createUser('mentor');
+
+        // 10:00-11:00; the second session at 11:10 keeps 15 minutes free before it
+        assertSecondRejected(await raceBookings(mentorId,
+            { sessionDate: SESSION_START },
+            { sessionDate: minutesFrom(SESSION_START, 70), bufferBeforeMinutes: 15 }
+        ));
+    });
+
+    test('allows back-to-back sessions once the buffers are clear', async () => {
+        const mentorId = await createUser('mentor');
+
+        assertBothBooked(await raceBookings(mentorId,
+            { sessionDate: SESSION_START },
+            { sessionDate: minutesFrom(SESSION_START, 60) }
+        ));
+
+        assertBothBooked(await raceBookings(mentorId,
+            { sessionDate: minutesFrom(SESSION_START, 180), bufferAfterMinutes: 15 },
+            { sessionDate: minutesFrom(SESSION_START, 255), bufferBeforeMinutes: 0 }
+        ));
+    });
+
+    test('lets different mentors be booked at the same time', async () => {
+        const firstMentorId = await createUser('mentor');
+        const secondMentorId = await createUser('mentor');
+
+        await insertBooking(db.pool, { mentorId: firstMentorId, studentId: studentIds[0], sessionDate: SESSION_START });
+        await insertBooking(db.pool, { mentorId: secondMentorId, studentId: studentIds[1], sessionDate: SESSION_START });
+    });
+
+    test('frees the time of cancelled bookings', async () => {
+        const mentorId = await createUser('mentor');
+
+        await insertBooking(db.pool, {
+            mentorId,
+            studentId: studentIds[0],
+            sessionDate: SESSION_START,
+            status: 'cancelled_by_student'
+        });
+        await insertBooking(db.pool, { mentorId, studentId: studentIds[1], sessionDate: SESSION_START });
+    });
+});
@@ -0,0 +1,137 @@
+// POST /api/bookings against a real database: a slot that is taken, or taken by a concurrent request,
+// must get a 409 rather than a second booking
+import { test, describe, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import jwt from 'jsonwebtoken';
+import { createTestDatabase, useTestDatabaseForApp, TEST_DATABASE_URL } from './testDatabase.js';
+
+const WEEKDAYS = ['monday', 'tuesday', 'wednesday', 'thursday', 'friday', 'saturday', 'sunday'];
+
+// Past the default notice period, within the mentor's 08:00-18:00 (UTC) day
+const sessionStart = (daysAhead, hour) => {
+    const date = new Date(Date.now() + daysAhead * 24 * 60 * 60 * 1000);
+    date.setUTCHours(hour, 0, 0, 0);
+    return date;
+};
+
+describe('POST /api/bookings', { skip: !TEST_DATABASE_URL && 'TEST_DATABASE_URL is not set' }, () => {
+    let db;
+    let appPool;
+    let server;
+    let baseUrl;
+    let mentorId;
+    let serviceId;
+
+    const createUser = async (userType) => {
+        const result = await db.pool.query(
+            `INSERT INTO users (first_name, last_name, email, password, user_type, email_verified_at)
+            VALUES ('Test', 'User', $1, 'not-a-hash', $2, CURRENT_TIMESTAMP)
+            RETURNING id, email, user_type`,
+            [`${userType}-${Math.random().toString(36).slice(2)}@example.com`, userType]
+        );
+        return result.rows[0];
+    };
+
+    // A student with an active session, and the access token for it
+    const createStudent = async () => {
+        const student = await createUser('user');
+        const session = await db.pool.query(
+            `INSERT INTO user_sessions (user_id, refresh_token_hash, expires_at)
+            VALUES ($1, $2, CURRENT_TIMESTAMP + INTERVAL '1 day')
+            RETURNING id`,
+            [student.id, Math.random().toString(36).slice(2)]
+        );
+        const token = jwt.sign(
+            { id: student.id, email: student.email, userType: student.user_type, sid: session.rows[0].id },
+            process.env.JWT_SECRET
+        );
+        return { ...student, token };
+    };
+
+    const book = (student, sessionDate) => fetch(`${baseUrl}/api/bookings`, {
+        method: 'POST',
+        headers: {
+            'Content-Type': 'application/json',
+            Authorization: `Bearer ${student.token}`
+        },
+        body: JSON.stringify({ mentorId, serviceId, sessionDate: sessionDate.toISOString() })
+    });
+
+    before(async () => {
+        db = await createTestDatabase();
+        useTestDatabaseForApp(db);
+        process.env.JWT_SECRET = process.env.JWT_SECRET || 'test-jwt-secret';
+        process.env.RESEND_API_KEY = process.env.RESEND_API_KEY || 're_test';
+
+        // Imported only now, so the app's pool connects to the test schema
+        const { default: express } = await import('express');
+        const { default: bookingsRoutes } = await import('../routes/bookings.js');
+        ({ default: appPool } = await import('../db/config.js'));
+
+        const app = express();
+        app.use(express.json());
+        app.use('/api/bookings', bookingsRoutes);
+
+        await new Promise(resolve => {
+            server = app.listen(0, resolve);
+        });
+        baseUrl = `http://localhost:${server.address().port}`;
+
+        mentorId = (await createUser('mentor')).id;
+        await db.pool.query(
+            `INSERT INTO mentor_availability (mentor_id, timezone, schedule)
+            VALUES ($1, 'UTC', $2)`,
+            [mentorId, JSON.stringify(Object.fromEntries(WEEKDAYS.map(day => [day, [{ start: '08:00', end: '18:00' }]])))]
+        );
+        const service = await db.pool.query(
+            `INSERT INTO mentor_services (mentor_id, mentorship_service, mentor_session_price, platform_fee, taxes_fee, total_price)
+            VALUES ($1, 'Career Consultation', 100, 14, 26, 140)
+            RETURNING id`,
+            [mentorId]
+        );
+        serviceId = service.rows[0].id;
+    });
+
+    after(async () => {
+        if (server) {
+            await new Promise(resolve => server.close(resolve));
+        }
+        if (appPool) {
+            await appPool.end();
+        }
+        if (db) {
+            await db.drop();
+        }
+    });
+
+    test('books a free slot', async () => {
+        const response = await book(await createStudent(), sessionStart(7, 9));
+        const body = await response.json();
+
+        assert.equal(response.status, 201);
+        assert.equal(body.data.mentorId, mentorId);
+    });
+
+    test('responds 409 for a slot that is already booked', async () => {
+        const sessionDate = sessionStart(8, 10);
+
+        assert.equal((await book(await createStudent(), sessionDate)).status, 201);
+
+        const response = await book(await createStudent(), new Date(sessionDate.getTime() + 30 * 60 * 1000));
+        assert.equal(response.status, 409);
+    });
+
+    test('books only one of two concurrent requests for the same slot', async () => {
+        const sessionDate = sessionStart(9, 11);
+        const students = [await createStudent(), await createStudent()];
+
+        const responses = await Promise.all(students.map(student => book(student, sessionDate)));
+        assert.deepEqual(responses.map(response => response.status).sort(), [201, 409]);
+
+        const count = await db.pool.query(
+            'SELECT COUNT(*) FROM bookings WHERE mentor_id = $1 AND session_date = $2',
+            [mentorId, sessionDate.toISOString()]
+        );
+        assert.equal(parseInt(count.rows[0].count), 1);
+    });
+});
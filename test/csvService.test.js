@@ -0,0 +1,44 @@
+// CSV downloads (bank transfer files, earnings reports): quoting and spreadsheet formula escaping
+import { test, describe } from 'node:test';
+import assert from 'node:assert/strict';
+import { toCsv } from '../services/csvService.js';
+
+// The file without its byte order mark, split into lines
+const lines = (csv) => csv.replace(/^\uFEFF/, '').split('\r\n');
+
+describe('toCsv', () => {
+    test('starts with a byte order mark and ends every line with CRLF', () => {
+        const csv = toCsv(['Name', 'Amount'], [['ნინო', 120]]);
+
+        assert.ok(csv.startsWith('\uFEFF'));
+        assert.deepEqual(lines(csv), ['Name,Amount', 'ნინო,120', '']);
+    });
+
+    test('quotes cells with commas, quotes or line breaks', () => {
+        const csv = toCsv(['Note'], [['a, b'], ['say "hi"'], ['two\nlines']]);
+
+        assert.deepEqual(lines(csv).slice(1, 4), ['"a, b"', '"say ""hi"""', '"two\nlines"']);
+    });
+
+    test('prefixes text that a spreadsheet would run as a formula', () => {
+        const csv = toCsv(['Value'], [['=HYPERLINK("http://example.com")'], ['+1'], ['-1+2'], ['@SUM(A1)'], ['safe=text']]);
+
+        assert.deepEqual(lines(csv).slice(1, 6), [
+            '"\'=HYPERLINK(""http://example.com"")"',
+            '\'+1',
+            '\'-1+2',
+            '\'@SUM(A1)',
+            'safe=text'
+        ]);
+    });
+
+    test('leaves numbers alone, including negative ones', () => {
+        assert.deepEqual(lines(toCsv(['Amount'], [[-30], ['120.00']])).slice(1, 3), ['-30', '120.00']);
+    });
+
+    test('writes dates as ISO strings and empty cells for null or undefined', () => {
+        const csv = toCsv(['Date', 'A', 'B'], [[new Date('2025-06-01T08:00:00Z'), null, undefined]]);
+
+        assert.equal(lines(csv)[1], '2025-06-01T08:00:00.000Z,,');
+    });
+});
@@ -0,0 +1,124 @@
+// Mentor earnings ledger: session earnings and refund deductions posted once each, and the balances through a payout
+import { test, describe, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { createTestDatabase, useTestDatabaseForApp, TEST_DATABASE_URL } from './testDatabase.js';
+
+describe('mentor ledger', { skip: !TEST_DATABASE_URL && 'TEST_DATABASE_URL is not set' }, () => {
+    let db;
+    let appPool;
+    let payouts;
+    let mentorId;
+    let studentId;
+    let paidOutBooking;
+
+    const createUser = async (userType) => {
+        const result = await db.pool.query(
+            `INSERT INTO users (first_name, last_name, email, password, user_type)
+            VALUES ('Test', 'User', $1, 'not-a-hash', $2)
+            RETURNING id`,
+            [`${userType}-${Math.random().toString(36).slice(2)}@example.com`, userType]
+        );
+        return result.rows[0].id;
+    };
+
+    const createBooking = async ({ mentorPrice, status = 'completed', paymentStatus = 'paid', daysAgo }) => {
+        const result = await db.pool.query(
+            `INSERT INTO bookings (
+                mentor_id, user_id, session_date, mentor_price, platform_fee, taxes_fee, total_price,
+                status, payment_status, completed_at
+            )
+            VALUES ($1, $2, CURRENT_TIMESTAMP - $3 * INTERVAL '1 day', $4, 0, 0, $4, $5, $6, CURRENT_TIMESTAMP)
+            RETURNING id`,
+            [mentorId, studentId, daysAgo, mentorPrice, status, paymentStatus]
+        );
+        return result.rows[0].id;
+    };
+
+    // A succeeded refund of which the mentor bears mentorDeduction
+    const createRefund = async (bookingId, { amount, mentorDeduction }) => {
+        const payment = await db.pool.query(
+            `INSERT INTO payments (booking_id, provider, provider_session_id, amount, status, checkout_url, expires_at)
+            VALUES ($1, 'fake', $2, $3, 'paid', 'http://localhost/checkout', CURRENT_TIMESTAMP)
+            RETURNING id`,
+            [bookingId, `cs_${Math.random().toString(36).slice(2)}`, amount * 100]
+        );
+        await db.pool.query(
+            `INSERT INTO refunds (booking_id, payment_id, amount, reason, initiator_role, cost_bearer, mentor_deduction, status, completed_at)
+            VALUES ($1, $2, $3, 'Test refund', 'student', 'mentor', $4, 'succeeded', CURRENT_TIMESTAMP)`,
+            [bookingId, payment.rows[0].id, amount, mentorDeduction]
+        );
+    };
+
+    before(async () => {
+        db = await createTestDatabase();
+        useTestDatabaseForApp(db);
+
+        // Imported only now, so the app's pool connects to the test schema
+        payouts = await import('../services/payoutService.js');
+        ({ default: appPool } = await import('../db/config.js'));
+
+        mentorId = await createUser('mentor');
+        studentId = await createUser('user');
+        await db.pool.query(
+            `INSERT INTO mentor_payment_info (mentor_id, identification_number, address, bank, bank_rtgs_code, bank_account_number)
+            VALUES ($1, '01001000001', 'Tbilisi', 'TBC Bank', 'TBCBGE22', 'GE00TB0000000000000000')`,
+            [mentorId]
+        );
+    });
+
+    after(async () => {
+        if (appPool) {
+            await appPool.end();
+        }
+        if (db) {
+            await db.drop();
+        }
+    });
+
+    test('credits completed, paid sessions and debits refunds the mentor bears', async () => {
+        const refunded = await createBooking({ mentorPrice: 100, daysAgo: 3 });
+        paidOutBooking = await createBooking({ mentorPrice: 50, daysAgo: 4 });
+        // Neither earns anything
+        await createBooking({ mentorPrice: 80, status: 'no_show', daysAgo: 5 });
+        await createBooking({ mentorPrice: 70, paymentStatus: 'pending', daysAgo: 6 });
+        await createRefund(refunded, { amount: 40, mentorDeduction: 30 });
+
+        // Owed before the posting job has run, too
+        assert.equal(await payouts.getUnpaidEarnings(mentorId), 120);
+
+        assert.equal(await payouts.postLedgerEntries(), 3);
+        assert.equal(await payouts.postLedgerEntries(), 0);
+
+        const ledger = await payouts.getMentorLedger(mentorId);
+        assert.equal(ledger.balance, 120);
+        assert.deepEqual(ledger.entries.map(entry => entry.balanceChange).sort((a, b) => a - b), [-30, 50, 100]);
+        assert.equal(await payouts.getUnpaidEarnings(mentorId), 120);
+    });
+
+    test('moves the balance to in transit, then to the bank when the batch settles', async () => {
+        const adminId = await createUser('user');
+
+        const batch = await payouts.createPayoutBatch(adminId);
+        assert.deepEqual(batch.items.map(item => item.amount), [120]);
+
+        let ledger = await payouts.getMentorLedger(mentorId);
+        assert.deepEqual([ledger.balance, ledger.inTransit, ledger.paidOut], [0, 120, 0]);
+        // Still owed until the bank has carried out the transfer
+        assert.equal(await payouts.getUnpaidEarnings(mentorId), 120);
+
+        await payouts.settlePayoutBatch(batch.id, adminId, { bankReference: 'TEST-1' });
+
+        ledger = await payouts.getMentorLedger(mentorId);
+        assert.deepEqual([ledger.balance, ledger.inTransit, ledger.paidOut], [0, 0, 120]);
+        assert.equal(await payouts.getUnpaidEarnings(mentorId), 0);
+        assert.equal(ledger.entries.reduce((sum, entry) => sum + entry.balanceChange, 0), 0);
+    });
+
+    test('carries a refund of a session already paid out as a negative balance', async () => {
+        await createRefund(paidOutBooking, { amount: 20, mentorDeduction: 20 });
+
+        assert.equal(await payouts.getUnpaidEarnings(mentorId), -20);
+        assert.equal(await payouts.postLedgerEntries(), 1);
+        assert.equal((await payouts.getMentorLedger(mentorId)).balance, -20);
+    });
+});
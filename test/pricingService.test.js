@@ -0,0 +1,54 @@
+// Session prices: platform fee and taxes on top of the mentor's price, in whole GEL
+import { test, describe } from 'node:test';
+import assert from 'node:assert/strict';
+
+// Rates are read from the environment when the module loads
+process.env.PLATFORM_FEE_PERCENT = '14';
+process.env.TAXES_PERCENT = '26';
+process.env.TAXES_PERCENT_INDIVIDUAL_ENTREPRENEUR = '1';
+process.env.TAXES_PERCENT_PRIVATE_INDIVIDUAL = '0';
+
+const { calculateServicePrice, getPricingRates } = await import('../services/pricingService.js');
+
+describe('getPricingRates', () => {
+    test('uses the default tax rate until the mentor has a document type', () => {
+        assert.deepEqual(getPricingRates(), { platformFeePercent: 14, taxesPercent: 26 });
+        assert.deepEqual(getPricingRates('unknown_type'), { platformFeePercent: 14, taxesPercent: 26 });
+    });
+
+    test('uses the tax rate for the mentor\'s document type, including 0', () => {
+        assert.equal(getPricingRates('individual_entrepreneur').taxesPercent, 1);
+        assert.equal(getPricingRates('private_individual').taxesPercent, 0);
+    });
+});
+
+describe('calculateServicePrice', () => {
+    test('adds the platform fee and taxes to the mentor\'s price', () => {
+        const price = calculateServicePrice(100);
+
+        assert.equal(price.mentorSessionPrice, 100);
+        assert.equal(price.platformFee, 14);
+        assert.equal(price.taxesFee, 26);
+        assert.equal(price.totalPrice, 140);
+    });
+
+    test('rounds each fee to the nearest GEL, halves up', () => {
+        // 3.5 and 6.5
+        const price = calculateServicePrice(25);
+
+        assert.equal(price.platformFee, 4);
+        assert.equal(price.taxesFee, 7);
+        assert.equal(price.totalPrice, 36);
+    });
+
+    test('applies the document type\'s tax rate', () => {
+        // 1% of 250 is 2.5
+        assert.equal(calculateServicePrice(250, 'individual_entrepreneur').taxesFee, 3);
+        assert.equal(calculateServicePrice(250, 'private_individual').taxesFee, 0);
+        assert.equal(calculateServicePrice(250, 'private_individual').totalPrice, 285);
+    });
+
+    test('returns the rates it used', () => {
+        assert.deepEqual(calculateServicePrice(100, 'individual_entrepreneur').rates, { platformFeePercent: 14, taxesPercent: 1 });
+    });
+});
@@ -0,0 +1,64 @@
+// Throwaway PostgreSQL schema for tests that need the real database
+// Set TEST_DATABASE_URL to a database the tests may write to; each run builds db/schema.sql and every
+// migration in a fresh schema and drops it afterwards, so existing tables are never touched
+import fs from 'fs';
+import path from 'path';
+import crypto from 'crypto';
+import { fileURLToPath } from 'url';
+import pg from 'pg';
+
+const DB_DIR = path.join(path.dirname(fileURLToPath(import.meta.url)), '..', 'db');
+
+export const TEST_DATABASE_URL = process.env.TEST_DATABASE_URL;
+
+/**
+ * Create a schema with the app's tables and a pool whose connections use it
+ * Returns { schema, pool, drop }
+ */
+export const createTestDatabase = async () => {
+    const schema = `test_${crypto.randomBytes(6).toString('hex')}`;
+    const admin = new pg.Client({ connectionString: TEST_DATABASE_URL });
+
+    await admin.connect();
+    await admin.query(`CREATE SCHEMA ${schema}`);
+    await admin.end();
+
+    // public stays on the path for extensions installed there (uuid-ossp, btree_gist)
+    const pool = new pg.Pool({
+        connectionString: TEST_DATABASE_URL,
+        options: `-c search_path=${schema},public`
+    });
+
+    const migrations = fs.readdirSync(path.join(DB_DIR, 'migrations'))
+        .filter(file => file.endsWith('.sql'))
+        .sort()
+        .map(file => path.join(DB_DIR, 'migrations', file));
+
+    for (const file of [path.join(DB_DIR, 'schema.sql'), ...migrations]) {
+        await pool.query(fs.readFileSync(file, 'utf8'));
+    }
+
+    const drop = async () => {
+        await pool.query(`DROP SCHEMA ${schema} CASCADE`);
+        await pool.end();
+    };
+
+    return { schema, pool, drop };
+};
+
+/**
+ * Point the app's own pool (db/config.js) at a test schema, for tests that go through routes or services
+ * Must run before anything imports db/config.js
+ */
+export const useTestDatabaseForApp = ({ schema }) => {
+    const url = new URL(TEST_DATABASE_URL);
+
+    delete process.env.DATABASE_URL;
+    process.env.DB_USER = decodeURIComponent(url.username);
+    process.env.DB_PASSWORD = decodeURIComponent(url.password);
+    process.env.DB_HOST = url.hostname;
+    process.env.DB_PORT = url.port || '5432';
+    process.env.DB_NAME = url.pathname.slice(1);
+    // Read by pg for every connection the app's pool opens
+    process.env.PGOPTIONS = `-c search_path=${schema},public`;
+};
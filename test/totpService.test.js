@@ -0,0 +1,75 @@
+// TOTP codes (RFC 6238) and secret encryption
+import { test, describe } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+    generateTotpSecret,
+    verifyTotpCode,
+    encryptTotpSecret,
+    decryptTotpSecret
+} from '../services/totpService.js';
+
+// The RFC 6238 test secret "12345678901234567890" in base32, with its SHA-1 codes (last 6 digits)
+const RFC_SECRET = 'GEZDGNBVGY3TQOJQGEZDGNBVGY3TQOJQ';
+const RFC_VECTORS = [
+    { seconds: 59, code: '287082' },
+    { seconds: 1111111109, code: '081804' },
+    { seconds: 1111111111, code: '050471' },
+    { seconds: 1234567890, code: '005924' },
+    { seconds: 2000000000, code: '279037' }
+];
+
+describe('verifyTotpCode', () => {
+    test('accepts the RFC 6238 test vectors and returns their time step', () => {
+        for (const { seconds, code } of RFC_VECTORS) {
+            assert.equal(verifyTotpCode(RFC_SECRET, code, seconds * 1000), Math.floor(seconds / 30), `at ${seconds}s`);
+        }
+    });
+
+    test('accepts the previous and next code for clock skew, and nothing further', () => {
+        // 081804 is the code for step 37037036
+        const stepStart = (step) => step * 30 * 1000;
+
+        assert.equal(verifyTotpCode(RFC_SECRET, '081804', stepStart(37037035)), 37037036);
+        assert.equal(verifyTotpCode(RFC_SECRET, '081804', stepStart(37037037)), 37037036);
+        assert.equal(verifyTotpCode(RFC_SECRET, '081804', stepStart(37037034)), null);
+        assert.equal(verifyTotpCode(RFC_SECRET, '081804', stepStart(37037038)), null);
+    });
+
+    test('ignores spaces in the code', () => {
+        assert.equal(verifyTotpCode(RFC_SECRET, '287 082', 59 * 1000), 1);
+    });
+
+    test('refuses wrong or malformed codes', () => {
+        assert.equal(verifyTotpCode(RFC_SECRET, '287083', 59 * 1000), null);
+        assert.equal(verifyTotpCode(RFC_SECRET, '28708', 59 * 1000), null);
+        assert.equal(verifyTotpCode(RFC_SECRET, '2870822', 59 * 1000), null);
+        assert.equal(verifyTotpCode(RFC_SECRET, 'abcdef', 59 * 1000), null);
+        assert.equal(verifyTotpCode(RFC_SECRET, undefined, 59 * 1000), null);
+    });
+});
+
+describe('TOTP secrets', () => {
+    test('generates 160-bit base32 secrets', () => {
+        const secret = generateTotpSecret();
+
+        assert.match(secret, /^[A-Z2-7]{32}$/);
+        assert.notEqual(generateTotpSecret(), secret);
+    });
+
+    test('decrypts what it encrypts, with a fresh IV each time', () => {
+        const first = encryptTotpSecret(RFC_SECRET);
+        const second = encryptTotpSecret(RFC_SECRET);
+
+        assert.notEqual(first, second);
+        assert.equal(decryptTotpSecret(first), RFC_SECRET);
+        assert.equal(decryptTotpSecret(second), RFC_SECRET);
+    });
+
+    test('refuses a secret that was tampered with', () => {
+        const [iv, authTag, ciphertext] = encryptTotpSecret(RFC_SECRET).split(':');
+        const tampered = Buffer.from(ciphertext, 'base64');
+        tampered[0] ^= 1;
+
+        assert.throws(() => decryptTotpSecret([iv, authTag, tampered.toString('base64')].join(':')));
+    });
+});
@@ -0,0 +1,89 @@
+// Second factor checks against the database: each TOTP time step is accepted once, so a code seen by someone else
+// (shoulder surfing, a phishing proxy) can't be used again, even within its 90 seconds of validity
+import { test, describe, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { createTestDatabase, useTestDatabaseForApp, TEST_DATABASE_URL } from './testDatabase.js';
+
+// RFC 6238 test secret; 081804 is its code for step 37037036 and 050471 for the next step
+const RFC_SECRET = 'GEZDGNBVGY3TQOJQGEZDGNBVGY3TQOJQ';
+const FIRST_STEP_TIME = 1111111109 * 1000;
+const NEXT_STEP_TIME = 1111111111 * 1000;
+
+describe('verifySecondFactor', { skip: !TEST_DATABASE_URL && 'TEST_DATABASE_URL is not set' }, () => {
+    let db;
+    let appPool;
+    let verifySecondFactor;
+    let encryptTotpSecret;
+
+    // A user with 2FA enabled on the RFC test secret
+    const createUserWithTwoFactor = async () => {
+        const user = await db.pool.query(
+            `INSERT INTO users (first_name, last_name, email, password, user_type)
+            VALUES ('Test', 'User', $1, 'not-a-hash', 'mentor')
+            RETURNING id`,
+            [`mentor-${Math.random().toString(36).slice(2)}@example.com`]
+        );
+        await db.pool.query(
+            `INSERT INTO user_two_factor (user_id, secret_encrypted, enabled_at)
+            VALUES ($1, $2, CURRENT_TIMESTAMP)`,
+            [user.rows[0].id, encryptTotpSecret(RFC_SECRET)]
+        );
+        return user.rows[0].id;
+    };
+
+    before(async () => {
+        db = await createTestDatabase();
+        useTestDatabaseForApp(db);
+        process.env.RESEND_API_KEY = process.env.RESEND_API_KEY || 're_test';
+
+        // Imported only now, so the app's pool connects to the test schema
+        ({ verifySecondFactor } = await import('../services/twoFactorService.js'));
+        ({ encryptTotpSecret } = await import('../services/totpService.js'));
+        ({ default: appPool } = await import('../db/config.js'));
+    });
+
+    after(async () => {
+        if (appPool) {
+            await appPool.end();
+        }
+        if (db) {
+            await db.drop();
+        }
+    });
+
+    test('accepts a code once', async (t) => {
+        const userId = await createUserWithTwoFactor();
+        t.mock.method(Date, 'now', () => FIRST_STEP_TIME);
+
+        assert.equal(await verifySecondFactor(userId, { code: '081804' }), true);
+        assert.equal(await verifySecondFactor(userId, { code: '081804' }), false);
+    });
+
+    test('refuses a still-valid code from a step before the last one used', async (t) => {
+        const userId = await createUserWithTwoFactor();
+        t.mock.method(Date, 'now', () => NEXT_STEP_TIME);
+
+        assert.equal(await verifySecondFactor(userId, { code: '050471' }), true);
+        // Within the allowed clock skew, but older than the code just used
+        assert.equal(await verifySecondFactor(userId, { code: '081804' }), false);
+    });
+
+    test('accepts only one of two concurrent uses of a code', async (t) => {
+        const userId = await createUserWithTwoFactor();
+        t.mock.method(Date, 'now', () => FIRST_STEP_TIME);
+
+        const results = await Promise.all([
+            verifySecondFactor(userId, { code: '081804' }),
+            verifySecondFactor(userId, { code: '081804' })
+        ]);
+        assert.deepEqual(results.sort(), [false, true]);
+    });
+
+    test('refuses codes for a user whose 2FA setup is not confirmed', async (t) => {
+        const userId = await createUserWithTwoFactor();
+        await db.pool.query('UPDATE user_two_factor SET enabled_at = NULL WHERE user_id = $1', [userId]);
+        t.mock.method(Date, 'now', () => FIRST_STEP_TIME);
+
+        assert.equal(await verifySecondFactor(userId, { code: '081804' }), false);
+    });
+});